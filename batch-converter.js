@@ -0,0 +1,425 @@
+/**
+ * Batch Converter
+ * Converts whole directory trees or glob matches of Mermaid files,
+ * mirroring the input layout and recording the results in a manifest
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Worker, isMainThread, parentPort, workerData } = require('node:worker_threads');
+
+const { parseMermaid } = require('./mermaid-parser');
+const { validateMermaid, loadLintConfig, findLintConfig } = require('./mermaid-validator');
+const { toDrawio } = require('./drawio-converter');
+const { toMarkdown } = require('./markdown-converter');
+const { convertERToDrawio: convertERToDrawioNew, isERDiagram } = require('./er-converter');
+const { decompressDrawio } = require('./drawio-compression');
+
+/**
+ * File extensions picked up when a directory is given
+ */
+const MERMAID_EXTENSIONS = ['.mmd', '.mermaid'];
+
+/**
+ * Directories never descended into while scanning
+ */
+const IGNORED_DIRS = new Set(['node_modules', '.git']);
+
+/**
+ * Check whether a path segment contains glob syntax
+ */
+function hasMagic(segment) {
+  return /[*?[{]/.test(segment);
+}
+
+/**
+ * Convert a glob pattern (relative, `/`-separated) into a RegExp
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        if (atSegmentStart && pattern[i + 2] === '/') {
+          source += '(?:[^/]+/)*';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively list files below a directory as `/`-separated relative paths
+ */
+function walkDirectory(dir, prefix = '') {
+  const files = [];
+
+  fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((entry) => {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) {
+          files.push(...walkDirectory(path.join(dir, entry.name), relative));
+        }
+      } else if (entry.isFile()) {
+        files.push(relative);
+      }
+    });
+
+  return files;
+}
+
+/**
+ * Expand files, directories and glob patterns into input files
+ * Returns [{ path, relative }] where `relative` is the location below the
+ * pattern's base directory, used to mirror the tree into the output dir
+ */
+function expandInputs(patterns, options = {}) {
+  const { cwd = process.cwd(), extensions = MERMAID_EXTENSIONS } = options;
+  const inputs = new Map();
+
+  const add = (absolute, relative) => {
+    if (!inputs.has(absolute)) {
+      inputs.set(absolute, { path: absolute, relative });
+    }
+  };
+
+  patterns.forEach((pattern) => {
+    const normalized = pattern.replace(/\\/g, '/');
+    const segments = normalized.split('/');
+    const magicIndex = segments.findIndex(hasMagic);
+
+    if (magicIndex === -1) {
+      const absolute = path.resolve(cwd, normalized);
+      if (!fs.existsSync(absolute)) {
+        throw new Error(`Input not found: ${pattern}`);
+      }
+
+      if (fs.statSync(absolute).isDirectory()) {
+        walkDirectory(absolute)
+          .filter((file) => extensions.includes(path.extname(file).toLowerCase()))
+          .forEach((file) => add(path.join(absolute, file), file));
+      } else {
+        add(absolute, path.basename(absolute));
+      }
+      return;
+    }
+
+    const baseDir = path.resolve(cwd, segments.slice(0, magicIndex).join('/') || '.');
+    const matcher = globToRegExp(segments.slice(magicIndex).join('/'));
+
+    if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) {
+      return;
+    }
+
+    walkDirectory(baseDir)
+      .filter((file) => matcher.test(file))
+      .forEach((file) => add(path.join(baseDir, file), file));
+  });
+
+  return [...inputs.values()];
+}
+
+/**
+ * Where the outputs of an expanded input go (without extension)
+ * Mirrored below `outputDir` when given, next to the source otherwise
+ */
+function outputBaseFor(input, outputDir) {
+  const withoutExt = (file) => file.slice(0, file.length - path.extname(file).length);
+  return outputDir ? path.join(path.resolve(outputDir), withoutExt(input.relative)) : withoutExt(input.path);
+}
+
+/**
+ * Render the outputs of one Mermaid source without writing anything
+ * Returns { parsed, drawio, markdown }
+ */
+function renderDiagram(mermaidCode, options = {}) {
+  const { name, layout, docs = true, deterministic, terminals } = options;
+  const parsed = parseMermaid(mermaidCode);
+
+  const converterOptions = { name, layout, deterministic, terminals };
+  const drawio = isERDiagram(parsed)
+    ? convertERToDrawioNew(parsed, converterOptions)
+    : toDrawio(parsed, converterOptions);
+
+  return {
+    parsed,
+    drawio,
+    markdown: docs ? toMarkdown(parsed, mermaidCode, { terminals }) : null,
+  };
+}
+
+/**
+ * Validation rules for a file: those of the nearest .diagram-lint.json, if any
+ */
+function lintRulesFor(input) {
+  const configFile = findLintConfig(path.dirname(path.resolve(input)));
+  return configFile ? loadLintConfig(configFile).rules : {};
+}
+
+/**
+ * Convert a single file and write its outputs
+ * `code` may be passed when the caller already read the file, `rules` to validate
+ * with instead of the nearest .diagram-lint.json
+ * Returns the manifest entry (paths are absolute here)
+ */
+function convertFile(job) {
+  const { input, outputBase, layout, docs, deterministic, terminals, code, rules } = job;
+  const entry = {
+    input,
+    status: 'converted',
+    type: null,
+    nodes: 0,
+    edges: 0,
+    outputs: {},
+    issues: [],
+    warnings: [],
+  };
+
+  try {
+    const mermaidCode = code !== undefined ? code : fs.readFileSync(input, 'utf-8');
+    const validation = validateMermaid(mermaidCode, { rules: rules || lintRulesFor(input) });
+    entry.issues = validation.issues;
+    entry.warnings = validation.warnings;
+
+    const rendered = renderDiagram(mermaidCode, { name: path.basename(outputBase), layout, docs, deterministic, terminals });
+    entry.type = rendered.parsed.type;
+    entry.nodes = rendered.parsed.nodes.length;
+    entry.edges = rendered.parsed.edges.length;
+
+    fs.mkdirSync(path.dirname(outputBase), { recursive: true });
+
+    entry.outputs.drawio = `${outputBase}.drawio`;
+    fs.writeFileSync(entry.outputs.drawio, rendered.drawio, 'utf-8');
+
+    if (docs) {
+      entry.outputs.markdown = `${outputBase}-docs.md`;
+      fs.writeFileSync(entry.outputs.markdown, rendered.markdown, 'utf-8');
+    }
+  } catch (error) {
+    entry.status = 'failed';
+    entry.error = error.message;
+  }
+
+  return entry;
+}
+
+/**
+ * Run jobs on a pool of worker threads, preserving job order in the results
+ */
+function runInWorkers(jobs, jobCount, onResult) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(jobs.length);
+    let next = 0;
+    let finished = 0;
+    const workers = [];
+
+    const dispatch = (worker) => {
+      if (next >= jobs.length) {
+        worker.terminate();
+        return;
+      }
+      const index = next++;
+      worker.postMessage({ index, job: jobs[index] });
+    };
+
+    for (let i = 0; i < Math.min(jobCount, jobs.length); i++) {
+      const worker = new Worker(__filename, { workerData: { batchWorker: true } });
+      workers.push(worker);
+
+      worker.on('message', ({ index, entry }) => {
+        results[index] = entry;
+        finished++;
+        if (onResult) onResult(entry, finished, jobs.length);
+        if (finished === jobs.length) {
+          workers.forEach((w) => w.terminate());
+          resolve(results);
+        } else {
+          dispatch(worker);
+        }
+      });
+      worker.on('error', (error) => {
+        workers.forEach((w) => w.terminate());
+        reject(error);
+      });
+
+      dispatch(worker);
+    }
+  });
+}
+
+/**
+ * Convert every matching input into `outputDir`, mirroring the input tree
+ * Returns the manifest object (paths relative to the manifest directory)
+ */
+async function runBatch(patterns, options = {}) {
+  const {
+    outputDir = '.',
+    layout,
+    docs = true,
+    deterministic,
+    terminals,
+    rules,
+    jobs = os.cpus().length,
+    manifest: manifestPath = path.join(outputDir, 'manifest.json'),
+    onResult,
+  } = options;
+
+  const resolvedManifest = path.resolve(manifestPath);
+  const manifestDir = path.dirname(resolvedManifest);
+
+  const conversionJobs = expandInputs(patterns, options).map((input) => ({
+    input: input.path,
+    outputBase: outputBaseFor(input, outputDir),
+    layout,
+    docs,
+    deterministic,
+    terminals,
+    rules,
+  }));
+
+  if (conversionJobs.length === 0) {
+    throw new Error(`No Mermaid files matched: ${patterns.join(', ')}`);
+  }
+
+  const jobCount = Math.max(1, parseInt(jobs, 10) || 1);
+  let entries;
+  if (jobCount === 1 || conversionJobs.length === 1) {
+    entries = conversionJobs.map((job, i) => {
+      const entry = convertFile(job);
+      if (onResult) onResult(entry, i + 1, conversionJobs.length);
+      return entry;
+    });
+  } else {
+    entries = await runInWorkers(conversionJobs, jobCount, onResult);
+  }
+
+  const toManifestPath = (file) => path.relative(manifestDir, file).split(path.sep).join('/');
+  const files = entries.map((entry) => ({
+    ...entry,
+    input: toManifestPath(entry.input),
+    outputs: Object.fromEntries(Object.entries(entry.outputs).map(([kind, file]) => [kind, toManifestPath(file)])),
+  }));
+
+  const manifest = {
+    ...(deterministic ? {} : { generatedAt: new Date().toISOString() }),
+    summary: {
+      total: files.length,
+      converted: files.filter((f) => f.status === 'converted').length,
+      failed: files.filter((f) => f.status === 'failed').length,
+      withIssues: files.filter((f) => f.issues.length > 0).length,
+    },
+    files,
+  };
+
+  fs.mkdirSync(manifestDir, { recursive: true });
+  fs.writeFileSync(resolvedManifest, `${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+
+  return manifest;
+}
+
+/**
+ * A Draw.io file in the form checkOutputs compares: compressed pages inflated,
+ * whitespace between tags dropped and the page name (and the id derived from it) left out,
+ * so outputs of every command and of --compressed match
+ */
+function comparableDrawio(xml) {
+  return decompressDrawio(xml)
+    .replace(/<diagram\b[^>]*>/g, '<diagram>')
+    .replace(/>\s+</g, '><')
+    .trim();
+}
+
+/**
+ * Compare the outputs on disk with what the current sources produce in
+ * deterministic mode; outputs are located like runBatch (or next to the source)
+ * Returns [{ input, status, outputs: [{ path, status }], error }] where status
+ * is 'fresh', 'stale', 'missing' or 'failed'
+ */
+function checkOutputs(patterns, options = {}) {
+  const { outputDir, layout, docs = true, terminals } = options;
+  const severity = ['fresh', 'stale', 'missing'];
+
+  return expandInputs(patterns, options).map((input) => {
+    const outputBase = outputBaseFor(input, outputDir);
+    let rendered;
+    try {
+      rendered = renderDiagram(fs.readFileSync(input.path, 'utf-8'), {
+        layout,
+        docs,
+        deterministic: true,
+        terminals,
+      });
+    } catch (error) {
+      return { input: input.path, status: 'failed', outputs: [], error: error.message };
+    }
+
+    const expected = [[`${outputBase}.drawio`, rendered.drawio, comparableDrawio]];
+    if (docs) expected.push([`${outputBase}-docs.md`, rendered.markdown, (text) => text]);
+
+    const outputs = expected.map(([file, content, comparable]) => {
+      if (!fs.existsSync(file)) return { path: file, status: 'missing' };
+      return { path: file, status: comparable(fs.readFileSync(file, 'utf-8')) === comparable(content) ? 'fresh' : 'stale' };
+    });
+    const status = outputs.reduce((worst, output) => (
+      severity.indexOf(output.status) > severity.indexOf(worst) ? output.status : worst
+    ), 'fresh');
+
+    return { input: input.path, status, outputs };
+  });
+}
+
+// Worker thread entry point
+if (!isMainThread && workerData && workerData.batchWorker) {
+  parentPort.on('message', ({ index, job }) => {
+    parentPort.postMessage({ index, entry: convertFile(job) });
+  });
+}
+
+module.exports = {
+  MERMAID_EXTENSIONS,
+  IGNORED_DIRS,
+  globToRegExp,
+  expandInputs,
+  outputBaseFor,
+  renderDiagram,
+  convertFile,
+  runBatch,
+  checkOutputs,
+};
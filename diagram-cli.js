@@ -3,6 +3,7 @@
 /**
  * BMAD Diagram Converter CLI
  * Standalone tool for converting Mermaid diagrams to Draw.io XML and Markdown
+ * DOT and PlantUML sources are accepted too (chosen by extension or --from)
  *
  * Usage:
  *   node diagram-cli.js <command> [options]
@@ -10,18 +11,40 @@
  * Commands:
  *   to-drawio <file>     Convert Mermaid to Draw.io XML
  *   to-markdown <file>   Convert Mermaid to Markdown documentation
+ *   to-svg <file>        Render Mermaid (or Draw.io) as a standalone SVG
+ *   to-excalidraw <file> Convert Mermaid (or Draw.io) to an Excalidraw scene
+ *   to-graphml <file>    Export Mermaid to GraphML (yEd, networkx)
+ *   to-dot <file>        Export Mermaid to Graphviz DOT
  *   convert <file>       Full conversion (both outputs)
- *   validate <file>      Validate Mermaid syntax
+ *   bundle <files...>    Combine several diagrams into one multi-page Draw.io file
+ *   extract <file.md>    Convert every Mermaid block in a Markdown document
+ *   batch <inputs...>    Convert directories or glob patterns with a manifest
+ *   watch <inputs...>    Regenerate outputs whenever Mermaid files change
+ *   check <inputs...>    Fail when generated outputs are out of date
+ *   validate <file>      Validate Mermaid against the lint rules (--fix applies the suggestions)
+ *   from-drawio <file>   Convert Draw.io XML back to Mermaid
  */
 
 const { program } = require('commander');
 const fs = require('node:fs');
 const path = require('node:path');
 
-const { parseMermaid, validateMermaid } = require('./mermaid-parser');
-const { toDrawio } = require('./drawio-converter');
+const { parseMermaid } = require('./mermaid-parser');
+const { INPUT_FORMATS, detectInputFormat, parseDiagramSource, validateDiagramSource } = require('./input-formats');
+const { toDrawio, toDrawioPages } = require('./drawio-converter');
 const { toMarkdown, validationReportToMarkdown } = require('./markdown-converter');
 const { convertERToDrawio: convertERToDrawioNew, isERDiagram } = require('./er-converter');
+const { drawioToMermaid } = require('./drawio-reader');
+const { convertMarkdownDocument, linkMermaidBlocks } = require('./markdown-document');
+const { runBatch, checkOutputs } = require('./batch-converter');
+const { watchDiagrams } = require('./diagram-watcher');
+const { mergeDrawio } = require('./drawio-merger');
+const { toSvg, drawioToSvg } = require('./svg-renderer');
+const { toExcalidraw, drawioToExcalidraw } = require('./excalidraw-converter');
+const { toGraphML, toDot } = require('./graph-exporter');
+const { fixMermaid } = require('./mermaid-fixer');
+const { unifiedDiff } = require('./unified-diff');
+const { loadLintConfig, findLintConfig } = require('./mermaid-validator');
 
 // Colors for terminal output
 const colors = {
@@ -52,6 +75,28 @@ function readMermaidInput(fileArg) {
   return fs.readFileSync(filePath, 'utf-8');
 }
 
+/**
+ * Parse a diagram source with the front-end chosen by --from, the file extension or the content
+ * Warnings from translating DOT or PlantUML are listed unless quiet
+ */
+function parseDiagramInput(source, file, options) {
+  const format = detectInputFormat(file !== '-' ? file : null, source, options.from);
+
+  if (!options.quiet) {
+    console.log(`${colors.dim}Parsing ${INPUT_FORMATS[format].label} diagram...${colors.reset}`);
+  }
+
+  const parsed = parseDiagramSource(source, { format });
+
+  if (!options.quiet) {
+    (parsed.sourceWarnings || []).forEach((warning) => {
+      console.log(`${colors.yellow}⚠${colors.reset} Line ${warning.line}: ${warning.issue} ${colors.dim}(${warning.suggestion})${colors.reset}`);
+    });
+  }
+
+  return parsed;
+}
+
 /**
  * Write output to file or stdout
  */
@@ -81,6 +126,81 @@ function generateOutputName(inputPath, suffix, ext) {
   return `${baseName}${suffix}.${ext}`;
 }
 
+/**
+ * Position of a validation issue: "line" or "line:column"
+ */
+function formatPosition(entry) {
+  return entry.column ? `${entry.line}:${entry.column}` : `${entry.line}`;
+}
+
+/**
+ * Rule id of a validation issue, dimmed, for the end of a report line
+ */
+function formatRule(entry) {
+  return entry.rule ? ` ${colors.dim}[${entry.rule}]${colors.reset}` : '';
+}
+
+/**
+ * Terminal options of --terminals (a JSON object, or the path of a JSON file);
+ * false for --no-terminals, undefined for the defaults
+ */
+function resolveTerminals(value) {
+  if (typeof value !== 'string') return value;
+  let spec = value;
+  if (!value.trim().startsWith('{')) {
+    if (!fs.existsSync(value)) {
+      throw new Error(`Terminals file not found: ${value}`);
+    }
+    spec = fs.readFileSync(value, 'utf-8');
+  }
+  try {
+    return JSON.parse(spec);
+  } catch (error) {
+    throw new Error(`Invalid --terminals JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Validation rules from --config, or from the .diagram-lint.json nearest to the input
+ */
+function resolveLintRules(file, configFile) {
+  const found = configFile || findLintConfig(file !== '-' ? path.dirname(path.resolve(file)) : process.cwd());
+  return found ? loadLintConfig(found).rules : {};
+}
+
+/**
+ * Apply the automatic fixes of `validate --fix` to a Mermaid file
+ * The file is rewritten unless dry-running; returns the fixes and their unified diff
+ */
+function fixDiagramFile(source, file, format, options) {
+  if (format !== 'mermaid') {
+    throw new Error(`--fix only supports Mermaid input, not ${INPUT_FORMATS[format].label}`);
+  }
+  if (file === '-' && !options.dryRun) {
+    throw new Error('--fix needs a file to write to; use --dry-run to preview fixes for stdin');
+  }
+
+  const result = fixMermaid(source);
+  // Header paths relative to the working directory, as git prints them
+  const name = file === '-' ? 'stdin' : path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+  const diff = unifiedDiff(source, result.code, { fromFile: `a/${name}`, toFile: `b/${name}` });
+  if (result.changed && !options.dryRun) {
+    fs.writeFileSync(file, result.code, 'utf-8');
+  }
+  return { ...result, diff, applied: result.changed && !options.dryRun };
+}
+
+/**
+ * Print a unified diff with colors
+ */
+function printDiff(diff) {
+  const lineColors = { '+': colors.green, '-': colors.red, '@': colors.cyan, '\\': colors.dim };
+  diff.trimEnd().split('\n').forEach((line) => {
+    const color = /^(---|\+\+\+) /.test(line) ? colors.bold : lineColors[line[0]];
+    console.log(color ? `${color}${line}${colors.reset}` : line);
+  });
+}
+
 /**
  * Print banner
  */
@@ -102,21 +222,25 @@ program
 // to-drawio command
 program
   .command('to-drawio <file>')
-  .description('Convert Mermaid diagram to Draw.io XML format')
+  .description('Convert a Mermaid, DOT or PlantUML diagram to Draw.io XML format')
   .option('-o, --output <file>', 'Output file path (default: stdout)')
   .option('-n, --name <name>', 'Diagram name', 'Converted Diagram')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('--deterministic', 'Derive ids from the content and omit the timestamp (reproducible output)')
+  .option('--compressed', 'Store pages compressed, as Draw.io saves them by default')
+  .option('-u, --update <file>', 'Merge into an existing .drawio, keeping manual layout and styling')
+  .option('-p, --page <page>', 'Page (index or name) to update', '0')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
   .option('-q, --quiet', 'Suppress info messages')
   .action((file, options) => {
     if (!options.quiet) printBanner();
 
     try {
-      const mermaidCode = readMermaidInput(file);
-
-      if (!options.quiet) {
-        console.log(`${colors.dim}Parsing Mermaid diagram...${colors.reset}`);
-      }
+      const source = readMermaidInput(file);
 
-      const parsed = parseMermaid(mermaidCode);
+      const parsed = parseDiagramInput(source, file, options);
 
       if (!options.quiet) {
         console.log(`${colors.green}✓${colors.reset} Parsed ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
@@ -125,13 +249,33 @@ program
 
       // Use dedicated ER converter for ER diagrams
       let xml;
+      const converterOptions = { name: options.name, layout: options.layout, deterministic: options.deterministic, compressed: options.compressed, terminals: resolveTerminals(options.terminals) };
       if (parsed.type === 'erDiagram') {
-        xml = convertERToDrawioNew(parsed, { name: options.name });
+        xml = convertERToDrawioNew(parsed, converterOptions);
       } else {
-        xml = toDrawio(parsed, { name: options.name });
+        xml = toDrawio(parsed, converterOptions);
       }
 
-      const outputPath = options.output || (file !== '-' ? generateOutputName(file, '', 'drawio') : null);
+      // Incremental update: keep what was edited in Draw.io
+      if (options.update) {
+        const existingPath = path.resolve(options.update);
+        if (!fs.existsSync(existingPath)) {
+          throw new Error(`File not found: ${existingPath}`);
+        }
+
+        const merged = mergeDrawio(fs.readFileSync(existingPath, 'utf-8'), xml, { page: options.page });
+        xml = merged.xml;
+
+        if (!options.quiet) {
+          const { kept, added, removed, moved } = merged.summary;
+          console.log(`${colors.green}✓${colors.reset} Merged into ${options.update}: ${kept.length} kept, ${added.length} added, ${moved.length} moved, ${removed.length} removed`);
+          added.forEach((id) => console.log(`   ${colors.green}+${colors.reset} ${id}`));
+          moved.forEach((id) => console.log(`   ${colors.yellow}~${colors.reset} ${id}`));
+          removed.forEach((id) => console.log(`   ${colors.red}-${colors.reset} ${id}`));
+        }
+      }
+
+      const outputPath = options.output || options.update || (file !== '-' ? generateOutputName(file, '', 'drawio') : null);
       writeOutput(xml, outputPath, 'drawio');
 
       if (!options.quiet && outputPath) {
@@ -147,27 +291,26 @@ program
 // to-markdown command
 program
   .command('to-markdown <file>')
-  .description('Convert Mermaid diagram to Markdown documentation')
+  .description('Convert a Mermaid, DOT or PlantUML diagram to Markdown documentation')
   .option('-o, --output <file>', 'Output file path (default: stdout)')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
   .option('-q, --quiet', 'Suppress info messages')
   .action((file, options) => {
     if (!options.quiet) printBanner();
 
     try {
-      const mermaidCode = readMermaidInput(file);
+      const source = readMermaidInput(file);
 
-      if (!options.quiet) {
-        console.log(`${colors.dim}Parsing Mermaid diagram...${colors.reset}`);
-      }
-
-      const parsed = parseMermaid(mermaidCode);
+      const parsed = parseDiagramInput(source, file, options);
 
       if (!options.quiet) {
         console.log(`${colors.green}✓${colors.reset} Parsed ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
         console.log(`${colors.dim}Generating Markdown documentation...${colors.reset}`);
       }
 
-      const markdown = toMarkdown(parsed, mermaidCode);
+      const markdown = toMarkdown(parsed, source, { terminals: resolveTerminals(options.terminals) });
 
       const outputPath = options.output || (file !== '-' ? generateOutputName(file, '-docs', 'md') : null);
       writeOutput(markdown, outputPath, 'md');
@@ -181,24 +324,198 @@ program
     }
   });
 
+// to-svg command
+program
+  .command('to-svg <file>')
+  .description('Render a Mermaid diagram (or a .drawio page) as a standalone SVG')
+  .option('-o, --output <file>', 'Output file path (default: stdout)')
+  .option('-n, --name <name>', 'Diagram name (SVG title)', 'Converted Diagram')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('-p, --page <page>', 'Page (index or name) when the input is a .drawio file', '0')
+  .option('-b, --background <color>', 'Background colour, or "none" for transparent', '#ffffff')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
+  .option('-q, --quiet', 'Suppress info messages')
+  .action((file, options) => {
+    if (!options.quiet) printBanner();
+
+    try {
+      const input = readMermaidInput(file);
+      let svg;
+
+      // Draw.io files are rendered as they are, keeping any manual edits
+      if (/<mxfile\b|<mxGraphModel\b/.test(input)) {
+        if (!options.quiet) {
+          console.log(`${colors.dim}Rendering Draw.io page ${options.page}...${colors.reset}`);
+        }
+        svg = drawioToSvg(input, { page: options.page, background: options.background });
+      } else {
+        const parsed = parseDiagramInput(input, file, options);
+
+        if (!options.quiet) {
+          console.log(`${colors.green}✓${colors.reset} Parsed ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
+          console.log(`${colors.dim}Rendering SVG...${colors.reset}`);
+        }
+
+        svg = toSvg(parsed, { name: options.name, layout: options.layout, background: options.background, terminals: resolveTerminals(options.terminals) });
+      }
+
+      const outputPath = options.output || (file !== '-' ? generateOutputName(file, '', 'svg') : null);
+      writeOutput(svg, outputPath, 'svg');
+
+      if (!options.quiet && outputPath) {
+        console.log(`\n${colors.green}✓ SVG rendered!${colors.reset}`);
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
+// to-excalidraw command
+program
+  .command('to-excalidraw <file>')
+  .description('Convert a Mermaid diagram (or a .drawio page) to an Excalidraw scene')
+  .option('-o, --output <file>', 'Output file path (default: stdout)')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('-p, --page <page>', 'Page (index or name) when the input is a .drawio file', '0')
+  .option('--clean', 'Straight lines and a regular font instead of the hand-drawn look')
+  .option('--deterministic', 'Use a fixed timestamp so unchanged sources give identical output')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
+  .option('-q, --quiet', 'Suppress info messages')
+  .action((file, options) => {
+    if (!options.quiet) printBanner();
+
+    try {
+      const input = readMermaidInput(file);
+      const sceneOptions = { sketch: !options.clean, deterministic: options.deterministic };
+      let scene;
+
+      // Draw.io files are converted as they are, keeping any manual edits
+      if (/<mxfile\b|<mxGraphModel\b/.test(input)) {
+        if (!options.quiet) {
+          console.log(`${colors.dim}Converting Draw.io page ${options.page}...${colors.reset}`);
+        }
+        scene = drawioToExcalidraw(input, { ...sceneOptions, page: options.page });
+      } else {
+        const parsed = parseDiagramInput(input, file, options);
+
+        if (!options.quiet) {
+          console.log(`${colors.green}✓${colors.reset} Parsed ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
+          console.log(`${colors.dim}Converting to Excalidraw...${colors.reset}`);
+        }
+
+        scene = toExcalidraw(parsed, { ...sceneOptions, layout: options.layout, terminals: resolveTerminals(options.terminals) });
+      }
+
+      const outputPath = options.output || (file !== '-' ? generateOutputName(file, '', 'excalidraw') : null);
+      writeOutput(scene, outputPath, 'excalidraw');
+
+      if (!options.quiet && outputPath) {
+        console.log(`\n${colors.green}✓ Conversion complete!${colors.reset}`);
+        console.log(`${colors.dim}Open at excalidraw.com or with the VS Code Excalidraw extension${colors.reset}`);
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
+// to-graphml command
+program
+  .command('to-graphml <file>')
+  .description('Export a Mermaid diagram to GraphML (yEd, networkx and other graph tools)')
+  .option('-o, --output <file>', 'Output file path (default: stdout)')
+  .option('-l, --layout <name>', 'Layout algorithm for node positions (layered, tree)', 'layered')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('-q, --quiet', 'Suppress info messages')
+  .action((file, options) => {
+    if (!options.quiet) printBanner();
+
+    try {
+      const source = readMermaidInput(file);
+
+      const parsed = parseDiagramInput(source, file, options);
+
+      if (!options.quiet) {
+        console.log(`${colors.green}✓${colors.reset} Parsed ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
+        console.log(`${colors.dim}Exporting GraphML...${colors.reset}`);
+      }
+
+      const output = toGraphML(parsed, { layout: options.layout });
+
+      const outputPath = options.output || (file !== '-' ? generateOutputName(file, '', 'graphml') : null);
+      writeOutput(output, outputPath, 'graphml');
+
+      if (!options.quiet && outputPath) {
+        console.log(`\n${colors.green}✓ Export complete!${colors.reset}`);
+        console.log(`${colors.dim}Open with yEd or load with any GraphML reader${colors.reset}`);
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
+// to-dot command
+program
+  .command('to-dot <file>')
+  .description('Export a Mermaid diagram to Graphviz DOT')
+  .option('-o, --output <file>', 'Output file path (default: stdout)')
+  .option('-n, --name <name>', 'Graph name', 'Converted Diagram')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('-q, --quiet', 'Suppress info messages')
+  .action((file, options) => {
+    if (!options.quiet) printBanner();
+
+    try {
+      const source = readMermaidInput(file);
+
+      const parsed = parseDiagramInput(source, file, options);
+
+      if (!options.quiet) {
+        console.log(`${colors.green}✓${colors.reset} Parsed ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
+        console.log(`${colors.dim}Exporting DOT...${colors.reset}`);
+      }
+
+      const output = toDot(parsed, { name: options.name });
+
+      const outputPath = options.output || (file !== '-' ? generateOutputName(file, '', 'dot') : null);
+      writeOutput(output, outputPath, 'dot');
+
+      if (!options.quiet && outputPath) {
+        console.log(`\n${colors.green}✓ Export complete!${colors.reset}`);
+        console.log(`${colors.dim}Render with Graphviz, e.g. dot -Tpng${colors.reset}`);
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
 // convert command (full conversion)
 program
   .command('convert <file>')
   .description('Full conversion: generate both Draw.io XML and Markdown')
   .option('-d, --output-dir <dir>', 'Output directory', '.')
   .option('-n, --name <name>', 'Diagram name', 'Converted Diagram')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('--deterministic', 'Derive ids from the content and omit the timestamp (reproducible output)')
+  .option('--compressed', 'Store pages compressed, as Draw.io saves them by default')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
   .option('-q, --quiet', 'Suppress info messages')
   .action((file, options) => {
     if (!options.quiet) printBanner();
 
     try {
-      const mermaidCode = readMermaidInput(file);
+      const source = readMermaidInput(file);
 
-      if (!options.quiet) {
-        console.log(`${colors.dim}Parsing Mermaid diagram...${colors.reset}`);
-      }
-
-      const parsed = parseMermaid(mermaidCode);
+      const parsed = parseDiagramInput(source, file, options);
 
       if (!options.quiet) {
         console.log(`${colors.green}✓${colors.reset} Parsed ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges\n`);
@@ -216,7 +533,9 @@ program
       if (!options.quiet) {
         console.log(`${colors.dim}1. Converting to Draw.io XML...${colors.reset}`);
       }
-      const xml = toDrawio(parsed, { name: options.name });
+      // Use dedicated ER converter for ER diagrams, like to-drawio and batch
+      const converterOptions = { name: options.name, layout: options.layout, deterministic: options.deterministic, compressed: options.compressed, terminals: resolveTerminals(options.terminals) };
+      const xml = parsed.type === 'erDiagram' ? convertERToDrawioNew(parsed, converterOptions) : toDrawio(parsed, converterOptions);
       const drawioPath = path.join(outputDir, `${baseName}.drawio`);
       fs.writeFileSync(drawioPath, xml, 'utf-8');
       console.log(`   ${colors.green}✓${colors.reset} ${colors.cyan}${drawioPath}${colors.reset}`);
@@ -225,7 +544,7 @@ program
       if (!options.quiet) {
         console.log(`${colors.dim}2. Generating Markdown documentation...${colors.reset}`);
       }
-      const markdown = toMarkdown(parsed, mermaidCode);
+      const markdown = toMarkdown(parsed, source, { terminals: resolveTerminals(options.terminals) });
       const mdPath = path.join(outputDir, `${baseName}-docs.md`);
       fs.writeFileSync(mdPath, markdown, 'utf-8');
       console.log(`   ${colors.green}✓${colors.reset} ${colors.cyan}${mdPath}${colors.reset}`);
@@ -247,24 +566,375 @@ ${colors.bold}Usage Tips:${colors.reset}
     }
   });
 
+// bundle command (several diagrams, one multi-page file)
+program
+  .command('bundle <files...>')
+  .description('Combine several Mermaid diagrams into one multi-page Draw.io file')
+  .option('-o, --output <file>', 'Output file path (default: stdout)')
+  .option('-n, --names <names>', 'Comma-separated page names, in input order (default: file names)')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('--deterministic', 'Derive ids from the content and omit the timestamp (reproducible output)')
+  .option('--compressed', 'Store pages compressed, as Draw.io saves them by default')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
+  .option('-q, --quiet', 'Suppress info messages')
+  .action((files, options) => {
+    if (!options.quiet) printBanner();
+
+    try {
+      const names = options.names ? options.names.split(',').map((name) => name.trim()) : [];
+
+      const diagrams = files.map((file, index) => {
+        const parsed = parseDiagramInput(readMermaidInput(file), file, options);
+        const name = names[index] || (file !== '-' ? path.basename(file, path.extname(file)) : `Page-${index + 1}`);
+
+        if (!options.quiet) {
+          console.log(`${colors.green}✓${colors.reset} ${name}: ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
+        }
+
+        return { parsed, name };
+      });
+
+      const xml = toDrawioPages(diagrams, {
+        layout: options.layout,
+        deterministic: options.deterministic,
+        compressed: options.compressed,
+        terminals: resolveTerminals(options.terminals),
+      });
+
+      writeOutput(xml, options.output, 'drawio');
+
+      if (!options.quiet && options.output) {
+        console.log(`\n${colors.green}✓ Bundled ${diagrams.length} page(s)!${colors.reset}`);
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
+// extract command (Mermaid blocks embedded in Markdown)
+program
+  .command('extract <file>')
+  .description('Convert every Mermaid block in a Markdown file into one multi-page Draw.io file and per-block docs')
+  .option('-d, --output-dir <dir>', 'Output directory (default: next to the Markdown file)')
+  .option('-n, --name <name>', 'Base name for generated files (default: Markdown file name)')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('--deterministic', 'Derive ids from the content and omit the timestamp (reproducible output)')
+  .option('--compressed', 'Store pages compressed, as Draw.io saves them by default')
+  .option('--no-docs', 'Skip the per-block Markdown documentation')
+  .option('--rewrite', 'Add links to the generated files below each block in the source Markdown')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
+  .option('-q, --quiet', 'Suppress info messages')
+  .action((file, options) => {
+    if (!options.quiet) printBanner();
+
+    try {
+      if (options.rewrite && file === '-') {
+        throw new Error('--rewrite needs a Markdown file, not stdin');
+      }
+
+      const markdown = readMermaidInput(file);
+
+      if (!options.quiet) {
+        console.log(`${colors.dim}Scanning Markdown for Mermaid blocks...${colors.reset}`);
+      }
+
+      const { drawioXml, blocks } = convertMarkdownDocument(markdown, {
+        layout: options.layout,
+        deterministic: options.deterministic,
+        compressed: options.compressed,
+        terminals: resolveTerminals(options.terminals),
+      });
+
+      if (blocks.length === 0) {
+        throw new Error('No Mermaid blocks found');
+      }
+
+      if (!options.quiet) {
+        console.log(`${colors.green}✓${colors.reset} Found ${blocks.length} Mermaid block(s)\n`);
+      }
+
+      const sourceDir = file !== '-' ? path.dirname(path.resolve(file)) : process.cwd();
+      const baseName = options.name || (file !== '-' ? path.basename(file, path.extname(file)) : 'document');
+      const outputDir = options.outputDir ? path.resolve(options.outputDir) : sourceDir;
+
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+
+      const failed = blocks.filter((block) => block.error);
+      failed.forEach((block) => {
+        console.error(`   ${colors.yellow}⚠${colors.reset} Block ${block.index + 1} (line ${block.startLine}, "${block.pageName}") skipped: ${block.error.message}`);
+      });
+
+      if (!drawioXml) {
+        throw new Error('None of the Mermaid blocks could be converted');
+      }
+
+      const drawioPath = path.join(outputDir, `${baseName}.drawio`);
+      fs.writeFileSync(drawioPath, drawioXml, 'utf-8');
+      console.log(`   ${colors.green}✓${colors.reset} ${colors.cyan}${drawioPath}${colors.reset} ${colors.dim}(${blocks.length - failed.length} page(s))${colors.reset}`);
+
+      const relativeToSource = (target) => path.relative(sourceDir, target).split(path.sep).join('/');
+      const links = blocks.map((block) => {
+        if (block.error) return null;
+
+        const blockLinks = [{ label: `Draw.io: ${block.pageName}`, href: relativeToSource(drawioPath) }];
+
+        if (options.docs) {
+          const docsPath = path.join(outputDir, `${baseName}-${block.index + 1}-${block.slug}-docs.md`);
+          fs.writeFileSync(docsPath, block.docs, 'utf-8');
+          console.log(`   ${colors.green}✓${colors.reset} ${colors.cyan}${docsPath}${colors.reset}`);
+          blockLinks.push({ label: 'Docs', href: relativeToSource(docsPath) });
+        }
+
+        return blockLinks;
+      });
+
+      if (options.rewrite) {
+        const sourcePath = path.resolve(file);
+        fs.writeFileSync(sourcePath, linkMermaidBlocks(markdown, links), 'utf-8');
+        console.log(`   ${colors.green}✓${colors.reset} Linked generated files in ${colors.cyan}${sourcePath}${colors.reset}`);
+      }
+
+      if (!options.quiet) {
+        console.log(`\n${colors.green}✓ Extraction complete!${colors.reset}`);
+      }
+
+      if (failed.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
+// batch command (directories and glob patterns)
+program
+  .command('batch <inputs...>')
+  .description('Convert directories or glob patterns of Mermaid files, mirroring the tree into the output dir')
+  .option('-d, --output-dir <dir>', 'Output directory', './diagrams')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('--deterministic', 'Derive ids from the content and omit the timestamp (reproducible output)')
+  .option('-j, --jobs <n>', 'Number of parallel workers (default: CPU count)')
+  .option('-m, --manifest <file>', 'Manifest path (default: <output-dir>/manifest.json)')
+  .option('-c, --config <file>', 'Lint config for validation (default: nearest .diagram-lint.json per file)')
+  .option('--no-docs', 'Skip the Markdown documentation')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
+  .option('-q, --quiet', 'Suppress info messages')
+  .action(async (inputs, options) => {
+    if (!options.quiet) printBanner();
+
+    try {
+      const manifest = await runBatch(inputs, {
+        outputDir: options.outputDir,
+        layout: options.layout,
+        deterministic: options.deterministic,
+        docs: options.docs,
+        jobs: options.jobs,
+        manifest: options.manifest,
+        terminals: resolveTerminals(options.terminals),
+        rules: options.config ? loadLintConfig(options.config).rules : undefined,
+        onResult: (entry) => {
+          const input = path.relative(process.cwd(), entry.input);
+          if (entry.status === 'failed') {
+            console.error(`   ${colors.red}✗${colors.reset} ${input}: ${entry.error}`);
+          } else if (!options.quiet) {
+            const issues = entry.issues.length > 0 ? ` ${colors.yellow}(${entry.issues.length} issue(s))${colors.reset}` : '';
+            console.log(`   ${colors.green}✓${colors.reset} ${input} ${colors.dim}→ ${entry.type}, ${entry.nodes} nodes, ${entry.edges} edges${colors.reset}${issues}`);
+          }
+        },
+      });
+
+      const { summary } = manifest;
+      if (!options.quiet) {
+        const manifestPath = path.resolve(options.manifest || path.join(options.outputDir, 'manifest.json'));
+        console.log(`\n${colors.bold}Converted ${summary.converted}/${summary.total} file(s)${colors.reset}${summary.failed > 0 ? `, ${colors.red}${summary.failed} failed${colors.reset}` : ''}`);
+        console.log(`Manifest: ${colors.cyan}${manifestPath}${colors.reset}`);
+      }
+
+      if (summary.failed > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
+// watch command
+program
+  .command('watch <inputs...>')
+  .description('Watch Mermaid files or directories and regenerate Draw.io and Markdown on change')
+  .option('-d, --output-dir <dir>', 'Output directory (default: next to each source file)')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('--deterministic', 'Derive ids from the content and omit the timestamp (reproducible output)')
+  .option('--debounce <ms>', 'Wait this long after the last save before converting', '200')
+  .option('-c, --config <file>', 'Lint config for validation (default: nearest .diagram-lint.json per file)')
+  .option('--no-docs', 'Skip the Markdown documentation')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
+  .option('-q, --quiet', 'Only report failures and validation issues')
+  .action((inputs, options) => {
+    if (!options.quiet) printBanner();
+
+    const timestamp = () => `${colors.dim}[${new Date().toLocaleTimeString()}]${colors.reset}`;
+
+    try {
+      const watcher = watchDiagrams(inputs, {
+        outputDir: options.outputDir,
+        layout: options.layout,
+        deterministic: options.deterministic,
+        docs: options.docs,
+        debounce: parseInt(options.debounce, 10) || 0,
+        terminals: resolveTerminals(options.terminals),
+        rules: options.config ? loadLintConfig(options.config).rules : undefined,
+        onResult: (entry) => {
+          const input = path.relative(process.cwd(), entry.input);
+
+          if (entry.status === 'failed') {
+            console.error(`${timestamp()} ${colors.red}✗${colors.reset} ${input}: ${entry.error}`);
+          } else if (!options.quiet) {
+            const outputs = Object.values(entry.outputs).map((file) => path.relative(process.cwd(), file)).join(', ');
+            console.log(`${timestamp()} ${colors.green}✓${colors.reset} ${input} ${colors.dim}→ ${outputs}${colors.reset}`);
+          }
+
+          entry.issues.forEach((issue) => {
+            console.log(`    ${colors.red}✗${colors.reset} Line ${formatPosition(issue)}: ${issue.issue}${formatRule(issue)} ${colors.dim}→ ${issue.suggestion}${colors.reset}`);
+          });
+          if (!options.quiet) {
+            entry.warnings.forEach((warning) => {
+              console.log(`    ${colors.yellow}⚠${colors.reset} Line ${formatPosition(warning)}: ${warning.issue}${formatRule(warning)} ${colors.dim}→ ${warning.suggestion}${colors.reset}`);
+            });
+          }
+        },
+        onError: (error, file) => {
+          console.error(`${timestamp()} ${colors.red}Error: ${path.relative(process.cwd(), file)}: ${error.message}${colors.reset}`);
+        },
+      });
+
+      if (!options.quiet) {
+        console.log(`\n${colors.cyan}Watching ${inputs.join(', ')} for changes. Press Ctrl+C to stop.${colors.reset}`);
+      }
+
+      process.on('SIGINT', () => {
+        watcher.close();
+        process.exit(0);
+      });
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
+// check command (CI: are the committed outputs up to date?)
+program
+  .command('check <inputs...>')
+  .description('Check that generated outputs match their Mermaid sources (outputs must be generated with --deterministic)')
+  .option('-d, --output-dir <dir>', 'Output directory the outputs were mirrored into (default: next to each source file)')
+  .option('-l, --layout <name>', 'Layout algorithm: layered, tree, grid for ER (default: grid for ER, tree for mindmaps, layered otherwise)')
+  .option('--no-docs', 'Only check the Draw.io files')
+  .option('--json', 'Output results as JSON')
+  .option('--terminals <spec>', 'Start/Stop terminals for flowcharts: JSON object or JSON file (labels, names, shape, colors, connect)')
+  .option('--no-terminals', 'Do not add Start/Stop terminals to flowcharts')
+  .option('-q, --quiet', 'Only report stale outputs')
+  .action((inputs, options) => {
+    if (!options.quiet && !options.json) printBanner();
+
+    try {
+      const results = checkOutputs(inputs, {
+        outputDir: options.outputDir,
+        layout: options.layout,
+        docs: options.docs,
+        terminals: resolveTerminals(options.terminals),
+      });
+      const outdated = results.filter((result) => result.status !== 'fresh');
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+      } else {
+        const statusColors = { stale: colors.yellow, missing: colors.red, failed: colors.red };
+        results.forEach((result) => {
+          const input = path.relative(process.cwd(), result.input);
+          if (result.status === 'fresh') {
+            if (!options.quiet) console.log(`   ${colors.green}✓${colors.reset} ${input}`);
+            return;
+          }
+
+          console.log(`   ${statusColors[result.status]}✗${colors.reset} ${input}${result.error ? `: ${result.error}` : ''}`);
+          result.outputs.filter((output) => output.status !== 'fresh').forEach((output) => {
+            console.log(`     ${statusColors[output.status]}${output.status}${colors.reset} ${path.relative(process.cwd(), output.path)}`);
+          });
+        });
+
+        if (outdated.length > 0) {
+          console.log(`\n${colors.red}${outdated.length} of ${results.length} diagram(s) out of date.${colors.reset} Regenerate them with --deterministic.`);
+        } else if (!options.quiet) {
+          console.log(`\n${colors.green}All ${results.length} diagram(s) up to date.${colors.reset}`);
+        }
+      }
+
+      process.exit(outdated.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
 // validate command
 program
   .command('validate <file>')
-  .description('Validate Mermaid syntax and check Draw.io compatibility')
+  .description('Validate Mermaid (or DOT / PlantUML) syntax and check Draw.io compatibility')
   .option('-o, --output <file>', 'Output validation report to file')
   .option('--json', 'Output as JSON')
+  .option('-f, --from <format>', 'Input format: mermaid, dot or plantuml (default: by file extension)')
+  .option('--fix', 'Apply the suggested fixes to the file and print them as a diff')
+  .option('--dry-run', 'Print the fixes --fix would apply without changing the file')
+  .option('-c, --config <file>', 'Lint config with rule severities and options (default: nearest .diagram-lint.json)')
   .option('-q, --quiet', 'Suppress info messages, exit with code only')
   .action((file, options) => {
     if (!options.quiet) printBanner();
 
     try {
-      const mermaidCode = readMermaidInput(file);
-      const validation = validateMermaid(mermaidCode);
+      let source = readMermaidInput(file);
+      const format = detectInputFormat(file !== '-' ? file : null, source, options.from);
+
+      // Fix first, so the report describes the file as it is afterwards
+      let fix = null;
+      if (options.fix || options.dryRun) {
+        fix = fixDiagramFile(source, file, format, options);
+        if (fix.applied) source = fix.code;
+
+        if (!options.json && !options.quiet) {
+          if (fix.fixes.length === 0) {
+            console.log(`${colors.green}✓${colors.reset} Nothing to fix\n`);
+          } else {
+            fix.fixes.forEach((entry) => {
+              console.log(`  ${colors.cyan}✎${colors.reset} Line ${entry.line}: ${entry.message}`);
+            });
+            console.log('');
+            printDiff(fix.diff);
+            const verb = fix.applied ? 'Applied' : 'Would apply';
+            console.log(`\n${colors.green}✓${colors.reset} ${verb} ${fix.fixes.length} fix(es)${fix.applied ? ` to ${colors.cyan}${file}${colors.reset}` : ''}\n`);
+          }
+        }
+      }
+
+      const rules = resolveLintRules(file, options.config);
+      const validation = validateDiagramSource(source, { format, rules });
+      if (fix) {
+        validation.fix = { applied: fix.applied, fixes: fix.fixes, diff: fix.diff };
+      }
 
       // Also try to parse to get node/edge counts
       let parseResult = null;
       try {
-        parseResult = parseMermaid(mermaidCode);
+        parseResult = parseDiagramSource(source, { format });
         validation.nodeCount = parseResult.nodes.length;
         validation.edgeCount = parseResult.edges.length;
         validation.diagramType = parseResult.type;
@@ -275,7 +945,7 @@ program
       if (options.json) {
         console.log(JSON.stringify(validation, null, 2));
       } else if (options.output) {
-        const report = validationReportToMarkdown(validation, mermaidCode);
+        const report = validationReportToMarkdown(validation, source);
         writeOutput(report, options.output, 'md');
       } else if (!options.quiet) {
         // Pretty print validation results
@@ -298,7 +968,7 @@ program
         if (validation.issues.length > 0) {
           console.log(`\n${colors.red}${colors.bold}Issues (${validation.issues.length})${colors.reset}`);
           validation.issues.forEach((issue) => {
-            console.log(`  ${colors.red}✗${colors.reset} Line ${issue.line}: ${issue.issue}`);
+            console.log(`  ${colors.red}✗${colors.reset} Line ${formatPosition(issue)}: ${issue.issue}${formatRule(issue)}`);
             console.log(`    ${colors.dim}→ ${issue.suggestion}${colors.reset}`);
           });
         }
@@ -306,7 +976,7 @@ program
         if (validation.warnings.length > 0) {
           console.log(`\n${colors.yellow}${colors.bold}Warnings (${validation.warnings.length})${colors.reset}`);
           validation.warnings.forEach((warning) => {
-            console.log(`  ${colors.yellow}⚠${colors.reset} Line ${warning.line}: ${warning.issue}`);
+            console.log(`  ${colors.yellow}⚠${colors.reset} Line ${formatPosition(warning)}: ${warning.issue}${formatRule(warning)}`);
             console.log(`    ${colors.dim}→ ${warning.suggestion}${colors.reset}`);
           });
         }
@@ -326,15 +996,70 @@ program
     }
   });
 
+// from-drawio command (reverse conversion)
+program
+  .command('from-drawio <file>')
+  .description('Convert Draw.io XML back to Mermaid')
+  .option('-o, --output <file>', 'Output file path (default: stdout)')
+  .option('-p, --page <page>', 'Page (index or name) to convert', '0')
+  .option('-t, --type <type>', 'Force diagram type (flowchart, sequence, erDiagram, mindmap)')
+  .option('-q, --quiet', 'Suppress info messages')
+  .action((file, options) => {
+    if (!options.quiet) printBanner();
+
+    try {
+      const xml = readMermaidInput(file);
+
+      if (!options.quiet) {
+        console.log(`${colors.dim}Reading Draw.io diagram...${colors.reset}`);
+      }
+
+      const mermaidCode = drawioToMermaid(xml, {
+        page: options.page,
+        type: options.type,
+      });
+
+      if (!options.quiet) {
+        const parsed = parseMermaid(mermaidCode);
+        console.log(`${colors.green}✓${colors.reset} Reconstructed ${parsed.type} diagram with ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
+      }
+
+      const outputPath = options.output || (file !== '-' ? generateOutputName(file, '', 'mmd') : null);
+      writeOutput(mermaidCode, outputPath, 'mmd');
+
+      if (!options.quiet && outputPath) {
+        console.log(`\n${colors.green}✓ Mermaid source regenerated!${colors.reset}`);
+      }
+    } catch (error) {
+      console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+  });
+
 // Help text
 program.on('--help', () => {
   console.log('');
   console.log('Examples:');
   console.log('  $ diagram-cli to-drawio flowchart.mmd -o flowchart.drawio');
+  console.log('  $ diagram-cli to-drawio flowchart.mmd --layout tree');
+  console.log('  $ diagram-cli to-drawio flowchart.mmd --update flowchart.drawio');
   console.log('  $ diagram-cli to-markdown diagram.mmd -o docs.md');
+  console.log('  $ diagram-cli to-drawio services.dot -o services.drawio');
+  console.log('  $ diagram-cli to-drawio checkout.txt --from plantuml');
+  console.log('  $ diagram-cli to-svg flowchart.mmd -o flowchart.svg');
+  console.log('  $ diagram-cli to-excalidraw flowchart.mmd -o flowchart.excalidraw');
+  console.log('  $ diagram-cli to-graphml process.mmd -o process.graphml');
+  console.log('  $ diagram-cli to-dot process.mmd -o - -q | dot -Tpng -o process.png');
   console.log('  $ diagram-cli convert diagram.mmd -d ./output');
+  console.log('  $ diagram-cli bundle flow.mmd sequence.mmd er.mmd -o system.drawio --compressed');
+  console.log('  $ diagram-cli extract architecture.md --rewrite');
+  console.log("  $ diagram-cli batch docs 'specs/**/*.mmd' -d ./output -j 4");
+  console.log('  $ diagram-cli watch docs/diagrams');
+  console.log('  $ diagram-cli check docs -d ./output');
   console.log('  $ diagram-cli validate diagram.mmd --json');
+  console.log('  $ diagram-cli validate login.puml');
   console.log('  $ cat diagram.mmd | diagram-cli to-drawio - -o out.drawio');
+  console.log('  $ diagram-cli from-drawio diagram.drawio -o diagram.mmd');
 });
 
 // Parse CLI arguments
@@ -0,0 +1,200 @@
+/**
+ * Diagram Watcher
+ * Regenerates Draw.io and Markdown outputs whenever watched Mermaid files change
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { MERMAID_EXTENSIONS, IGNORED_DIRS, expandInputs, outputBaseFor, convertFile } = require('./batch-converter');
+
+/**
+ * Resolve watch inputs into watch targets
+ * Files are watched through their parent directory so editors that save by
+ * renaming a temp file over the original keep being picked up
+ */
+function resolveWatchTargets(inputs, cwd = process.cwd()) {
+  return inputs.map((input) => {
+    const absolute = path.resolve(cwd, input);
+    if (!fs.existsSync(absolute)) {
+      throw new Error(`Input not found: ${input}`);
+    }
+
+    return fs.statSync(absolute).isDirectory()
+      ? { type: 'directory', path: absolute }
+      : { type: 'file', path: absolute, dir: path.dirname(absolute) };
+  });
+}
+
+/**
+ * Watch a directory tree, calling `onChange(file)` with the absolute path of changed entries
+ * Recursive watching needs Node 19.1 or later on Linux; without it every directory gets
+ * its own watcher, and directories created later are watched (and their files reported) too
+ * Returns { close() }
+ */
+function watchTree(root, onChange, onError) {
+  try {
+    const watcher = fs.watch(root, { recursive: true }, (eventType, filename) => {
+      if (filename) onChange(path.join(root, filename));
+    });
+    watcher.on('error', (error) => onError(error, root));
+    return { close: () => watcher.close() };
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+  }
+
+  const watchers = new Map(); // directory -> watcher
+
+  const unwatch = (dir) => {
+    [...watchers.keys()]
+      .filter((watched) => watched === dir || watched.startsWith(`${dir}${path.sep}`))
+      .forEach((watched) => {
+        watchers.get(watched).close();
+        watchers.delete(watched);
+      });
+  };
+
+  const watchDirectory = (dir, announce) => {
+    if (watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (eventType, filename) => {
+        if (!filename) return;
+        const entry = path.join(dir, filename);
+        let stats = null;
+        try {
+          stats = fs.statSync(entry);
+        } catch {
+          // Removed (or renamed away)
+        }
+        if (stats && stats.isDirectory()) {
+          if (!IGNORED_DIRS.has(filename)) watchDirectory(entry, true);
+        } else {
+          if (!stats) unwatch(entry);
+          onChange(entry);
+        }
+      });
+    } catch (error) {
+      onError(error, dir);
+      return;
+    }
+    watcher.on('error', (error) => onError(error, dir));
+    watchers.set(dir, watcher);
+
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) watchDirectory(entryPath, announce);
+      } else if (announce) {
+        onChange(entryPath);
+      }
+    });
+  };
+
+  watchDirectory(root, false);
+  return { close: () => unwatch(root) };
+}
+
+/**
+ * Watch files and directories, converting changed diagrams after a debounce
+ * `onResult(entry)` receives the same entries as the batch manifest
+ * Returns { close() }
+ */
+function watchDiagrams(inputs, options = {}) {
+  const {
+    outputDir,
+    layout,
+    docs = true,
+    deterministic,
+    terminals,
+    rules,
+    debounce = 200,
+    initial = true,
+    onResult = () => {},
+    onError = () => {},
+  } = options;
+
+  const targets = resolveWatchTargets(inputs);
+  const lastConverted = new Map(); // file -> source converted last time
+  const timers = new Map();
+  const watchers = [];
+
+  const convert = (file, target) => {
+    if (!fs.existsSync(file)) {
+      lastConverted.delete(file);
+      return;
+    }
+
+    let code;
+    try {
+      code = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+      onError(error, file);
+      return;
+    }
+
+    // Saves that don't change the source (touch, editor autosave) are ignored
+    if (lastConverted.get(file) === code) {
+      return;
+    }
+    lastConverted.set(file, code);
+
+    const relative = target.type === 'directory' ? path.relative(target.path, file) : path.basename(file);
+    onResult(convertFile({
+      input: file,
+      code,
+      outputBase: outputBaseFor({ path: file, relative }, outputDir),
+      layout,
+      docs,
+      deterministic,
+      terminals,
+      rules,
+    }));
+  };
+
+  const schedule = (file, target) => {
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(() => {
+      timers.delete(file);
+      convert(file, target);
+    }, debounce));
+  };
+
+  targets.forEach((target) => {
+    if (target.type === 'directory') {
+      if (initial) {
+        expandInputs([target.path]).forEach((input) => convert(input.path, target));
+      }
+
+      watchers.push(watchTree(target.path, (file) => {
+        if (MERMAID_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+          schedule(file, target);
+        }
+      }, onError));
+    } else {
+      if (initial) {
+        convert(target.path, target);
+      }
+
+      const watcher = fs.watch(target.dir, (eventType, filename) => {
+        if (filename && path.join(target.dir, filename) === target.path) {
+          schedule(target.path, target);
+        }
+      });
+      watcher.on('error', (error) => onError(error, target.path));
+      watchers.push(watcher);
+    }
+  });
+
+  return {
+    close() {
+      watchers.forEach((watcher) => watcher.close());
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    },
+  };
+}
+
+module.exports = {
+  watchDiagrams,
+};
@@ -0,0 +1,557 @@
+/**
+ * DOT Parser
+ * Reads Graphviz DOT graphs and translates them into a Mermaid flowchart, so DOT
+ * files go through the same parser and converters as Mermaid sources
+ */
+
+const {
+  createMermaidWriter,
+  createIdAllocator,
+  singleLine,
+  nodeDeclaration,
+  edgeDeclaration,
+} = require('./mermaid-writer');
+
+/**
+ * Graphviz node shapes and their closest Mermaid shape
+ */
+const DOT_SHAPES = {
+  box: 'rectangle',
+  rect: 'rectangle',
+  rectangle: 'rectangle',
+  square: 'rectangle',
+  msquare: 'rectangle',
+  record: 'rectangle',
+  plaintext: 'rectangle',
+  plain: 'rectangle',
+  none: 'rectangle',
+  underline: 'rectangle',
+  note: 'rectangle',
+  tab: 'rectangle',
+  folder: 'rectangle',
+  box3d: 'subroutine',
+  component: 'subroutine',
+  mrecord: 'roundedRect',
+  ellipse: 'circle',
+  oval: 'circle',
+  circle: 'circle',
+  doublecircle: 'doubleCircle',
+  point: 'filledCircle',
+  egg: 'circle',
+  diamond: 'diamond',
+  mdiamond: 'diamond',
+  cylinder: 'cylinder',
+  hexagon: 'hexagon',
+  parallelogram: 'parallelogram',
+  trapezoid: 'trapezoid',
+  invtrapezoid: 'trapezoidAlt',
+  triangle: 'triangle',
+  invtriangle: 'flippedTriangle',
+};
+
+/**
+ * Graphviz rankdir values as Mermaid directions
+ */
+const RANKDIR = { TB: 'TD', LR: 'LR', BT: 'BT', RL: 'RL' };
+
+const WORD_PATTERN = /(?:[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))/y;
+
+/**
+ * Syntax error carrying the offending line
+ */
+function dotError(message, line) {
+  const error = new Error(`DOT syntax error on line ${line}: ${message}`);
+  error.line = line;
+  return error;
+}
+
+/**
+ * Plain text of an HTML-like label
+ */
+function htmlLabelText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Split DOT source into ids, edge operators and punctuation
+ * Quoted strings ("a" + "b" included) and HTML strings become ids
+ */
+function tokenizeDot(code) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < code.length) {
+    const ch = code[i];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments, and C preprocessor output lines starting with #
+    const lineStart = code.lastIndexOf('\n', i - 1) + 1;
+    if (code.startsWith('//', i) || (ch === '#' && code.slice(lineStart, i).trim() === '')) {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+      continue;
+    }
+
+    if (code.startsWith('/*', i)) {
+      const end = code.indexOf('*/', i + 2);
+      if (end === -1) throw dotError('unterminated comment', line);
+      line += (code.slice(i, end).match(/\n/g) || []).length;
+      i = end + 2;
+      continue;
+    }
+
+    if (ch === '"') {
+      const startLine = line;
+      let value = '';
+      i++;
+      while (i < code.length && code[i] !== '"') {
+        if (code[i] === '\\' && code[i + 1] === '"') {
+          value += '"';
+          i += 2;
+          continue;
+        }
+        if (code[i] === '\\' && code[i + 1] === '\n') {
+          line++;
+          i += 2;
+          continue;
+        }
+        if (code[i] === '\n') line++;
+        value += code[i];
+        i++;
+      }
+      if (i >= code.length) throw dotError('unterminated string', startLine);
+      i++;
+
+      const previous = tokens[tokens.length - 1];
+      if (previous && previous.type === '+' && tokens[tokens.length - 2] && tokens[tokens.length - 2].quoted) {
+        tokens.pop();
+        tokens[tokens.length - 1].value += value;
+      } else {
+        tokens.push({ type: 'id', value, quoted: true, line: startLine });
+      }
+      continue;
+    }
+
+    if (ch === '<') {
+      const startLine = line;
+      let depth = 0;
+      let j = i;
+      for (; j < code.length; j++) {
+        if (code[j] === '<') depth++;
+        if (code[j] === '>') depth--;
+        if (code[j] === '\n') line++;
+        if (depth === 0) break;
+      }
+      if (j >= code.length) throw dotError('unterminated HTML string', startLine);
+      tokens.push({ type: 'id', value: htmlLabelText(code.slice(i + 1, j)), quoted: true, line: startLine });
+      i = j + 1;
+      continue;
+    }
+
+    if (code.startsWith('->', i) || code.startsWith('--', i)) {
+      tokens.push({ type: 'edgeop', value: code.slice(i, i + 2), line });
+      i += 2;
+      continue;
+    }
+
+    if ('{}[];=,:+'.includes(ch)) {
+      tokens.push({ type: ch, value: ch, line });
+      i++;
+      continue;
+    }
+
+    WORD_PATTERN.lastIndex = i;
+    const word = WORD_PATTERN.exec(code);
+    if (!word) throw dotError(`unexpected character "${ch}"`, line);
+    tokens.push({ type: 'id', value: word[0], quoted: false, line });
+    i += word[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse DOT source into graph attributes, nodes (with their cluster), edges and clusters
+ * Only subgraphs named cluster* are kept as groups; other subgraphs just scope defaults
+ */
+function parseDot(code) {
+  const tokens = tokenizeDot(code);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isKeyword = (token, word) => Boolean(token) && token.type === 'id' && !token.quoted && token.value.toLowerCase() === word;
+  const expect = (type) => {
+    const token = tokens[pos];
+    if (!token || token.type !== type) {
+      const found = token ? `"${token.value}"` : 'end of input';
+      throw dotError(`expected "${type === 'id' ? 'an id' : type}" but found ${found}`, token ? token.line : (tokens.length > 0 ? tokens[tokens.length - 1].line : 1));
+    }
+    pos++;
+    return token;
+  };
+
+  const graph = {
+    strict: false,
+    directed: true,
+    name: '',
+    line: 1,
+    attributes: {},
+    nodes: new Map(),
+    edges: [],
+    clusters: [],
+    warnings: [],
+  };
+  let portWarning = false;
+
+  if (isKeyword(peek(), 'strict')) {
+    graph.strict = true;
+    pos++;
+  }
+  const header = peek();
+  if (!isKeyword(header, 'digraph') && !isKeyword(header, 'graph')) {
+    throw dotError('expected "graph" or "digraph"', header ? header.line : 1);
+  }
+  graph.directed = header.value.toLowerCase() === 'digraph';
+  graph.line = header.line;
+  pos++;
+  if (peek() && peek().type === 'id') {
+    graph.name = tokens[pos++].value;
+  }
+  expect('{');
+
+  const parseAttributeList = () => {
+    const attributes = {};
+    while (peek() && peek().type === '[') {
+      pos++;
+      while (peek() && peek().type !== ']') {
+        const key = expect('id').value;
+        let value = 'true';
+        if (peek() && peek().type === '=') {
+          pos++;
+          value = expect('id').value;
+        }
+        attributes[key.toLowerCase()] = value;
+        if (peek() && (peek().type === ';' || peek().type === ',')) pos++;
+      }
+      expect(']');
+    }
+    return attributes;
+  };
+
+  const isWithin = (cluster, ancestor) => {
+    for (let current = cluster; current; current = current.parent) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  };
+
+  // A node named inside a cluster joins it, unless it is already in one nested inside it
+  const ensureNode = (name, scope, line) => {
+    if (!graph.nodes.has(name)) {
+      graph.nodes.set(name, { name, attributes: { ...scope.nodeDefaults }, cluster: null, line });
+    }
+    const node = graph.nodes.get(name);
+    if (scope.cluster && !isWithin(node.cluster, scope.cluster)) {
+      if (node.cluster) node.cluster.nodes.splice(node.cluster.nodes.indexOf(name), 1);
+      node.cluster = scope.cluster;
+      scope.cluster.nodes.push(name);
+    }
+    if (!scope.members.includes(name)) scope.members.push(name);
+    return node;
+  };
+
+  const addEdge = (source, target, attributes, line) => {
+    const duplicate = graph.strict && graph.edges.some((edge) => (
+      (edge.source === source && edge.target === target)
+      || (!graph.directed && edge.source === target && edge.target === source)
+    ));
+    if (!duplicate) graph.edges.push({ source, target, attributes, line });
+  };
+
+  let parseStatements;
+
+  const parseSubgraph = (scope) => {
+    const line = peek().line;
+    let name = null;
+    if (isKeyword(peek(), 'subgraph')) {
+      pos++;
+      if (peek() && peek().type === 'id') name = tokens[pos++].value;
+    }
+    expect('{');
+
+    const cluster = name && name.startsWith('cluster')
+      ? { name, attributes: {}, parent: scope.cluster, nodes: [], line }
+      : null;
+    if (cluster) graph.clusters.push(cluster);
+
+    const inner = {
+      cluster: cluster || scope.cluster,
+      nodeDefaults: { ...scope.nodeDefaults },
+      edgeDefaults: { ...scope.edgeDefaults },
+      attributes: cluster ? cluster.attributes : {},
+      members: [],
+    };
+    parseStatements(inner);
+    expect('}');
+    return inner.members;
+  };
+
+  // Node id or subgraph on either side of an edge operator
+  const parseOperand = (scope) => {
+    const token = peek();
+    if (token && (token.type === '{' || isKeyword(token, 'subgraph'))) {
+      const members = parseSubgraph(scope);
+      members.forEach((name) => {
+        if (!scope.members.includes(name)) scope.members.push(name);
+      });
+      return { kind: 'subgraph', names: members };
+    }
+
+    const id = expect('id');
+    if (peek() && peek().type === ':') {
+      pos++;
+      expect('id');
+      if (peek() && peek().type === ':') {
+        pos++;
+        expect('id');
+      }
+      if (!portWarning) {
+        graph.warnings.push({ line: id.line, issue: 'Node ports are not supported', suggestion: 'Edges attach to the node itself' });
+        portWarning = true;
+      }
+    }
+    ensureNode(id.value, scope, id.line);
+    return { kind: 'node', names: [id.value] };
+  };
+
+  parseStatements = (scope) => {
+    while (peek() && peek().type !== '}') {
+      const token = peek();
+
+      if (token.type === ';' || token.type === ',') {
+        pos++;
+        continue;
+      }
+
+      // Attribute statements: graph [...], node [...], edge [...]
+      const target = ['graph', 'node', 'edge'].find((word) => isKeyword(token, word));
+      if (target && peek(1) && peek(1).type === '[') {
+        pos++;
+        const attributes = parseAttributeList();
+        const into = { graph: scope.attributes, node: scope.nodeDefaults, edge: scope.edgeDefaults }[target];
+        Object.assign(into, attributes);
+        continue;
+      }
+
+      // Graph attribute: key = value
+      if (token.type === 'id' && peek(1) && peek(1).type === '=') {
+        pos += 2;
+        scope.attributes[token.value.toLowerCase()] = expect('id').value;
+        continue;
+      }
+
+      const line = token.line;
+      const first = parseOperand(scope);
+
+      if (peek() && peek().type === 'edgeop') {
+        const operands = [first];
+        while (peek() && peek().type === 'edgeop') {
+          const operator = tokens[pos++];
+          if ((operator.value === '->') !== graph.directed) {
+            throw dotError(`"${operator.value}" used in ${graph.directed ? 'a digraph' : 'an undirected graph'}`, operator.line);
+          }
+          operands.push(parseOperand(scope));
+        }
+        const attributes = { ...scope.edgeDefaults, ...parseAttributeList() };
+        for (let k = 0; k < operands.length - 1; k++) {
+          operands[k].names.forEach((source) => {
+            operands[k + 1].names.forEach((target) => addEdge(source, target, attributes, line));
+          });
+        }
+      } else if (first.kind === 'node') {
+        Object.assign(graph.nodes.get(first.names[0]).attributes, parseAttributeList());
+      }
+    }
+  };
+
+  parseStatements({ cluster: null, nodeDefaults: {}, edgeDefaults: {}, attributes: graph.attributes, members: [] });
+  expect('}');
+
+  if (pos < tokens.length) {
+    graph.warnings.push({ line: tokens[pos].line, issue: 'Only the first graph in the file is converted', suggestion: 'Put each graph in its own file' });
+  }
+
+  return graph;
+}
+
+/**
+ * Comma-separated style attribute as a list
+ */
+function styleList(style) {
+  return (style || '').toLowerCase().split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * First colour of a DOT colour value as CSS, or null for HSV triples and schemes
+ */
+function dotColor(value) {
+  if (!value) return null;
+  const first = String(value).split(/[:;]/)[0].trim();
+  if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(first)) return first.slice(0, 7).toLowerCase();
+  if (/^#[0-9a-f]{3}$/i.test(first)) return first.toLowerCase();
+  if (/^[a-z]+$/i.test(first)) return first.toLowerCase();
+  return null;
+}
+
+/**
+ * Label text with DOT escapes expanded; record fields are separated by " | "
+ */
+function labelText(label, name, graphName, isRecord) {
+  let text = String(label)
+    .replace(/\\N/g, name)
+    .replace(/\\G/g, graphName)
+    .replace(/\\[nlr]/g, '\n')
+    .replace(/\\(.)/g, '$1');
+  if (isRecord) {
+    text = text.replace(/<[^>]*>/g, '').replace(/[{}]/g, '').split('|').map((field) => field.trim()).filter(Boolean).join(' | ');
+  }
+  return singleLine(text);
+}
+
+/**
+ * Translate DOT source into a Mermaid flowchart
+ * Returns { code, lineMap, warnings, title }; lineMap[i] is the DOT line of Mermaid line i + 1
+ */
+function dotToMermaid(code) {
+  const graph = parseDot(code);
+  const writer = createMermaidWriter();
+  const toId = createIdAllocator();
+  const warnedShapes = new Set();
+
+  graph.warnings.forEach((warning) => writer.warn(warning.line, warning.issue, warning.suggestion));
+
+  const direction = RANKDIR[String(graph.attributes.rankdir || 'TB').toUpperCase()] || 'TD';
+  writer.line(`flowchart ${direction}`, graph.line);
+
+  // Node ids first, so they keep their names when a cluster would clash
+  graph.nodes.forEach((node) => toId(node.name));
+  const clusterIds = new Map(graph.clusters.map((cluster) => [
+    cluster,
+    toId(`cluster:${cluster.name}`, cluster.name.replace(/^cluster_?/, '') || cluster.name),
+  ]));
+
+  const styleLines = [];
+
+  const writeNode = (node, indent) => {
+    const attributes = node.attributes;
+    const shapeName = (attributes.shape || 'ellipse').toLowerCase();
+    const styles = styleList(attributes.style);
+    let shape = DOT_SHAPES[shapeName];
+    if (!shape) {
+      shape = 'rectangle';
+      if (!warnedShapes.has(shapeName)) {
+        writer.warn(node.line, `Shape "${shapeName}" has no Mermaid equivalent`, 'It is drawn as a rectangle');
+        warnedShapes.add(shapeName);
+      }
+    }
+    if (shape === 'rectangle' && styles.includes('rounded')) shape = 'roundedRect';
+
+    const isRecord = shapeName === 'record' || shapeName === 'mrecord';
+    const label = labelText(attributes.label !== undefined ? attributes.label : '\\N', node.name, graph.name, isRecord);
+    const id = toId(node.name);
+    writer.line(`${indent}${nodeDeclaration(id, shape, label)}`, node.line);
+
+    const declarations = [];
+    if (styles.includes('filled')) {
+      declarations.push(`fill:${dotColor(attributes.fillcolor) || dotColor(attributes.color) || 'lightgrey'}`);
+    }
+    if (dotColor(attributes.color)) declarations.push(`stroke:${dotColor(attributes.color)}`);
+    if (dotColor(attributes.fontcolor)) declarations.push(`color:${dotColor(attributes.fontcolor)}`);
+    if (parseFloat(attributes.penwidth)) declarations.push(`stroke-width:${parseFloat(attributes.penwidth)}px`);
+    if (styles.includes('dashed') || styles.includes('dotted')) declarations.push('stroke-dasharray:5 5');
+    if (declarations.length > 0) {
+      styleLines.push({ text: `style ${id} ${declarations.join(',')}`, line: node.line });
+    }
+  };
+
+  const writeScope = (cluster, indent) => {
+    graph.clusters.filter((child) => child.parent === cluster).forEach((child) => {
+      const id = clusterIds.get(child);
+      const label = child.attributes.label !== undefined
+        ? labelText(child.attributes.label, child.name, graph.name, false)
+        : id;
+      writer.line(`${indent}subgraph ${id} [${label || id}]`, child.line);
+      writeScope(child, `${indent}  `);
+      writer.line(`${indent}end`, child.line);
+    });
+    graph.nodes.forEach((node) => {
+      if (node.cluster === cluster) writeNode(node, indent);
+    });
+  };
+
+  writeScope(null, '  ');
+
+  let edgeIndex = 0;
+  graph.edges.forEach((edge) => {
+    const attributes = edge.attributes;
+    const styles = styleList(attributes.style);
+    if (styles.includes('invis')) {
+      writer.warn(edge.line, 'Invisible edge skipped', 'Invisible edges only steer the Graphviz layout');
+      return;
+    }
+
+    const dir = String(attributes.dir || (graph.directed ? 'forward' : 'none')).toLowerCase();
+    const [source, target] = dir === 'back' ? [edge.target, edge.source] : [edge.source, edge.target];
+    const head = dir === 'back' ? attributes.arrowtail : attributes.arrowhead;
+    const hasArrow = dir !== 'none' && String(head || '').toLowerCase() !== 'none';
+    const dashed = styles.includes('dashed') || styles.includes('dotted');
+    const penwidth = parseFloat(attributes.penwidth) || 0;
+    const thick = !dashed && (styles.includes('bold') || penwidth >= 2);
+
+    let arrow = hasArrow ? '-->' : '---';
+    if (dashed) arrow = hasArrow ? '-.->' : '-.-';
+    else if (thick && hasArrow) arrow = '==>';
+
+    const label = attributes.label !== undefined ? attributes.label : attributes.xlabel;
+    writer.line(`  ${edgeDeclaration(toId(source), arrow, toId(target), label ? labelText(label, '', graph.name, false) : '')}`, edge.line);
+
+    const declarations = [];
+    if (dotColor(attributes.color)) declarations.push(`stroke:${dotColor(attributes.color)}`);
+    if (penwidth) declarations.push(`stroke-width:${penwidth}px`);
+    else if (thick && !hasArrow) declarations.push('stroke-width:3px');
+    if (declarations.length > 0) {
+      styleLines.push({ text: `linkStyle ${edgeIndex} ${declarations.join(',')}`, line: edge.line });
+    }
+    edgeIndex++;
+  });
+
+  styleLines.forEach((style) => writer.line(`  ${style.text}`, style.line));
+
+  const title = graph.attributes.label !== undefined
+    ? labelText(graph.attributes.label, '', graph.name, false)
+    : graph.name;
+  return writer.result({ title: title || null });
+}
+
+module.exports = {
+  parseDot,
+  dotToMermaid,
+};
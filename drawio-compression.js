@@ -0,0 +1,71 @@
+/**
+ * Draw.io Compression
+ * Draw.io saves each page as deflate + base64 of the URI-encoded mxGraphModel
+ * by default; these helpers convert between that form and inline XML
+ */
+
+const { deflateRawSync, inflateRawSync } = require('node:zlib');
+
+const DIAGRAM_PATTERN = /(<diagram\b[^>]*>)([\s\S]*?)(<\/diagram>)/g;
+
+/**
+ * Check whether the content of a <diagram> element is compressed
+ */
+function isCompressedPage(content) {
+  const trimmed = content.trim();
+  return trimmed !== '' && !trimmed.startsWith('<');
+}
+
+/**
+ * Compress an mxGraphModel the way Draw.io does
+ */
+function compressDiagram(modelXml) {
+  return deflateRawSync(Buffer.from(encodeURIComponent(modelXml), 'utf-8')).toString('base64');
+}
+
+/**
+ * Expand the compressed content of a <diagram> element into mxGraphModel XML
+ */
+function decompressDiagram(data, pageName = '') {
+  try {
+    const inflated = inflateRawSync(Buffer.from(data.trim(), 'base64')).toString('utf-8');
+    return decodeURIComponent(inflated);
+  } catch (error) {
+    throw new Error(`Could not decompress Draw.io page${pageName ? ` "${pageName}"` : ''}: ${error.message}`);
+  }
+}
+
+/**
+ * Page name of a <diagram> start tag (still XML-escaped), for error messages
+ */
+function pageNameOf(startTag) {
+  return (startTag.match(/\sname="([^"]*)"/) || [])[1] || '';
+}
+
+/**
+ * Compress every inline page of a Draw.io file
+ */
+function compressDrawio(xml) {
+  return xml.replace(DIAGRAM_PATTERN, (match, open, content, close) => (
+    isCompressedPage(content) || content.trim() === '' ? match : `${open}${compressDiagram(content.trim())}${close}`
+  ));
+}
+
+/**
+ * Expand every compressed page of a Draw.io file into inline XML
+ */
+function decompressDrawio(xml) {
+  return xml.replace(DIAGRAM_PATTERN, (match, open, content, close) => (
+    isCompressedPage(content)
+      ? `${open}\n    ${decompressDiagram(content, pageNameOf(open))}\n  ${close}`
+      : match
+  ));
+}
+
+module.exports = {
+  isCompressedPage,
+  compressDiagram,
+  decompressDiagram,
+  compressDrawio,
+  decompressDrawio,
+};
@@ -3,15 +3,47 @@
  * Converts parsed Mermaid diagrams to Draw.io XML format
  */
 
-const { SHAPE_MAPPINGS } = require('./mermaid-parser');
+const { createHash } = require('node:crypto');
+const { SHAPE_MAPPINGS, CLASS_RELATION_MARKERS } = require('./mermaid-parser');
+const { computeLayout, treeLayout } = require('./layout-engine');
+const { convertERToDrawio: convertERToDrawioNew, isERDiagram, getCardinalityStyle } = require('./er-converter');
+const { compressDrawio } = require('./drawio-compression');
+const { parseGraphModel } = require('./drawio-reader');
+const { START_NAMES, END_NAMES } = require('./graph-analysis');
 
 /**
  * Generate a unique ID for Draw.io elements
+ * With a seed the ID is a hash of it, so identical input yields identical output
  */
-function generateId() {
+function generateId(seed) {
+  if (seed !== undefined) {
+    return createHash('sha1').update(seed).digest('hex').substring(0, 12);
+  }
   return Math.random().toString(36).substring(2, 10);
 }
 
+/**
+ * ID of a converted diagram: random, or derived from its content in deterministic mode
+ * Source positions are left out, so moving lines around keeps the ID
+ */
+function diagramIdFor(parsedDiagram, name, options = {}) {
+  const withoutPositions = (key, value) => (key === 'range' || key === 'diagnostics' ? undefined : value);
+  return options.deterministic
+    ? generateId(JSON.stringify([name, options.layout || null, parsedDiagram], withoutPositions))
+    : generateId();
+}
+
+/**
+ * The mxfile `modified` attribute: a fixed `modified` option if given,
+ * omitted in deterministic mode, otherwise the current time
+ */
+function modifiedAttribute(options = {}) {
+  if (options.modified) {
+    return ` modified="${escapeXml(String(options.modified))}"`;
+  }
+  return options.deterministic ? '' : ` modified="${new Date().toISOString()}"`;
+}
+
 /**
  * Escape XML special characters
  */
@@ -26,287 +58,260 @@ function escapeXml(str) {
 }
 
 /**
- * Calculate node positions based on diagram direction and index
- * Uses an improved algorithm that handles cycles and branches properly
+ * Calculate positions for variable-size boxes (classes, composite states)
+ * The tree layout works on a fixed grid, so its rows/columns are rescaled
+ * to the box sizes; other layouts receive the sizes directly
  */
-function calculatePositions(nodes, direction, edges) {
-  const positions = new Map();
-  const nodeWidth = 140;
-  const nodeHeight = 50;
-  const horizontalGap = 200;  // Increased gap for better spacing
-  const verticalGap = 90;
+function calculateSizedPositions(nodes, direction, edges, sizes, layout) {
+  const isHorizontal = direction === 'LR' || direction === 'RL';
+  const columnGap = 60;
+  const rowGap = 80;
   const startX = 100;
   const startY = 40;
 
-  // Build adjacency maps
-  const outEdges = new Map(); // source -> [targets]
-  const inEdges = new Map();  // target -> [sources]
-  
-  nodes.forEach((node) => {
-    outEdges.set(node.id, []);
-    inEdges.set(node.id, []);
-  });
-  
-  edges.forEach((edge) => {
-    if (outEdges.has(edge.source)) {
-      outEdges.get(edge.source).push(edge.target);
-    }
-    if (inEdges.has(edge.target)) {
-      inEdges.get(edge.target).push(edge.source);
-    }
-  });
-
-  // Step 1: Assign levels using longest path from roots (handles cycles)
-  const nodeLevel = new Map();
-  
-  // Find root nodes
-  const roots = nodes.filter((n) => inEdges.get(n.id).length === 0);
-  if (roots.length === 0 && nodes.length > 0) {
-    roots.push(nodes[0]);
+  if (layout !== 'tree') {
+    return computeLayout(layout, nodes, edges, {
+      direction,
+      sizes,
+      nodeGap: columnGap,
+      layerGap: rowGap,
+      startX,
+      startY,
+    });
   }
 
-  // Use DFS with cycle detection to assign levels
-  function assignLevels(nodeId, level, visited, inStack) {
-    if (inStack.has(nodeId)) {
-      // Back-edge detected (cycle), don't update level
-      return;
-    }
-    if (visited.has(nodeId)) {
-      // Already visited, but update if we found a longer path
-      if (level > nodeLevel.get(nodeId)) {
-        nodeLevel.set(nodeId, level);
-      } else {
-        return; // Don't re-traverse if not a longer path
-      }
-    }
-    
-    visited.add(nodeId);
-    inStack.add(nodeId);
-    nodeLevel.set(nodeId, Math.max(nodeLevel.get(nodeId) || 0, level));
-    
-    const children = outEdges.get(nodeId) || [];
-    children.forEach((childId) => {
-      assignLevels(childId, level + 1, visited, inStack);
+  const grid = treeLayout(nodes, edges, { direction });
+
+  // Recover grid row/column indexes from the flowchart layout
+  const cells = new Map();
+  grid.forEach((pos, id) => {
+    cells.set(id, {
+      col: Math.round((isHorizontal ? pos.y - 40 : pos.x - 100) / (isHorizontal ? 90 : 200) * 2) / 2,
+      row: Math.round((isHorizontal ? pos.x - 100 : pos.y - 40) / (isHorizontal ? 200 : 90)),
     });
-    
-    inStack.delete(nodeId);
-  }
-  
-  const visited = new Set();
-  const inStack = new Set();
-  roots.forEach((root) => {
-    assignLevels(root.id, 0, visited, inStack);
-  });
-  
-  // Handle any unvisited nodes
-  nodes.forEach((node) => {
-    if (!nodeLevel.has(node.id)) {
-      nodeLevel.set(node.id, 0);
-    }
   });
 
-  // Step 2: Group by level and identify tree edges (non-back-edges)
-  const levels = new Map();
-  nodeLevel.forEach((level, nodeId) => {
-    if (!levels.has(level)) levels.set(level, []);
-    levels.get(level).push(nodeId);
-  });
+  const rows = [...new Set([...cells.values()].map((c) => c.row))].sort((a, b) => a - b);
+  const maxWidth = Math.max(160, ...[...sizes.values()].map((s) => s.width));
+  const maxHeight = Math.max(60, ...[...sizes.values()].map((s) => s.height));
 
-  // Tree edges are edges where target level > source level
-  // But for decision nodes (nodes with multiple children), include all children
-  const treeChildren = new Map();
-  nodes.forEach((node) => treeChildren.set(node.id, []));
-  
-  edges.forEach((edge) => {
-    const srcLevel = nodeLevel.get(edge.source) || 0;
-    const tgtLevel = nodeLevel.get(edge.target) || 0;
-    
-    // Always include edges from decision nodes (nodes with >1 outgoing edge)
-    const sourceNode = nodes.find(n => n.id === edge.source);
-    const outgoingEdges = edges.filter(e => e.source === edge.source);
-    
-    if (outgoingEdges.length > 1 || tgtLevel > srcLevel) {
-      treeChildren.get(edge.source).push(edge.target);
-    }
+  // Each row is as deep as its tallest (or widest, when horizontal) box
+  const rowOffset = new Map();
+  const rowDepth = new Map();
+  let offset = 0;
+  rows.forEach((row) => {
+    const depth = Math.max(
+      0,
+      ...[...cells.entries()]
+        .filter(([, c]) => c.row === row)
+        .map(([id]) => (isHorizontal ? sizes.get(id).width : sizes.get(id).height)),
+    );
+    rowOffset.set(row, offset);
+    rowDepth.set(row, depth);
+    offset += depth + (isHorizontal ? columnGap * 2 : rowGap);
   });
 
-  // Step 3: Calculate subtree widths using only tree edges
-  const subtreeWidth = new Map();
-  
-  function calcSubtreeWidth(nodeId, visited = new Set()) {
-    if (visited.has(nodeId)) return 0;
-    if (subtreeWidth.has(nodeId)) return subtreeWidth.get(nodeId);
-    
-    visited.add(nodeId);
-    
-    const children = treeChildren.get(nodeId) || [];
-    if (children.length === 0) {
-      subtreeWidth.set(nodeId, 1);
-      return 1;
-    }
-    
-    let totalWidth = 0;
-    children.forEach((childId) => {
-      totalWidth += calcSubtreeWidth(childId, new Set(visited));
+  // Center each box within its row depth and column slot
+  const positions = new Map();
+  cells.forEach((cell, id) => {
+    const size = sizes.get(id);
+    const alongSize = isHorizontal ? size.width : size.height;
+    const acrossSize = isHorizontal ? size.height : size.width;
+    const slot = isHorizontal ? maxHeight + rowGap : maxWidth + columnGap;
+    const along = rowOffset.get(cell.row) + (rowDepth.get(cell.row) - alongSize) / 2;
+    const across = cell.col * slot + ((isHorizontal ? maxHeight : maxWidth) - acrossSize) / 2;
+    positions.set(id, {
+      x: Math.round((startX + (isHorizontal ? along : across)) / 10) * 10,
+      y: Math.round((startY + (isHorizontal ? across : along)) / 10) * 10,
+      width: size.width,
+      height: size.height,
     });
-    
-    const width = Math.max(1, totalWidth);
-    subtreeWidth.set(nodeId, width);
-    return width;
-  }
-  
-  roots.forEach((root) => calcSubtreeWidth(root.id, new Set()));
-  
-  // Ensure all nodes have a width
-  nodes.forEach((node) => {
-    if (!subtreeWidth.has(node.id)) {
-      subtreeWidth.set(node.id, 1);
-    }
   });
 
-  // Step 4: Position nodes using subtree widths - center parents over children
-  const nodeCol = new Map();
-  const positioned = new Set();
-  
-  // Helper: Calculate full subtree width including all descendants
-  function getFullSubtreeWidth(nodeId, visited = new Set()) {
-    if (visited.has(nodeId)) return 1;
-    visited.add(nodeId);
-    
-    const children = treeChildren.get(nodeId) || [];
-    if (children.length === 0) return 1;
-    
-    let totalWidth = 0;
-    children.forEach((childId) => {
-      totalWidth += getFullSubtreeWidth(childId, new Set(visited));
+  return positions;
+}
+
+/**
+ * Calculate flowchart positions with subgraphs as real containers
+ * Subgraphs are laid out bottom-up (in their own direction) and then placed as
+ * single boxes in their parent scope. Returns positions relative to each cell's
+ * container, absolute positions (for edge routing) and the container of each cell.
+ */
+function calculateFlowchartPositions(nodes, edges, subgraphs, direction, layout) {
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  const getNodeSize = (node) => (node?.shape === 'diamond'
+    ? { width: Math.max(160, escapeXml(node.label).length * 8), height: 80 }
+    : { width: 140, height: 50 });
+  const getLayerGap = (dir) => (dir === 'LR' || dir === 'RL' ? 80 : 40);
+
+  if (subgraphs.length === 0) {
+    // Diamonds are drawn larger, so reserve their real size
+    const positions = computeLayout(layout, nodes, edges, {
+      direction,
+      sizes: (nodeId) => (nodeMap.get(nodeId)?.shape === 'diamond' ? getNodeSize(nodeMap.get(nodeId)) : null),
+      layerGap: getLayerGap(direction),
     });
-    
-    return Math.max(1, totalWidth);
+    return { positions, absolute: positions, parents: new Map() };
   }
-  
-  function positionNode(nodeId, startCol) {
-    if (positioned.has(nodeId)) return startCol;
-    positioned.add(nodeId);
-    
-    const children = treeChildren.get(nodeId) || [];
-    
-    if (children.length === 0) {
-      // Leaf node - position at startCol
-      nodeCol.set(nodeId, startCol);
-      return startCol + 1;
+
+  const subgraphMap = new Map(subgraphs.map((sg) => [sg.id, sg]));
+  const parents = new Map();
+  subgraphs.forEach((sg) => {
+    sg.nodes.forEach((nodeId) => parents.set(nodeId, sg.id));
+    if (sg.parent) parents.set(sg.id, sg.parent);
+  });
+
+  const padding = 20;
+  const headerSize = 30;
+  const sizes = new Map();
+  const positions = new Map();
+
+  // Subgraphs without their own direction inherit it from the enclosing one
+  const getDirection = (scope) => {
+    for (let sg = subgraphMap.get(scope); sg; sg = subgraphMap.get(sg.parent)) {
+      if (sg.direction) return sg.direction;
     }
-    
-    // For decision nodes (2 children) or any branching node:
-    // Calculate subtree widths and position branches with proper spacing
-    if (children.length >= 2) {
-      let currentCol = startCol;
-      const childCenters = [];
-      
-      children.forEach((childId) => {
-        if (!positioned.has(childId)) {
-          // Get subtree width for this branch
-          const branchWidth = getFullSubtreeWidth(childId, new Set());
-          
-          // Position child at center of its allocated space
-          const childCenter = currentCol + (branchWidth - 1) / 2;
-          nodeCol.set(childId, childCenter);
-          positioned.add(childId);
-          
-          // Recursively position this child's descendants
-          positionSubtree(childId, currentCol);
-          
-          childCenters.push(childCenter);
-          currentCol += branchWidth;
-        } else {
-          childCenters.push(nodeCol.get(childId));
-        }
-      });
-      
-      // Center parent over all children
-      const minCenter = Math.min(...childCenters);
-      const maxCenter = Math.max(...childCenters);
-      nodeCol.set(nodeId, (minCenter + maxCenter) / 2);
-      
-      return currentCol;
+    return direction;
+  };
+
+  // Map a cell to its ancestor (or itself) that lives directly in the given scope
+  const liftToScope = (id, scope) => {
+    for (let current = id; current; current = parents.get(current)) {
+      if ((parents.get(current) || null) === scope) return current;
     }
-    
-    // Single child - position linearly
-    const childCol = positionNode(children[0], startCol);
-    nodeCol.set(nodeId, nodeCol.get(children[0]));
-    return childCol;
-  }
-  
-  // Position subtree rooted at nodeId starting from startCol
-  function positionSubtree(nodeId, startCol) {
-    const children = treeChildren.get(nodeId) || [];
-    if (children.length === 0) return;
-    
-    let currentCol = startCol;
-    
-    children.forEach((childId) => {
-      if (!positioned.has(childId)) {
-        const branchWidth = getFullSubtreeWidth(childId, new Set());
-        const childCenter = currentCol + (branchWidth - 1) / 2;
-        nodeCol.set(childId, childCenter);
-        positioned.add(childId);
-        
-        // Recursively position descendants
-        positionSubtree(childId, currentCol);
-        
-        currentCol += branchWidth;
+    return null;
+  };
+
+  const layoutScope = (scope) => {
+    const memberIds = [
+      ...subgraphs.filter((sg) => (sg.parent || null) === scope).map((sg) => sg.id),
+      ...nodes.filter((n) => (parents.get(n.id) || null) === scope).map((n) => n.id),
+    ];
+    memberIds.forEach((id) => {
+      if (subgraphMap.has(id)) {
+        layoutScope(id);
+      } else {
+        sizes.set(id, getNodeSize(nodeMap.get(id)));
       }
     });
-  }
-  
-  let col = 0;
-  roots.forEach((root) => {
-    col = positionNode(root.id, col);
-  });
-  
-  // Position any unpositioned nodes
-  nodes.forEach((node) => {
-    if (!nodeCol.has(node.id)) {
-      nodeCol.set(node.id, col++);
-    }
-  });
 
-  // Step 5: Convert to coordinates
-  const isHorizontal = direction === 'LR' || direction === 'RL';
-  const isReversed = direction === 'BT' || direction === 'RL';
-  
-  nodes.forEach((node) => {
-    const level = nodeLevel.get(node.id) || 0;
-    const c = nodeCol.get(node.id) || 0;
-    
-    let x, y;
-    
-    if (isHorizontal) {
-      x = startX + (isReversed ? -1 : 1) * level * horizontalGap;
-      y = startY + c * verticalGap;
-    } else {
-      x = startX + c * horizontalGap;
-      y = startY + (isReversed ? -1 : 1) * level * verticalGap;
+    const scopedEdges = [];
+    edges.forEach((edge) => {
+      const source = liftToScope(edge.source, scope);
+      const target = liftToScope(edge.target, scope);
+      if (source && target && source !== target) scopedEdges.push({ source, target });
+    });
+
+    const dir = scope ? getDirection(scope) : direction;
+    const items = memberIds.map((id) => ({ id }));
+    const scopePositions = layout === 'tree'
+      ? calculateSizedPositions(items, dir, scopedEdges, sizes, 'tree')
+      : computeLayout(layout, items, scopedEdges, { direction: dir, sizes, layerGap: getLayerGap(dir) });
+
+    if (!scope) {
+      scopePositions.forEach((pos, id) => positions.set(id, pos));
+      return;
     }
-    
-    // Grid-align to multiples of 10
-    x = Math.round(x / 10) * 10;
-    y = Math.round(y / 10) * 10;
-    
-    positions.set(node.id, { x, y, width: nodeWidth, height: nodeHeight });
+
+    // Normalize the content to the container's padding and size the container around it
+    let minX = Infinity, minY = Infinity, maxX = 0, maxY = 0;
+    scopePositions.forEach((pos) => {
+      minX = Math.min(minX, pos.x);
+      minY = Math.min(minY, pos.y);
+    });
+    scopePositions.forEach((pos, id) => {
+      const rel = { ...pos, x: pos.x - minX + padding, y: pos.y - minY + padding + headerSize };
+      positions.set(id, rel);
+      maxX = Math.max(maxX, rel.x + rel.width);
+      maxY = Math.max(maxY, rel.y + rel.height);
+    });
+    sizes.set(scope, {
+      width: Math.max(160, maxX + padding),
+      height: Math.max(headerSize + padding * 2, maxY + padding),
+    });
+  };
+
+  layoutScope(null);
+
+  // Subgraph boxes take the size computed for them
+  subgraphs.forEach((sg) => {
+    positions.set(sg.id, { ...positions.get(sg.id), ...sizes.get(sg.id) });
   });
 
-  return positions;
+  // Absolute positions accumulate container offsets
+  const absolute = new Map();
+  const resolve = (id) => {
+    if (absolute.has(id)) return absolute.get(id);
+    const pos = positions.get(id);
+    const parent = parents.get(id);
+    const offset = parent ? resolve(parent) : { x: 0, y: 0 };
+    const abs = { ...pos, x: pos.x + offset.x, y: pos.y + offset.y };
+    absolute.set(id, abs);
+    return abs;
+  };
+  positions.forEach((pos, id) => resolve(id));
+
+  return { positions, absolute, parents };
+}
+
+/**
+ * Translate Mermaid CSS declarations (classDef/style/linkStyle) to Draw.io style keys
+ */
+function cssToDrawioStyle(cssStyle, { isEdge = false } = {}) {
+  if (!cssStyle) return '';
+  let style = '';
+  const px = (value) => parseFloat(String(value).replace(/px$/, ''));
+
+  if (cssStyle.fill && !isEdge && cssStyle.fill !== 'none') style += `fillColor=${cssStyle.fill};`;
+  if (cssStyle.stroke) style += `strokeColor=${cssStyle.stroke};`;
+  if (cssStyle['stroke-width'] && !Number.isNaN(px(cssStyle['stroke-width']))) {
+    style += `strokeWidth=${px(cssStyle['stroke-width'])};`;
+  }
+  if (cssStyle.color) style += `fontColor=${cssStyle.color};`;
+  if (cssStyle['stroke-dasharray']) {
+    const pattern = cssStyle['stroke-dasharray'].replace(/px/g, '').replace(/,/g, ' ').trim();
+    style += pattern === '0' || pattern === 'none' ? 'dashed=0;' : `dashed=1;dashPattern=${pattern};`;
+  }
+  if (cssStyle['font-size'] && !Number.isNaN(px(cssStyle['font-size']))) {
+    style += `fontSize=${px(cssStyle['font-size'])};`;
+  }
+  if (cssStyle['font-family']) style += `fontFamily=${cssStyle['font-family'].replace(/['"]/g, '')};`;
+
+  // fontStyle is a bit mask: 1 bold, 2 italic, 4 underline
+  const weight = cssStyle['font-weight'];
+  let fontStyle = 0;
+  if (weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600) fontStyle |= 1;
+  if (cssStyle['font-style'] === 'italic' || cssStyle['font-style'] === 'oblique') fontStyle |= 2;
+  if ((cssStyle['text-decoration'] || '').includes('underline')) fontStyle |= 4;
+  if (fontStyle > 0) style += `fontStyle=${fontStyle};`;
+
+  return style;
+}
+
+/**
+ * Merge Draw.io style strings; later values replace earlier ones for the same key
+ */
+function mergeStyles(...styles) {
+  const entries = new Map();
+  styles.join('').split(';').filter(Boolean).forEach((part) => {
+    const eq = part.indexOf('=');
+    const key = eq === -1 ? part : part.slice(0, eq);
+    entries.delete(key);
+    entries.set(key, part);
+  });
+  return [...entries.values()].map((part) => `${part};`).join('');
 }
 
 /**
  * Generate Draw.io style string for a node
+ * Mermaid classDef/style overrides win over the shape defaults
  */
 function getNodeStyle(node) {
   let style = node.style || SHAPE_MAPPINGS.rectangle.style;
   const fillColor = node.fillColor || '#dae8fc';
   const strokeColor = node.strokeColor || '#6c8ebf';
   
-  return `${style}fillColor=${fillColor};strokeColor=${strokeColor};`;
+  return mergeStyles(`${style}fillColor=${fillColor};strokeColor=${strokeColor};`, cssToDrawioStyle(node.cssStyle));
 }
 
 /**
@@ -332,111 +337,143 @@ function getEdgeStyle(edge, sourceNode, targetNode, positions) {
   // Only one arrow at the end, none at start
   style += 'startArrow=none;';
   
-  return style;
+  // Mermaid linkStyle overrides
+  return mergeStyles(style, cssToDrawioStyle(edge.cssStyle, { isEdge: true }));
 }
 
 /**
- * Convert parsed diagram to Draw.io XML
+ * Start and Stop terminals added to flowcharts that have none; their names are the
+ * start and end synonyms graph-analysis checks for
  */
-function convertToDrawio(parsedDiagram, options = {}) {
-  const { name = 'Converted Diagram' } = options;
-  const diagramId = generateId();
-  const direction = parsedDiagram.direction || 'TD';
+const DEFAULT_TERMINALS = {
+  connect: 'all',
+  start: {
+    id: 'Start',
+    label: 'Start',
+    names: START_NAMES,
+    shape: 'stadium',
+    fillColor: SHAPE_MAPPINGS.stadium.fillColor,
+    strokeColor: SHAPE_MAPPINGS.stadium.strokeColor,
+  },
+  end: {
+    id: 'Stop',
+    label: 'Stop',
+    names: END_NAMES,
+    shape: 'stadium',
+    fillColor: '#f8cecc', // Red color for stop
+    strokeColor: '#b85450',
+  },
+};
+
+/**
+ * Nodes and edges of a flowchart with the Start and Stop terminals it lacks
+ * A terminal counts as present when a node's id or label is its label, one of the
+ * default names or one of the names given (ignoring case). Start links to the nodes without incoming edges, the nodes
+ * without outgoing edges link to Stop.
+ * Options: false to add none, or { connect: 'all' | 'single' (first root, last leaf),
+ * start, end: false or { label, names, shape, fillColor, strokeColor } }
+ * Returns { nodes, edges, added } where added lists the new terminal nodes
+ */
+function addTerminals(parsedDiagram, terminals = {}) {
+  const nodes = [...parsedDiagram.nodes];
+  const edges = [...parsedDiagram.edges];
+  const added = [];
+  if (parsedDiagram.type !== 'flowchart' || terminals === false) {
+    return { nodes, edges, added };
+  }
   
-  // For flowcharts, automatically add Start and Stop nodes if missing
-  let nodes = [...parsedDiagram.nodes];
-  let edges = [...parsedDiagram.edges];
+  const connect = terminals.connect || DEFAULT_TERMINALS.connect;
+  if (!['all', 'single'].includes(connect)) {
+    throw new Error(`Unknown terminal connect mode "${connect}". Use all or single`);
+  }
   
-  if (parsedDiagram.type === 'flowchart') {
-    // Build adjacency maps to find start and end nodes
-    const outEdges = new Map();
-    const inEdges = new Map();
-    
-    nodes.forEach((node) => {
-      outEdges.set(node.id, []);
-      inEdges.set(node.id, []);
-    });
-    
-    edges.forEach((edge) => {
-      if (outEdges.has(edge.source)) {
-        outEdges.get(edge.source).push(edge.target);
-      }
-      if (inEdges.has(edge.target)) {
-        inEdges.get(edge.target).push(edge.source);
-      }
-    });
-    
-    // Find nodes with no incoming edges (potential start nodes)
-    const startNodes = nodes.filter((node) => inEdges.get(node.id).length === 0);
-    // Find nodes with no outgoing edges (potential end nodes)
-    const endNodes = nodes.filter((node) => outEdges.get(node.id).length === 0);
+  // Find nodes with no incoming edges (potential start nodes) and no outgoing edges (potential end nodes)
+  const hasIncoming = new Set(edges.map((edge) => edge.target));
+  const hasOutgoing = new Set(edges.map((edge) => edge.source));
+  const startNodes = nodes.filter((node) => !hasIncoming.has(node.id));
+  const endNodes = nodes.filter((node) => !hasOutgoing.has(node.id));
+  
+  const taken = new Set(nodes.map((node) => node.id));
+  const terminalFor = (kind) => {
+    if (terminals[kind] === false) return null;
+    const settings = { ...DEFAULT_TERMINALS[kind], ...terminals[kind] };
+    if (!SHAPE_MAPPINGS[settings.shape]) {
+      throw new Error(`Unknown ${kind} terminal shape "${settings.shape}"`);
+    }
     
-    // Check if Start node exists
-    const hasStartNode = nodes.some((node) => 
-      node.id === 'Start' || node.label.toLowerCase() === 'start'
-    );
+    const extra = (terminals[kind] && terminals[kind].names) || [];
+    const names = [settings.label, ...DEFAULT_TERMINALS[kind].names, ...extra].map((name) => name.toLowerCase());
+    const exists = nodes.some((node) => [node.id, node.label].some((name) => name && names.includes(name.trim().toLowerCase())));
+    if (exists) return null;
     
-    // Check if Stop/End node exists
-    const hasStopNode = nodes.some((node) => 
-      node.id === 'Stop' || node.id === 'End' || 
-      node.label.toLowerCase() === 'stop' || node.label.toLowerCase() === 'end'
-    );
+    let id = settings.id;
+    for (let n = 2; taken.has(id); n++) {
+      id = `${settings.id}_${n}`;
+    }
+    return {
+      id,
+      label: settings.label,
+      shape: settings.shape,
+      style: SHAPE_MAPPINGS[settings.shape].style,
+      fillColor: settings.fillColor,
+      strokeColor: settings.strokeColor,
+    };
+  };
+  
+  // Add Start node if missing
+  const startNode = startNodes.length > 0 ? terminalFor('start') : null;
+  if (startNode) {
+    nodes.unshift(startNode); // Add at beginning
+    added.push(startNode);
     
-    // Add Start node if missing
-    if (!hasStartNode && startNodes.length > 0) {
-      const startNode = {
-        id: 'Start',
-        label: 'Start',
-        shape: 'stadium',
-        style: SHAPE_MAPPINGS.stadium.style,
-        fillColor: SHAPE_MAPPINGS.stadium.fillColor,
-        strokeColor: SHAPE_MAPPINGS.stadium.strokeColor,
-      };
-      nodes.unshift(startNode); // Add at beginning
-      
-      // Connect Start to first process node
-      startNodes.forEach((processNode) => {
-        edges.unshift({
-          id: `e_start_${processNode.id}`,
-          source: 'Start',
-          target: processNode.id,
-          label: '',
-          arrowType: null,
-        });
+    // Connect Start to the first process node(s)
+    (connect === 'single' ? startNodes.slice(0, 1) : startNodes).forEach((processNode) => {
+      edges.unshift({
+        id: `e_start_${processNode.id}`,
+        source: startNode.id,
+        target: processNode.id,
+        label: '',
+        arrowType: null,
       });
-    }
+    });
+  }
+  
+  // Add Stop node if missing
+  const stopNode = endNodes.length > 0 ? terminalFor('end') : null;
+  if (stopNode) {
+    nodes.push(stopNode); // Add at end
+    added.push(stopNode);
     
-    // Add Stop node if missing
-    if (!hasStopNode && endNodes.length > 0) {
-      const stopNode = {
-        id: 'Stop',
-        label: 'Stop',
-        shape: 'stadium',
-        style: SHAPE_MAPPINGS.stadium.style,
-        fillColor: '#f8cecc', // Red color for stop
-        strokeColor: '#b85450',
-      };
-      nodes.push(stopNode); // Add at end
-      
-      // Connect all end nodes to Stop
-      endNodes.forEach((processNode) => {
-        edges.push({
-          id: `e_${processNode.id}_stop`,
-          source: processNode.id,
-          target: 'Stop',
-          label: '',
-          arrowType: null,
-        });
+    // Connect the end node(s) to Stop
+    (connect === 'single' ? endNodes.slice(-1) : endNodes).forEach((processNode) => {
+      edges.push({
+        id: `e_${processNode.id}_stop`,
+        source: processNode.id,
+        target: stopNode.id,
+        label: '',
+        arrowType: null,
       });
-    }
+    });
   }
   
-  // Calculate positions
-  const positions = calculatePositions(
-    nodes,
-    direction,
-    edges
-  );
+  return { nodes, edges, added };
+}
+
+/**
+ * Convert parsed diagram to Draw.io XML
+ * Options: name, layout, deterministic, terminals (see addTerminals)
+ */
+function convertToDrawio(parsedDiagram, options = {}) {
+  const { name = 'Converted Diagram' } = options;
+  const diagramId = diagramIdFor(parsedDiagram, name, options);
+  const direction = parsedDiagram.direction || 'TD';
+  
+  // For flowcharts, automatically add Start and Stop nodes if missing
+  const { nodes, edges } = addTerminals(parsedDiagram, options.terminals);
+  
+  // Calculate positions; nodes inside subgraphs are positioned relative to their container
+  const subgraphs = parsedDiagram.subgraphs || [];
+  const { positions, absolute, parents } = calculateFlowchartPositions(nodes, edges, subgraphs, direction, options.layout);
   
   // Build nodes XML - adjust size based on shape type
   const nodesXml = nodes.map((node) => {
@@ -452,11 +489,20 @@ function convertToDrawio(parsedDiagram, options = {}) {
       height = 80;
     }
     
-    return `        <mxCell id="${node.id}" value="${label}" style="${style}" vertex="1" parent="1">
+    return `        <mxCell id="${node.id}" value="${label}" style="${style}" vertex="1" parent="${parents.get(node.id) || '1'}">
           <mxGeometry x="${pos.x}" y="${pos.y}" width="${width}" height="${height}" as="geometry"/>
         </mxCell>`;
   }).join('\n');
   
+  // Containers of a cell, innermost first
+  const ancestorsOf = (id) => {
+    const chain = [];
+    for (let current = parents.get(id); current; current = parents.get(current)) {
+      chain.push(current);
+    }
+    return chain;
+  };
+  
   // Build edges XML - filter out duplicate edges and add smart routing
   const seenEdges = new Set();
   const nodeMap = new Map();
@@ -470,11 +516,16 @@ function convertToDrawio(parsedDiagram, options = {}) {
       return true;
     })
     .map((edge) => {
-      const sourcePos = positions.get(edge.source);
-      const targetPos = positions.get(edge.target);
+      const sourcePos = absolute.get(edge.source);
+      const targetPos = absolute.get(edge.target);
       const sourceNode = nodeMap.get(edge.source);
       const targetNode = nodeMap.get(edge.target);
       
+      // Edges live in the innermost container holding both ends, so they move with it
+      const targetAncestors = ancestorsOf(edge.target);
+      const edgeParent = ancestorsOf(edge.source).find((id) => targetAncestors.includes(id)) || '1';
+      const origin = edgeParent === '1' ? { x: 0, y: 0 } : absolute.get(edgeParent);
+      
       let style = getEdgeStyle(edge);
       const label = edge.label ? escapeXml(edge.label) : '';
       
@@ -483,10 +534,10 @@ function convertToDrawio(parsedDiagram, options = {}) {
       
       // Calculate relative positions to determine exit/entry points
       if (sourcePos && targetPos) {
-        const sourceWidth = sourceNode?.shape === 'diamond' ? 160 : 140;
-        const sourceHeight = sourceNode?.shape === 'diamond' ? 80 : 50;
-        const targetWidth = targetNode?.shape === 'diamond' ? 160 : 140;
-        const targetHeight = targetNode?.shape === 'diamond' ? 80 : 50;
+        const sourceWidth = sourceNode ? (sourceNode.shape === 'diamond' ? 160 : 140) : sourcePos.width;
+        const sourceHeight = sourceNode ? (sourceNode.shape === 'diamond' ? 80 : 50) : sourcePos.height;
+        const targetWidth = targetNode ? (targetNode.shape === 'diamond' ? 160 : 140) : targetPos.width;
+        const targetHeight = targetNode ? (targetNode.shape === 'diamond' ? 80 : 50) : targetPos.height;
         
         const sourceCenterX = sourcePos.x + sourceWidth / 2;
         const sourceCenterY = sourcePos.y + sourceHeight / 2;
@@ -541,8 +592,8 @@ function convertToDrawio(parsedDiagram, options = {}) {
             
             // Add waypoints to route around the right side
             const rightOffset = 60; // How far right to route
-            const sourceRightX = sourcePos.x + (sourceNode?.shape === 'diamond' ? 160 : 140) + rightOffset;
-            const targetRightX = targetPos.x + (targetNode?.shape === 'diamond' ? 160 : 140) + rightOffset;
+            const sourceRightX = sourcePos.x + sourceWidth + rightOffset;
+            const targetRightX = targetPos.x + targetWidth + rightOffset;
             const routeX = Math.max(sourceRightX, targetRightX);
             
             waypoints.push({ x: routeX, y: sourceCenterY });
@@ -567,7 +618,7 @@ function convertToDrawio(parsedDiagram, options = {}) {
       if (waypoints.length > 0) {
         waypointsXml = `
             <Array as="points">
-${waypoints.map(wp => `              <mxPoint x="${Math.round(wp.x)}" y="${Math.round(wp.y)}"/>`).join('\n')}
+${waypoints.map(wp => `              <mxPoint x="${Math.round(wp.x - origin.x)}" y="${Math.round(wp.y - origin.y)}"/>`).join('\n')}
             </Array>`;
       }
       
@@ -594,43 +645,27 @@ ${waypoints.map(wp => `              <mxPoint x="${Math.round(wp.x)}" y="${Math.
         }
       }
     
-    return `        <mxCell id="${edge.id}" value="${label}" style="${style}" edge="1" parent="1" source="${edge.source}" target="${edge.target}">
+    return `        <mxCell id="${edge.id}" value="${label}" style="${style}" edge="1" parent="${edgeParent}" source="${edge.source}" target="${edge.target}">
           <mxGeometry relative="1" as="geometry">${waypointsXml}${labelOffset}
           </mxGeometry>
         </mxCell>`;
   }).join('\n');
   
-  // Build subgraphs XML (as groups)
-  let subgraphsXml = '';
-  if (parsedDiagram.subgraphs && parsedDiagram.subgraphs.length > 0) {
-    subgraphsXml = parsedDiagram.subgraphs.map((subgraph, index) => {
-      // Calculate bounding box for subgraph
-      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-      subgraph.nodes.forEach((nodeId) => {
-        const pos = positions.get(nodeId);
-        if (pos) {
-          minX = Math.min(minX, pos.x);
-          minY = Math.min(minY, pos.y);
-          maxX = Math.max(maxX, pos.x + pos.width);
-          maxY = Math.max(maxY, pos.y + pos.height);
-        }
-      });
+  // Build subgraphs XML (as containers), outer subgraphs first so parents precede children
+  const depthOf = (id) => ancestorsOf(id).length;
+  const subgraphsXml = [...subgraphs]
+    .sort((a, b) => depthOf(a.id) - depthOf(b.id))
+    .map((subgraph) => {
+      const pos = positions.get(subgraph.id);
       
-      const padding = 20;
-      const x = minX - padding;
-      const y = minY - padding - 30; // Extra space for label
-      const width = maxX - minX + padding * 2;
-      const height = maxY - minY + padding * 2 + 30;
-      
-      return `        <mxCell id="sg${index}" value="${escapeXml(subgraph.label)}" style="swimlane;startSize=30;fillColor=#f5f5f5;strokeColor=#666666;" vertex="1" parent="1">
-          <mxGeometry x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"/>
+      return `        <mxCell id="${subgraph.id}" value="${escapeXml(subgraph.label)}" style="swimlane;startSize=30;fillColor=#f5f5f5;strokeColor=#666666;container=1;" vertex="1" parent="${parents.get(subgraph.id) || '1'}">
+          <mxGeometry x="${pos.x}" y="${pos.y}" width="${pos.width}" height="${pos.height}" as="geometry"/>
         </mxCell>`;
     }).join('\n');
-  }
   
   // Assemble final XML
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<mxfile host="app.diagrams.net" modified="${new Date().toISOString()}" agent="BMAD-CLI" version="21.0.0">
+<mxfile host="app.diagrams.net"${modifiedAttribute(options)} agent="BMAD-CLI" version="21.0.0">
   <diagram name="${escapeXml(name)}" id="${diagramId}">
     <mxGraphModel dx="1000" dy="600" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="850" pageHeight="1100" math="0" shadow="0">
       <root>
@@ -647,15 +682,56 @@ ${edgesXml}
   return xml;
 }
 
+/**
+ * Convert a Mermaid rect color (rgb(), rgba(), #hex or name) to a Draw.io fill color
+ */
+function parseRectColor(color) {
+  const rgbMatch = (color || '').match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (rgbMatch) {
+    return `#${rgbMatch.slice(1, 4).map((c) => Math.min(255, parseInt(c, 10)).toString(16).padStart(2, '0')).join('')}`;
+  }
+  return color && color.trim() ? color.trim() : '#e1d5e7';
+}
+
+/**
+ * Turn a participant name (which may contain spaces or quotes) into a safe cell id
+ */
+function sequenceCellId(participantId) {
+  return String(participantId).replace(/[^\w-]/g, '_');
+}
+
+/**
+ * Get Draw.io edge style for a sequence message arrow
+ */
+function getSequenceArrowStyle(msg) {
+  const heads = {
+    none: 'Arrow=none;',
+    cross: 'Arrow=cross;',
+    async: 'Arrow=openAsync;',
+    filled: msg.type === 'dashed' ? 'Arrow=open;' : 'Arrow=block;',
+  };
+  const arrowType = msg.arrowType || 'filled';
+  const head = heads[arrowType] || heads.filled;
+  const fill = arrowType === 'filled' && msg.type !== 'dashed' ? 1 : 0;
+  let style = `html=1;${msg.type === 'dashed' ? 'dashed=1;' : ''}end${head}${head.includes('none') ? '' : `endFill=${fill};`}`;
+  if (msg.isBidirectional) {
+    style += `start${head}startFill=${fill};`;
+  }
+  return style;
+}
+
 /**
  * Convert sequence diagram to Draw.io
  */
 function convertSequenceToDrawio(parsedDiagram, options = {}) {
   const { name = 'Sequence Diagram' } = options;
-  const diagramId = generateId();
+  const diagramId = diagramIdFor(parsedDiagram, name, options);
   
   const participants = parsedDiagram.participants || parsedDiagram.nodes;
   const messages = parsedDiagram.messages || [];
+  const notes = parsedDiagram.notes || [];
+  const fragments = parsedDiagram.fragments || [];
+  const timeline = parsedDiagram.timeline || messages.map((msg, index) => ({ type: 'message', index }));
   
   const participantWidth = 120;
   const participantHeight = 40;
@@ -663,7 +739,7 @@ function convertSequenceToDrawio(parsedDiagram, options = {}) {
   const verticalGap = 60;
   const startX = 100;
   const startY = 40;
-  const lifelineHeight = (messages.length + 2) * verticalGap;
+  const selfMessageHeight = 25;
   
   // Position participants
   const positions = new Map();
@@ -676,6 +752,95 @@ function convertSequenceToDrawio(parsedDiagram, options = {}) {
     });
   });
   
+  // Walk the timeline to assign message rows, note rows, activation bars and fragment bounds
+  const messageY = new Map();
+  const messageDepth = new Map(); // Activation depth of each endpoint when the message is sent
+  const noteY = new Map();
+  const fragmentBounds = new Map();
+  const activationBars = [];
+  const openActivations = new Map(participants.map((p) => [p.id, []]));
+  const noteHeight = (note) => Math.max(40, note.text.split('\n').length * 20);
+  let cursorY = startY + participantHeight;
+  timeline.forEach((event) => {
+    if (event.type === 'message') {
+      cursorY += verticalGap;
+      messageY.set(event.index, cursorY);
+      const msg = messages[event.index];
+      messageDepth.set(event.index, {
+        from: openActivations.get(msg.from)?.length || 0,
+        to: openActivations.get(msg.to)?.length || 0,
+      });
+      if (msg.from === msg.to) cursorY += selfMessageHeight;
+    } else if (event.type === 'note') {
+      cursorY += 20;
+      noteY.set(event.index, cursorY);
+      cursorY += noteHeight(notes[event.index]);
+    } else if (event.type === 'activate' && openActivations.has(event.participant)) {
+      const stack = openActivations.get(event.participant);
+      const bar = { participant: event.participant, depth: stack.length, top: cursorY, bottom: null };
+      stack.push(bar);
+      activationBars.push(bar);
+    } else if (event.type === 'deactivate' && openActivations.has(event.participant)) {
+      const bar = openActivations.get(event.participant).pop();
+      if (bar) bar.bottom = Math.max(cursorY, bar.top + 20);
+    } else if (event.type === 'fragmentStart') {
+      cursorY += 20;
+      fragmentBounds.set(event.fragment, { top: cursorY, bottom: cursorY, dividers: [] });
+    } else if (event.type === 'fragmentSection') {
+      cursorY += 20;
+      fragmentBounds.get(event.fragment).dividers.push(cursorY);
+    } else if (event.type === 'fragmentEnd') {
+      cursorY += 25;
+      fragmentBounds.get(event.fragment).bottom = cursorY;
+    }
+  });
+  const lifelineHeight = cursorY + verticalGap - (startY + participantHeight);
+  activationBars.filter((bar) => bar.bottom === null).forEach((bar) => {
+    bar.bottom = Math.max(cursorY + verticalGap / 2, bar.top + 20);
+  });
+  
+  // Fragments span the participants of their own and nested messages
+  const participantIndex = new Map(participants.map((p, index) => [p.id, index]));
+  const childFragments = (id) => fragments.filter((f) => f.parent === id);
+  const fragmentSpan = (fragment) => {
+    const indexes = [];
+    fragment.sections.forEach((section) => section.messages.forEach((m) => {
+      [messages[m].from, messages[m].to].forEach((pid) => {
+        if (participantIndex.has(pid)) indexes.push(participantIndex.get(pid));
+      });
+    }));
+    notes.filter((note) => note.fragment === fragment.id).forEach((note) => {
+      note.participants.forEach((pid) => {
+        if (participantIndex.has(pid)) indexes.push(participantIndex.get(pid));
+      });
+    });
+    let innerDepth = 0;
+    childFragments(fragment.id).forEach((child) => {
+      const childSpan = fragmentSpan(child);
+      indexes.push(childSpan.min, childSpan.max);
+      innerDepth = Math.max(innerDepth, childSpan.innerDepth + 1);
+    });
+    if (indexes.length === 0) indexes.push(0, Math.max(participants.length - 1, 0));
+    return { min: Math.min(...indexes), max: Math.max(...indexes), innerDepth };
+  };
+  
+  const fragmentCells = fragments.map((fragment) => {
+    const bounds = fragmentBounds.get(fragment.id);
+    if (!bounds) return null;
+    const span = fragmentSpan(fragment);
+    const inset = participantWidth / 2 + 10 + span.innerDepth * 10;
+    const left = startX + span.min * horizontalGap + participantWidth / 2 - inset;
+    const right = startX + span.max * horizontalGap + participantWidth / 2 + inset;
+    return { fragment, bounds, left, width: right - left, height: bounds.bottom - bounds.top };
+  }).filter(Boolean);
+  
+  // Rect highlights are drawn first so they sit behind everything else
+  const rectsXml = fragmentCells.filter((c) => c.fragment.type === 'rect').map(({ fragment, left, bounds, width, height }) => {
+    return `        <mxCell id="${fragment.id}_rect" value="" style="rounded=0;whiteSpace=wrap;html=1;fillColor=${parseRectColor(fragment.color)};strokeColor=none;opacity=40;" vertex="1" parent="1">
+          <mxGeometry x="${left}" y="${bounds.top}" width="${width}" height="${height}" as="geometry"/>
+        </mxCell>`;
+  }).join('\n');
+  
   // Build participants XML
   const participantsXml = participants.map((p) => {
     const pos = positions.get(p.id);
@@ -683,7 +848,7 @@ function convertSequenceToDrawio(parsedDiagram, options = {}) {
       ? 'shape=umlActor;verticalLabelPosition=bottom;verticalAlign=top;html=1;'
       : 'rounded=0;whiteSpace=wrap;html=1;fillColor=#dae8fc;strokeColor=#6c8ebf;';
     
-    return `        <mxCell id="${p.id}" value="${escapeXml(p.label)}" style="${style}" vertex="1" parent="1">
+    return `        <mxCell id="${sequenceCellId(p.id)}" value="${escapeXml(p.label)}" style="${style}" vertex="1" parent="1">
           <mxGeometry x="${pos.x}" y="${pos.y}" width="${pos.width}" height="${pos.height}" as="geometry"/>
         </mxCell>`;
   }).join('\n');
@@ -694,7 +859,7 @@ function convertSequenceToDrawio(parsedDiagram, options = {}) {
     const lifelineX = pos.x + pos.width / 2;
     const lifelineY = pos.y + pos.height;
     
-    return `        <mxCell id="${p.id}_lifeline" value="" style="endArrow=none;dashed=1;html=1;strokeWidth=1;strokeColor=#999999;" edge="1" parent="1">
+    return `        <mxCell id="${sequenceCellId(p.id)}_lifeline" value="" style="endArrow=none;dashed=1;html=1;strokeWidth=1;strokeColor=#999999;" edge="1" parent="1">
           <mxGeometry relative="1" as="geometry">
             <mxPoint x="${lifelineX}" y="${lifelineY}" as="sourcePoint"/>
             <mxPoint x="${lifelineX}" y="${lifelineY + lifelineHeight}" as="targetPoint"/>
@@ -702,34 +867,130 @@ function convertSequenceToDrawio(parsedDiagram, options = {}) {
         </mxCell>`;
   }).join('\n');
   
+  // Build activation bars on top of the lifelines, nested bars shifted right
+  const activationWidth = 10;
+  const activationsXml = activationBars.map((bar, index) => {
+    const pos = positions.get(bar.participant);
+    const x = pos.x + pos.width / 2 - activationWidth / 2 + bar.depth * (activationWidth / 2);
+    
+    return `        <mxCell id="${sequenceCellId(bar.participant)}_act${index + 1}" value="" style="rounded=0;whiteSpace=wrap;html=1;fillColor=#f5f5f5;strokeColor=#666666;" vertex="1" parent="1">
+          <mxGeometry x="${x}" y="${bar.top}" width="${activationWidth}" height="${bar.bottom - bar.top}" as="geometry"/>
+        </mxCell>`;
+  }).join('\n');
+  
+  // Build note callouts beside or over their participants
+  const notesXml = notes.map((note, index) => {
+    const targets = note.participants.map((id) => positions.get(id)).filter(Boolean);
+    const y = noteY.get(index);
+    if (targets.length === 0 || y === undefined) return '';
+    
+    const centers = targets.map((pos) => pos.x + pos.width / 2);
+    const noteWidth = 120;
+    let x;
+    let width = noteWidth;
+    if (note.position === 'left') {
+      x = centers[0] - noteWidth - 15;
+    } else if (note.position === 'right') {
+      x = centers[0] + 15;
+    } else {
+      x = Math.min(...centers) - noteWidth / 2;
+      width = Math.max(...centers) - Math.min(...centers) + noteWidth;
+    }
+    
+    return `        <mxCell id="${note.id}" value="${escapeXml(note.text).replace(/\n/g, '&#xa;')}" style="shape=note;whiteSpace=wrap;html=1;size=14;fillColor=#fff2cc;strokeColor=#d6b656;" vertex="1" parent="1">
+          <mxGeometry x="${x}" y="${y}" width="${width}" height="${noteHeight(note)}" as="geometry"/>
+        </mxCell>`;
+  }).filter(Boolean).join('\n');
+  
+  // Build UML combined-fragment frames with guard conditions and section dividers
+  const guardStyle = 'text;html=1;align=left;verticalAlign=middle;fontStyle=2;strokeColor=none;fillColor=none;';
+  const framesXml = fragmentCells.filter((c) => c.fragment.type !== 'rect').map(({ fragment, bounds, left, width, height }) => {
+    const guard = (label) => (label ? escapeXml(`[${label}]`) : '');
+    let frameXml = `        <mxCell id="${fragment.id}_frame" value="${fragment.type}" style="shape=umlFrame;whiteSpace=wrap;html=1;pointerEvents=0;width=60;height=20;fillColor=none;strokeColor=#666666;" vertex="1" parent="1">
+          <mxGeometry x="${left}" y="${bounds.top}" width="${width}" height="${height}" as="geometry"/>
+        </mxCell>`;
+    if (fragment.sections[0].label) {
+      frameXml += `
+        <mxCell id="${fragment.id}_guard0" value="${guard(fragment.sections[0].label)}" style="${guardStyle}" vertex="1" parent="1">
+          <mxGeometry x="${left + 65}" y="${bounds.top}" width="${Math.max(width - 70, 60)}" height="20" as="geometry"/>
+        </mxCell>`;
+    }
+    bounds.dividers.forEach((dividerY, index) => {
+      frameXml += `
+        <mxCell id="${fragment.id}_divider${index + 1}" value="" style="endArrow=none;dashed=1;html=1;strokeColor=#666666;" edge="1" parent="1">
+          <mxGeometry relative="1" as="geometry">
+            <mxPoint x="${left}" y="${dividerY}" as="sourcePoint"/>
+            <mxPoint x="${left + width}" y="${dividerY}" as="targetPoint"/>
+          </mxGeometry>
+        </mxCell>`;
+      const label = fragment.sections[index + 1]?.label;
+      if (label) {
+        frameXml += `
+        <mxCell id="${fragment.id}_guard${index + 1}" value="${guard(label)}" style="${guardStyle}" vertex="1" parent="1">
+          <mxGeometry x="${left + 5}" y="${dividerY}" width="${Math.max(width - 10, 60)}" height="20" as="geometry"/>
+        </mxCell>`;
+      }
+    });
+    return frameXml;
+  }).join('\n');
+  
   // Build messages XML
   const messagesXml = messages.map((msg, index) => {
     const fromPos = positions.get(msg.from);
     const toPos = positions.get(msg.to);
     if (!fromPos || !toPos) return '';
     
-    const y = startY + participantHeight + (index + 1) * verticalGap;
-    const style = msg.type === 'dashed'
-      ? 'html=1;dashed=1;endArrow=open;'
-      : 'html=1;endArrow=block;endFill=1;';
+    const y = messageY.get(index) ?? startY + participantHeight + (index + 1) * verticalGap;
+    const style = getSequenceArrowStyle(msg);
     
-    return `        <mxCell id="msg${index}" value="${escapeXml(msg.message)}" style="${style}" edge="1" parent="1">
+    // Attach to the edge of an active bar instead of the lifeline center
+    const depth = messageDepth.get(index) || { from: 0, to: 0 };
+    const fromCenter = fromPos.x + fromPos.width / 2;
+    const toCenter = toPos.x + toPos.width / 2;
+    const direction = msg.from === msg.to || toCenter >= fromCenter ? 1 : -1;
+    const barOffset = (d, side) => (d > 0 ? side * activationWidth / 2 + (d - 1) * (activationWidth / 2) : 0);
+    const sourceX = fromCenter + barOffset(depth.from, direction);
+    const targetX = toCenter + barOffset(depth.to, msg.from === msg.to ? 1 : -direction);
+    
+    // Self-calls loop out to the right and come back one step lower
+    const geometryXml = msg.from === msg.to
+      ? `            <mxPoint x="${sourceX}" y="${y}" as="sourcePoint"/>
+            <mxPoint x="${targetX}" y="${y + selfMessageHeight}" as="targetPoint"/>
+            <Array as="points">
+              <mxPoint x="${Math.max(sourceX, targetX) + 40}" y="${y}"/>
+              <mxPoint x="${Math.max(sourceX, targetX) + 40}" y="${y + selfMessageHeight}"/>
+            </Array>`
+      : `            <mxPoint x="${sourceX}" y="${y}" as="sourcePoint"/>
+            <mxPoint x="${targetX}" y="${y}" as="targetPoint"/>`;
+    const labelStyle = msg.from === msg.to ? 'align=left;spacingLeft=4;labelPosition=right;' : '';
+    
+    let messageXml = `        <mxCell id="msg${index}" value="${escapeXml(msg.message)}" style="${style}${labelStyle}" edge="1" parent="1">
           <mxGeometry relative="1" as="geometry">
-            <mxPoint x="${fromPos.x + fromPos.width / 2}" y="${y}" as="sourcePoint"/>
-            <mxPoint x="${toPos.x + toPos.width / 2}" y="${y}" as="targetPoint"/>
+${geometryXml}
           </mxGeometry>
         </mxCell>`;
+    if (msg.number !== null && msg.number !== undefined) {
+      messageXml += `
+        <mxCell id="msg${index}_number" value="${msg.number}" style="ellipse;whiteSpace=wrap;html=1;aspect=fixed;fillColor=#333333;fontColor=#ffffff;strokeColor=none;fontSize=10;" vertex="1" parent="1">
+          <mxGeometry x="${sourceX - 10}" y="${y - 10}" width="20" height="20" as="geometry"/>
+        </mxCell>`;
+    }
+    return messageXml;
   }).filter(Boolean).join('\n');
   
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<mxfile host="app.diagrams.net" modified="${new Date().toISOString()}" agent="BMAD-CLI" version="21.0.0">
+<mxfile host="app.diagrams.net"${modifiedAttribute(options)} agent="BMAD-CLI" version="21.0.0">
   <diagram name="${escapeXml(name)}" id="${diagramId}">
     <mxGraphModel dx="1000" dy="600" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="850" pageHeight="1100" math="0" shadow="0">
       <root>
         <mxCell id="0"/>
         <mxCell id="1" parent="0"/>
+${rectsXml}
 ${participantsXml}
 ${lifelinesXml}
+${activationsXml}
+${framesXml}
+${notesXml}
 ${messagesXml}
       </root>
     </mxGraphModel>
@@ -744,7 +1005,7 @@ ${messagesXml}
  */
 function convertERToDrawio(parsedDiagram, options = {}) {
   const { name = 'ER Diagram' } = options;
-  const diagramId = generateId();
+  const diagramId = diagramIdFor(parsedDiagram, name, options);
   
   const entities = parsedDiagram.entities || parsedDiagram.nodes;
   const relationships = parsedDiagram.relationships || parsedDiagram.edges;
@@ -756,19 +1017,34 @@ function convertERToDrawio(parsedDiagram, options = {}) {
   const startX = 100;
   const startY = 40;
   
-  // Position entities in a grid
-  const positions = new Map();
-  const cols = Math.ceil(Math.sqrt(entities.length));
-  entities.forEach((entity, index) => {
-    const row = Math.floor(index / cols);
-    const col = index % cols;
-    positions.set(entity.id, {
-      x: startX + col * horizontalGap,
-      y: startY + row * verticalGap,
-      width: entityWidth,
-      height: entityHeight + (entity.attributes?.length || 0) * 20,
+  const getEntityHeight = (entity) => entityHeight + (entity.attributes?.length || 0) * 20;
+  
+  // Position entities in a grid (the default), or with a layout engine algorithm
+  const { layout = 'grid' } = options;
+  let positions = new Map();
+  if (layout === 'grid') {
+    const cols = Math.ceil(Math.sqrt(entities.length));
+    entities.forEach((entity, index) => {
+      const row = Math.floor(index / cols);
+      const col = index % cols;
+      positions.set(entity.id, {
+        x: startX + col * horizontalGap,
+        y: startY + row * verticalGap,
+        width: entityWidth,
+        height: getEntityHeight(entity),
+      });
     });
-  });
+  } else {
+    const entityMap = new Map(entities.map((e) => [e.id, e]));
+    positions = computeLayout(layout, entities, relationships, {
+      direction: 'LR',
+      sizes: (id) => ({ width: entityWidth, height: getEntityHeight(entityMap.get(id)) }),
+      nodeGap: verticalGap - entityHeight,
+      layerGap: horizontalGap - entityWidth,
+      startX,
+      startY,
+    });
+  }
   
   // Build entities XML with attributes
   const entitiesXml = entities.map((entity) => {
@@ -794,7 +1070,7 @@ function convertERToDrawio(parsedDiagram, options = {}) {
     const targetPos = positions.get(rel.target);
     if (!sourcePos || !targetPos) return '';
     
-    const style = 'edgeStyle=entityRelationEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;startArrow=ERone;startFill=0;endArrow=ERmany;endFill=0;';
+    const style = `edgeStyle=entityRelationEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;${getCardinalityStyle(rel.cardinality1, true)}${getCardinalityStyle(rel.cardinality2, false)}`;
     
     return `        <mxCell id="${rel.id}" value="${escapeXml(rel.label || '')}" style="${style}" edge="1" parent="1" source="${rel.source}" target="${rel.target}">
           <mxGeometry relative="1" as="geometry"/>
@@ -802,7 +1078,7 @@ function convertERToDrawio(parsedDiagram, options = {}) {
   }).filter(Boolean).join('\n');
   
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<mxfile host="app.diagrams.net" modified="${new Date().toISOString()}" agent="BMAD-CLI" version="21.0.0">
+<mxfile host="app.diagrams.net"${modifiedAttribute(options)} agent="BMAD-CLI" version="21.0.0">
   <diagram name="${escapeXml(name)}" id="${diagramId}">
     <mxGraphModel dx="1000" dy="600" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="850" pageHeight="1100" math="0" shadow="0">
       <root>
@@ -818,12 +1094,396 @@ ${relationshipsXml}
   return xml;
 }
 
+/**
+ * Format a class member as a UML text row (e.g. "+ deposit(amount): bool")
+ */
+function formatClassMember(member) {
+  const visibility = member.visibility ? `${member.visibility} ` : '';
+  if (member.kind === 'method') {
+    const returnType = member.type ? `: ${member.type}` : '';
+    return `${visibility}${member.name}(${member.params})${returnType}`;
+  }
+  const type = member.type ? `: ${member.type}` : '';
+  return `${visibility}${member.name}${type}`;
+}
+
+/**
+ * Get the Draw.io arrow style for one end of a class relationship
+ */
+function getClassArrowStyle(marker, isStart) {
+  const prefix = isStart ? 'start' : 'end';
+  const config = CLASS_RELATION_MARKERS[marker];
+  if (!config) return `${prefix}Arrow=none;`;
+  return `${prefix}Arrow=${config.arrow};${prefix}Fill=${config.fill};${prefix}Size=12;`;
+}
+
+/**
+ * Convert class diagram to Draw.io (UML class swimlanes)
+ */
+function convertClassToDrawio(parsedDiagram, options = {}) {
+  const { name = 'Class Diagram' } = options;
+  const diagramId = diagramIdFor(parsedDiagram, name, options);
+  const direction = parsedDiagram.direction || 'TB';
+
+  const classes = parsedDiagram.classes || parsedDiagram.nodes;
+  const relationships = parsedDiagram.relationships || parsedDiagram.edges;
+
+  const rowHeight = 26;
+  const separatorHeight = 8;
+  const charWidth = 7;
+
+  // Size each class box from its header and member rows
+  const sizes = new Map();
+  classes.forEach((cls) => {
+    const headerSize = cls.annotation ? 40 : 26;
+    const rows = [...cls.attributes, ...cls.methods].map(formatClassMember);
+    const longest = Math.max(cls.label.length, ...rows.map((r) => r.length));
+    const memberRows = Math.max(cls.attributes.length, 1) + cls.methods.length;
+    sizes.set(cls.id, {
+      headerSize,
+      width: Math.max(160, Math.ceil((longest * charWidth + 20) / 10) * 10),
+      height: headerSize + memberRows * rowHeight + separatorHeight,
+    });
+  });
+
+  const positions = calculateSizedPositions(classes, direction, relationships, sizes, options.layout);
+
+  // Build class swimlanes with attribute rows, a separator line and method rows
+  const classesXml = classes.map((cls) => {
+    const pos = positions.get(cls.id);
+    const { headerSize } = sizes.get(cls.id);
+    const header = cls.annotation ? `«${cls.annotation}»\n${cls.label}` : cls.label;
+    const headerValue = escapeXml(header).replace(/\n/g, '&#xa;');
+    const fontStyle = cls.annotation === 'abstract' ? 3 : 1;
+    const style = `swimlane;fontStyle=${fontStyle};align=center;verticalAlign=top;childLayout=stackLayout;horizontal=1;startSize=${headerSize};horizontalStack=0;resizeParent=1;resizeParentMax=0;resizeLast=0;collapsible=1;marginBottom=0;whiteSpace=wrap;fillColor=#dae8fc;strokeColor=#6c8ebf;`;
+    const rowStyle = 'text;strokeColor=none;fillColor=none;align=left;verticalAlign=top;spacingLeft=4;spacingRight=4;overflow=hidden;rotatable=0;points=[[0,0.5],[1,0.5]];portConstraint=eastwest;';
+    const separatorStyle = 'line;strokeWidth=1;fillColor=none;align=left;verticalAlign=middle;spacingTop=-1;spacingLeft=3;spacingRight=3;rotatable=0;labelPosition=right;points=[];portConstraint=eastwest;strokeColor=inherit;';
+
+    const memberRow = (member, id, y) => {
+      // Static members are underlined, abstract members are italic
+      const memberFont = member.isStatic ? 'fontStyle=4;' : member.isAbstract ? 'fontStyle=2;' : '';
+      return `
+        <mxCell id="${id}" value="${escapeXml(formatClassMember(member))}" style="${rowStyle}${memberFont}" vertex="1" parent="${cls.id}">
+          <mxGeometry y="${y}" width="${pos.width}" height="${rowHeight}" as="geometry"/>
+        </mxCell>`;
+    };
+
+    let y = headerSize;
+    let classXml = `        <mxCell id="${cls.id}" value="${headerValue}" style="${style}" vertex="1" parent="1">
+          <mxGeometry x="${pos.x}" y="${pos.y}" width="${pos.width}" height="${pos.height}" as="geometry"/>
+        </mxCell>`;
+
+    if (cls.attributes.length > 0) {
+      cls.attributes.forEach((attr, i) => {
+        classXml += memberRow(attr, `${cls.id}_attr${i}`, y);
+        y += rowHeight;
+      });
+    } else {
+      // Keep an empty attribute compartment so the box reads as a UML class
+      classXml += `
+        <mxCell id="${cls.id}_attr_empty" value="" style="${rowStyle}" vertex="1" parent="${cls.id}">
+          <mxGeometry y="${y}" width="${pos.width}" height="${rowHeight}" as="geometry"/>
+        </mxCell>`;
+      y += rowHeight;
+    }
+
+    classXml += `
+        <mxCell id="${cls.id}_sep" value="" style="${separatorStyle}" vertex="1" parent="${cls.id}">
+          <mxGeometry y="${y}" width="${pos.width}" height="${separatorHeight}" as="geometry"/>
+        </mxCell>`;
+    y += separatorHeight;
+
+    cls.methods.forEach((method, i) => {
+      classXml += memberRow(method, `${cls.id}_method${i}`, y);
+      y += rowHeight;
+    });
+
+    return classXml;
+  }).join('\n');
+
+  // Build relationships with UML arrowheads and cardinality labels
+  const relationshipsXml = relationships.map((rel) => {
+    if (!positions.has(rel.source) || !positions.has(rel.target)) return '';
+
+    const dashed = rel.lineType === 'dashed' ? 'dashed=1;' : '';
+    const style = `edgeStyle=orthogonalEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;${dashed}${getClassArrowStyle(rel.startMarker, true)}${getClassArrowStyle(rel.endMarker, false)}`;
+
+    let relXml = `        <mxCell id="${rel.id}" value="${escapeXml(rel.label)}" style="${style}" edge="1" parent="1" source="${rel.source}" target="${rel.target}">
+          <mxGeometry relative="1" as="geometry"/>
+        </mxCell>`;
+
+    // Cardinalities are edge-attached labels at either end (x=-1 source, x=1 target)
+    [
+      { value: rel.sourceCardinality, x: -1, align: 'left', suffix: 'src' },
+      { value: rel.targetCardinality, x: 1, align: 'right', suffix: 'tgt' },
+    ].forEach(({ value, x, align, suffix }) => {
+      if (!value) return;
+      relXml += `
+        <mxCell id="${rel.id}_${suffix}" value="${escapeXml(value)}" style="edgeLabel;resizable=0;html=1;align=${align};verticalAlign=bottom;" vertex="1" connectable="0" parent="${rel.id}">
+          <mxGeometry x="${x}" relative="1" as="geometry"/>
+        </mxCell>`;
+    });
+
+    return relXml;
+  }).filter(Boolean).join('\n');
+
+  let maxX = 850, maxY = 1100;
+  positions.forEach((pos) => {
+    maxX = Math.max(maxX, pos.x + pos.width + 100);
+    maxY = Math.max(maxY, pos.y + pos.height + 100);
+  });
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<mxfile host="app.diagrams.net"${modifiedAttribute(options)} agent="BMAD-CLI" version="21.0.0">
+  <diagram name="${escapeXml(name)}" id="${diagramId}">
+    <mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="${maxX}" pageHeight="${maxY}" math="0" shadow="0">
+      <root>
+        <mxCell id="0"/>
+        <mxCell id="1" parent="0"/>
+${classesXml}
+${relationshipsXml}
+      </root>
+    </mxGraphModel>
+  </diagram>
+</mxfile>`;
+
+  return xml;
+}
+
+/**
+ * UML state shapes for each state type
+ */
+const STATE_STYLES = {
+  start: 'ellipse;html=1;shape=startState;fillColor=#000000;strokeColor=#000000;',
+  end: 'ellipse;html=1;shape=endState;fillColor=#000000;strokeColor=#000000;',
+  state: 'rounded=1;arcSize=40;whiteSpace=wrap;html=1;fillColor=#dae8fc;strokeColor=#6c8ebf;',
+  composite: 'swimlane;rounded=1;arcSize=10;startSize=30;fontStyle=1;html=1;fillColor=#f5f5f5;strokeColor=#666666;',
+  fork: 'shape=line;html=1;strokeWidth=6;strokeColor=#000000;',
+  join: 'shape=line;html=1;strokeWidth=6;strokeColor=#000000;',
+  choice: 'rhombus;whiteSpace=wrap;html=1;fillColor=#ffe6cc;strokeColor=#d79b00;',
+};
+
+/**
+ * Calculate nested state positions
+ * Composite states are laid out bottom-up so each container wraps its children;
+ * positions of child states are relative to their composite parent.
+ */
+function calculateStatePositions(states, transitions, direction, layout) {
+  const stateMap = new Map(states.map((s) => [s.id, s]));
+  const positions = new Map();
+  const separators = new Map(); // composite id -> [x offsets of region separators]
+  const padding = 20;
+  const headerSize = 30;
+
+  // Map a state to its ancestor that lives directly in the given scope
+  const liftToScope = (id, scopeIds) => {
+    let current = stateMap.get(id);
+    while (current && !scopeIds.has(current.id)) {
+      current = stateMap.get(current.parent);
+    }
+    return current ? current.id : null;
+  };
+
+  const getLeafSize = (state, dir) => {
+    const isHorizontal = dir === 'LR' || dir === 'RL';
+    switch (state.type) {
+      case 'start':
+      case 'end':
+        return { width: 30, height: 30 };
+      case 'fork':
+      case 'join':
+        return isHorizontal ? { width: 10, height: 80 } : { width: 80, height: 10 };
+      case 'choice':
+        return { width: 40, height: 40 };
+      default:
+        return { width: 140, height: state.description ? 60 : 50 };
+    }
+  };
+
+  // Lay out one scope (list of sibling state ids), returning its bounding size
+  function layoutScope(ids, dir) {
+    const scopeIds = new Set(ids);
+    const sizes = new Map();
+
+    ids.forEach((id) => {
+      const state = stateMap.get(id);
+      if (state.type === 'composite' && state.regions && state.regions.length > 0) {
+        // Regions sit side by side, separated by dashed lines
+        const childDir = state.direction || dir;
+        let offsetX = padding;
+        let innerHeight = 0;
+        const regionOffsets = [];
+        state.regions.forEach((region, index) => {
+          if (index > 0) regionOffsets.push(offsetX - padding / 2);
+          const regionSize = layoutScope(region, childDir);
+          region.forEach((childId) => {
+            const pos = positions.get(childId);
+            pos.x += offsetX;
+            pos.y += headerSize + padding;
+          });
+          offsetX += regionSize.width + padding;
+          innerHeight = Math.max(innerHeight, regionSize.height);
+        });
+        separators.set(id, regionOffsets);
+        sizes.set(id, {
+          width: Math.max(160, offsetX),
+          height: headerSize + innerHeight + padding * 2,
+        });
+      } else {
+        sizes.set(id, getLeafSize(state, dir));
+      }
+    });
+
+    const scopedEdges = [];
+    transitions.forEach((t) => {
+      const source = liftToScope(t.source, scopeIds);
+      const target = liftToScope(t.target, scopeIds);
+      if (source && target && source !== target) {
+        scopedEdges.push({ source, target });
+      }
+    });
+
+    const scopePositions = calculateSizedPositions(ids.map((id) => stateMap.get(id)), dir, scopedEdges, sizes, layout);
+
+    // Normalize so the scope starts at (0, 0)
+    let minX = Infinity, minY = Infinity, maxX = 0, maxY = 0;
+    scopePositions.forEach((pos) => {
+      minX = Math.min(minX, pos.x);
+      minY = Math.min(minY, pos.y);
+    });
+    scopePositions.forEach((pos, id) => {
+      pos.x -= minX;
+      pos.y -= minY;
+      maxX = Math.max(maxX, pos.x + pos.width);
+      maxY = Math.max(maxY, pos.y + pos.height);
+      positions.set(id, pos);
+    });
+
+    return { width: maxX, height: maxY };
+  }
+
+  const rootIds = states.filter((s) => !s.parent).map((s) => s.id);
+  layoutScope(rootIds, direction);
+
+  // Offset the root scope onto the page
+  rootIds.forEach((id) => {
+    const pos = positions.get(id);
+    pos.x += 100;
+    pos.y += 40;
+  });
+
+  return { positions, separators };
+}
+
+/**
+ * Convert state diagram to Draw.io (UML state shapes)
+ */
+function convertStateToDrawio(parsedDiagram, options = {}) {
+  const { name = 'State Diagram' } = options;
+  const diagramId = diagramIdFor(parsedDiagram, name, options);
+  const direction = parsedDiagram.direction || 'TB';
+
+  const states = parsedDiagram.states || parsedDiagram.nodes;
+  const transitions = parsedDiagram.transitions || parsedDiagram.edges;
+  const notes = parsedDiagram.notes || [];
+  const stateMap = new Map(states.map((s) => [s.id, s]));
+
+  const { positions, separators } = calculateStatePositions(states, transitions, direction, options.layout);
+
+  // Parents must precede children in the XML, so emit states depth-first
+  const orderedStates = [];
+  const visit = (parentId) => {
+    states.filter((s) => (s.parent || null) === parentId).forEach((s) => {
+      orderedStates.push(s);
+      visit(s.id);
+    });
+  };
+  visit(null);
+
+  const statesXml = orderedStates.map((state) => {
+    const pos = positions.get(state.id);
+    const parent = state.parent || '1';
+    const style = STATE_STYLES[state.type] || STATE_STYLES.state;
+    const text = state.description ? `${state.label}\n${state.description}` : state.label;
+    const value = state.type === 'start' || state.type === 'end' ? '' : escapeXml(text).replace(/\n/g, '&#xa;');
+
+    let stateXml = `        <mxCell id="${state.id}" value="${value}" style="${style}" vertex="1" parent="${parent}">
+          <mxGeometry x="${pos.x}" y="${pos.y}" width="${pos.width}" height="${pos.height}" as="geometry"/>
+        </mxCell>`;
+
+    // Dashed separators between concurrent regions
+    (separators.get(state.id) || []).forEach((x, index) => {
+      stateXml += `
+        <mxCell id="${state.id}_region${index + 1}" value="" style="shape=line;direction=south;dashed=1;html=1;strokeColor=#666666;" vertex="1" parent="${state.id}">
+          <mxGeometry x="${x - 5}" y="30" width="10" height="${pos.height - 30}" as="geometry"/>
+        </mxCell>`;
+    });
+
+    return stateXml;
+  }).join('\n');
+
+  // Transitions live in the innermost container shared by both ends
+  const transitionsXml = transitions.map((t) => {
+    const source = stateMap.get(t.source);
+    const target = stateMap.get(t.target);
+    if (!source || !target) return '';
+    const parent = source.parent && source.parent === target.parent ? source.parent : '1';
+    const style = 'edgeStyle=orthogonalEdgeStyle;rounded=1;orthogonalLoop=1;jettySize=auto;html=1;endArrow=open;endSize=8;';
+
+    return `        <mxCell id="${t.id}" value="${escapeXml(t.label)}" style="${style}" edge="1" parent="${parent}" source="${t.source}" target="${t.target}">
+          <mxGeometry relative="1" as="geometry"/>
+        </mxCell>`;
+  }).filter(Boolean).join('\n');
+
+  // Notes sit beside their state, linked by a dashed connector
+  const notesXml = notes.map((note) => {
+    const target = stateMap.get(note.target);
+    const pos = positions.get(note.target);
+    if (!target || !pos) return '';
+    const parent = target.parent || '1';
+    const noteWidth = 120;
+    const noteHeight = Math.max(40, note.text.split('\n').length * 20);
+    const x = note.position === 'left' ? pos.x - noteWidth - 40 : pos.x + pos.width + 40;
+
+    return `        <mxCell id="${note.id}" value="${escapeXml(note.text).replace(/\n/g, '&#xa;')}" style="shape=note;whiteSpace=wrap;html=1;size=14;fillColor=#fff2cc;strokeColor=#d6b656;" vertex="1" parent="${parent}">
+          <mxGeometry x="${x}" y="${pos.y}" width="${noteWidth}" height="${noteHeight}" as="geometry"/>
+        </mxCell>
+        <mxCell id="${note.id}_link" value="" style="endArrow=none;dashed=1;html=1;strokeColor=#d6b656;" edge="1" parent="${parent}" source="${note.id}" target="${note.target}">
+          <mxGeometry relative="1" as="geometry"/>
+        </mxCell>`;
+  }).filter(Boolean).join('\n');
+
+  let maxX = 850, maxY = 1100;
+  states.filter((s) => !s.parent).forEach((s) => {
+    const pos = positions.get(s.id);
+    maxX = Math.max(maxX, pos.x + pos.width + 200);
+    maxY = Math.max(maxY, pos.y + pos.height + 100);
+  });
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<mxfile host="app.diagrams.net"${modifiedAttribute(options)} agent="BMAD-CLI" version="21.0.0">
+  <diagram name="${escapeXml(name)}" id="${diagramId}">
+    <mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="${maxX}" pageHeight="${maxY}" math="0" shadow="0">
+      <root>
+        <mxCell id="0"/>
+        <mxCell id="1" parent="0"/>
+${statesXml}
+${transitionsXml}
+${notesXml}
+      </root>
+    </mxGraphModel>
+  </diagram>
+</mxfile>`;
+
+  return xml;
+}
+
 /**
  * Convert mindmap to Draw.io
  */
 function convertMindmapToDrawio(parsedDiagram, options = {}) {
   const { name = 'Mindmap' } = options;
-  const diagramId = generateId();
+  const diagramId = diagramIdFor(parsedDiagram, name, options);
 
   const nodes = parsedDiagram.nodes;
   const edges = parsedDiagram.edges;
@@ -894,11 +1554,24 @@ function convertMindmapToDrawio(parsedDiagram, options = {}) {
     });
   }
 
-  // Start positioning from root
-  if (rootNode) {
-    const totalHeight = getSubtreeHeight(rootNode.id);
-    const startY = 50;
-    positionNode(rootNode.id, 50, startY, startY + totalHeight);
+  // Start positioning from root (the default), or hand the tree to a layout engine algorithm
+  const { layout = 'tree' } = options;
+  if (layout === 'tree') {
+    if (rootNode) {
+      const totalHeight = getSubtreeHeight(rootNode.id);
+      const startY = 50;
+      positionNode(rootNode.id, 50, startY, startY + totalHeight);
+    }
+  } else {
+    computeLayout(layout, nodes, edges, {
+      direction: 'LR',
+      nodeWidth,
+      nodeHeight,
+      nodeGap: siblingGap,
+      layerGap: levelGap - nodeWidth,
+      startX: 50,
+      startY: 50,
+    }).forEach((pos, id) => positions.set(id, pos));
   }
 
   // Build nodes XML
@@ -929,7 +1602,7 @@ function convertMindmapToDrawio(parsedDiagram, options = {}) {
   });
 
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<mxfile host="app.diagrams.net" modified="${new Date().toISOString()}" agent="BMAD-CLI" version="21.0.0">
+<mxfile host="app.diagrams.net"${modifiedAttribute(options)} agent="BMAD-CLI" version="21.0.0">
   <diagram name="${escapeXml(name)}" id="${diagramId}">
     <mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="${Math.max(1100, maxX)}" pageHeight="${Math.max(850, maxY)}" math="0" shadow="0">
       <root>
@@ -945,28 +1618,110 @@ ${edgesXml}
   return xml;
 }
 
+/**
+ * Combine converted diagrams into one multi-page Draw.io file
+ * Takes [{ xml, name }] and keeps every <diagram> page, renamed to `name`
+ * Pages keep their stored form unless `options.compressed` asks for compression
+ */
+function mergeDrawioDocuments(pages, options = {}) {
+  const diagrams = pages.flatMap(({ xml, name }) => (xml.match(/<diagram\b[^>]*>[\s\S]*?<\/diagram>/g) || [])
+    .map((diagram) => (name
+      ? diagram.replace(/^<diagram\b([^>]*?)\sname="[^"]*"/, `<diagram$1 name="${escapeXml(name)}"`)
+      : diagram)));
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<mxfile host="app.diagrams.net"${modifiedAttribute(options)} agent="BMAD-CLI" version="21.0.0" pages="${diagrams.length}">
+  ${diagrams.join('\n  ')}
+</mxfile>`;
+
+  return options.compressed ? compressDrawio(xml) : xml;
+}
+
+/**
+ * Style key on a page's layer cell that lists the ids of the generated cells, so an
+ * update can tell cells added by hand from generated ones that left the source
+ */
+const GENERATED_IDS_KEY = 'mermaidIds';
+
+/**
+ * Record the ids of the generated cells on the layer cell of every inline page
+ */
+function recordGeneratedIds(xml) {
+  return xml.replace(/<root>[\s\S]*?<\/root>/g, (root) => {
+    const ids = parseGraphModel(root).filter((cell) => cell.vertex || cell.edge).map((cell) => encodeURIComponent(cell.id));
+    return root.replace('<mxCell id="1" parent="0"/>', `<mxCell id="1" style="${GENERATED_IDS_KEY}=${ids.join(',')};" parent="0"/>`);
+  });
+}
+
 /**
  * Main conversion function - detects diagram type and converts
+ * With `options.compressed` the page is stored compressed, as Draw.io saves it
  */
 function toDrawio(parsedDiagram, options = {}) {
+  let xml;
   switch (parsedDiagram.type) {
     case 'sequence':
-      return convertSequenceToDrawio(parsedDiagram, options);
+      xml = convertSequenceToDrawio(parsedDiagram, options);
+      break;
     case 'erDiagram':
-      return convertERToDrawio(parsedDiagram, options);
+      xml = convertERToDrawio(parsedDiagram, options);
+      break;
+    case 'class':
+      xml = convertClassToDrawio(parsedDiagram, options);
+      break;
+    case 'state':
+      xml = convertStateToDrawio(parsedDiagram, options);
+      break;
     case 'mindmap':
-      return convertMindmapToDrawio(parsedDiagram, options);
+      xml = convertMindmapToDrawio(parsedDiagram, options);
+      break;
     case 'flowchart':
     default:
-      return convertToDrawio(parsedDiagram, options);
+      xml = convertToDrawio(parsedDiagram, options);
   }
+
+  xml = recordGeneratedIds(xml);
+  return options.compressed ? compressDrawio(xml) : xml;
+}
+
+/**
+ * Convert several parsed diagrams into one multi-page Draw.io file
+ * Takes [{ parsed, name }]; ER diagrams use the dedicated ER converter
+ */
+function toDrawioPages(diagrams, options = {}) {
+  if (diagrams.length === 0) {
+    throw new Error('No diagrams to convert');
+  }
+
+  const pages = diagrams.map(({ parsed, name }, index) => {
+    const pageName = name || `Page-${index + 1}`;
+    const pageOptions = { ...options, name: pageName, compressed: false };
+    return {
+      name: pageName,
+      xml: isERDiagram(parsed) ? convertERToDrawioNew(parsed, pageOptions) : toDrawio(parsed, pageOptions),
+    };
+  });
+
+  return mergeDrawioDocuments(pages, options);
 }
 
 module.exports = {
   toDrawio,
+  DEFAULT_TERMINALS,
+  addTerminals,
   convertToDrawio,
   convertSequenceToDrawio,
   convertERToDrawio,
   convertMindmapToDrawio,
+  convertClassToDrawio,
+  convertStateToDrawio,
+  mergeDrawioDocuments,
+  toDrawioPages,
+  calculateFlowchartPositions,
+  GENERATED_IDS_KEY,
+  recordGeneratedIds,
+  generateId,
+  diagramIdFor,
+  modifiedAttribute,
   escapeXml,
 };
@@ -0,0 +1,205 @@
+/**
+ * Draw.io Geometry
+ * Resolves where the cells of a Draw.io page end up on the canvas: absolute
+ * vertex bounds, edge routes and label text, shared by the renderers
+ */
+
+const { decodeXml } = require('./drawio-reader');
+
+/**
+ * Turn a cell value into plain text lines
+ * HTML labels (html=1) have their markup stripped, keeping line breaks
+ */
+function labelLines(value, style) {
+  let text = decodeXml(value || '');
+  if (style.html === '1') {
+    text = decodeXml(text
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' '));
+  }
+  return text.replace(/\n+$/, '').split('\n').filter((line, i, lines) => line !== '' || lines.length === 1);
+}
+
+/**
+ * Estimated rendered width of a line of text
+ */
+function textWidth(text, fontSize, bold) {
+  return text.length * fontSize * (bold ? 0.62 : 0.56);
+}
+
+/**
+ * Point where the line from a shape's center towards `toward` leaves the shape
+ */
+function perimeterPoint(bounds, style, toward) {
+  const cx = bounds.x + bounds.width / 2;
+  const cy = bounds.y + bounds.height / 2;
+  const dx = toward.x - cx;
+  const dy = toward.y - cy;
+  if (dx === 0 && dy === 0) return { x: cx, y: cy };
+
+  const hw = bounds.width / 2;
+  const hh = bounds.height / 2;
+  let t;
+  if (style.ellipse || style.shape === 'startState' || style.shape === 'endState') {
+    t = 1 / Math.sqrt((dx / hw) ** 2 + (dy / hh) ** 2);
+  } else if (style.rhombus) {
+    t = 1 / (Math.abs(dx) / hw + Math.abs(dy) / hh);
+  } else {
+    t = Math.min(dx === 0 ? Infinity : hw / Math.abs(dx), dy === 0 ? Infinity : hh / Math.abs(dy));
+  }
+  return { x: cx + dx * t, y: cy + dy * t };
+}
+
+/**
+ * Fixed connection point from exitX/exitY (or entryX/entryY), if set
+ */
+function constraintPoint(bounds, style, prefix) {
+  const fx = parseFloat(style[`${prefix}X`]);
+  const fy = parseFloat(style[`${prefix}Y`]);
+  if (Number.isNaN(fx) || Number.isNaN(fy)) return null;
+  return {
+    x: bounds.x + fx * bounds.width + (parseFloat(style[`${prefix}Dx`]) || 0),
+    y: bounds.y + fy * bounds.height + (parseFloat(style[`${prefix}Dy`]) || 0),
+    // Leaving through the left/right side means a horizontal first segment
+    axis: fx === 0 || fx === 1 ? 'h' : 'v',
+  };
+}
+
+/**
+ * Insert elbows so consecutive points are joined by horizontal/vertical segments
+ */
+function orthogonalize(points, startAxis, endAxis) {
+  if (points.length === 2 && startAxis === endAxis) {
+    const [a, b] = points;
+    if (a.x === b.x || a.y === b.y) return points;
+    return startAxis === 'v'
+      ? [a, { x: a.x, y: (a.y + b.y) / 2 }, { x: b.x, y: (a.y + b.y) / 2 }, b]
+      : [a, { x: (a.x + b.x) / 2, y: a.y }, { x: (a.x + b.x) / 2, y: b.y }, b];
+  }
+
+  const result = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (a.x !== b.x && a.y !== b.y) {
+      const isFirst = i === 1;
+      const isLast = i === points.length - 1;
+      const verticalFirst = (isFirst && startAxis === 'v') || (isLast && !isFirst && endAxis === 'h');
+      result.push(verticalFirst ? { x: a.x, y: b.y } : { x: b.x, y: a.y });
+    }
+    result.push(b);
+  }
+  return result;
+}
+
+/**
+ * Point at a fraction (0..1) of a polyline's length
+ */
+function pointAlong(points, fraction) {
+  const lengths = points.slice(1).map((p, i) => Math.hypot(p.x - points[i].x, p.y - points[i].y));
+  let remaining = lengths.reduce((sum, length) => sum + length, 0) * Math.min(1, Math.max(0, fraction));
+  for (let i = 0; i < lengths.length; i++) {
+    if (remaining <= lengths[i] && lengths[i] > 0) {
+      const t = remaining / lengths[i];
+      return { x: points[i].x + (points[i + 1].x - points[i].x) * t, y: points[i].y + (points[i + 1].y - points[i].y) * t };
+    }
+    remaining -= lengths[i];
+  }
+  return points[points.length - 1];
+}
+
+/**
+ * Resolve absolute vertex bounds and edge routes of a page's cells
+ * Returns { cellMap, absoluteBounds(cell), routes } where routes maps
+ * edge ids to their absolute points, from source to target
+ */
+function resolveGeometry(cells) {
+  const cellMap = new Map(cells.map((cell) => [cell.id, cell]));
+
+  // Absolute bounds of vertices, resolving container offsets
+  const boundsCache = new Map();
+  const originOf = (id) => {
+    const cell = cellMap.get(id);
+    if (!cell || !cell.vertex || !cell.geometry || cell.geometry.relative) return { x: 0, y: 0 };
+    const bounds = absoluteBounds(cell);
+    return { x: bounds.x, y: bounds.y };
+  };
+  function absoluteBounds(cell) {
+    if (boundsCache.has(cell.id)) return boundsCache.get(cell.id);
+    const geometry = cell.geometry || { x: 0, y: 0, width: 0, height: 0 };
+    const origin = originOf(cell.parent);
+    const bounds = { x: origin.x + geometry.x, y: origin.y + geometry.y, width: geometry.width, height: geometry.height };
+    boundsCache.set(cell.id, bounds);
+    return bounds;
+  }
+
+  // Edge routes, needed both for drawing and for labels attached to edges
+  const routes = new Map();
+  cells.filter((cell) => cell.edge).forEach((cell) => {
+    const style = cell.styleMap;
+    const geometry = cell.geometry || { points: [] };
+    const origin = originOf(cell.parent);
+    const shift = (p) => ({ x: p.x + origin.x, y: p.y + origin.y });
+    const waypoints = (geometry.points || []).map(shift);
+    const source = cellMap.get(cell.source);
+    const target = cellMap.get(cell.target);
+    const sourceBounds = source && source.geometry ? absoluteBounds(source) : null;
+    const targetBounds = target && target.geometry ? absoluteBounds(target) : null;
+    const center = (b) => ({ x: b.x + b.width / 2, y: b.y + b.height / 2 });
+
+    const exit = sourceBounds ? constraintPoint(sourceBounds, style, 'exit') : null;
+    const entry = targetBounds ? constraintPoint(targetBounds, style, 'entry') : null;
+    const orthogonal = style.edgeStyle === 'orthogonalEdgeStyle' || style.edgeStyle === 'elbowEdgeStyle';
+
+    // Without fixed constraints, orthogonal edges leave along the dominant axis
+    let axis = null;
+    if (orthogonal && sourceBounds && targetBounds && !exit && !entry && waypoints.length === 0) {
+      const a = center(sourceBounds);
+      const b = center(targetBounds);
+      axis = Math.abs(b.y - a.y) >= Math.abs(b.x - a.x) ? 'v' : 'h';
+    }
+    const sidePoint = (bounds, toward) => {
+      const c = center(bounds);
+      if (axis === 'v') return { x: c.x, y: toward.y > c.y ? bounds.y + bounds.height : bounds.y };
+      return { x: toward.x > c.x ? bounds.x + bounds.width : bounds.x, y: c.y };
+    };
+
+    const targetRef = entry || (targetBounds ? center(targetBounds) : (geometry.targetPoint ? shift(geometry.targetPoint) : null));
+    const sourceRef = exit || (sourceBounds ? center(sourceBounds) : (geometry.sourcePoint ? shift(geometry.sourcePoint) : null));
+    if (!sourceRef || !targetRef) return;
+
+    let start = exit;
+    if (!start && sourceBounds) {
+      const toward = waypoints[0] || targetRef;
+      start = axis ? sidePoint(sourceBounds, toward) : perimeterPoint(sourceBounds, source.styleMap, toward);
+    }
+    if (!start) start = sourceRef;
+
+    let end = entry;
+    if (!end && targetBounds) {
+      const toward = waypoints[waypoints.length - 1] || start;
+      end = axis ? sidePoint(targetBounds, toward) : perimeterPoint(targetBounds, target.styleMap, toward);
+    }
+    if (!end) end = targetRef;
+
+    let points = [start, ...waypoints, end];
+    if (orthogonal) {
+      points = orthogonalize(points, exit ? exit.axis : (axis || 'v'), entry ? entry.axis : (axis || 'v'));
+    }
+    routes.set(cell.id, points.map(({ x, y }) => ({ x, y })));
+  });
+
+  return { cellMap, absoluteBounds, routes };
+}
+
+module.exports = {
+  labelLines,
+  textWidth,
+  perimeterPoint,
+  constraintPoint,
+  orthogonalize,
+  pointAlong,
+  resolveGeometry,
+};
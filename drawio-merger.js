@@ -0,0 +1,539 @@
+/**
+ * Draw.io Merger
+ * Merges a freshly generated diagram into an existing .drawio file so that
+ * positions, waypoints and styling edited in Draw.io survive regeneration
+ */
+
+const { parseGraphModel, detectDrawioDiagramType } = require('./drawio-reader');
+const { escapeXml, GENERATED_IDS_KEY } = require('./drawio-converter');
+const { isCompressedPage, compressDiagram, decompressDiagram } = require('./drawio-compression');
+
+/**
+ * Style keys that only affect appearance; changing them in Draw.io is kept
+ * Every other vertex style key describes the shape and follows the Mermaid source
+ */
+const COSMETIC_STYLE_KEYS = new Set([
+  'fillColor', 'strokeColor', 'fontColor', 'strokeWidth', 'dashed', 'dashPattern',
+  'fontSize', 'fontFamily', 'fontStyle', 'opacity', 'fillOpacity', 'strokeOpacity',
+  'textOpacity', 'shadow', 'glass', 'sketch', 'gradientColor', 'gradientDirection',
+  'align', 'verticalAlign', 'labelPosition', 'verticalLabelPosition', 'labelBackgroundColor',
+  'labelBorderColor', 'spacing', 'spacingTop', 'spacingBottom', 'spacingLeft', 'spacingRight',
+  'whiteSpace', 'html', 'overflow',
+]);
+
+/**
+ * Edge style keys that carry Mermaid semantics (arrowheads, line type)
+ */
+const EDGE_SEMANTIC_KEYS = ['startArrow', 'endArrow', 'startFill', 'endFill', 'dashed'];
+
+/**
+ * Gap kept between a newly placed node and the ones already on the page
+ */
+const PLACEMENT_STEP = 20;
+const CONTAINER_PADDING = 20;
+
+/**
+ * Ids Draw.io gives cells created in the editor: a 20-character random prefix and a
+ * counter (e.g. "7MHWLL0cp7gW1QUMrhWJ-1"). The converters never produce them; they
+ * tell hand-added cells apart in files written before generated ids were recorded.
+ */
+const EDITOR_CELL_ID = /^[\w-]{20}-\d+$/;
+
+/**
+ * Describe what a style means in Mermaid terms, ignoring cosmetic overrides
+ */
+function styleSignature(styleMap, isEdge) {
+  const keys = isEdge
+    ? EDGE_SEMANTIC_KEYS.filter((key) => key in styleMap)
+    : Object.keys(styleMap).filter((key) => !COSMETIC_STYLE_KEYS.has(key));
+  return keys.sort().map((key) => `${key}=${styleMap[key]}`).join(';');
+}
+
+/**
+ * Set an attribute on the first <tag> element of a cell's XML
+ */
+function setAttribute(xml, tag, name, value) {
+  const tagPattern = new RegExp(`<${tag}\\b[^>]*?(?=\\s*/?>)`);
+  return xml.replace(tagPattern, (open) => {
+    const attrPattern = new RegExp(`\\s${name}="[^"]*"`);
+    return attrPattern.test(open)
+      ? open.replace(attrPattern, ` ${name}="${value}"`)
+      : `${open} ${name}="${value}"`;
+  });
+}
+
+/**
+ * Set a cell's label, which lives on the wrapper for UserObject cells
+ */
+function setCellValue(xml, value) {
+  const wrapper = xml.match(/^<(UserObject|object)\b/);
+  return wrapper ? setAttribute(xml, wrapper[1], 'label', value) : setAttribute(xml, 'mxCell', 'value', value);
+}
+
+/**
+ * Overwrite the bounds of a vertex's mxGeometry
+ */
+function setGeometry(xml, bounds) {
+  return ['x', 'y', 'width', 'height'].reduce(
+    (result, key) => (bounds[key] === undefined ? result : setAttribute(result, 'mxGeometry', key, Math.round(bounds[key]))),
+    xml,
+  );
+}
+
+/**
+ * Serialize a parsed style map back into a Draw.io style string
+ */
+function stringifyStyle(styleMap) {
+  return Object.entries(styleMap).map(([key, value]) => (value === true ? key : `${key}=${value}`)).join(';');
+}
+
+/**
+ * Drop waypoints and fixed connection points so Draw.io reroutes an edge
+ */
+function resetEdgeRouting(xml, styleMap) {
+  const style = Object.fromEntries(Object.entries(styleMap).filter(([key]) => !/^(exit|entry)(X|Y|Dx|Dy)$/.test(key)));
+  return setAttribute(xml, 'mxCell', 'style', `${escapeXml(stringifyStyle(style))};`)
+    .replace(/\s*<Array as="points">[\s\S]*?<\/Array>/, '');
+}
+
+/**
+ * Key identifying an edge by its Mermaid endpoints; repeated pairs are numbered
+ */
+function edgeKeys(cells) {
+  const counts = new Map();
+  const keys = new Map();
+  cells.filter((cell) => cell.edge).forEach((cell) => {
+    const pair = `${cell.source}->${cell.target}`;
+    const n = counts.get(pair) || 0;
+    counts.set(pair, n + 1);
+    keys.set(cell.id, `${pair}#${n}`);
+  });
+  return keys;
+}
+
+/**
+ * Absolute top-left corner of a cell, following its parent containers
+ */
+function absoluteOrigin(id, boundsById, parentById) {
+  let x = 0;
+  let y = 0;
+  for (let current = id; current && boundsById.has(current); current = parentById.get(current)) {
+    x += boundsById.get(current).x;
+    y += boundsById.get(current).y;
+  }
+  return { x, y };
+}
+
+/**
+ * Check whether two boxes overlap (with a margin)
+ */
+function overlaps(a, b, margin = 10) {
+  return a.x < b.x + b.width + margin && b.x < a.x + a.width + margin
+    && a.y < b.y + b.height + margin && b.y < a.y + a.height + margin;
+}
+
+/**
+ * Locate a page of a Draw.io file by index or name
+ * `raw` is the page as stored, `content` its (decompressed) mxGraphModel
+ */
+function findPage(xml, page = 0) {
+  const diagramPattern = /<diagram\b([^>]*)>([\s\S]*?)<\/diagram>/g;
+  const pages = [];
+  let match;
+  while ((match = diagramPattern.exec(xml)) !== null) {
+    const name = (match[1].match(/\sname="([^"]*)"/) || [])[1] || '';
+    pages.push({ name, start: match.index + match[0].indexOf('>') + 1, raw: match[2] });
+  }
+
+  if (pages.length === 0) {
+    if (xml.includes('<mxGraphModel')) {
+      return { name: '', start: 0, raw: xml, content: xml, compressed: false };
+    }
+    throw new Error('No Draw.io diagram found in input');
+  }
+
+  const found = typeof page === 'number' || /^\d+$/.test(page)
+    ? pages[Number(page)]
+    : pages.find((p) => p.name === escapeXml(page));
+  if (!found) {
+    throw new Error(`Page ${page} not found (the file has ${pages.length} page(s))`);
+  }
+
+  const compressed = isCompressedPage(found.raw);
+  return { ...found, compressed, content: compressed ? decompressDiagram(found.raw, found.name) : found.raw };
+}
+
+/**
+ * Merge a freshly generated Draw.io document into an existing one
+ * Cells are matched by Mermaid id (vertices) and by source/target (edges):
+ * - matched cells keep their geometry, waypoints and cosmetic styling
+ * - new nodes are placed next to their already placed neighbours
+ * - generated cells no longer in the source are removed
+ * - cells added by hand in Draw.io are kept, with their links
+ * - nodes moved into another subgraph keep their styling and size, and their position
+ *   where it lies inside the new container
+ * Returns { xml, summary: { kept, added, removed, moved } }
+ */
+function mergeDrawio(existingXml, generatedXml, options = {}) {
+  const { page = 0 } = options;
+
+  const target = findPage(existingXml, page);
+  const oldCells = parseGraphModel(target.content);
+  const newCells = parseGraphModel(findPage(generatedXml, 0).content);
+
+  const diagramType = detectDrawioDiagramType(newCells);
+  if (diagramType === 'sequence' || diagramType === 'mindmap') {
+    throw new Error(`Incremental update is not supported for ${diagramType} diagrams, their layout follows the source order`);
+  }
+
+  const oldById = new Map(oldCells.map((cell) => [cell.id, cell]));
+  const newById = new Map(newCells.map((cell) => [cell.id, cell]));
+  const oldEdgeKeys = edgeKeys(oldCells);
+  const newEdgeKeys = edgeKeys(newCells);
+  const oldEdgeByKey = new Map(oldCells.filter((cell) => cell.edge).map((cell) => [oldEdgeKeys.get(cell.id), cell]));
+
+  const isStructural = (cell) => {
+    const parent = newById.get(cell.parent);
+    return Boolean(parent && parent.styleMap.childLayout);
+  };
+
+  // Final relative bounds and parents of every vertex in the merged page
+  const bounds = new Map();
+  const parents = new Map();
+  const newBounds = new Map();
+  newCells.forEach((cell) => {
+    parents.set(cell.id, cell.parent);
+    if (cell.vertex && cell.geometry) newBounds.set(cell.id, cell.geometry);
+  });
+
+  const output = new Map(); // new cell id -> merged XML
+  const matchedOld = new Set();
+  const toPlace = [];
+  const summary = { kept: [], added: [], removed: [], moved: [] };
+  const moved = [];
+
+  newCells.forEach((cell) => {
+    if (!cell.vertex && !cell.edge) {
+      // Root cells
+      output.set(cell.id, (oldById.get(cell.id) || cell).raw);
+      matchedOld.add(cell.id);
+      return;
+    }
+
+    if (cell.edge) {
+      return;
+    }
+
+    const old = oldById.get(cell.id);
+    const oldStructural = old && oldById.get(old.parent) && oldById.get(old.parent).styleMap.childLayout;
+    const keep = old && old.vertex && (old.parent === cell.parent || (!isStructural(cell) && !oldStructural));
+
+    if (!keep) {
+      output.set(cell.id, cell.raw);
+      bounds.set(cell.id, { ...cell.geometry });
+      if (!isStructural(cell) && !toPlace.includes(cell.parent)) {
+        toPlace.push(cell.id);
+      }
+      if (!isStructural(cell)) summary.added.push(cell.id);
+      return;
+    }
+
+    matchedOld.add(cell.id);
+    let xml = setCellValue(old.raw, cell.value);
+    if (styleSignature(old.styleMap, false) !== styleSignature(cell.styleMap, false)) {
+      xml = setAttribute(xml, 'mxCell', 'style', escapeXml(cell.style));
+    }
+
+    const geometry = { ...old.geometry };
+    if (cell.styleMap.childLayout) {
+      // Stacked rows (class members, ER attributes) define the height
+      geometry.height = cell.geometry.height;
+      xml = setGeometry(xml, { height: geometry.height });
+    } else if (isStructural(cell)) {
+      geometry.y = cell.geometry.y;
+      geometry.height = cell.geometry.height;
+      xml = setGeometry(xml, { y: geometry.y, height: geometry.height });
+    }
+
+    if (old.parent !== cell.parent) {
+      // Moved into another container: positioned below, once the containers are
+      xml = setAttribute(xml, 'mxCell', 'parent', escapeXml(cell.parent));
+      moved.push(cell.id);
+      summary.moved.push(cell.id);
+    } else {
+      summary.kept.push(cell.id);
+    }
+
+    bounds.set(cell.id, geometry);
+    output.set(cell.id, xml);
+  });
+
+  // A moved node keeps its place on the page if that is inside its new, kept container;
+  // otherwise it is placed like a new node (inside a new container: where the fresh layout puts it)
+  const oldParents = new Map(oldCells.map((cell) => [cell.id, cell.parent]));
+  const oldBounds = new Map(oldCells.filter((cell) => cell.vertex && cell.geometry).map((cell) => [cell.id, cell.geometry]));
+  const containerDepth = (id) => {
+    let d = 0;
+    for (let current = parents.get(id); current && newById.has(current) && newById.get(current).vertex; current = parents.get(current)) d++;
+    return d;
+  };
+  moved.sort((a, b) => containerDepth(a) - containerDepth(b)).forEach((id) => {
+    const cell = newById.get(id);
+    const box = bounds.get(id);
+    const parentKept = !newById.get(cell.parent).vertex || (matchedOld.has(cell.parent) && !toPlace.includes(cell.parent));
+    if (!parentKept) {
+      Object.assign(box, { x: cell.geometry.x, y: cell.geometry.y });
+      output.set(id, setGeometry(output.get(id), box));
+      return;
+    }
+
+    const was = absoluteOrigin(id, oldBounds, oldParents);
+    const origin = absoluteOrigin(cell.parent, bounds, parents);
+    if (was.x >= origin.x && was.y >= origin.y) {
+      Object.assign(box, { x: was.x - origin.x, y: was.y - origin.y });
+      output.set(id, setGeometry(output.get(id), box));
+    } else {
+      toPlace.push(id);
+    }
+  });
+
+  // Rows of stacked containers follow the container width
+  newCells.filter((cell) => cell.vertex && isStructural(cell)).forEach((cell) => {
+    const width = bounds.get(cell.parent) && bounds.get(cell.parent).width;
+    if (width) {
+      bounds.get(cell.id).width = width;
+      output.set(cell.id, setGeometry(output.get(cell.id), { y: cell.geometry.y, width }));
+    }
+  });
+
+  // Place new subtrees relative to placed neighbours, as in the fresh layout
+  const placed = new Set(newCells.filter((cell) => cell.vertex && !toPlace.includes(cell.id)).map((cell) => cell.id));
+  const isInside = (id, ancestor) => {
+    for (let current = id; current; current = parents.get(current)) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  };
+  const newAbsolute = (id) => absoluteOrigin(id, newBounds, parents);
+  const finalAbsolute = (id) => absoluteOrigin(id, bounds, parents);
+
+  const placeCell = (id, anchors) => {
+    const cell = newById.get(id);
+    const own = newAbsolute(id);
+    let dx = 0;
+    let dy = 0;
+    let absolute;
+
+    if (anchors.length > 0) {
+      const candidates = anchors.map((anchor) => {
+        const fresh = newAbsolute(anchor);
+        const final = finalAbsolute(anchor);
+        return { x: final.x + own.x - fresh.x, y: final.y + own.y - fresh.y, dx: own.x - fresh.x, dy: own.y - fresh.y };
+      });
+      absolute = {
+        x: candidates.reduce((sum, c) => sum + c.x, 0) / candidates.length,
+        y: candidates.reduce((sum, c) => sum + c.y, 0) / candidates.length,
+      };
+      dx = candidates.reduce((sum, c) => sum + c.dx, 0);
+      dy = candidates.reduce((sum, c) => sum + c.dy, 0);
+    } else {
+      // Nothing to attach to: start right of everything already on the page
+      const right = [...placed]
+        .filter((other) => parents.get(other) === cell.parent)
+        .reduce((max, other) => Math.max(max, bounds.get(other).x + bounds.get(other).width), 0);
+      absolute = { x: finalAbsolute(cell.parent).x + right + PLACEMENT_STEP * 3, y: own.y };
+    }
+
+    const origin = finalAbsolute(cell.parent);
+    const box = { ...bounds.get(id), x: absolute.x - origin.x, y: absolute.y - origin.y };
+    const container = newById.get(cell.parent);
+    if (container && container.vertex) {
+      // Stay inside the container, below its title bar
+      box.x = Math.max(box.x, CONTAINER_PADDING);
+      box.y = Math.max(box.y, (Number(container.styleMap.startSize) || 0) + CONTAINER_PADDING);
+    }
+
+    // Slide sideways (across the flow direction) until the spot is free
+    const siblings = [...placed].filter((other) => parents.get(other) === cell.parent).map((other) => bounds.get(other));
+    const stepX = Math.abs(dy) >= Math.abs(dx) ? PLACEMENT_STEP : 0;
+    const stepY = stepX ? 0 : PLACEMENT_STEP;
+    for (let i = 0; i < 500 && siblings.some((other) => overlaps(box, other)); i++) {
+      box.x += stepX;
+      box.y += stepY;
+    }
+
+    box.x = Math.round(box.x / 10) * 10;
+    box.y = Math.round(box.y / 10) * 10;
+    bounds.set(id, box);
+    output.set(id, setGeometry(output.get(id), box));
+    placed.add(id);
+  };
+
+  const newEdges = newCells.filter((cell) => cell.edge);
+  let pending = [...toPlace];
+  while (pending.length > 0) {
+    const progress = pending.filter((id) => {
+      const anchors = new Set();
+      newEdges.forEach((edge) => {
+        const sourceInside = isInside(edge.source, id);
+        const targetInside = isInside(edge.target, id);
+        const other = sourceInside && !targetInside ? edge.target : (targetInside && !sourceInside ? edge.source : null);
+        if (other && placed.has(other)) anchors.add(other);
+      });
+      if (anchors.size === 0) return false;
+      placeCell(id, [...anchors]);
+      return true;
+    });
+
+    if (progress.length === 0) {
+      // No placed neighbours left: start a new island with the first one
+      placeCell(pending[0], []);
+      pending = pending.slice(1);
+    } else {
+      pending = pending.filter((id) => !progress.includes(id));
+    }
+  }
+
+  // Grow kept containers so new children fit, innermost first
+  const depth = (id) => {
+    let d = 0;
+    for (let current = parents.get(id); current && newById.get(current).vertex; current = parents.get(current)) d++;
+    return d;
+  };
+  newCells
+    .filter((cell) => cell.vertex && !cell.styleMap.childLayout && matchedOld.has(cell.id))
+    .sort((a, b) => depth(b.id) - depth(a.id))
+    .forEach((container) => {
+      const children = newCells.filter((cell) => cell.vertex && cell.parent === container.id).map((cell) => bounds.get(cell.id));
+      if (children.length === 0) return;
+
+      const box = bounds.get(container.id);
+      const width = Math.max(box.width, ...children.map((child) => child.x + child.width + CONTAINER_PADDING));
+      const height = Math.max(box.height, ...children.map((child) => child.y + child.height + CONTAINER_PADDING));
+      if (width !== box.width || height !== box.height) {
+        box.width = width;
+        box.height = height;
+        output.set(container.id, setGeometry(output.get(container.id), { width, height }));
+      }
+    });
+
+  // Cells added by hand are those the previous generation did not produce, as recorded
+  // on the layer cell, and that nothing generated now replaces
+  const record = oldCells.find((cell) => !cell.vertex && !cell.edge && cell.styleMap[GENERATED_IDS_KEY] !== undefined);
+  const generatedBefore = record
+    ? new Set(String(record.styleMap[GENERATED_IDS_KEY]).split(',').filter(Boolean).map(decodeURIComponent))
+    : null;
+  const isManual = (cell) => (generatedBefore ? !generatedBefore.has(cell.id) : EDITOR_CELL_ID.test(cell.id));
+
+  // Edges: matched ones keep their routing, new ones are rerouted by Draw.io
+  const usedIds = new Set(newCells.filter((cell) => !cell.edge).map((cell) => cell.id)
+    .concat(oldCells.filter((cell) => (cell.vertex || cell.edge) && isManual(cell)).map((cell) => cell.id)));
+  const edgeXml = new Map();
+  const edgeIds = new Map(); // new edge id -> id in the merged page
+  const unmatchedEdges = [];
+  newEdges.forEach((cell) => {
+    const old = oldEdgeByKey.get(newEdgeKeys.get(cell.id));
+    if (!old || usedIds.has(old.id)) {
+      unmatchedEdges.push(cell);
+      return;
+    }
+
+    matchedOld.add(old.id);
+    usedIds.add(old.id);
+    let xml = setCellValue(old.raw, cell.value);
+    if (styleSignature(old.styleMap, true) !== styleSignature(cell.styleMap, true)) {
+      const style = { ...old.styleMap };
+      EDGE_SEMANTIC_KEYS.forEach((key) => {
+        if (key in cell.styleMap) style[key] = cell.styleMap[key];
+        else delete style[key];
+      });
+      xml = setAttribute(xml, 'mxCell', 'style', `${escapeXml(stringifyStyle(style))};`);
+    }
+    if (old.parent !== cell.parent) {
+      // An endpoint moved to another container: waypoints were relative to the old one
+      xml = setAttribute(xml, 'mxCell', 'parent', escapeXml(cell.parent)).replace(/\s*<Array as="points">[\s\S]*?<\/Array>/, '');
+    }
+    edgeXml.set(cell.id, xml);
+    edgeIds.set(cell.id, old.id);
+  });
+
+  unmatchedEdges.forEach((cell) => {
+    let id = cell.id;
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${cell.id}_${n}`;
+    }
+    usedIds.add(id);
+
+    let xml = resetEdgeRouting(cell.raw, cell.styleMap);
+    if (id !== cell.id) xml = setAttribute(xml, 'mxCell', 'id', escapeXml(id));
+    edgeXml.set(cell.id, xml);
+    edgeIds.set(cell.id, id);
+    summary.added.push(`${cell.source}->${cell.target}`);
+  });
+
+  // Cells added by hand stay, unless a node of the source now has their id; containers
+  // they were in may have been removed
+  const manual = oldCells.filter((cell) => (cell.vertex || cell.edge)
+    && !matchedOld.has(cell.id) && !(newById.has(cell.id) && newById.get(cell.id).vertex) && isManual(cell));
+  const manualIds = new Set(manual.map((cell) => cell.id));
+  const present = (id) => newById.has(id) || manualIds.has(id);
+  const manualXml = [];
+  manual.forEach((cell) => {
+    if (cell.edge && [cell.source, cell.target].some((end) => end && !present(end))) {
+      manualIds.delete(cell.id);
+      return;
+    }
+
+    let xml = cell.raw;
+    let parent = cell.parent;
+    const offset = { x: 0, y: 0 };
+    while (parent && !present(parent) && oldById.has(parent) && oldById.get(parent).parent) {
+      const geometry = oldById.get(parent).geometry || { x: 0, y: 0 };
+      offset.x += geometry.x;
+      offset.y += geometry.y;
+      parent = oldById.get(parent).parent;
+    }
+    if (parent !== cell.parent) {
+      xml = setAttribute(xml, 'mxCell', 'parent', escapeXml(parent));
+      if (cell.vertex && cell.geometry) {
+        xml = setGeometry(xml, { x: cell.geometry.x + offset.x, y: cell.geometry.y + offset.y });
+      }
+    }
+    manualXml.push(xml);
+  });
+
+  oldCells.forEach((cell) => {
+    if (matchedOld.has(cell.id) || manualIds.has(cell.id)) return;
+    const structural = oldById.get(cell.parent) && oldById.get(cell.parent).styleMap.childLayout;
+    if (cell.edge) {
+      summary.removed.push(`${cell.source}->${cell.target}`);
+    } else if (cell.vertex && !structural && !newById.has(cell.id)) {
+      summary.removed.push(cell.id);
+    }
+  });
+
+  // Record what this generation produced, for the next update
+  const layer = newCells.find((cell) => cell.styleMap[GENERATED_IDS_KEY] !== undefined);
+  if (layer) {
+    const ids = newCells.filter((cell) => cell.vertex || cell.edge).map((cell) => (cell.edge ? edgeIds.get(cell.id) : cell.id));
+    const style = { ...(oldById.has(layer.id) ? oldById.get(layer.id).styleMap : {}), [GENERATED_IDS_KEY]: ids.map(encodeURIComponent).join(',') };
+    output.set(layer.id, setAttribute(output.get(layer.id), 'mxCell', 'style', `${escapeXml(stringifyStyle(style))};`));
+  }
+
+  const rootXml = newCells
+    .map((cell) => (cell.edge ? edgeXml.get(cell.id) : output.get(cell.id)))
+    .concat(manualXml)
+    .map((xml) => `        ${xml}`)
+    .join('\n');
+
+  // Compressed pages are written back compressed, as Draw.io saved them
+  const content = target.content.replace(/<root>[\s\S]*<\/root>/, `<root>\n${rootXml}\n      </root>`);
+  const stored = target.compressed ? compressDiagram(content.trim()) : content;
+  const xml = existingXml.slice(0, target.start) + stored + existingXml.slice(target.start + target.raw.length);
+
+  return { xml, summary };
+}
+
+module.exports = {
+  mergeDrawio,
+};
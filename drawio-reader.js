@@ -0,0 +1,696 @@
+/**
+ * Draw.io XML Reader
+ * Reads mxGraphModel XML and converts it back to Mermaid diagram syntax
+ */
+
+const { SHAPE_MAPPINGS, escapeLabel } = require('./mermaid-parser');
+const { getCardinalityStyle } = require('./er-converter');
+const { isCompressedPage, decompressDiagram } = require('./drawio-compression');
+
+/**
+ * Valid cardinality notations on each side of an ER relationship
+ */
+const ER_LEFT_CARDINALITIES = ['||', '|o', '}o', '}|'];
+const ER_RIGHT_CARDINALITIES = ['||', 'o|', 'o{', '|{'];
+
+/**
+ * Decode XML entities in an attribute value
+ */
+function decodeXml(str) {
+  if (!str) return '';
+  return str
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert a Draw.io label to plain text
+ * HTML labels (html=1 in the cell style) have their tags stripped and entities decoded;
+ * a `<` that does not start a tag, as in `a < b`, is text
+ */
+function labelToText(value, styleMap = {}) {
+  let text = decodeXml(value);
+  if (styleMap.html === '1') {
+    text = decodeXml(text
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<\/?[a-z][^>]*>/gi, '')
+      .replace(/&nbsp;/g, ' '));
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse an XML attribute list into an object
+ */
+function parseAttributes(attrString) {
+  const attrs = {};
+  const attrPattern = /([\w:-]+)="([^"]*)"/g;
+  let match;
+  while ((match = attrPattern.exec(attrString)) !== null) {
+    attrs[match[1]] = match[2];
+  }
+  return attrs;
+}
+
+/**
+ * Parse a Draw.io style string into key/value pairs
+ * Bare keys (e.g. "ellipse", "swimlane") are stored with the value true
+ */
+function parseStyle(style) {
+  const result = {};
+  (style || '').split(';').filter(Boolean).forEach((part) => {
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      result[part] = true;
+    } else {
+      result[part.slice(0, eq)] = part.slice(eq + 1);
+    }
+  });
+  return result;
+}
+
+/**
+ * Parse the mxGeometry element inside a cell body
+ */
+function parseGeometry(body) {
+  const geometryMatch = body.match(/<mxGeometry\b([^>]*?)(\/>|>([\s\S]*?)<\/mxGeometry>)/);
+  if (!geometryMatch) return null;
+
+  const attrs = parseAttributes(geometryMatch[1]);
+  const geometry = {
+    x: parseFloat(attrs.x) || 0,
+    y: parseFloat(attrs.y) || 0,
+    width: parseFloat(attrs.width) || 0,
+    height: parseFloat(attrs.height) || 0,
+    relative: attrs.relative === '1',
+    points: [],
+  };
+
+  const inner = geometryMatch[3] || '';
+  const pointPattern = /<mxPoint\b([^>]*?)\/>/g;
+  let match;
+  while ((match = pointPattern.exec(inner)) !== null) {
+    const pointAttrs = parseAttributes(match[1]);
+    const point = { x: parseFloat(pointAttrs.x) || 0, y: parseFloat(pointAttrs.y) || 0 };
+    if (pointAttrs.as === 'sourcePoint') geometry.sourcePoint = point;
+    else if (pointAttrs.as === 'targetPoint') geometry.targetPoint = point;
+    else if (pointAttrs.as === 'offset') geometry.offset = point;
+    else geometry.points.push(point);
+  }
+
+  return geometry;
+}
+
+/**
+ * Parse the cells of one mxGraphModel
+ * Handles plain mxCell elements as well as UserObject/object wrappers
+ */
+function parseGraphModel(modelXml) {
+  const cells = [];
+  const cellPattern = /<(UserObject|object)\b([^>]*)>\s*<mxCell\b([^>]*?)(\/>|>([\s\S]*?)<\/mxCell>)\s*<\/\1>|<mxCell\b([^>]*?)(\/>|>([\s\S]*?)<\/mxCell>)/g;
+  let match;
+
+  while ((match = cellPattern.exec(modelXml)) !== null) {
+    let attrs;
+    let body;
+    if (match[1]) {
+      // Wrapped cell: id and label live on the wrapper
+      const wrapper = parseAttributes(match[2]);
+      attrs = { ...parseAttributes(match[3]), id: wrapper.id, value: wrapper.label || '' };
+      body = match[5] || '';
+    } else {
+      attrs = parseAttributes(match[6]);
+      body = match[8] || '';
+    }
+
+    cells.push({
+      raw: match[0],
+      id: decodeXml(attrs.id),
+      value: attrs.value || '',
+      style: decodeXml(attrs.style || ''),
+      styleMap: parseStyle(decodeXml(attrs.style || '')),
+      parent: attrs.parent ? decodeXml(attrs.parent) : null,
+      source: attrs.source ? decodeXml(attrs.source) : null,
+      target: attrs.target ? decodeXml(attrs.target) : null,
+      vertex: attrs.vertex === '1',
+      edge: attrs.edge === '1',
+      geometry: parseGeometry(body),
+    });
+  }
+
+  return cells;
+}
+
+/**
+ * Parse a Draw.io file into its pages
+ * Returns [{ name, id, cells }]
+ */
+function parseDrawioXml(xml) {
+  const pages = [];
+  const diagramPattern = /<diagram\b([^>]*)>([\s\S]*?)<\/diagram>/g;
+  let match;
+
+  while ((match = diagramPattern.exec(xml)) !== null) {
+    const attrs = parseAttributes(match[1]);
+    const content = isCompressedPage(match[2])
+      ? decompressDiagram(match[2], decodeXml(attrs.name || ''))
+      : match[2];
+    pages.push({
+      name: decodeXml(attrs.name || `Page-${pages.length + 1}`),
+      id: attrs.id || '',
+      cells: parseGraphModel(content),
+    });
+  }
+
+  // A bare mxGraphModel without an mxfile wrapper
+  if (pages.length === 0 && xml.includes('<mxGraphModel')) {
+    pages.push({ name: 'Page-1', id: '', cells: parseGraphModel(xml) });
+  }
+
+  if (pages.length === 0) {
+    throw new Error('No Draw.io diagram found in input');
+  }
+
+  return pages;
+}
+
+/**
+ * Pick a parsed page by index (a number or a string of digits) or by name
+ */
+function selectPage(pages, page = 0) {
+  const selected = typeof page === 'number' || /^\d+$/.test(page) ? pages[Number(page)] : pages.find((p) => p.name === page);
+  if (!selected) {
+    throw new Error(`Page ${page} not found (the file has ${pages.length} page(s))`);
+  }
+  return selected;
+}
+
+/**
+ * Detect which Mermaid diagram type a page was generated from
+ */
+function detectDrawioDiagramType(cells) {
+  const edges = cells.filter((c) => c.edge);
+
+  if (edges.some((c) => /(start|end)Arrow=ER/.test(c.style))) {
+    return 'erDiagram';
+  }
+  if (cells.some((c) => c.id.endsWith('_lifeline') || c.styleMap.shape === 'umlLifeline')) {
+    return 'sequence';
+  }
+  // UML classes: stacked member rows split by a separator line
+  const byId = new Map(cells.map((c) => [c.id, c]));
+  if (cells.some((c) => c.vertex && c.styleMap.line && byId.get(c.parent)?.styleMap.childLayout === 'stackLayout')) {
+    return 'class';
+  }
+  // UML states: open-arrow transitions, with initial/final states or rounded composite states;
+  // the arrowless connectors of notes are not transitions
+  const isStateVertex = (c) => c.vertex
+    && (['startState', 'endState'].includes(c.styleMap.shape) || (c.styleMap.swimlane && c.styleMap.rounded === '1'));
+  const isNote = (id) => byId.get(id)?.styleMap.shape === 'note';
+  const transitions = edges.filter((c) => !(c.styleMap.endArrow === 'none' && (isNote(c.source) || isNote(c.target))));
+  if (transitions.length > 0 && transitions.every((c) => c.styleMap.endArrow === 'open') && cells.some(isStateVertex)) {
+    return 'state';
+  }
+  if (edges.length > 0 && edges.every((c) => c.styleMap.curved === '1' && c.styleMap.endArrow === 'none')) {
+    return 'mindmap';
+  }
+  return 'flowchart';
+}
+
+/**
+ * Map a Draw.io node style back to a SHAPE_MAPPINGS shape name
+ * The mapping whose style keys match the most node style keys wins
+ */
+function getShapeFromStyle(styleMap) {
+  let bestShape = 'rectangle';
+  let bestScore = 0;
+
+  for (const [shapeName, config] of Object.entries(SHAPE_MAPPINGS)) {
+    const shapeStyle = parseStyle(config.style);
+    const keys = Object.keys(shapeStyle);
+    const allMatch = keys.every((key) => String(styleMap[key]) === String(shapeStyle[key]));
+    if (allMatch && keys.length > bestScore) {
+      bestShape = shapeName;
+      bestScore = keys.length;
+    }
+  }
+
+  return bestShape;
+}
+
+/**
+ * Make a Draw.io cell id safe to use as a Mermaid node id
+ */
+function createIdMapper(prefix) {
+  const ids = new Map();
+  const used = new Set();
+  return (cellId) => {
+    if (ids.has(cellId)) return ids.get(cellId);
+    let id = /^[A-Za-z_]\w*$/.test(cellId) ? cellId : `${prefix}${ids.size + 1}`;
+    while (used.has(id)) id = `${id}_`;
+    ids.set(cellId, id);
+    used.add(id);
+    return id;
+  };
+}
+
+/**
+ * Get the absolute center of a vertex (resolving parent offsets)
+ */
+function getAbsoluteBounds(cell, cellMap) {
+  const geometry = cell.geometry || { x: 0, y: 0, width: 0, height: 0 };
+  let x = geometry.x;
+  let y = geometry.y;
+  let parent = cellMap.get(cell.parent);
+  while (parent && parent.vertex && parent.geometry) {
+    x += parent.geometry.x;
+    y += parent.geometry.y;
+    parent = cellMap.get(parent.parent);
+  }
+  return { x, y, width: geometry.width, height: geometry.height, cx: x + geometry.width / 2, cy: y + geometry.height / 2 };
+}
+
+/**
+ * Rebuild a flowchart from Draw.io cells
+ */
+function cellsToFlowchart(cells) {
+  const cellMap = new Map(cells.map((c) => [c.id, c]));
+  const mapId = createIdMapper('N');
+
+  // Swimlanes are subgraphs; older files drew them as frames without children
+  const hasChildren = new Set(cells.filter((c) => c.vertex).map((c) => c.parent));
+  const isGroup = (c) => c.vertex && c.styleMap.swimlane === true;
+  const groups = cells.filter(isGroup);
+  // Skip the Start/Stop terminals convertToDrawio injects; they are re-added on conversion
+  const isInjectedEdge = (c) => /^e_start_|^e_.+_stop$/.test(c.id);
+  const injectedNodes = new Set(cells.filter((c) => c.vertex && /^(Start|Stop)(_\d+)?$/.test(c.id)).map((c) => c.id).filter((id) => {
+    const linked = cells.filter((c) => c.edge && (c.source === id || c.target === id));
+    return linked.length > 0 && linked.every(isInjectedEdge);
+  }));
+
+  const nodes = cells.filter((c) => c.vertex && !isGroup(c) && c.id !== '0' && c.id !== '1' && !injectedNodes.has(c.id));
+  const edges = cells.filter((c) => c.edge && !isInjectedEdge(c) && c.source && c.target
+    && cellMap.has(c.source) && cellMap.has(c.target));
+
+  // Infer flow direction from the average edge vector
+  const inferDirection = (edgeList, fallback) => {
+    let sumDx = 0;
+    let sumDy = 0;
+    edgeList.forEach((edge) => {
+      const source = getAbsoluteBounds(cellMap.get(edge.source), cellMap);
+      const target = getAbsoluteBounds(cellMap.get(edge.target), cellMap);
+      sumDx += target.cx - source.cx;
+      sumDy += target.cy - source.cy;
+    });
+    if (edgeList.length === 0) return fallback;
+    if (Math.abs(sumDx) > Math.abs(sumDy)) return sumDx >= 0 ? 'LR' : 'RL';
+    return sumDy < 0 ? 'BT' : 'TD';
+  };
+
+  // Assign nodes and nested groups to groups: explicit parent first,
+  // otherwise the smallest frame that geometrically contains them
+  const groupMembers = new Map(groups.map((g) => [g.id, []]));
+  const groupParent = new Map();
+  const findContainer = (cell) => {
+    if (groupMembers.has(cell.parent)) return cell.parent;
+    const center = getAbsoluteBounds(cell, cellMap);
+    const containers = groups.filter((g) => {
+      if (g.id === cell.id || hasChildren.has(g.id)) return false;
+      const box = getAbsoluteBounds(g, cellMap);
+      return center.cx >= box.x && center.cx <= box.x + box.width
+        && center.cy >= box.y && center.cy <= box.y + box.height
+        && box.width * box.height > (cell.geometry?.width || 0) * (cell.geometry?.height || 0);
+    });
+    containers.sort((a, b) => a.geometry.width * a.geometry.height - b.geometry.width * b.geometry.height);
+    return containers[0]?.id || null;
+  };
+  const grouped = new Set();
+  groups.forEach((group) => {
+    const container = findContainer(group);
+    if (container) groupParent.set(group.id, container);
+  });
+  nodes.forEach((node) => {
+    const container = findContainer(node);
+    if (container) {
+      groupMembers.get(container).push(node);
+      grouped.add(node.id);
+    }
+  });
+
+  // The overall direction comes from edges outside groups, if there are any
+  const isNested = (id) => grouped.has(id) || groupParent.has(id);
+  const outerEdges = edges.filter((e) => !isNested(e.source) && !isNested(e.target));
+  const direction = inferDirection(outerEdges.length > 0 ? outerEdges : edges, 'TD');
+
+  const nodeLine = (node) => {
+    const shape = getShapeFromStyle(node.styleMap);
+    const { delimiters, names } = SHAPE_MAPPINGS[shape];
+    const id = mapId(node.id);
+    const label = labelToText(node.value, node.styleMap) || id;
+    if (shape === 'rectangle' && label === id) return id;
+    if (!delimiters) return `${id}@{ shape: ${names[0]}, label: "${escapeLabel(label)}" }`;
+    return `${id}${delimiters[0]}${escapeLabel(label)}${delimiters[1]}`;
+  };
+
+  const lines = [`flowchart ${direction}`];
+
+  // Groups are kept when they hold something or are connected by an edge
+  const isLinked = (id) => edges.some((e) => e.source === id || e.target === id);
+  const childGroups = (id) => groups.filter((g) => (groupParent.get(g.id) || null) === id);
+  const hasContent = (group) => groupMembers.get(group.id).length > 0
+    || isLinked(group.id)
+    || childGroups(group.id).some(hasContent);
+
+  const renderGroup = (group, depth, parentDirection) => {
+    if (!hasContent(group)) return;
+    const indent = '    '.repeat(depth);
+    const label = labelToText(group.value, group.styleMap);
+    const groupId = mapId(group.id);
+    lines.push(`${indent}subgraph ${groupId}${label && label !== groupId ? ` [${label}]` : ''}`);
+
+    // Only edges between the group's own members reveal its direction
+    const members = new Set(groupMembers.get(group.id).map((n) => n.id));
+    const groupDirection = inferDirection(edges.filter((e) => members.has(e.source) && members.has(e.target)), parentDirection);
+    if (groupDirection !== parentDirection) {
+      lines.push(`${indent}    direction ${groupDirection}`);
+    }
+
+    childGroups(group.id).forEach((child) => renderGroup(child, depth + 1, groupDirection));
+    groupMembers.get(group.id).forEach((node) => lines.push(`${indent}    ${nodeLine(node)}`));
+    lines.push(`${indent}end`);
+  };
+  childGroups(null).forEach((group) => renderGroup(group, 1, direction));
+
+  nodes.filter((n) => !grouped.has(n.id)).forEach((node) => {
+    lines.push(`    ${nodeLine(node)}`);
+  });
+
+  edges.forEach((edge) => {
+    const style = edge.styleMap;
+    const noArrow = style.endArrow === 'none';
+    let arrow;
+    if (style.dashed === '1') {
+      arrow = noArrow ? '-.-' : '-.->';
+    } else if (parseFloat(style.strokeWidth) >= 2 && !noArrow) {
+      arrow = '==>';
+    } else {
+      arrow = noArrow ? '---' : '-->';
+    }
+    const label = labelToText(edge.value, edge.styleMap);
+    const labelPart = label ? `|${escapeLabel(label)}|` : '';
+    lines.push(`    ${mapId(edge.source)} ${arrow}${labelPart} ${mapId(edge.target)}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Map a message edge style back to a Mermaid sequence arrow
+ */
+function getSequenceArrow(styleMap) {
+  const line = styleMap.dashed === '1' ? '--' : '-';
+  const startArrow = styleMap.startArrow && styleMap.startArrow !== 'none';
+  if (startArrow) return `<<${line}>>`;
+  switch (styleMap.endArrow) {
+    case 'none':
+      return `${line}>`;
+    case 'cross':
+      return `${line}x`;
+    case 'openAsync':
+      return `${line})`;
+    default:
+      return `${line}>>`;
+  }
+}
+
+/**
+ * Rebuild a sequence diagram from Draw.io cells
+ */
+function cellsToSequence(cells) {
+  const mapId = createIdMapper('P');
+
+  // Combined-fragment frames, guard labels and rect highlights are not participants
+  const frames = cells.filter((c) => c.vertex && c.styleMap.shape === 'umlFrame' && c.geometry);
+  const rects = cells.filter((c) => c.vertex && c.id.endsWith('_rect') && c.geometry);
+  const guards = cells.filter((c) => c.vertex && c.styleMap.text && c.geometry);
+  const notes = cells.filter((c) => c.vertex && c.styleMap.shape === 'note' && c.geometry);
+  const bars = cells.filter((c) => c.vertex && /_act\d+$/.test(c.id) && c.geometry);
+  const numbers = cells.filter((c) => c.vertex && /^msg\d+_number$/.test(c.id) && c.geometry);
+  const isDecoration = (c) => [frames, rects, guards, notes, bars, numbers].some((list) => list.includes(c));
+
+  // Participants are top-level vertices, ordered left to right
+  const participants = cells
+    .filter((c) => c.vertex && c.parent === '1' && c.geometry && !isDecoration(c))
+    .sort((a, b) => a.geometry.x - b.geometry.x);
+
+  const centers = participants.map((p) => ({ id: p.id, cx: p.geometry.x + p.geometry.width / 2 }));
+  const nearestParticipant = (x) => centers.reduce((best, c) => (
+    !best || Math.abs(c.cx - x) < Math.abs(best.cx - x) ? c : best
+  ), null)?.id;
+
+  const isFreeEdge = (c) => c.edge && c.geometry?.sourcePoint && c.geometry?.targetPoint;
+
+  // Messages are free-floating edges (source/target points), ordered top to bottom
+  const messages = cells
+    .filter((c) => isFreeEdge(c) && !c.id.endsWith('_lifeline') && !/_divider\d+$/.test(c.id))
+    .sort((a, b) => a.geometry.sourcePoint.y - b.geometry.sourcePoint.y);
+  const dividers = cells.filter((c) => isFreeEdge(c) && /_divider\d+$/.test(c.id));
+
+  const lines = ['sequenceDiagram'];
+
+  participants.forEach((p) => {
+    const keyword = p.styleMap.shape === 'umlActor' ? 'actor' : 'participant';
+    const id = mapId(p.id);
+    const label = labelToText(p.value, p.styleMap);
+    lines.push(`    ${keyword} ${id}${label && label !== id ? ` as ${label}` : ''}`);
+  });
+
+  // Numbered message badges mean autonumber was on
+  if (numbers.length > 0) {
+    const first = numbers.sort((a, b) => a.geometry.y - b.geometry.y)[0];
+    const start = parseInt(labelToText(first.value, first.styleMap), 10);
+    lines.push(Number.isNaN(start) || start === 1 ? '    autonumber' : `    autonumber ${start}`);
+  }
+
+  // Guard labels sit at the top of a frame or on a section divider
+  const guardAt = (frame, y) => {
+    const { x, width } = frame.geometry;
+    const guard = guards.find((g) => Math.abs(g.geometry.y - y) < 5 && g.geometry.x >= x && g.geometry.x < x + width);
+    return guard ? labelToText(guard.value, guard.styleMap).replace(/^\[(.*)\]$/, '$1') : '';
+  };
+  const rectColor = (rect) => {
+    const hex = (rect.styleMap.fillColor || '').match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+    return hex ? `rgb(${hex.slice(1, 4).map((h) => parseInt(h, 16)).join(', ')})` : rect.styleMap.fillColor || '';
+  };
+
+  // Order blocks and messages by their vertical position; starts open before
+  // anything on the same row and ends close after it
+  const events = [];
+  [...frames, ...rects].forEach((block) => {
+    const { y, height } = block.geometry;
+    const header = frames.includes(block)
+      ? `${labelToText(block.value, block.styleMap) || 'opt'} ${guardAt(block, y)}`.trim()
+      : `rect ${rectColor(block)}`.trim();
+    events.push({ y, order: 0, area: block.geometry.width * height, line: header, open: true });
+    events.push({ y: y + height, order: 3, area: -block.geometry.width * height, line: 'end', close: true });
+  });
+  dividers.forEach((divider) => {
+    const y = divider.geometry.sourcePoint.y;
+    const frame = frames.find((f) => divider.id.startsWith(`${f.id.replace(/_frame$/, '')}_`));
+    const keyword = { par: 'and', critical: 'option' }[frame ? labelToText(frame.value, frame.styleMap) : ''] || 'else';
+    events.push({ y, order: 1, line: `${keyword} ${frame ? guardAt(frame, y) : ''}`.trim(), section: true });
+  });
+  messages.forEach((msg) => {
+    const from = nearestParticipant(msg.geometry.sourcePoint.x);
+    const to = nearestParticipant(msg.geometry.targetPoint.x);
+    if (!from || !to) return;
+    const arrow = getSequenceArrow(msg.styleMap);
+    events.push({ y: msg.geometry.sourcePoint.y, order: 2, line: `${mapId(from)}${arrow}${mapId(to)}: ${labelToText(msg.value, msg.styleMap)}` });
+  });
+
+  notes.forEach((note) => {
+    const { x, y, width } = note.geometry;
+    const covered = centers.filter((c) => c.cx >= x && c.cx <= x + width);
+    let placement;
+    if (covered.length > 0) {
+      const over = covered.length > 1 ? [covered[0], covered[covered.length - 1]] : covered;
+      placement = `over ${over.map((c) => mapId(c.id)).join(',')}`;
+    } else {
+      const target = nearestParticipant(x + width / 2);
+      const center = centers.find((c) => c.id === target).cx;
+      placement = `${x + width < center ? 'left' : 'right'} of ${mapId(target)}`;
+    }
+    const text = (note.value || '').split(/\n|&#xa;|&#10;/i).map((line) => labelToText(line, note.styleMap)).join('<br/>');
+    events.push({ y, order: 2, line: `Note ${placement}: ${text}` });
+  });
+  bars.forEach((bar) => {
+    const { x, y, width, height } = bar.geometry;
+    const participant = mapId(nearestParticipant(x + width / 2));
+    events.push({ y, order: 2.5, line: `activate ${participant}` });
+    events.push({ y: y + height, order: 2.5, line: `deactivate ${participant}` });
+  });
+
+  // Outer blocks open first and close last
+  events.sort((a, b) => a.y - b.y || a.order - b.order || (b.area || 0) - (a.area || 0));
+
+  let depth = 1;
+  events.forEach((event) => {
+    if (event.close) depth = Math.max(1, depth - 1);
+    const indent = '    '.repeat(event.section ? Math.max(1, depth - 1) : depth);
+    lines.push(`${indent}${event.line}`);
+    if (event.open) depth++;
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Rebuild a mindmap from Draw.io cells
+ */
+function cellsToMindmap(cells) {
+  const nodes = cells.filter((c) => c.vertex && c.id !== '0' && c.id !== '1');
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  const children = new Map();
+  const hasParent = new Set();
+
+  cells.filter((c) => c.edge && nodeMap.has(c.source) && nodeMap.has(c.target)).forEach((edge) => {
+    if (!children.has(edge.source)) children.set(edge.source, []);
+    children.get(edge.source).push(nodeMap.get(edge.target));
+    hasParent.add(edge.target);
+  });
+
+  const lines = ['mindmap'];
+
+  const renderNode = (node, depth, visited) => {
+    if (visited.has(node.id)) return;
+    visited.add(node.id);
+
+    const label = labelToText(node.value, node.styleMap);
+    const shape = getShapeFromStyle(node.styleMap);
+    let text = label;
+    if (depth === 0) {
+      text = `root((${label}))`;
+    } else if (shape === 'circle') {
+      text = `((${label}))`;
+    } else if (shape === 'roundedRect') {
+      text = `(${label})`;
+    }
+    lines.push(`${'  '.repeat(depth + 1)}${text}`);
+
+    (children.get(node.id) || [])
+      .sort((a, b) => (a.geometry?.y || 0) - (b.geometry?.y || 0))
+      .forEach((child) => renderNode(child, depth + 1, visited));
+  };
+
+  const visited = new Set();
+  nodes.filter((n) => !hasParent.has(n.id)).forEach((root) => renderNode(root, 0, visited));
+
+  return lines.join('\n');
+}
+
+/**
+ * Draw.io ER arrows no cardinality is converted to, as [start, end] cardinalities:
+ * the bare crow's foot (older converter output, hand-drawn diagrams) and the mandatory one
+ */
+const ER_OTHER_ARROWS = {
+  ERmany: ['}o', 'o{'],
+  ERmandOne: ['||', '||'],
+};
+
+/**
+ * Build a reverse lookup from Draw.io ER arrow names to Mermaid cardinalities
+ */
+function buildCardinalityLookup(notations, isStart) {
+  const lookup = new Map();
+  notations.forEach((notation) => {
+    const arrowName = getCardinalityStyle(notation, isStart).match(/Arrow=(\w+);/)[1];
+    if (!lookup.has(arrowName)) lookup.set(arrowName, notation);
+  });
+  Object.entries(ER_OTHER_ARROWS).forEach(([arrowName, [start, end]]) => {
+    if (!lookup.has(arrowName)) lookup.set(arrowName, isStart ? start : end);
+  });
+  return lookup;
+}
+
+/**
+ * Rebuild an ER diagram from Draw.io cells
+ */
+function cellsToER(cells) {
+  const mapId = createIdMapper('ENTITY');
+  const startLookup = buildCardinalityLookup(ER_LEFT_CARDINALITIES, true);
+  const endLookup = buildCardinalityLookup(ER_RIGHT_CARDINALITIES, false);
+
+  const entities = cells.filter((c) => c.vertex && c.parent === '1');
+  const entityIds = new Set(entities.map((e) => e.id));
+  const relationships = cells.filter((c) => c.edge && entityIds.has(c.source) && entityIds.has(c.target));
+
+  const lines = ['erDiagram'];
+
+  relationships.forEach((rel) => {
+    const left = startLookup.get(rel.styleMap.startArrow) || '||';
+    const right = endLookup.get(rel.styleMap.endArrow) || '||';
+    const label = labelToText(rel.value, rel.styleMap) || 'relates';
+    const labelPart = /\s/.test(label) ? `"${label}"` : label;
+    lines.push(`    ${mapId(rel.source)} ${left}--${right} ${mapId(rel.target)} : ${labelPart}`);
+  });
+
+  entities.forEach((entity) => {
+    const attributes = cells
+      .filter((c) => c.vertex && c.parent === entity.id && !c.id.endsWith('_placeholder'))
+      .sort((a, b) => (a.geometry?.y || 0) - (b.geometry?.y || 0))
+      .map((c) => labelToText(c.value, c.styleMap).split(/\s+/))
+      .filter((parts) => parts.length >= 2);
+
+    // Entities without attributes only need a block when no relationship mentions them
+    const isLinked = relationships.some((r) => r.source === entity.id || r.target === entity.id);
+    if (attributes.length === 0 && isLinked) return;
+
+    lines.push(`    ${mapId(entity.id)} {`);
+    attributes.forEach(([type, name]) => lines.push(`        ${type} ${name}`));
+    lines.push('    }');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert Draw.io XML back to Mermaid code
+ * Options: page (index or name of the page to convert), type (force a diagram type)
+ */
+function drawioToMermaid(xml, options = {}) {
+  const { page = 0, type } = options;
+  const selected = selectPage(parseDrawioXml(xml), page);
+
+  const diagramType = type || detectDrawioDiagramType(selected.cells);
+
+  switch (diagramType) {
+    case 'sequence':
+      return cellsToSequence(selected.cells);
+    case 'erDiagram':
+      return cellsToER(selected.cells);
+    case 'mindmap':
+      return cellsToMindmap(selected.cells);
+    case 'class':
+    case 'state':
+      throw new Error(`Unsupported diagram type: ${diagramType} diagrams can't be read back from Draw.io yet`);
+    case 'flowchart':
+    default:
+      return cellsToFlowchart(selected.cells);
+  }
+}
+
+module.exports = {
+  drawioToMermaid,
+  parseDrawioXml,
+  selectPage,
+  parseGraphModel,
+  parseStyle,
+  detectDrawioDiagramType,
+  getShapeFromStyle,
+  decodeXml,
+};
@@ -6,12 +6,8 @@
  * to avoid affecting flowchart, sequence, and mindmap converters.
  */
 
-/**
- * Generate a unique ID for Draw.io elements
- */
-function generateId() {
-  return Math.random().toString(36).substring(2, 10);
-}
+const { computeLayout } = require('./layout-engine');
+const { compressDrawio } = require('./drawio-compression');
 
 /**
  * Escape XML special characters
@@ -53,8 +49,9 @@ function getCardinalityStyle(cardinality, isStart) {
 /**
  * Calculate entity positions using a smart layout
  * Places junction tables in the center, main entities on the sides
+ * (layout "grid", the default); any other layout is delegated to the layout engine
  */
-function calculateERPositions(entities, relationships) {
+function calculateERPositions(entities, relationships, layout = 'grid') {
   const positions = new Map();
   const entityWidth = 180;
   const entityBaseHeight = 40; // Header height
@@ -89,6 +86,18 @@ function calculateERPositions(entities, relationships) {
     return Math.max(entityBaseHeight + (attrCount * attributeHeight), 60);
   };
   
+  if (layout !== 'grid') {
+    const entityMap = new Map(entities.map((e) => [e.id, e]));
+    return computeLayout(layout, entities, relationships, {
+      direction: 'LR',
+      sizes: (id) => ({ width: entityWidth, height: getEntityHeight(entityMap.get(id)) }),
+      nodeGap: 80,
+      layerGap: horizontalGap - entityWidth,
+      startX,
+      startY,
+    });
+  }
+  
   // Special layout for 3 entities with junction table pattern
   if (entities.length === 3 && junctionTables.length === 1) {
     const junction = junctionTables[0];
@@ -148,14 +157,16 @@ function calculateERPositions(entities, relationships) {
  * Convert ER diagram to Draw.io XML
  */
 function convertERToDrawio(parsedDiagram, options = {}) {
+  // drawio-converter requires this module while loading, so its helpers are required here
+  const { diagramIdFor, modifiedAttribute, recordGeneratedIds } = require('./drawio-converter');
   const { name = 'ER Diagram' } = options;
-  const diagramId = generateId();
+  const diagramId = diagramIdFor(parsedDiagram, name, options);
   
   const entities = parsedDiagram.entities || parsedDiagram.nodes || [];
   const relationships = parsedDiagram.relationships || parsedDiagram.edges || [];
   
   // Calculate positions
-  const positions = calculateERPositions(entities, relationships);
+  const positions = calculateERPositions(entities, relationships, options.layout);
   
   // Build entities XML with proper ER table styling
   const entitiesXml = entities.map((entity) => {
@@ -268,7 +279,7 @@ function convertERToDrawio(parsedDiagram, options = {}) {
   
   // Assemble final XML
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<mxfile host="app.diagrams.net" modified="${new Date().toISOString()}" agent="BMAD-CLI-ER" version="21.0.0">
+<mxfile host="app.diagrams.net"${modifiedAttribute(options)} agent="BMAD-CLI-ER" version="21.0.0">
   <diagram name="${escapeXml(name)}" id="${diagramId}">
     <mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="${Math.max(1100, maxX)}" pageHeight="${Math.max(850, maxY)}" math="0" shadow="0">
       <root>
@@ -281,7 +292,8 @@ ${relationshipsXml}
   </diagram>
 </mxfile>`;
   
-  return xml;
+  const recorded = recordGeneratedIds(xml);
+  return options.compressed ? compressDrawio(recorded) : recorded;
 }
 
 /**
@@ -0,0 +1,347 @@
+/**
+ * Excalidraw Converter
+ * Converts diagrams to Excalidraw scene JSON (.excalidraw)
+ * Mermaid input goes through the Draw.io converters first, so nodes keep the
+ * positions, sizes and colours of the .drawio output
+ */
+
+const { createHash } = require('node:crypto');
+const { parseDrawioXml, selectPage } = require('./drawio-reader');
+const { labelLines, textWidth, pointAlong, resolveGeometry } = require('./drawio-geometry');
+const { toDrawio } = require('./drawio-converter');
+const { convertERToDrawio: convertERToDrawioNew, isERDiagram } = require('./er-converter');
+
+/**
+ * Draw.io arrow names mapped to Excalidraw arrowheads (filled / unfilled)
+ */
+const ARROWHEADS = {
+  classic: ['arrow', 'arrow'],
+  open: ['arrow', 'arrow'],
+  openAsync: ['arrow', 'arrow'],
+  block: ['triangle', 'triangle_outline'],
+  diamond: ['diamond', 'diamond_outline'],
+  diamondThin: ['diamond', 'diamond_outline'],
+  oval: ['dot', 'circle_outline'],
+  cross: ['bar', 'bar'],
+  ERone: ['crowfoot_one', 'crowfoot_one'],
+  ERmandOne: ['crowfoot_one', 'crowfoot_one'],
+  ERzeroToOne: ['crowfoot_one', 'crowfoot_one'],
+  ERmany: ['crowfoot_many', 'crowfoot_many'],
+  ERzeroToMany: ['crowfoot_many', 'crowfoot_many'],
+  ERoneToMany: ['crowfoot_one_or_many', 'crowfoot_one_or_many'],
+};
+
+/**
+ * Excalidraw font families
+ */
+const FONT_HAND_DRAWN = 1;
+const FONT_NORMAL = 2;
+
+/**
+ * Stable 31-bit integer for Excalidraw seeds and nonces
+ */
+function seedFor(id, salt) {
+  return createHash('sha1').update(`${salt}:${id}`).digest().readUInt32BE(0) >>> 1;
+}
+
+/**
+ * Map a Draw.io vertex style to an Excalidraw shape
+ * Covers the SHAPE_MAPPINGS shapes: circles become ellipses, diamonds diamonds,
+ * and everything else (stadium, subroutine, cylinder, hexagon...) a possibly rounded rectangle
+ */
+function excalidrawShape(style) {
+  if (style.ellipse || style.shape === 'startState' || style.shape === 'endState') {
+    return { type: 'ellipse', rounded: false };
+  }
+  if (style.rhombus) {
+    return { type: 'diamond', rounded: false };
+  }
+  return { type: 'rectangle', rounded: style.rounded === '1' };
+}
+
+/**
+ * Resolve a Draw.io colour for Excalidraw
+ */
+function colour(value, fallback) {
+  if (value === undefined || value === 'default' || value === true) return fallback;
+  return value === 'none' ? 'transparent' : value;
+}
+
+/**
+ * Convert the cells of one Draw.io page into Excalidraw elements
+ */
+function cellsToExcalidraw(cells, options = {}) {
+  const { sketch = true, deterministic } = options;
+  const { cellMap, absoluteBounds, routes } = resolveGeometry(cells);
+  const updated = deterministic ? 1 : Date.now();
+  const roughness = sketch ? 1 : 0;
+  const fontFamily = sketch ? FONT_HAND_DRAWN : FONT_NORMAL;
+
+  const elements = [];
+  const elementById = new Map();
+
+  // Children of table-like containers (ER entities, classes) move with them
+  const groupIdsFor = (cell) => {
+    let current = cell;
+    while (current) {
+      if (current.styleMap && current.styleMap.childLayout) return [`${current.id}-group`];
+      current = cellMap.get(current.parent);
+    }
+    return [];
+  };
+
+  const addElement = (cell, id, type, bounds, extra = {}) => {
+    const style = cell.styleMap;
+    const element = {
+      id,
+      type,
+      x: bounds.x,
+      y: bounds.y,
+      width: bounds.width,
+      height: bounds.height,
+      angle: 0,
+      strokeColor: colour(style.strokeColor === 'inherit' ? undefined : style.strokeColor, '#1e1e1e'),
+      backgroundColor: 'transparent',
+      fillStyle: 'solid',
+      strokeWidth: parseFloat(style.strokeWidth) || 1,
+      strokeStyle: style.dashed === '1' ? 'dashed' : 'solid',
+      roughness,
+      opacity: style.opacity !== undefined ? parseFloat(style.opacity) : 100,
+      groupIds: groupIdsFor(cell),
+      frameId: null,
+      roundness: null,
+      seed: seedFor(id, 'seed'),
+      version: 1,
+      versionNonce: seedFor(id, 'nonce'),
+      isDeleted: false,
+      boundElements: null,
+      updated,
+      link: null,
+      locked: false,
+      ...extra,
+    };
+    elements.push(element);
+    elementById.set(id, element);
+    return element;
+  };
+
+  const bind = (container, element) => {
+    const bound = container.boundElements || [];
+    if (!bound.some((entry) => entry.id === element.id)) {
+      container.boundElements = [...bound, { id: element.id, type: element.type }];
+    }
+  };
+
+  const addText = (cell, id, lines, box, extra = {}) => {
+    const style = cell.styleMap;
+    const fontSize = parseFloat(style.fontSize) || 12;
+    const bold = ((parseInt(style.fontStyle, 10) || 0) & 1) !== 0;
+    const text = lines.join('\n');
+    const width = Math.max(...lines.map((line) => textWidth(line, fontSize, bold)));
+    const height = lines.length * fontSize * 1.25;
+    const textAlign = extra.textAlign || style.align || 'center';
+    const verticalAlign = extra.verticalAlign || style.verticalAlign || 'middle';
+
+    let x = box.x + (box.width - width) / 2;
+    if (textAlign === 'left') x = box.x + (parseFloat(style.spacingLeft) || 2);
+    else if (textAlign === 'right') x = box.x + box.width - width - (parseFloat(style.spacingRight) || 2);
+    let y = box.y + (box.height - height) / 2;
+    if (verticalAlign === 'top') y = box.y + (parseFloat(style.spacingTop) || 2);
+    else if (verticalAlign === 'bottom') y = box.y + box.height - height;
+
+    return addElement(cell, id, 'text', { x, y, width, height }, {
+      strokeColor: colour(style.fontColor, '#1e1e1e'),
+      strokeStyle: 'solid',
+      text,
+      originalText: text,
+      fontSize,
+      fontFamily,
+      textAlign,
+      verticalAlign,
+      containerId: null,
+      autoResize: true,
+      lineHeight: 1.25,
+      ...extra,
+    });
+  };
+
+  // Shapes first, so arrows can bind to the elements they connect
+  const ordered = [...cells.filter((cell) => !cell.edge), ...cells.filter((cell) => cell.edge)];
+
+  ordered.forEach((cell) => {
+    const style = cell.styleMap;
+    const lines = labelLines(cell.value, style);
+    const hasLabel = lines.some(Boolean);
+
+    if (cell.edge) {
+      const points = routes.get(cell.id);
+      if (!points) return;
+
+      const xs = points.map((p) => p.x);
+      const ys = points.map((p) => p.y);
+      const arrowhead = (name, fill) => {
+        if (!name || name === 'none') return null;
+        const heads = ARROWHEADS[name] || ARROWHEADS.classic;
+        return fill === '0' ? heads[1] : heads[0];
+      };
+      const binding = (id) => (elementById.has(id) ? { elementId: id, focus: 0, gap: 1 } : null);
+
+      const arrow = addElement(cell, cell.id, 'arrow', {
+        x: points[0].x,
+        y: points[0].y,
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys),
+      }, {
+        strokeColor: colour(style.strokeColor, '#1e1e1e'),
+        roundness: style.curved === '1' ? { type: 2 } : null,
+        points: points.map((p) => [p.x - points[0].x, p.y - points[0].y]),
+        lastCommittedPoint: null,
+        startBinding: binding(cell.source),
+        endBinding: binding(cell.target),
+        startArrowhead: arrowhead(style.startArrow, style.startFill),
+        endArrowhead: arrowhead(style.endArrow === undefined ? 'classic' : style.endArrow, style.endFill),
+      });
+
+      [cell.source, cell.target].filter((id) => elementById.has(id)).forEach((id) => bind(elementById.get(id), arrow));
+
+      if (hasLabel) {
+        const anchor = pointAlong(points, ((cell.geometry && cell.geometry.x) || 0) / 2 + 0.5);
+        const label = addText(cell, `${cell.id}-label`, lines, { ...anchor, width: 0, height: 0 }, {
+          textAlign: 'center',
+          verticalAlign: 'middle',
+          containerId: arrow.id,
+        });
+        bind(arrow, label);
+      }
+      return;
+    }
+
+    if (!cell.vertex || !cell.geometry) return;
+
+    // Labels attached to an edge (class cardinalities) stay free text next to it
+    const parentCell = cellMap.get(cell.parent);
+    if (parentCell && parentCell.edge) {
+      const points = routes.get(parentCell.id);
+      if (points && hasLabel) {
+        const anchor = pointAlong(points, (cell.geometry.x || 0) / 2 + 0.5);
+        const offset = cell.geometry.offset || { x: 0, y: 0 };
+        addText(cell, cell.id, lines, { x: anchor.x + offset.x, y: anchor.y + offset.y, width: 0, height: 0 }, { verticalAlign: 'middle' });
+      }
+      return;
+    }
+
+    const bounds = absoluteBounds(cell);
+    const fill = colour(style.fillColor, '#ffffff');
+
+    if (style.text || style.edgeLabel) {
+      if (hasLabel) addText(cell, cell.id, lines, bounds);
+      return;
+    }
+
+    if (style.line || style.shape === 'line') {
+      const vertical = style.direction === 'south' || style.direction === 'north';
+      const start = vertical ? { x: bounds.x + bounds.width / 2, y: bounds.y } : { x: bounds.x, y: bounds.y + bounds.height / 2 };
+      const inheritedStroke = parentCell && parentCell.styleMap ? parentCell.styleMap.strokeColor : undefined;
+      addElement(cell, cell.id, 'line', { ...start, width: vertical ? 0 : bounds.width, height: vertical ? bounds.height : 0 }, {
+        strokeColor: colour(style.strokeColor === 'inherit' ? inheritedStroke : style.strokeColor, '#1e1e1e'),
+        points: [[0, 0], vertical ? [0, bounds.height] : [bounds.width, 0]],
+        lastCommittedPoint: null,
+        startBinding: null,
+        endBinding: null,
+        startArrowhead: null,
+        endArrowhead: null,
+      });
+      return;
+    }
+
+    // Containers: an outline for the whole body plus a filled header carrying the title
+    if (style.swimlane) {
+      const headerHeight = Math.min(parseFloat(style.startSize) || 23, bounds.height);
+      const roundness = style.rounded === '1' ? { type: 3 } : null;
+      addElement(cell, cell.id, 'rectangle', bounds, {
+        backgroundColor: colour(style.swimlaneFillColor, 'transparent'),
+        roundness,
+      });
+      const header = addElement(cell, `${cell.id}-header`, 'rectangle', { ...bounds, height: headerHeight }, {
+        backgroundColor: fill,
+        roundness,
+      });
+      if (hasLabel) {
+        bind(header, addText(cell, `${cell.id}-label`, lines, { ...bounds, height: headerHeight }, {
+          textAlign: 'center',
+          verticalAlign: 'middle',
+          containerId: header.id,
+        }));
+      }
+      return;
+    }
+
+    const shape = excalidrawShape(style);
+    const element = addElement(cell, cell.id, shape.type, bounds, {
+      backgroundColor: style.shape === 'startState' ? colour(style.fillColor, '#1e1e1e') : fill,
+      roundness: shape.rounded ? { type: 3 } : null,
+    });
+
+    if (style.shape === 'endState') {
+      const inset = bounds.width / 4;
+      addElement(cell, `${cell.id}-dot`, 'ellipse', {
+        x: bounds.x + inset,
+        y: bounds.y + inset,
+        width: bounds.width - inset * 2,
+        height: bounds.height - inset * 2,
+      }, { backgroundColor: colour(style.fillColor, '#1e1e1e') });
+    }
+
+    if (!hasLabel) return;
+
+    // Labels outside the shape (actors, frames) are free text; the rest is bound to the shape
+    if (style.verticalLabelPosition === 'bottom') {
+      addText(cell, `${cell.id}-label`, lines, { ...bounds, y: bounds.y + bounds.height }, { verticalAlign: 'top' });
+    } else if (style.shape === 'umlFrame') {
+      addText(cell, `${cell.id}-label`, lines, { ...bounds, width: parseFloat(style.width) || 60, height: parseFloat(style.height) || 30 });
+    } else {
+      bind(element, addText(cell, `${cell.id}-label`, lines, bounds, { containerId: element.id }));
+    }
+  });
+
+  return elements;
+}
+
+/**
+ * Convert a page of a Draw.io file into an Excalidraw scene (JSON string)
+ */
+function drawioToExcalidraw(xml, options = {}) {
+  const { page = 0, background = '#ffffff' } = options;
+  const selected = selectPage(parseDrawioXml(xml), page);
+
+  const scene = {
+    type: 'excalidraw',
+    version: 2,
+    source: 'bmad-diagram-cli',
+    elements: cellsToExcalidraw(selected.cells, options),
+    appState: {
+      viewBackgroundColor: background,
+      gridSize: null,
+    },
+    files: {},
+  };
+
+  return `${JSON.stringify(scene, null, 2)}\n`;
+}
+
+/**
+ * Convert a parsed Mermaid diagram into an Excalidraw scene (JSON string)
+ * Layout comes from the Draw.io converters, so both files look alike
+ */
+function toExcalidraw(parsedDiagram, options = {}) {
+  const converterOptions = { ...options, compressed: false };
+  const xml = isERDiagram(parsedDiagram)
+    ? convertERToDrawioNew(parsedDiagram, converterOptions)
+    : toDrawio(parsedDiagram, converterOptions);
+  return drawioToExcalidraw(xml, { ...options, page: 0 });
+}
+
+module.exports = {
+  toExcalidraw,
+  drawioToExcalidraw,
+};
@@ -0,0 +1,242 @@
+/**
+ * Graph Analysis
+ * Control-flow checks on flowcharts: entry and exit points, nodes no entry reaches,
+ * dead ends that are not end nodes, decisions without enough (labeled) branches and
+ * loops that cannot be left. Links are followed from source to target; a link to or
+ * from a subgraph counts for every node inside it.
+ */
+
+/**
+ * Shapes conventionally used for start and end nodes
+ */
+const TERMINAL_SHAPES = ['stadium', 'circle', 'doubleCircle', 'smallCircle', 'framedCircle'];
+
+/**
+ * Ids or labels (ignoring case) that mark an end node
+ */
+const END_NAMES = ['end', 'stop', 'done'];
+
+/**
+ * Ids or labels (ignoring case) that mark a start node
+ */
+const START_NAMES = ['start', 'begin'];
+
+/**
+ * Find entry points (nodes with no incoming edges)
+ */
+function findEntryPoints(nodes, edges) {
+  const hasIncoming = new Set(edges.map((e) => e.target));
+  return nodes.filter((n) => !hasIncoming.has(n.id));
+}
+
+/**
+ * Find exit points (nodes with no outgoing edges)
+ */
+function findExitPoints(nodes, edges) {
+  const hasOutgoing = new Set(edges.map((e) => e.source));
+  return nodes.filter((n) => !hasOutgoing.has(n.id));
+}
+
+/**
+ * Node ids inside a subgraph, including those of nested subgraphs
+ */
+function subgraphMembers(subgraphs, id, seen = new Set()) {
+  if (seen.has(id) || !subgraphs.has(id)) return [];
+  seen.add(id);
+  const subgraph = subgraphs.get(id);
+  return [...subgraph.nodes, ...subgraph.subgraphs.flatMap((child) => subgraphMembers(subgraphs, child, seen))];
+}
+
+/**
+ * Directed graph of a parsed flowchart
+ * Returns { nodes, links, edges, successors }: `links` are the diagram's edges, `edges`
+ * the node-to-node edges after expanding subgraphs, `successors` maps ids to Sets of ids
+ */
+function buildFlowGraph(parsed) {
+  const { nodes } = parsed;
+  const ids = new Set(nodes.map((node) => node.id));
+  const subgraphs = new Map((parsed.subgraphs || []).map((subgraph) => [subgraph.id, subgraph]));
+  const expand = (id) => (ids.has(id) ? [id] : subgraphMembers(subgraphs, id).filter((member) => ids.has(member)));
+
+  const edges = parsed.edges.flatMap((edge) => expand(edge.source).flatMap((source) => (
+    expand(edge.target).map((target) => ({ ...edge, source, target }))
+  )));
+  const successors = new Map(nodes.map((node) => [node.id, new Set()]));
+  edges.forEach((edge) => successors.get(edge.source).add(edge.target));
+
+  return { nodes, links: parsed.edges, edges, successors };
+}
+
+/**
+ * Start nodes, by shape or by id or label, that have outgoing links and are not named as end nodes
+ * Options: start, end (names), shapes (terminal shapes)
+ */
+function findStartNodes(graph, options = {}) {
+  const { start = START_NAMES, end = END_NAMES, shapes = TERMINAL_SHAPES } = options;
+  return graph.nodes.filter((node) => graph.successors.get(node.id).size > 0
+    && isTerminal(node, { end: start, shapes })
+    && !isTerminal(node, { end, shapes: [] }));
+}
+
+/**
+ * Nodes that no path from an entry point reaches
+ * When every node has incoming links (a loop back to the start), the flow starts at the
+ * start nodes instead (see findStartNodes); without those either nothing is reported
+ */
+function findUnreachableNodes(graph, options = {}) {
+  let entries = findEntryPoints(graph.nodes, graph.edges);
+  if (entries.length === 0) entries = findStartNodes(graph, options);
+  if (entries.length === 0) return [];
+
+  const reached = new Set(entries.map((node) => node.id));
+  const queue = [...reached];
+  while (queue.length > 0) {
+    graph.successors.get(queue.shift()).forEach((target) => {
+      if (reached.has(target)) return;
+      reached.add(target);
+      queue.push(target);
+    });
+  }
+  return graph.nodes.filter((node) => !reached.has(node.id));
+}
+
+/**
+ * Whether a node is an end node, by shape or by id or label
+ */
+function isTerminal(node, options = {}) {
+  const { end = END_NAMES, shapes = TERMINAL_SHAPES } = options;
+  if (shapes.includes(node.shape)) return true;
+  const names = end.map((name) => name.toLowerCase());
+  return [node.id, node.label].some((name) => name && names.includes(name.trim().toLowerCase()));
+}
+
+/**
+ * Nodes where the flow stops without reaching an end node
+ * Options: end (names), shapes (terminal shapes). Unconnected nodes are not included
+ */
+function findDeadEnds(graph, options = {}) {
+  const connected = new Set(graph.edges.flatMap((edge) => [edge.source, edge.target]));
+  return findExitPoints(graph.nodes, graph.edges)
+    .filter((node) => connected.has(node.id) && !isTerminal(node, options));
+}
+
+/**
+ * Every decision (diamond) node with its outgoing links and those without a label
+ * Returns [{ node, branches, unlabeled }]
+ */
+function findDecisions(graph) {
+  return graph.nodes
+    .filter((node) => node.shape === 'diamond')
+    .map((node) => {
+      const branches = graph.links.filter((link) => link.source === node.id);
+      const unlabeled = branches.filter((link) => !(link.label || '').trim());
+      return { node, branches, unlabeled };
+    });
+}
+
+/**
+ * Strongly connected components (Tarjan), iterative so deep graphs don't overflow the stack
+ */
+function stronglyConnectedComponents(ids, successors) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const visit = (id) => {
+    index.set(id, counter);
+    lowLink.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+    return { id, next: [...successors.get(id)], position: 0 };
+  };
+
+  ids.forEach((root) => {
+    if (index.has(root)) return;
+    const work = [visit(root)];
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      if (frame.position < frame.next.length) {
+        const target = frame.next[frame.position++];
+        if (!index.has(target)) {
+          work.push(visit(target));
+        } else if (onStack.has(target)) {
+          lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.id)));
+      }
+      if (lowLink.get(frame.id) === index.get(frame.id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.id);
+        components.push(component);
+      }
+    }
+  });
+  return components;
+}
+
+/**
+ * Loops no link leaves, as lists of nodes in diagram order
+ */
+function findInfiniteLoops(graph) {
+  const order = new Map(graph.nodes.map((node, i) => [node.id, i]));
+  const byId = new Map(graph.nodes.map((node) => [node.id, node]));
+
+  return stronglyConnectedComponents(graph.nodes.map((node) => node.id), graph.successors)
+    .filter((component) => {
+      const members = new Set(component);
+      const isLoop = component.length > 1 || graph.successors.get(component[0]).has(component[0]);
+      return isLoop && component.every((id) => [...graph.successors.get(id)].every((target) => members.has(target)));
+    })
+    .map((component) => component.sort((a, b) => order.get(a) - order.get(b)))
+    .sort((a, b) => order.get(a[0]) - order.get(b[0]))
+    .map((component) => component.map((id) => byId.get(id)));
+}
+
+/**
+ * Analyze the control flow of a parsed flowchart
+ * Options: end, start and shapes, to recognise end and start nodes (see findDeadEnds, findStartNodes)
+ * Returns { entryPoints, exitPoints, unreachable, deadEnds, decisions, infiniteLoops },
+ * with the parsed nodes (and their source ranges) in each list
+ */
+function analyzeGraph(parsed, options = {}) {
+  const graph = buildFlowGraph(parsed);
+  return {
+    entryPoints: findEntryPoints(graph.nodes, graph.edges),
+    exitPoints: findExitPoints(graph.nodes, graph.edges),
+    unreachable: findUnreachableNodes(graph, options),
+    deadEnds: findDeadEnds(graph, options),
+    decisions: findDecisions(graph),
+    infiniteLoops: findInfiniteLoops(graph),
+  };
+}
+
+module.exports = {
+  TERMINAL_SHAPES,
+  END_NAMES,
+  START_NAMES,
+  findEntryPoints,
+  findExitPoints,
+  buildFlowGraph,
+  findStartNodes,
+  findUnreachableNodes,
+  findDeadEnds,
+  findDecisions,
+  findInfiniteLoops,
+  isTerminal,
+  analyzeGraph,
+};
@@ -0,0 +1,274 @@
+/**
+ * Graph Exporter
+ * Exports parsed diagrams ({ nodes, edges, subgraphs }) to GraphML (yEd) and
+ * Graphviz DOT for analysis tools
+ */
+
+const { escapeXml, calculateFlowchartPositions } = require('./drawio-converter');
+
+/**
+ * SHAPE_MAPPINGS shapes in yEd and Graphviz terms; shapes not listed are exported as rectangles
+ */
+const SHAPES = {
+  rectangle: { yed: 'rectangle', dot: 'box', rounded: false },
+  roundedRect: { yed: 'roundrectangle', dot: 'box', rounded: true },
+  stadium: { yed: 'roundrectangle', dot: 'box', rounded: true },
+  subroutine: { yed: 'rectangle', dot: 'box', rounded: false, peripheries: 2 },
+  circle: { yed: 'ellipse', dot: 'circle', rounded: false },
+  doubleCircle: { yed: 'ellipse', dot: 'doublecircle', rounded: false },
+  smallCircle: { yed: 'ellipse', dot: 'circle', rounded: false },
+  framedCircle: { yed: 'ellipse', dot: 'doublecircle', rounded: false },
+  filledCircle: { yed: 'ellipse', dot: 'circle', rounded: false },
+  crossedCircle: { yed: 'ellipse', dot: 'circle', rounded: false },
+  diamond: { yed: 'diamond', dot: 'diamond', rounded: false },
+  hexagon: { yed: 'hexagon', dot: 'hexagon', rounded: false },
+  cylinder: { yed: 'rectangle', dot: 'cylinder', rounded: false },
+  linedCylinder: { yed: 'rectangle', dot: 'cylinder', rounded: false },
+  parallelogram: { yed: 'parallelogram', dot: 'parallelogram', rounded: false },
+  parallelogramAlt: { yed: 'parallelogram2', dot: 'parallelogram', rounded: false },
+  trapezoid: { yed: 'trapezoid2', dot: 'trapezoid', rounded: false },
+  trapezoidAlt: { yed: 'trapezoid', dot: 'invtrapezoid', rounded: false },
+  triangle: { yed: 'triangle', dot: 'triangle', rounded: false },
+  flippedTriangle: { yed: 'triangle', dot: 'invtriangle', rounded: false },
+  document: { yed: 'rectangle', dot: 'note', rounded: false },
+  delay: { yed: 'roundrectangle', dot: 'box', rounded: true },
+};
+
+/**
+ * Effective look of a node: shape defaults overridden by classDef/style
+ */
+function nodeAppearance(node) {
+  const css = node.cssStyle || {};
+  const shape = SHAPES[node.shape] || SHAPES.rectangle;
+  return {
+    shape,
+    label: node.label || node.id,
+    fill: css.fill && css.fill !== 'none' ? css.fill : (node.fillColor || '#dae8fc'),
+    stroke: css.stroke || node.strokeColor || '#6c8ebf',
+    strokeWidth: parseFloat(css['stroke-width']) || 1,
+    fontColor: css.color || '#000000',
+  };
+}
+
+/**
+ * Effective look of an edge: arrow type from parseArrow, overridden by linkStyle
+ */
+function edgeAppearance(edge) {
+  const css = edge.cssStyle || {};
+  const arrowType = edge.arrowType || { type: 'solid', arrow: 'classic' };
+  const dashArray = css['stroke-dasharray'];
+  const dashed = dashArray ? !['0', 'none'].includes(dashArray.trim()) : arrowType.type === 'dashed';
+
+  return {
+    label: edge.label || '',
+    color: css.stroke || '#000000',
+    width: parseFloat(css['stroke-width']) || (arrowType.type === 'thick' ? 3 : 1),
+    dashed,
+    thick: arrowType.type === 'thick',
+    arrow: arrowType.arrow !== 'none',
+  };
+}
+
+/**
+ * Subgraphs keyed by parent (null for the top level), and the subgraph of each node
+ */
+function subgraphTree(parsedDiagram) {
+  const subgraphs = parsedDiagram.subgraphs || [];
+  const children = new Map();
+  subgraphs.forEach((sg) => {
+    const parent = sg.parent || null;
+    children.set(parent, [...(children.get(parent) || []), sg]);
+  });
+
+  const nodeParent = new Map();
+  subgraphs.forEach((sg) => sg.nodes.forEach((nodeId) => nodeParent.set(nodeId, sg.id)));
+  return { children, nodeParent };
+}
+
+/**
+ * Quote a string for DOT
+ */
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Render DOT attributes
+ */
+function dotAttributes(attrs) {
+  const parts = Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${typeof value === 'number' ? value : dotString(value)}`);
+  return parts.length > 0 ? ` [${parts.join(', ')}]` : '';
+}
+
+/**
+ * Convert a parsed diagram to Graphviz DOT
+ * Subgraphs become clusters; rankdir follows the Mermaid direction
+ */
+function toDot(parsedDiagram, options = {}) {
+  const { name = 'Converted Diagram' } = options;
+  const nodes = parsedDiagram.nodes || [];
+  const edges = parsedDiagram.edges || [];
+  const { children, nodeParent } = subgraphTree(parsedDiagram);
+  const rankdir = { TD: 'TB', TB: 'TB', BT: 'BT', LR: 'LR', RL: 'RL' }[parsedDiagram.direction] || 'TB';
+
+  const nodeLine = (node, indent) => {
+    const look = nodeAppearance(node);
+    const styles = ['filled', ...(look.shape.rounded ? ['rounded'] : [])];
+    return `${indent}${dotString(node.id)}${dotAttributes({
+      label: look.label,
+      shape: look.shape.dot,
+      style: styles.join(','),
+      fillcolor: look.fill,
+      color: look.stroke,
+      fontcolor: look.fontColor !== '#000000' ? look.fontColor : undefined,
+      penwidth: look.strokeWidth !== 1 ? look.strokeWidth : undefined,
+      peripheries: look.shape.peripheries,
+    })};`;
+  };
+
+  const scopeLines = (scope, indent) => {
+    const lines = [];
+    (children.get(scope) || []).forEach((sg) => {
+      lines.push(`${indent}subgraph ${dotString(`cluster_${sg.id}`)} {`);
+      lines.push(`${indent}  label=${dotString(sg.label || sg.id)};`);
+      lines.push(`${indent}  style="rounded,filled";`);
+      lines.push(`${indent}  fillcolor="#f5f5f5";`);
+      lines.push(`${indent}  color="#666666";`);
+      lines.push(...scopeLines(sg.id, `${indent}  `));
+      lines.push(`${indent}}`);
+    });
+    nodes.filter((node) => (nodeParent.get(node.id) || null) === scope).forEach((node) => lines.push(nodeLine(node, indent)));
+    return lines;
+  };
+
+  const edgeLines = edges.map((edge) => {
+    const look = edgeAppearance(edge);
+    return `  ${dotString(edge.source)} -> ${dotString(edge.target)}${dotAttributes({
+      label: look.label,
+      style: look.dashed ? 'dashed' : (look.thick ? 'bold' : undefined),
+      color: look.color !== '#000000' ? look.color : undefined,
+      penwidth: look.width !== 1 ? look.width : undefined,
+      arrowhead: look.arrow ? undefined : 'none',
+    })};`;
+  });
+
+  return `digraph ${dotString(name)} {
+  rankdir=${rankdir};
+  node [fontname="Helvetica", fontsize=12];
+  edge [fontname="Helvetica", fontsize=11];
+
+${scopeLines(null, '  ').join('\n')}
+
+${edgeLines.join('\n')}
+}
+`;
+}
+
+/**
+ * Convert a parsed diagram to GraphML with yEd graphics
+ * Plain label/shape/colour attributes are written too, for scripts (e.g. networkx)
+ * Subgraphs become yEd group nodes; geometry comes from the flowchart layout
+ */
+function toGraphML(parsedDiagram, options = {}) {
+  const { layout } = options;
+  const nodes = parsedDiagram.nodes || [];
+  const edges = parsedDiagram.edges || [];
+  const subgraphs = parsedDiagram.subgraphs || [];
+  const { children, nodeParent } = subgraphTree(parsedDiagram);
+  const { absolute } = calculateFlowchartPositions(nodes, edges, subgraphs, parsedDiagram.direction || 'TB', layout);
+
+  const geometry = (id) => {
+    const pos = absolute.get(id) || { x: 0, y: 0, width: 140, height: 50 };
+    return `<y:Geometry x="${pos.x}" y="${pos.y}" width="${pos.width}" height="${pos.height}"/>`;
+  };
+  const data = (key, value) => `<data key="${key}">${escapeXml(String(value))}</data>`;
+
+  const nodeXml = (node, indent) => {
+    const look = nodeAppearance(node);
+    return `${indent}<node id="${escapeXml(node.id)}">
+${indent}  ${data('label', look.label)}
+${indent}  ${data('shape', node.shape || 'rectangle')}
+${indent}  ${data('fill', look.fill)}
+${indent}  ${data('stroke', look.stroke)}
+${indent}  <data key="nodegraphics">
+${indent}    <y:ShapeNode>
+${indent}      ${geometry(node.id)}
+${indent}      <y:Fill color="${escapeXml(look.fill)}" transparent="false"/>
+${indent}      <y:BorderStyle color="${escapeXml(look.stroke)}" type="line" width="${look.strokeWidth.toFixed(1)}"/>
+${indent}      <y:NodeLabel textColor="${escapeXml(look.fontColor)}">${escapeXml(look.label)}</y:NodeLabel>
+${indent}      <y:Shape type="${look.shape.yed}"/>
+${indent}    </y:ShapeNode>
+${indent}  </data>
+${indent}</node>`;
+  };
+
+  const scopeXml = (scope, indent) => {
+    const parts = [];
+    (children.get(scope) || []).forEach((sg) => {
+      const label = sg.label || sg.id;
+      parts.push(`${indent}<node id="${escapeXml(sg.id)}" yfiles.foldertype="group">
+${indent}  ${data('label', label)}
+${indent}  ${data('shape', 'subgraph')}
+${indent}  <data key="nodegraphics">
+${indent}    <y:ProxyAutoBoundsNode>
+${indent}      <y:Realizers active="0">
+${indent}        <y:GroupNode>
+${indent}          ${geometry(sg.id)}
+${indent}          <y:Fill color="#f5f5f5" transparent="false"/>
+${indent}          <y:BorderStyle color="#666666" type="line" width="1.0"/>
+${indent}          <y:NodeLabel alignment="center" autoSizePolicy="node_width" backgroundColor="#f5f5f5" modelName="internal" modelPosition="t">${escapeXml(label)}</y:NodeLabel>
+${indent}          <y:Shape type="roundrectangle"/>
+${indent}          <y:State closed="false"/>
+${indent}        </y:GroupNode>
+${indent}      </y:Realizers>
+${indent}    </y:ProxyAutoBoundsNode>
+${indent}  </data>
+${indent}  <graph id="${escapeXml(sg.id)}:" edgedefault="directed">
+${scopeXml(sg.id, `${indent}    `)}
+${indent}  </graph>
+${indent}</node>`);
+    });
+    nodes.filter((node) => (nodeParent.get(node.id) || null) === scope).forEach((node) => parts.push(nodeXml(node, indent)));
+    return parts.join('\n');
+  };
+
+  const edgesXml = edges.map((edge, index) => {
+    const look = edgeAppearance(edge);
+    return `    <edge id="${escapeXml(edge.id || `e${index + 1}`)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">
+      ${data('label', look.label)}
+      ${data('style', look.dashed ? 'dashed' : (look.thick ? 'thick' : 'solid'))}
+      ${data('arrow', look.arrow ? 'classic' : 'none')}
+      <data key="edgegraphics">
+        <y:PolyLineEdge>
+          <y:LineStyle color="${escapeXml(look.color)}" type="${look.dashed ? 'dashed' : 'line'}" width="${look.width.toFixed(1)}"/>
+          <y:Arrows source="none" target="${look.arrow ? 'standard' : 'none'}"/>
+${look.label ? `          <y:EdgeLabel>${escapeXml(look.label)}</y:EdgeLabel>\n` : ''}          <y:BendStyle smoothed="false"/>
+        </y:PolyLineEdge>
+      </data>
+    </edge>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:y="http://www.yworks.com/xml/graphml" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://www.yworks.com/xml/schema/graphml/1.1/ygraphml.xsd">
+  <key id="label" for="all" attr.name="label" attr.type="string"/>
+  <key id="shape" for="node" attr.name="shape" attr.type="string"/>
+  <key id="fill" for="node" attr.name="fill" attr.type="string"/>
+  <key id="stroke" for="node" attr.name="stroke" attr.type="string"/>
+  <key id="style" for="edge" attr.name="style" attr.type="string"/>
+  <key id="arrow" for="edge" attr.name="arrow" attr.type="string"/>
+  <key id="nodegraphics" for="node" yfiles.type="nodegraphics"/>
+  <key id="edgegraphics" for="edge" yfiles.type="edgegraphics"/>
+  <graph id="G" edgedefault="directed">
+${scopeXml(null, '    ')}
+${edgesXml}
+  </graph>
+</graphml>
+`;
+}
+
+module.exports = {
+  toDot,
+  toGraphML,
+};
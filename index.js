@@ -3,17 +3,60 @@
  * Export all modules for programmatic use
  */
 
-const { parseMermaid, validateMermaid, SHAPE_MAPPINGS } = require('./mermaid-parser');
-const { toDrawio, convertToDrawio, convertSequenceToDrawio, convertERToDrawio } = require('./drawio-converter');
+const { parseMermaid, extractMermaidBlocks, SHAPE_MAPPINGS } = require('./mermaid-parser');
+const { validateMermaid, RULES, registerRule, loadLintConfig, findLintConfig } = require('./mermaid-validator');
+const { analyzeGraph, findEntryPoints, findExitPoints } = require('./graph-analysis');
+const { fixMermaid } = require('./mermaid-fixer');
+const { unifiedDiff } = require('./unified-diff');
+const { INPUT_FORMATS, detectInputFormat, translateSource, parseDiagramSource, validateDiagramSource } = require('./input-formats');
+const { parseDot, dotToMermaid } = require('./dot-parser');
+const { plantumlToMermaid } = require('./plantuml-parser');
+const { toDrawio, addTerminals, convertToDrawio, convertSequenceToDrawio, convertERToDrawio, convertClassToDrawio, convertStateToDrawio, mergeDrawioDocuments, toDrawioPages } = require('./drawio-converter');
+const { compressDrawio, decompressDrawio } = require('./drawio-compression');
 const { toMarkdown, validationReportToMarkdown } = require('./markdown-converter');
 const { convertERToDrawio: convertERToDrawioNew, isERDiagram } = require('./er-converter');
+const { drawioToMermaid, parseDrawioXml } = require('./drawio-reader');
+const { mergeDrawio } = require('./drawio-merger');
+const { toSvg, drawioToSvg } = require('./svg-renderer');
+const { toExcalidraw, drawioToExcalidraw } = require('./excalidraw-converter');
+const { toGraphML, toDot } = require('./graph-exporter');
+const { convertMarkdownDocument, linkMermaidBlocks } = require('./markdown-document');
+const { runBatch, expandInputs, checkOutputs } = require('./batch-converter');
+const { watchDiagrams } = require('./diagram-watcher');
+const { LAYOUTS, layeredLayout, treeLayout, registerLayout, computeLayout } = require('./layout-engine');
 
 module.exports = {
   // Parser
   parseMermaid,
   validateMermaid,
+  extractMermaidBlocks,
   SHAPE_MAPPINGS,
 
+  // Validation rules and .diagram-lint.json configs
+  RULES,
+  registerRule,
+  loadLintConfig,
+  findLintConfig,
+
+  // Control flow analysis of flowcharts
+  analyzeGraph,
+  findEntryPoints,
+  findExitPoints,
+
+  // Automatic fixes for validation issues
+  fixMermaid,
+  unifiedDiff,
+
+  // Other input formats (DOT, PlantUML), translated to Mermaid
+  INPUT_FORMATS,
+  detectInputFormat,
+  translateSource,
+  parseDiagramSource,
+  validateDiagramSource,
+  parseDot,
+  dotToMermaid,
+  plantumlToMermaid,
+
   // Converters
   toDrawio,
   toMarkdown,
@@ -22,11 +65,56 @@ module.exports = {
   convertToDrawio,
   convertSequenceToDrawio,
   convertERToDrawio,
-  
+  convertClassToDrawio,
+  convertStateToDrawio,
+  mergeDrawioDocuments,
+  toDrawioPages,
+  addTerminals,
+
+  // Compressed pages (Draw.io's default storage)
+  compressDrawio,
+  decompressDrawio,
+
   // Dedicated ER converter (new)
   convertERToDrawioNew,
   isERDiagram,
 
+  // Reverse conversion (Draw.io → Mermaid)
+  drawioToMermaid,
+  parseDrawioXml,
+
+  // SVG rendering
+  toSvg,
+  drawioToSvg,
+
+  // Excalidraw export
+  toExcalidraw,
+  drawioToExcalidraw,
+
+  // Graph exports for analysis tools
+  toGraphML,
+  toDot,
+
+  // Incremental update of an existing .drawio
+  mergeDrawio,
+
+  // Markdown documents with embedded Mermaid blocks
+  convertMarkdownDocument,
+  linkMermaidBlocks,
+
+  // Batch conversion
+  runBatch,
+  expandInputs,
+  checkOutputs,
+  watchDiagrams,
+
+  // Layout engine
+  LAYOUTS,
+  layeredLayout,
+  treeLayout,
+  registerLayout,
+  computeLayout,
+
   // Utilities
   validationReportToMarkdown,
 };
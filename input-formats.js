@@ -0,0 +1,136 @@
+/**
+ * Input Formats
+ * Chooses the front-end for a diagram source (Mermaid, Graphviz DOT or PlantUML)
+ * and turns it into the parsed structure the converters consume
+ */
+
+const path = require('node:path');
+const { parseMermaid } = require('./mermaid-parser');
+const { validateMermaid } = require('./mermaid-validator');
+const { dotToMermaid } = require('./dot-parser');
+const { plantumlToMermaid } = require('./plantuml-parser');
+
+/**
+ * Supported input formats: display label, Markdown fence language, file extensions
+ * and the translator into Mermaid (none for Mermaid itself)
+ */
+const INPUT_FORMATS = {
+  mermaid: { label: 'Mermaid', fence: 'mermaid', extensions: ['.mmd', '.mermaid'], translate: null },
+  dot: { label: 'DOT', fence: 'dot', extensions: ['.dot', '.gv'], translate: dotToMermaid },
+  plantuml: { label: 'PlantUML', fence: 'plantuml', extensions: ['.puml', '.plantuml', '.pu', '.iuml', '.wsd'], translate: plantumlToMermaid },
+};
+
+/**
+ * Other names accepted for --from
+ */
+const FORMAT_ALIASES = { graphviz: 'dot', gv: 'dot', puml: 'plantuml', mmd: 'mermaid' };
+
+/**
+ * Canonical format name, or an error for an unknown one
+ */
+function resolveFormat(name) {
+  const key = String(name).toLowerCase();
+  const format = FORMAT_ALIASES[key] || key;
+  if (!INPUT_FORMATS[format]) {
+    throw new Error(`Unknown input format "${name}" (expected ${Object.keys(INPUT_FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Pick the input format: an explicit choice, then the file extension, then the content
+ */
+function detectInputFormat(fileName, code = '', explicit = null) {
+  if (explicit) return resolveFormat(explicit);
+
+  const extension = fileName ? path.extname(fileName).toLowerCase() : '';
+  const byExtension = Object.keys(INPUT_FORMATS).find((format) => INPUT_FORMATS[format].extensions.includes(extension));
+  if (byExtension) return byExtension;
+
+  const text = code.replace(/^(\s*(\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/))*/, '').trim();
+  if (/^@start\w*/i.test(text)) return 'plantuml';
+  if (/^(strict\s+)?(di)?graph\s*("[^"]*"|[\w.]+)?\s*\{/i.test(text)) return 'dot';
+  return 'mermaid';
+}
+
+/**
+ * Translate a DOT or PlantUML source into Mermaid
+ * Returns { code, lineMap, warnings, title }; Mermaid input passes through unchanged
+ */
+function translateSource(code, format) {
+  const { translate } = INPUT_FORMATS[resolveFormat(format)];
+  if (!translate) {
+    return { code, lineMap: null, warnings: [], title: null };
+  }
+  return translate(code);
+}
+
+/**
+ * Parse a diagram source of any supported format
+ * Non-Mermaid results also carry sourceFormat, sourceWarnings and the Mermaid translation,
+ * which their source ranges and diagnostics refer to
+ */
+function parseDiagramSource(code, options = {}) {
+  const format = resolveFormat(options.format || 'mermaid');
+  if (format === 'mermaid') {
+    return parseMermaid(code);
+  }
+
+  const translation = translateSource(code, format);
+  return {
+    ...parseMermaid(translation.code),
+    sourceFormat: format,
+    sourceWarnings: translation.warnings,
+    mermaidCode: translation.code,
+  };
+}
+
+/**
+ * Validate a diagram source of any supported format
+ * Options: format, rules (as for validateMermaid)
+ * Issues found in the Mermaid translation are reported against the original lines;
+ * syntax errors and translation warnings carry the rule ids `syntax` and `translation`
+ */
+function validateDiagramSource(code, options = {}) {
+  const format = resolveFormat(options.format || 'mermaid');
+  if (format === 'mermaid') {
+    return validateMermaid(code, { rules: options.rules });
+  }
+
+  let translation;
+  try {
+    translation = translateSource(code, format);
+  } catch (error) {
+    return {
+      isValid: false,
+      compatibility: 'low',
+      issues: [{ line: error.line || 1, rule: 'syntax', severity: 'error', issue: error.message, suggestion: `Fix the ${INPUT_FORMATS[format].label} syntax` }],
+      warnings: [],
+      nodeCount: 0,
+      edgeCount: 0,
+      sourceFormat: format,
+    };
+  }
+
+  const validation = validateMermaid(translation.code, { rules: options.rules });
+  // Columns point into the translation, so only the line carries over
+  const toSourceLine = ({ column, ...entry }) => ({ ...entry, line: translation.lineMap[entry.line - 1] || 1 });
+  const translationWarnings = translation.warnings.map(({ line, issue, suggestion }) => ({ line, rule: 'translation', severity: 'warning', issue, suggestion }));
+  const warnings = [...translationWarnings, ...validation.warnings.map(toSourceLine)];
+
+  return {
+    ...validation,
+    compatibility: validation.compatibility === 'high' && translationWarnings.length > 0 ? 'medium' : validation.compatibility,
+    issues: validation.issues.map(toSourceLine),
+    warnings,
+    sourceFormat: format,
+  };
+}
+
+module.exports = {
+  INPUT_FORMATS,
+  detectInputFormat,
+  translateSource,
+  parseDiagramSource,
+  validateDiagramSource,
+};
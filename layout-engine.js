@@ -0,0 +1,753 @@
+/**
+ * Layout Engine
+ * Positions diagram nodes for the Draw.io converters
+ *
+ * Algorithms:
+ * - layered: Sugiyama-style layout (cycle removal, layer assignment,
+ *   crossing reduction, coordinate assignment)
+ * - tree: the original longest-path leveling with subtree widths
+ *
+ * Every algorithm takes (nodes, edges, options) and returns a Map of
+ * node id -> { x, y, width, height }.
+ */
+
+const DEFAULT_LAYOUT = 'layered';
+
+/**
+ * Default sizes and spacing, matching the flowchart converter
+ */
+const LAYOUT_DEFAULTS = {
+  direction: 'TD',
+  nodeWidth: 140,
+  nodeHeight: 50,
+  nodeGap: 60,
+  layerGap: 40,
+  startX: 100,
+  startY: 40,
+  dummySize: 20,
+  sweeps: 24,
+};
+
+/**
+ * Look up the size of a node from a Map, a function or the defaults
+ */
+function getNodeSize(nodeId, settings) {
+  const { sizes, nodeWidth, nodeHeight } = settings;
+  const size = typeof sizes === 'function' ? sizes(nodeId) : sizes?.get(nodeId);
+  return { width: size?.width ?? nodeWidth, height: size?.height ?? nodeHeight };
+}
+
+/**
+ * Step 1: Break cycles by reversing back edges found with a depth-first search
+ * Sources are visited first so the original flow direction is kept
+ */
+function removeCycles(nodeIds, edges) {
+  const outEdges = new Map(nodeIds.map((id) => [id, []]));
+  const inDegree = new Map(nodeIds.map((id) => [id, 0]));
+  edges.forEach((edge) => {
+    outEdges.get(edge.source).push(edge);
+    inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+  });
+
+  const reversed = new Set();
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+
+  // Iterative, so long chains don't overflow the stack
+  const visit = (root) => {
+    state.set(root, 1);
+    const stack = [{ id: root, position: 0 }];
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const out = outEdges.get(frame.id);
+      if (frame.position === out.length) {
+        state.set(frame.id, 2);
+        stack.pop();
+        continue;
+      }
+      const edge = out[frame.position++];
+      const targetState = state.get(edge.target);
+      if (targetState === 1) {
+        reversed.add(edge);
+      } else if (targetState === undefined) {
+        state.set(edge.target, 1);
+        stack.push({ id: edge.target, position: 0 });
+      }
+    }
+  };
+
+  const ordered = [
+    ...nodeIds.filter((id) => inDegree.get(id) === 0),
+    ...nodeIds.filter((id) => inDegree.get(id) !== 0),
+  ];
+  ordered.forEach((id) => {
+    if (!state.has(id)) visit(id);
+  });
+
+  return edges.map((edge) => (reversed.has(edge)
+    ? { source: edge.target, target: edge.source, reversed: true }
+    : { source: edge.source, target: edge.target, reversed: false }));
+}
+
+/**
+ * Step 2: Assign each node to a layer using the longest path from the sources
+ */
+function assignLayers(nodeIds, dagEdges) {
+  const predecessors = new Map(nodeIds.map((id) => [id, []]));
+  const successors = new Map(nodeIds.map((id) => [id, []]));
+  dagEdges.forEach((edge) => {
+    predecessors.get(edge.target).push(edge.source);
+    successors.get(edge.source).push(edge.target);
+  });
+
+  // Kahn's algorithm gives a topological order of the acyclic graph
+  const remaining = new Map(nodeIds.map((id) => [id, predecessors.get(id).length]));
+  const queue = nodeIds.filter((id) => remaining.get(id) === 0);
+  const layer = new Map();
+  while (queue.length > 0) {
+    const id = queue.shift();
+    layer.set(id, Math.max(0, ...predecessors.get(id).map((p) => layer.get(p) + 1)));
+    successors.get(id).forEach((next) => {
+      remaining.set(next, remaining.get(next) - 1);
+      if (remaining.get(next) === 0) queue.push(next);
+    });
+  }
+
+  return layer;
+}
+
+/**
+ * Step 3: Split edges spanning several layers with dummy nodes so every
+ * edge connects adjacent layers
+ */
+function insertDummyNodes(nodeIds, dagEdges, layer) {
+  const layers = [];
+  const addToLayer = (id, index) => {
+    while (layers.length <= index) layers.push([]);
+    layers[index].push(id);
+  };
+  nodeIds.forEach((id) => addToLayer(id, layer.get(id)));
+
+  const links = [];
+  let dummyCount = 0;
+  dagEdges.forEach((edge) => {
+    const from = layer.get(edge.source);
+    const to = layer.get(edge.target);
+    if (from === to) return;
+    let previous = edge.source;
+    for (let l = from + 1; l < to; l++) {
+      const dummyId = `__dummy${++dummyCount}`;
+      layer.set(dummyId, l);
+      addToLayer(dummyId, l);
+      links.push({ source: previous, target: dummyId });
+      previous = dummyId;
+    }
+    links.push({ source: previous, target: edge.target });
+  });
+
+  return { layers, links, isDummy: (id) => id.startsWith('__dummy') };
+}
+
+/**
+ * Count edge crossings between two adjacent layers
+ */
+function countCrossings(upper, lower, links) {
+  const upperIndex = new Map(upper.map((id, i) => [id, i]));
+  const lowerIndex = new Map(lower.map((id, i) => [id, i]));
+  const segments = links
+    .filter((link) => upperIndex.has(link.source) && lowerIndex.has(link.target))
+    .map((link) => [upperIndex.get(link.source), lowerIndex.get(link.target)]);
+
+  let crossings = 0;
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 1; j < segments.length; j++) {
+      const [a1, b1] = segments[i];
+      const [a2, b2] = segments[j];
+      if ((a1 - a2) * (b1 - b2) < 0) crossings++;
+    }
+  }
+  return crossings;
+}
+
+/**
+ * Total crossings of a layering
+ */
+function totalCrossings(layers, links) {
+  let total = 0;
+  for (let l = 0; l < layers.length - 1; l++) {
+    total += countCrossings(layers[l], layers[l + 1], links);
+  }
+  return total;
+}
+
+/**
+ * Median of a sorted list of neighbor positions (weighted for even counts)
+ */
+function medianValue(positions) {
+  if (positions.length === 0) return -1;
+  const mid = Math.floor(positions.length / 2);
+  if (positions.length % 2 === 1) return positions[mid];
+  if (positions.length === 2) return (positions[0] + positions[1]) / 2;
+  const left = positions[mid - 1] - positions[0];
+  const right = positions[positions.length - 1] - positions[mid];
+  return left + right === 0
+    ? (positions[mid - 1] + positions[mid]) / 2
+    : (positions[mid - 1] * right + positions[mid] * left) / (left + right);
+}
+
+/**
+ * Step 4: Reduce crossings with alternating median/barycenter sweeps,
+ * keeping the best ordering seen
+ */
+function reduceCrossings(layers, links, sweeps) {
+  const above = new Map();
+  const below = new Map();
+  links.forEach((link) => {
+    if (!below.has(link.source)) below.set(link.source, []);
+    if (!above.has(link.target)) above.set(link.target, []);
+    below.get(link.source).push(link.target);
+    above.get(link.target).push(link.source);
+  });
+
+  const reorder = (layer, fixed, neighbors, useMedian) => {
+    const fixedIndex = new Map(fixed.map((id, i) => [id, i]));
+    const keyed = layer.map((id, i) => {
+      const positions = (neighbors.get(id) || [])
+        .filter((n) => fixedIndex.has(n))
+        .map((n) => fixedIndex.get(n))
+        .sort((a, b) => a - b);
+      if (positions.length === 0) return { id, key: i, fixed: true };
+      const key = useMedian
+        ? medianValue(positions)
+        : positions.reduce((sum, p) => sum + p, 0) / positions.length;
+      return { id, key, fixed: false };
+    });
+
+    // Nodes without neighbors keep their slot; the rest are sorted around them
+    const movable = keyed.filter((k) => !k.fixed).sort((a, b) => a.key - b.key);
+    return keyed.map((k) => (k.fixed ? k.id : movable.shift().id));
+  };
+
+  // Crossings between the edges of u and v when u is placed left of v
+  const pairCrossings = (u, v, index, neighbors) => {
+    let crossings = 0;
+    (neighbors.get(u) || []).forEach((nu) => {
+      (neighbors.get(v) || []).forEach((nv) => {
+        if (index.get(nu) > index.get(nv)) crossings++;
+      });
+    });
+    return crossings;
+  };
+
+  // Swap adjacent nodes while that removes crossings with the neighboring layers
+  const transpose = (ordering) => {
+    let improved = true;
+    for (let round = 0; improved && round < 10; round++) {
+      improved = false;
+      const index = new Map();
+      ordering.forEach((layer) => layer.forEach((id, i) => index.set(id, i)));
+      ordering.forEach((layer) => {
+        for (let i = 0; i < layer.length - 1; i++) {
+          const [u, v] = [layer[i], layer[i + 1]];
+          const before = pairCrossings(u, v, index, above) + pairCrossings(u, v, index, below);
+          const after = pairCrossings(v, u, index, above) + pairCrossings(v, u, index, below);
+          if (after < before) {
+            layer[i] = v;
+            layer[i + 1] = u;
+            index.set(v, i);
+            index.set(u, i + 1);
+            improved = true;
+          }
+        }
+      });
+    }
+  };
+
+  let best = layers.map((layer) => [...layer]);
+  let bestCrossings = totalCrossings(best, links);
+  let current = best.map((layer) => [...layer]);
+
+  for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+    const useMedian = sweep % 4 < 2;
+    if (sweep % 2 === 0) {
+      for (let l = 1; l < current.length; l++) {
+        current[l] = reorder(current[l], current[l - 1], above, useMedian);
+      }
+    } else {
+      for (let l = current.length - 2; l >= 0; l--) {
+        current[l] = reorder(current[l], current[l + 1], below, useMedian);
+      }
+    }
+
+    transpose(current);
+
+    const crossings = totalCrossings(current, links);
+    if (crossings < bestCrossings) {
+      best = current.map((layer) => [...layer]);
+      bestCrossings = crossings;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Place an ordered row of nodes as close as possible to their desired centers
+ * while keeping the minimum separation (pool-adjacent-violators regression)
+ */
+function placeRow(desired, separations) {
+  // Shift out the separations so the problem becomes a monotone regression
+  const offsets = [0];
+  for (let i = 1; i < desired.length; i++) {
+    offsets.push(offsets[i - 1] + separations[i - 1]);
+  }
+
+  const blocks = [];
+  desired.forEach((d, i) => {
+    blocks.push({ value: d - offsets[i], weight: 1, count: 1 });
+    while (blocks.length > 1 && blocks[blocks.length - 2].value > blocks[blocks.length - 1].value) {
+      const last = blocks.pop();
+      const prev = blocks.pop();
+      const weight = prev.weight + last.weight;
+      blocks.push({
+        value: (prev.value * prev.weight + last.value * last.weight) / weight,
+        weight,
+        count: prev.count + last.count,
+      });
+    }
+  });
+
+  const result = [];
+  blocks.forEach((block) => {
+    for (let k = 0; k < block.count; k++) {
+      result.push(block.value + offsets[result.length]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Step 5: Assign coordinates across each layer, pulling every node toward
+ * the average of its neighbors in alternating downward and upward passes
+ */
+function assignCoordinates(layers, links, acrossSize, nodeGap) {
+  const center = new Map();
+  layers.forEach((layer) => {
+    let cursor = 0;
+    layer.forEach((id) => {
+      center.set(id, cursor + acrossSize(id) / 2);
+      cursor += acrossSize(id) + nodeGap;
+    });
+  });
+
+  const above = new Map();
+  const below = new Map();
+  links.forEach((link) => {
+    if (!below.has(link.source)) below.set(link.source, []);
+    if (!above.has(link.target)) above.set(link.target, []);
+    below.get(link.source).push(link.target);
+    above.get(link.target).push(link.source);
+  });
+
+  const align = (layer, neighbors) => {
+    const desired = layer.map((id) => {
+      const linked = neighbors.get(id) || [];
+      if (linked.length === 0) return center.get(id);
+      return linked.reduce((sum, n) => sum + center.get(n), 0) / linked.length;
+    });
+    const separations = layer.slice(1).map((id, i) => (acrossSize(layer[i]) + acrossSize(id)) / 2 + nodeGap);
+    placeRow(desired, separations).forEach((c, i) => center.set(layer[i], c));
+  };
+
+  for (let pass = 0; pass < 8; pass++) {
+    for (let l = 1; l < layers.length; l++) align(layers[l], above);
+    for (let l = layers.length - 2; l >= 0; l--) align(layers[l], below);
+  }
+
+  // Finish with a balanced pass that considers both neighboring layers
+  const both = new Map();
+  [...above.keys(), ...below.keys()].forEach((id) => {
+    both.set(id, [...(above.get(id) || []), ...(below.get(id) || [])]);
+  });
+  layers.forEach((layer) => align(layer, both));
+
+  return center;
+}
+
+/**
+ * Layered (Sugiyama-style) layout
+ */
+function layeredLayout(nodes, edges, options = {}) {
+  const settings = { ...LAYOUT_DEFAULTS, ...options };
+  const { direction, nodeGap, layerGap, startX, startY, dummySize } = settings;
+  const isHorizontal = direction === 'LR' || direction === 'RL';
+  const isReversed = direction === 'BT' || direction === 'RL';
+
+  const nodeIds = [...new Set(nodes.map((n) => n.id))];
+  const known = new Set(nodeIds);
+  const validEdges = edges.filter((e) => known.has(e.source) && known.has(e.target) && e.source !== e.target);
+
+  const dagEdges = removeCycles(nodeIds, validEdges);
+  const layer = assignLayers(nodeIds, dagEdges);
+  const { layers, links, isDummy } = insertDummyNodes(nodeIds, dagEdges, layer);
+  const ordered = reduceCrossings(layers, links, settings.sweeps);
+
+  const size = (id) => (isDummy(id) ? { width: dummySize, height: dummySize } : getNodeSize(id, settings));
+  const acrossSize = (id) => (isHorizontal ? size(id).height : size(id).width);
+  const alongSize = (id) => (isHorizontal ? size(id).width : size(id).height);
+
+  const center = assignCoordinates(ordered, links, acrossSize, nodeGap);
+  const minAcross = Math.min(0, ...[...center.entries()].map(([id, c]) => c - acrossSize(id) / 2));
+
+  // Each layer is as deep as its largest node; nodes are centered in it
+  const layerOffset = [];
+  let offset = 0;
+  ordered.forEach((layerIds, l) => {
+    const depth = Math.max(0, ...layerIds.filter((id) => !isDummy(id)).map(alongSize));
+    layerOffset[l] = { start: offset, depth };
+    offset += depth + (depth > 0 ? layerGap : 0);
+  });
+  const totalDepth = Math.max(0, offset - layerGap);
+
+  const positions = new Map();
+  ordered.forEach((layerIds, l) => {
+    layerIds.filter((id) => !isDummy(id)).forEach((id) => {
+      const { width, height } = size(id);
+      const { start, depth } = layerOffset[l];
+      let along = start + (depth - alongSize(id)) / 2;
+      if (isReversed) along = totalDepth - along - alongSize(id);
+      const across = center.get(id) - acrossSize(id) / 2 - minAcross;
+
+      const x = startX + (isHorizontal ? along : across);
+      const y = startY + (isHorizontal ? across : along);
+      positions.set(id, {
+        x: Math.round(x / 10) * 10,
+        y: Math.round(y / 10) * 10,
+        width,
+        height,
+      });
+    });
+  });
+
+  return positions;
+}
+
+/**
+ * Tree layout: longest-path leveling with subtree widths
+ * Places nodes on a fixed 200x90 grid sized for 140x50 boxes
+ */
+function treeLayout(nodes, edges, options = {}) {
+  const { direction = 'TD' } = options;
+  const positions = new Map();
+  const nodeWidth = 140;
+  const nodeHeight = 50;
+  const horizontalGap = 200;  // Increased gap for better spacing
+  const verticalGap = 90;
+  const startX = 100;
+  const startY = 40;
+
+  // Build adjacency maps
+  const outEdges = new Map(); // source -> [targets]
+  const inEdges = new Map();  // target -> [sources]
+  
+  nodes.forEach((node) => {
+    outEdges.set(node.id, []);
+    inEdges.set(node.id, []);
+  });
+  
+  edges.forEach((edge) => {
+    if (outEdges.has(edge.source)) {
+      outEdges.get(edge.source).push(edge.target);
+    }
+    if (inEdges.has(edge.target)) {
+      inEdges.get(edge.target).push(edge.source);
+    }
+  });
+
+  // Step 1: Assign levels using longest path from roots (handles cycles)
+  const nodeLevel = new Map();
+  
+  // Find root nodes
+  const roots = nodes.filter((n) => inEdges.get(n.id).length === 0);
+  if (roots.length === 0 && nodes.length > 0) {
+    roots.push(nodes[0]);
+  }
+
+  // Use DFS with cycle detection to assign levels
+  function assignLevels(nodeId, level, visited, inStack) {
+    if (inStack.has(nodeId)) {
+      // Back-edge detected (cycle), don't update level
+      return;
+    }
+    if (visited.has(nodeId)) {
+      // Already visited, but update if we found a longer path
+      if (level > nodeLevel.get(nodeId)) {
+        nodeLevel.set(nodeId, level);
+      } else {
+        return; // Don't re-traverse if not a longer path
+      }
+    }
+    
+    visited.add(nodeId);
+    inStack.add(nodeId);
+    nodeLevel.set(nodeId, Math.max(nodeLevel.get(nodeId) || 0, level));
+    
+    const children = outEdges.get(nodeId) || [];
+    children.forEach((childId) => {
+      assignLevels(childId, level + 1, visited, inStack);
+    });
+    
+    inStack.delete(nodeId);
+  }
+  
+  const visited = new Set();
+  const inStack = new Set();
+  roots.forEach((root) => {
+    assignLevels(root.id, 0, visited, inStack);
+  });
+  
+  // Handle any unvisited nodes
+  nodes.forEach((node) => {
+    if (!nodeLevel.has(node.id)) {
+      nodeLevel.set(node.id, 0);
+    }
+  });
+
+  // Step 2: Group by level and identify tree edges (non-back-edges)
+  const levels = new Map();
+  nodeLevel.forEach((level, nodeId) => {
+    if (!levels.has(level)) levels.set(level, []);
+    levels.get(level).push(nodeId);
+  });
+
+  // Tree edges are edges where target level > source level
+  // But for decision nodes (nodes with multiple children), include all children
+  const treeChildren = new Map();
+  nodes.forEach((node) => treeChildren.set(node.id, []));
+  
+  edges.forEach((edge) => {
+    const srcLevel = nodeLevel.get(edge.source) || 0;
+    const tgtLevel = nodeLevel.get(edge.target) || 0;
+    
+    // Always include edges from decision nodes (nodes with >1 outgoing edge)
+    const sourceNode = nodes.find(n => n.id === edge.source);
+    const outgoingEdges = edges.filter(e => e.source === edge.source);
+    
+    if (outgoingEdges.length > 1 || tgtLevel > srcLevel) {
+      treeChildren.get(edge.source).push(edge.target);
+    }
+  });
+
+  // Step 3: Calculate subtree widths using only tree edges
+  const subtreeWidth = new Map();
+  
+  function calcSubtreeWidth(nodeId, visited = new Set()) {
+    if (visited.has(nodeId)) return 0;
+    if (subtreeWidth.has(nodeId)) return subtreeWidth.get(nodeId);
+    
+    visited.add(nodeId);
+    
+    const children = treeChildren.get(nodeId) || [];
+    if (children.length === 0) {
+      subtreeWidth.set(nodeId, 1);
+      return 1;
+    }
+    
+    let totalWidth = 0;
+    children.forEach((childId) => {
+      totalWidth += calcSubtreeWidth(childId, new Set(visited));
+    });
+    
+    const width = Math.max(1, totalWidth);
+    subtreeWidth.set(nodeId, width);
+    return width;
+  }
+  
+  roots.forEach((root) => calcSubtreeWidth(root.id, new Set()));
+  
+  // Ensure all nodes have a width
+  nodes.forEach((node) => {
+    if (!subtreeWidth.has(node.id)) {
+      subtreeWidth.set(node.id, 1);
+    }
+  });
+
+  // Step 4: Position nodes using subtree widths - center parents over children
+  const nodeCol = new Map();
+  const positioned = new Set();
+  
+  // Helper: Calculate full subtree width including all descendants
+  function getFullSubtreeWidth(nodeId, visited = new Set()) {
+    if (visited.has(nodeId)) return 1;
+    visited.add(nodeId);
+    
+    const children = treeChildren.get(nodeId) || [];
+    if (children.length === 0) return 1;
+    
+    let totalWidth = 0;
+    children.forEach((childId) => {
+      totalWidth += getFullSubtreeWidth(childId, new Set(visited));
+    });
+    
+    return Math.max(1, totalWidth);
+  }
+  
+  function positionNode(nodeId, startCol) {
+    if (positioned.has(nodeId)) return startCol;
+    positioned.add(nodeId);
+    
+    const children = treeChildren.get(nodeId) || [];
+    
+    if (children.length === 0) {
+      // Leaf node - position at startCol
+      nodeCol.set(nodeId, startCol);
+      return startCol + 1;
+    }
+    
+    // For decision nodes (2 children) or any branching node:
+    // Calculate subtree widths and position branches with proper spacing
+    if (children.length >= 2) {
+      let currentCol = startCol;
+      const childCenters = [];
+      
+      children.forEach((childId) => {
+        if (!positioned.has(childId)) {
+          // Get subtree width for this branch
+          const branchWidth = getFullSubtreeWidth(childId, new Set());
+          
+          // Position child at center of its allocated space
+          const childCenter = currentCol + (branchWidth - 1) / 2;
+          nodeCol.set(childId, childCenter);
+          positioned.add(childId);
+          
+          // Recursively position this child's descendants
+          positionSubtree(childId, currentCol);
+          
+          childCenters.push(childCenter);
+          currentCol += branchWidth;
+        } else {
+          childCenters.push(nodeCol.get(childId));
+        }
+      });
+      
+      // Center parent over all children
+      const minCenter = Math.min(...childCenters);
+      const maxCenter = Math.max(...childCenters);
+      nodeCol.set(nodeId, (minCenter + maxCenter) / 2);
+      
+      return currentCol;
+    }
+    
+    // Single child - position linearly
+    const childCol = positionNode(children[0], startCol);
+    nodeCol.set(nodeId, nodeCol.get(children[0]));
+    return childCol;
+  }
+  
+  // Position subtree rooted at nodeId starting from startCol
+  function positionSubtree(nodeId, startCol) {
+    const children = treeChildren.get(nodeId) || [];
+    if (children.length === 0) return;
+    
+    let currentCol = startCol;
+    
+    children.forEach((childId) => {
+      if (!positioned.has(childId)) {
+        const branchWidth = getFullSubtreeWidth(childId, new Set());
+        const childCenter = currentCol + (branchWidth - 1) / 2;
+        nodeCol.set(childId, childCenter);
+        positioned.add(childId);
+        
+        // Recursively position descendants
+        positionSubtree(childId, currentCol);
+        
+        currentCol += branchWidth;
+      }
+    });
+  }
+  
+  let col = 0;
+  roots.forEach((root) => {
+    col = positionNode(root.id, col);
+  });
+  
+  // Position any unpositioned nodes
+  nodes.forEach((node) => {
+    if (!nodeCol.has(node.id)) {
+      nodeCol.set(node.id, col++);
+    }
+  });
+
+  // Step 5: Convert to coordinates
+  const isHorizontal = direction === 'LR' || direction === 'RL';
+  const isReversed = direction === 'BT' || direction === 'RL';
+  
+  nodes.forEach((node) => {
+    const level = nodeLevel.get(node.id) || 0;
+    const c = nodeCol.get(node.id) || 0;
+    
+    let x, y;
+    
+    if (isHorizontal) {
+      x = startX + (isReversed ? -1 : 1) * level * horizontalGap;
+      y = startY + c * verticalGap;
+    } else {
+      x = startX + c * horizontalGap;
+      y = startY + (isReversed ? -1 : 1) * level * verticalGap;
+    }
+    
+    // Grid-align to multiples of 10
+    x = Math.round(x / 10) * 10;
+    y = Math.round(y / 10) * 10;
+    
+    positions.set(node.id, { x, y, ...getNodeSize(node.id, { sizes: options.sizes, nodeWidth, nodeHeight }) });
+  });
+
+  return positions;
+}
+
+
+/**
+ * Registered layout algorithms
+ */
+const LAYOUTS = {
+  layered: layeredLayout,
+  tree: treeLayout,
+};
+
+/**
+ * Register an additional layout algorithm under a name
+ */
+function registerLayout(name, layoutFn) {
+  if (typeof layoutFn !== 'function') {
+    throw new Error(`Layout "${name}" must be a function (nodes, edges, options) => Map`);
+  }
+  LAYOUTS[name] = layoutFn;
+}
+
+/**
+ * Resolve a layout option (name or function) to a layout function
+ */
+function resolveLayout(layout = DEFAULT_LAYOUT) {
+  if (typeof layout === 'function') return layout;
+  if (!LAYOUTS[layout]) {
+    throw new Error(`Unknown layout "${layout}". Available layouts: ${Object.keys(LAYOUTS).join(', ')}`);
+  }
+  return LAYOUTS[layout];
+}
+
+/**
+ * Run a layout algorithm
+ */
+function computeLayout(layout, nodes, edges, options = {}) {
+  return resolveLayout(layout)(nodes, edges, options);
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  LAYOUTS,
+  layeredLayout,
+  treeLayout,
+  registerLayout,
+  resolveLayout,
+  computeLayout,
+};
@@ -3,6 +3,10 @@
  * Converts parsed Mermaid diagrams to structured Markdown documentation
  */
 
+const { INPUT_FORMATS } = require('./input-formats');
+const { findEntryPoints, findExitPoints } = require('./graph-analysis');
+const { addTerminals } = require('./drawio-converter');
+
 /**
  * Get human-readable shape name
  */
@@ -14,6 +18,42 @@ function getShapeName(shape) {
     subroutine: 'Subroutine',
     stadium: 'Stadium (Terminal)',
     circle: 'Circle',
+    doubleCircle: 'Double Circle (Stop)',
+    cylinder: 'Cylinder (Database)',
+    hexagon: 'Hexagon (Preparation)',
+    parallelogram: 'Parallelogram (Input/Output)',
+    parallelogramAlt: 'Alternate Parallelogram (Output/Input)',
+    trapezoid: 'Trapezoid (Priority Action)',
+    trapezoidAlt: 'Inverted Trapezoid (Manual Operation)',
+    asymmetric: 'Asymmetric Flag',
+    smallCircle: 'Small Circle (Start)',
+    framedCircle: 'Framed Circle (Stop)',
+    filledCircle: 'Filled Circle (Junction)',
+    crossedCircle: 'Crossed Circle (Summary)',
+    forkJoin: 'Bar (Fork/Join)',
+    document: 'Document',
+    documents: 'Stacked Documents',
+    card: 'Notched Rectangle (Card)',
+    taggedRect: 'Tagged Rectangle',
+    linedRect: 'Lined Rectangle (Shaded Process)',
+    dividedRect: 'Divided Rectangle',
+    windowPane: 'Window Pane (Internal Storage)',
+    linedCylinder: 'Lined Cylinder (Disk Storage)',
+    horizontalCylinder: 'Horizontal Cylinder (Direct Access Storage)',
+    storedData: 'Bow Tie Rectangle (Stored Data)',
+    delay: 'Half-Rounded Rectangle (Delay)',
+    display: 'Curved Trapezoid (Display)',
+    manualInput: 'Sloped Rectangle (Manual Input)',
+    paperTape: 'Flag (Paper Tape)',
+    loopLimit: 'Notched Pentagon (Loop Limit)',
+    collate: 'Hourglass (Collate)',
+    triangle: 'Triangle (Extract)',
+    flippedTriangle: 'Flipped Triangle (Manual File)',
+    bolt: 'Lightning Bolt (Communication Link)',
+    comment: 'Curly Brace (Comment)',
+    commentRight: 'Curly Brace (Comment)',
+    text: 'Text Block',
+    class: 'Class',
   };
   return shapeNames[shape] || shape;
 }
@@ -48,11 +88,25 @@ function getDirectionDescription(direction) {
   return directions[direction] || direction;
 }
 
+/**
+ * Closing section with the diagram source, fenced in the language it was written in
+ */
+function sourceCodeSection(originalCode, sourceFormat) {
+  const { label, fence } = INPUT_FORMATS[sourceFormat] || INPUT_FORMATS.mermaid;
+  return `## Original ${label} Code
+
+\`\`\`${fence}
+${originalCode}
+\`\`\``;
+}
+
 /**
  * Convert flowchart to Markdown
  */
-function flowchartToMarkdown(diagram, originalCode) {
-  const { nodes, edges, subgraphs, direction } = diagram;
+function flowchartToMarkdown(diagram, originalCode, options = {}) {
+  const { subgraphs, direction } = diagram;
+  // Document the Start and Stop terminals the Draw.io conversion adds
+  const { nodes, edges, added } = addTerminals(diagram, options.terminals);
   
   let md = `# Flowchart Documentation
 
@@ -73,7 +127,7 @@ This is a **${getDiagramTypeName(diagram.type)}** diagram with a **${getDirectio
 `;
 
   nodes.forEach((node) => {
-    const description = inferNodeDescription(node);
+    const description = added.includes(node) ? `${inferNodeDescription(node)} (added by the converter)` : inferNodeDescription(node);
     md += `| \`${node.id}\` | ${node.label} | ${getShapeName(node.shape)} | ${description} |\n`;
   });
 
@@ -99,11 +153,20 @@ This is a **${getDiagramTypeName(diagram.type)}** diagram with a **${getDirectio
 
 `;
     subgraphs.forEach((sg) => {
+      const parent = subgraphs.find((other) => other.id === sg.parent);
+      const contents = [
+        ...sg.nodes.map((n) => `\`${n}\``),
+        ...(sg.subgraphs || []).map((id) => `\`${id}\` (subgraph)`),
+      ];
       md += `### ${sg.label}
 
 **ID**: \`${sg.id}\`
-
-**Contains**: ${sg.nodes.map((n) => `\`${n}\``).join(', ')}
+${parent ? `
+**Inside**: ${parent.label} (\`${parent.id}\`)
+` : ''}${sg.direction ? `
+**Direction**: ${getDirectionDescription(sg.direction)}
+` : ''}
+**Contains**: ${contents.join(', ') || 'Nothing'}
 
 `;
     });
@@ -125,11 +188,7 @@ ${nodes.filter((n) => n.shape === 'diamond').map((n) => `- \`${n.id}\` (${n.labe
 
 ---
 
-## Original Mermaid Code
-
-\`\`\`mermaid
-${originalCode}
-\`\`\`
+${sourceCodeSection(originalCode, diagram.sourceFormat)}
 `;
 
   return md;
@@ -168,17 +227,70 @@ This **Sequence Diagram** shows the interactions between ${participants.length}
 
 ## Message Sequence
 
-| # | From | To | Message | Type |
-|---|------|----|---------|------|
+| # | From | To | Message | Type | Activation |
+|---|------|----|---------|------|------------|
 `;
 
-    messages.forEach((msg, index) => {
+    const notes = diagram.notes || [];
+    const formatActivations = (msg) => (msg.activations || [])
+      .map((a) => `${a.action === 'activate' ? '+' : '-'}\`${a.participant}\``)
+      .join(' ');
+    const messageRow = (msg, index) => {
       const type = msg.type === 'dashed' ? 'Response' : 'Request';
-      const asyncFlag = msg.isAsync ? ' (async)' : '';
-      md += `| ${index + 1} | \`${msg.from}\` | \`${msg.to}\` | ${msg.message} | ${type}${asyncFlag} |\n`;
+      const flags = [
+        msg.isAsync && 'async',
+        msg.arrowType === 'cross' && 'cross',
+        msg.arrowType === 'none' && 'no arrowhead',
+        msg.isBidirectional && 'bidirectional',
+        msg.isSelf && 'self',
+      ].filter(Boolean);
+      const flagText = flags.length > 0 ? ` (${flags.join(', ')})` : '';
+      const number = msg.number ?? index + 1;
+      return `| ${number} | \`${msg.from}\` | \`${msg.to}\` | ${msg.message} | ${type}${flagText} | ${formatActivations(msg)} |\n`;
+    };
+    const noteRow = (note) => {
+      const placement = note.position === 'over' ? 'over' : `${note.position} of`;
+      const targets = note.participants.map((p) => `\`${p}\``).join(', ');
+      return `| | ${targets} | | *${note.text.replace(/\n/g, ' ')}* | Note (${placement}) | |\n`;
+    };
+
+    // Notes are listed at their position in the conversation
+    const timeline = diagram.timeline || messages.map((msg, index) => ({ type: 'message', index }));
+    timeline.forEach((event) => {
+      if (event.type === 'message') md += messageRow(messages[event.index], event.index);
+      if (event.type === 'note') md += noteRow(notes[event.index]);
     });
   }
 
+  const fragments = diagram.fragments || [];
+  if (fragments.length > 0) {
+    md += `
+---
+
+## Control Flow (Fragments)
+
+`;
+
+    const formatMessages = (indices) => (indices.length > 0
+      ? `messages ${indices.map((i) => `#${messages[i].number ?? i + 1}`).join(', ')}`
+      : 'no messages');
+
+    const renderFragment = (fragment, depth) => {
+      const indent = '  '.repeat(depth);
+      const [first, ...rest] = fragment.sections;
+      const condition = fragment.type === 'rect'
+        ? (fragment.color ? ` (${fragment.color})` : '')
+        : (first.label ? ` [${first.label}]` : '');
+      md += `${indent}- **${fragment.type}**${condition}: ${formatMessages(first.messages)}\n`;
+      rest.forEach((section) => {
+        md += `${indent}  - *${section.label || 'else'}*: ${formatMessages(section.messages)}\n`;
+      });
+      fragments.filter((f) => f.parent === fragment.id).forEach((child) => renderFragment(child, depth + 1));
+    };
+
+    fragments.filter((f) => !f.parent).forEach((fragment) => renderFragment(fragment, 0));
+  }
+
   md += `
 ---
 
@@ -211,11 +323,7 @@ This **Sequence Diagram** shows the interactions between ${participants.length}
   md += `
 ---
 
-## Original Mermaid Code
-
-\`\`\`mermaid
-${originalCode}
-\`\`\`
+${sourceCodeSection(originalCode, diagram.sourceFormat)}
 `;
 
   return md;
@@ -287,11 +395,135 @@ This **ER Diagram** defines ${entities.length} entity(ies) and ${relationships?.
 
 ---
 
-## Original Mermaid Code
+${sourceCodeSection(originalCode, diagram.sourceFormat)}
+`;
 
-\`\`\`mermaid
-${originalCode}
-\`\`\`
+  return md;
+}
+
+/**
+ * Get human-readable state type name
+ */
+function getStateTypeName(type) {
+  const stateTypes = {
+    start: 'Initial (Pseudo-state)',
+    end: 'Final (Pseudo-state)',
+    state: 'State',
+    composite: 'Composite State',
+    fork: 'Fork',
+    join: 'Join',
+    choice: 'Choice',
+  };
+  return stateTypes[type] || type;
+}
+
+/**
+ * Convert state diagram to Markdown
+ */
+function stateToMarkdown(diagram, originalCode) {
+  const { states, transitions, notes, direction } = diagram;
+  const composites = states.filter((s) => s.type === 'composite');
+  const stateLabel = (id) => states.find((s) => s.id === id)?.label || id;
+
+  let md = `# State Diagram Documentation
+
+## Overview
+
+This is a **${getDiagramTypeName(diagram.type)}** with a **${getDirectionDescription(direction)}** layout.
+
+- **Total States**: ${states.length}
+- **Total Transitions**: ${transitions.length}
+- **Composite States**: ${composites.length}
+
+---
+
+## States
+
+| ID | Label | Type | Parent | Description |
+|----|-------|------|--------|-------------|
+`;
+
+  states.forEach((state) => {
+    const parent = state.parent ? `\`${state.parent}\`` : '-';
+    const description = state.description ? state.description.replace(/\n/g, '<br>') : '-';
+    md += `| \`${state.id}\` | ${state.label} | ${getStateTypeName(state.type)} | ${parent} | ${description} |\n`;
+  });
+
+  md += `
+---
+
+## Transitions
+
+| # | From | To | Trigger/Label |
+|---|------|----|---------------|
+`;
+
+  transitions.forEach((t, index) => {
+    md += `| ${index + 1} | \`${t.source}\` | \`${t.target}\` | ${t.label || '-'} |\n`;
+  });
+
+  if (composites.length > 0) {
+    md += `
+---
+
+## Composite States
+
+`;
+    composites.forEach((composite) => {
+      const regions = composite.regions || [];
+      md += `### ${composite.label}
+
+**ID**: \`${composite.id}\`
+
+`;
+      if (regions.length > 1) {
+        regions.forEach((region, index) => {
+          md += `**Region ${index + 1}** (concurrent): ${region.map((id) => `\`${id}\``).join(', ')}\n\n`;
+        });
+      } else {
+        md += `**Contains**: ${(regions[0] || []).map((id) => `\`${id}\``).join(', ') || '-'}\n\n`;
+      }
+    });
+  }
+
+  if (notes && notes.length > 0) {
+    md += `
+---
+
+## Notes
+
+| State | Position | Note |
+|-------|----------|------|
+`;
+    notes.forEach((note) => {
+      md += `| \`${note.target}\` | ${note.position} | ${note.text.replace(/\n/g, '<br>')} |\n`;
+    });
+  }
+
+  const initialTargets = transitions
+    .filter((t) => states.find((s) => s.id === t.source)?.type === 'start')
+    .map((t) => t.target);
+  const finalSources = transitions
+    .filter((t) => states.find((s) => s.id === t.target)?.type === 'end')
+    .map((t) => t.source);
+
+  md += `
+---
+
+## Flow Analysis
+
+### Initial States
+${initialTargets.map((id) => `- \`${id}\` (${stateLabel(id)})`).join('\n') || '- None identified'}
+
+### Final States
+${finalSources.map((id) => `- \`${id}\` (${stateLabel(id)})`).join('\n') || '- None identified'}
+
+### Decision Points
+${states.filter((s) => s.type === 'choice').map((s) => `- \`${s.id}\``).join('\n') || '- None identified'}
+
+---
+
+${sourceCodeSection(originalCode, diagram.sourceFormat)}
 `;
 
   return md;
@@ -305,7 +537,7 @@ function inferNodeDescription(node) {
   
   if (node.shape === 'stadium') {
     if (label.includes('start') || label.includes('begin')) return 'Process start point';
-    if (label.includes('end') || label.includes('finish')) return 'Process end point';
+    if (label.includes('end') || label.includes('finish') || label.includes('stop')) return 'Process end point';
     return 'Terminal node';
   }
   
@@ -321,23 +553,40 @@ function inferNodeDescription(node) {
     return 'Connection point or state';
   }
   
-  return 'Process step';
-}
-
-/**
- * Find entry points (nodes with no incoming edges)
- */
-function findEntryPoints(nodes, edges) {
-  const hasIncoming = new Set(edges.map((e) => e.target));
-  return nodes.filter((n) => !hasIncoming.has(n.id));
-}
-
-/**
- * Find exit points (nodes with no outgoing edges)
- */
-function findExitPoints(nodes, edges) {
-  const hasOutgoing = new Set(edges.map((e) => e.source));
-  return nodes.filter((n) => !hasOutgoing.has(n.id));
+  const descriptions = {
+    doubleCircle: 'Process end point',
+    framedCircle: 'Process end point',
+    smallCircle: 'Process start point',
+    cylinder: 'Database or data store',
+    linedCylinder: 'Disk storage',
+    horizontalCylinder: 'Direct access storage',
+    storedData: 'Stored data',
+    windowPane: 'Internal storage',
+    hexagon: 'Preparation or setup step',
+    parallelogram: 'Data input or output',
+    parallelogramAlt: 'Data output or input',
+    manualInput: 'Manual input',
+    display: 'Display output',
+    trapezoid: 'Priority action',
+    trapezoidAlt: 'Manual operation',
+    document: 'Document',
+    documents: 'Multiple documents',
+    paperTape: 'Paper tape',
+    delay: 'Delay or wait',
+    loopLimit: 'Loop limit',
+    collate: 'Collate step',
+    triangle: 'Extract step',
+    flippedTriangle: 'Manual file',
+    filledCircle: 'Junction',
+    crossedCircle: 'Summary',
+    forkJoin: 'Fork or join of parallel paths',
+    bolt: 'Communication link',
+    comment: 'Comment',
+    commentRight: 'Comment',
+    text: 'Text block',
+    asymmetric: 'Flag or signal',
+  };
+  return descriptions[node.shape] || 'Process step';
 }
 
 /**
@@ -421,11 +670,7 @@ This **Mindmap** visualizes ideas and concepts in a hierarchical structure.
 
   md += `---
 
-## Original Mermaid Code
-
-\`\`\`mermaid
-${originalCode}
-\`\`\`
+${sourceCodeSection(originalCode, diagram.sourceFormat)}
 `;
 
   return md;
@@ -433,8 +678,9 @@ ${originalCode}
 
 /**
  * Main conversion function
+ * Options: terminals, as passed to toDrawio, so flowchart docs match the drawing
  */
-function toMarkdown(parsedDiagram, originalCode) {
+function toMarkdown(parsedDiagram, originalCode, options = {}) {
   // Clean up original code
   let cleanCode = originalCode.trim();
   if (cleanCode.startsWith('```mermaid')) {
@@ -450,9 +696,11 @@ function toMarkdown(parsedDiagram, originalCode) {
       return erToMarkdown(parsedDiagram, cleanCode);
     case 'mindmap':
       return mindmapToMarkdown(parsedDiagram, cleanCode);
+    case 'state':
+      return stateToMarkdown(parsedDiagram, cleanCode);
     case 'flowchart':
     default:
-      return flowchartToMarkdown(parsedDiagram, cleanCode);
+      return flowchartToMarkdown(parsedDiagram, cleanCode, options);
   }
 }
 
@@ -466,8 +714,9 @@ function validationReportToMarkdown(validation, originalCode) {
     medium: '🟡 Medium',
     low: '🔴 Low',
   }[validation.compatibility] || '⚪ Unknown';
+  const { label, fence } = INPUT_FORMATS[validation.sourceFormat] || INPUT_FORMATS.mermaid;
   
-  let md = `# Mermaid Validation Report
+  let md = `# ${label} Validation Report
 
 ## Summary
 
@@ -493,11 +742,11 @@ function validationReportToMarkdown(validation, originalCode) {
 
 ## Issues Found
 
-| Line | Issue | Suggestion |
-|------|-------|------------|
+| Line | Rule | Issue | Suggestion |
+|------|------|-------|------------|
 `;
     validation.issues.forEach((issue) => {
-      md += `| ${issue.line} | ${issue.issue} | ${issue.suggestion} |\n`;
+      md += `| ${issue.column ? `${issue.line}:${issue.column}` : issue.line} | ${issue.rule ? `\`${issue.rule}\`` : '-'} | ${issue.issue} | ${issue.suggestion} |\n`;
     });
   }
 
@@ -507,11 +756,11 @@ function validationReportToMarkdown(validation, originalCode) {
 
 ## Warnings
 
-| Line | Warning | Suggestion |
-|------|---------|------------|
+| Line | Rule | Warning | Suggestion |
+|------|------|---------|------------|
 `;
     validation.warnings.forEach((warning) => {
-      md += `| ${warning.line} | ${warning.issue} | ${warning.suggestion} |\n`;
+      md += `| ${warning.column ? `${warning.line}:${warning.column}` : warning.line} | ${warning.rule ? `\`${warning.rule}\`` : '-'} | ${warning.issue} | ${warning.suggestion} |\n`;
     });
   }
 
@@ -520,7 +769,7 @@ function validationReportToMarkdown(validation, originalCode) {
 
 ## Original Code
 
-\`\`\`mermaid
+\`\`\`${fence}
 ${originalCode}
 \`\`\`
 `;
@@ -534,4 +783,5 @@ module.exports = {
   flowchartToMarkdown,
   sequenceToMarkdown,
   erToMarkdown,
+  stateToMarkdown,
 };
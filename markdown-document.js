@@ -0,0 +1,129 @@
+/**
+ * Markdown Document Converter
+ * Converts every Mermaid block embedded in a Markdown document
+ * into a multi-page Draw.io file plus per-block documentation
+ */
+
+const { parseMermaid, extractMermaidBlocks } = require('./mermaid-parser');
+const { toDrawio, mergeDrawioDocuments } = require('./drawio-converter');
+const { toMarkdown } = require('./markdown-converter');
+const { convertERToDrawio: convertERToDrawioNew, isERDiagram } = require('./er-converter');
+
+/**
+ * Marker closing the generated links line, so rewrites replace it instead of stacking
+ */
+const LINKS_MARKER = '<!-- diagram-cli:links -->';
+
+/**
+ * Turn a heading into a file-name friendly slug
+ */
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[`*_~[\]()]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Strip inline Markdown from a heading so it reads well as a page name
+ */
+function headingToPageName(heading) {
+  return heading
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`*_~]/g, '')
+    .trim();
+}
+
+/**
+ * Convert every Mermaid block of a Markdown document
+ * Returns { drawioXml, blocks } where each block carries its page name,
+ * parsed diagram, Draw.io page and docs, or the error that stopped it
+ */
+function convertMarkdownDocument(markdown, options = {}) {
+  const { layout, deterministic, compressed, terminals } = options;
+  const usedNames = new Map();
+
+  const blocks = extractMermaidBlocks(markdown).map((block) => {
+    let pageName = block.heading ? headingToPageName(block.heading) : '';
+    if (!pageName) {
+      pageName = `Diagram ${block.index + 1}`;
+    }
+
+    // Repeated headings get a counter so every page stays distinguishable
+    const seen = usedNames.get(pageName) || 0;
+    usedNames.set(pageName, seen + 1);
+    if (seen > 0) {
+      pageName = `${pageName} (${seen + 1})`;
+    }
+
+    const result = { ...block, pageName, slug: slugify(pageName) || `diagram-${block.index + 1}` };
+
+    try {
+      const parsed = parseMermaid(block.code);
+      const xml = isERDiagram(parsed)
+        ? convertERToDrawioNew(parsed, { name: pageName, layout, deterministic })
+        : toDrawio(parsed, { name: pageName, layout, deterministic, terminals });
+
+      return { ...result, parsed, xml, docs: toMarkdown(parsed, block.code, { terminals }) };
+    } catch (error) {
+      return { ...result, error };
+    }
+  });
+
+  const pages = blocks.filter((block) => !block.error).map((block) => ({ xml: block.xml, name: block.pageName }));
+
+  return {
+    drawioXml: pages.length > 0 ? mergeDrawioDocuments(pages, { deterministic, compressed }) : null,
+    blocks,
+  };
+}
+
+/**
+ * Insert (or refresh) a links line after each Mermaid block
+ * `links` is indexed like extractMermaidBlocks: an array of [{ label, href }] per block
+ */
+function linkMermaidBlocks(markdown, links) {
+  const eol = markdown.includes('\r\n') ? '\r\n' : '\n';
+  const lines = markdown.split(/\r?\n/);
+  const blocks = extractMermaidBlocks(markdown);
+
+  // Work bottom-up so earlier line numbers stay valid
+  [...blocks].reverse().forEach((block) => {
+    const blockLinks = links[block.index];
+    const fenceEnd = block.endLine; // index of the line after the closing fence
+
+    // An existing links line sits right after the fence, optionally after one blank line
+    let existing = -1;
+    if (lines[fenceEnd] !== undefined && lines[fenceEnd].trimEnd().endsWith(LINKS_MARKER)) {
+      existing = fenceEnd;
+    } else if (lines[fenceEnd] === '' && lines[fenceEnd + 1] !== undefined && lines[fenceEnd + 1].trimEnd().endsWith(LINKS_MARKER)) {
+      existing = fenceEnd + 1;
+    }
+
+    if (!blockLinks || blockLinks.length === 0) {
+      if (existing !== -1) {
+        lines.splice(fenceEnd, existing - fenceEnd + 1);
+      }
+      return;
+    }
+
+    const linkLine = `${blockLinks.map((link) => `[${link.label}](${encodeURI(link.href)})`).join(' · ')} ${LINKS_MARKER}`;
+
+    if (existing === -1) {
+      const following = lines[fenceEnd];
+      lines.splice(fenceEnd, 0, '', linkLine, ...(following && following.trim() ? [''] : []));
+    } else {
+      lines.splice(fenceEnd, existing - fenceEnd + 1, '', linkLine);
+    }
+  });
+
+  return lines.join(eol);
+}
+
+module.exports = {
+  convertMarkdownDocument,
+  linkMermaidBlocks,
+  slugify,
+  LINKS_MARKER,
+};
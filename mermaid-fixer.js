@@ -0,0 +1,269 @@
+/**
+ * Mermaid Fixer
+ * Applies the suggestions of `validateMermaid` to Mermaid source: removes Markdown
+ * fences, adds a missing flowchart direction, splits chained links and renames node
+ * ids the converters cannot use. Running it on its own output changes nothing.
+ */
+
+/**
+ * Flowchart statements that start with a keyword rather than a node id
+ */
+const KEYWORD_STATEMENT = /^(?:(subgraph|direction|classDef|class|style|linkStyle|click|accTitle|accDescr)\b|end\s*;?$)/;
+
+/**
+ * Subgraph header with a plain id: `subgraph id`, `subgraph id [Title]` or `subgraph id["Title"]`
+ */
+const SUBGRAPH_HEADER = /^(\s*subgraph\s+)([^\s[\]"]+)(\s*\[.*\])?\s*$/;
+
+/**
+ * Ids Mermaid reads as a keyword: a node named `end` closes the enclosing subgraph
+ */
+const RESERVED_IDS = new Set(['end']);
+
+/**
+ * Node id: runs of id characters, joined by single dashes or dots (`my-node`, `user.id`)
+ */
+const NODE_ID = /[^\s[\](){}|<>&;:"=~.@-]+(?:[.-][^\s[\](){}|<>&;:"=~.@-]+)*/y;
+
+/**
+ * Link between two node groups, with surrounding whitespace:
+ * `-- text -->` style labels first, so their text is not read as a node
+ */
+const LINK = /\s*(?:(?:--|==|-\.)\s+[^|]*?\s+(?:-{2,}|={2,}|\.+-)[>ox]?|<?(?:-{2,}|={2,}|-\.+-)[>ox]?(?:\|[^|]*\|)?|~{3,})\s*/y;
+
+/**
+ * Opening and closing characters of node shapes
+ */
+const SHAPE_OPENERS = { '[': ']', '(': ')', '{': '}', '>': ']' };
+
+/**
+ * Read a node reference at `pos`: id, optional shape or shape data and optional :::class
+ * Returns { id, start, idEnd, end, shaped } or null
+ */
+function readNodeRef(text, pos) {
+  NODE_ID.lastIndex = pos;
+  const idMatch = NODE_ID.exec(text);
+  if (!idMatch) return null;
+
+  const idEnd = pos + idMatch[0].length;
+  // Shape data (`A@{ shape: cyl }`) is read like a {...} shape
+  let end = text.startsWith('@{', idEnd) ? idEnd + 1 : idEnd;
+  if (SHAPE_OPENERS[text[end]]) {
+    // Balanced brackets, ignoring anything inside double quotes
+    const stack = [SHAPE_OPENERS[text[end]]];
+    let quoted = false;
+    for (end += 1; end < text.length && stack.length > 0; end++) {
+      const ch = text[end];
+      if (ch === '"') quoted = !quoted;
+      if (quoted) continue;
+      if (ch === stack[stack.length - 1]) stack.pop();
+      else if ('[({'.includes(ch)) stack.push(SHAPE_OPENERS[ch]);
+    }
+    if (stack.length > 0) return null;
+  }
+  const classMatch = text.slice(end).match(/^:::\w+/);
+  if (classMatch) end += classMatch[0].length;
+
+  return { id: idMatch[0], start: pos, idEnd, end, shaped: end > idEnd && !text.startsWith(':::', idEnd) };
+}
+
+/**
+ * Split a flowchart statement into node groups (`A & B`) and the links between them
+ * Returns { groups: [{ refs, start, end }], links: [{ start, end }], end } or null
+ * when the statement is not a plain chain of nodes and links
+ */
+function scanStatement(text) {
+  const groups = [];
+  const links = [];
+  let pos = 0;
+
+  for (;;) {
+    const refs = [];
+    const groupStart = pos;
+    for (;;) {
+      const ref = readNodeRef(text, pos);
+      if (!ref) return null;
+      refs.push(ref);
+      pos = ref.end;
+      const amp = text.slice(pos).match(/^\s*&\s*/);
+      if (!amp) break;
+      pos += amp[0].length;
+    }
+    groups.push({ refs, start: groupStart, end: pos });
+
+    LINK.lastIndex = pos;
+    const link = LINK.exec(text);
+    if (!link || link.index !== pos || link[0].trim() === '') break;
+    links.push({ start: pos, end: pos + link[0].length });
+    pos += link[0].length;
+  }
+
+  return /^\s*;?\s*$/.test(text.slice(pos)) ? { groups, links, end: pos } : null;
+}
+
+/**
+ * A Mermaid-safe id for an invalid one, unique among the ids already taken
+ */
+function sanitizeId(id, taken) {
+  let base = id.replace(/\W+/g, '_').replace(/^_+|_+$/g, '') || 'node';
+  if (RESERVED_IDS.has(base)) base = `${base}_`;
+  let candidate = base;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${base}_${n}`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Remove a ```mermaid (or bare ```/~~~) fence around the whole diagram
+ */
+function removeFence(lines, fixes) {
+  const first = lines.findIndex((line) => line.text.trim());
+  let last = lines.length - 1;
+  while (last > first && !lines[last].text.trim()) last--;
+  if (first === -1 || first === last) return lines;
+
+  const opening = lines[first].text.trim().match(/^(`{3,}|~{3,})\s*(mermaid)?\s*$/i);
+  if (!opening || lines[last].text.trim() !== opening[1]) return lines;
+
+  fixes.push({ line: lines[first].number, rule: 'fence', message: 'Removed the Markdown fence around the diagram' });
+  return lines.filter((_, i) => i !== first && i !== last);
+}
+
+/**
+ * Fix Mermaid source
+ * Options: direction (added to flowcharts without one, default TD)
+ * Returns { code, changed, fixes: [{ line, rule, message }] }; lines refer to the input
+ */
+function fixMermaid(mermaidCode, options = {}) {
+  const direction = options.direction || 'TD';
+  const eol = mermaidCode.includes('\r\n') ? '\r\n' : '\n';
+  const fixes = [];
+  const lines = removeFence(mermaidCode.split(/\r?\n/).map((text, i) => ({ text, number: i + 1 })), fixes);
+
+  // Diagram header: first line that is not blank, a comment or YAML front matter
+  let header = -1;
+  let inFrontMatter = false;
+  for (let i = 0; i < lines.length && header === -1; i++) {
+    const text = lines[i].text.trim();
+    if (text === '---') inFrontMatter = !inFrontMatter;
+    else if (!inFrontMatter && text && !text.startsWith('%%')) header = i;
+  }
+  const headerMatch = header === -1 ? null : lines[header].text.match(/^(\s*)(flowchart|graph)\b(.*)$/i);
+  if (!headerMatch) {
+    return finish(mermaidCode, lines, eol, fixes);
+  }
+
+  if (!/\b(TD|TB|BT|LR|RL)\b/i.test(headerMatch[3])) {
+    lines[header].text = `${headerMatch[1]}${headerMatch[2]} ${direction}${headerMatch[3]}`;
+    fixes.push({ line: lines[header].number, rule: 'flowchart-direction', message: `Added direction ${direction}` });
+  }
+
+  // First pass: the statements, the ids they use and which ids get a shape somewhere
+  const body = lines.slice(header + 1);
+  const scans = body.map(({ text }) => {
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('%%') || KEYWORD_STATEMENT.test(trimmed)) return null;
+    return scanStatement(trimmed);
+  });
+  const taken = new Set();
+  const shapedIds = new Set();
+  const subgraphIds = new Set();
+  body.forEach(({ text }) => {
+    const subgraph = text.match(SUBGRAPH_HEADER);
+    if (subgraph) {
+      taken.add(subgraph[2]);
+      subgraphIds.add(subgraph[2]);
+    }
+  });
+  scans.forEach((scan) => scan && scan.groups.forEach((group) => group.refs.forEach((ref) => {
+    taken.add(ref.id);
+    if (ref.shaped) shapedIds.add(ref.id);
+  })));
+
+  const renames = new Map();
+  taken.forEach((id) => {
+    if (!/^\w+$/.test(id) || RESERVED_IDS.has(id)) renames.set(id, sanitizeId(id, taken));
+  });
+  const rename = (id) => renames.get(id) || id;
+
+  // Second pass: rename ids and split chains
+  const labelled = new Set();
+  const output = lines.slice(0, header + 1);
+  body.forEach((line, k) => {
+    const scan = scans[k];
+    const subgraph = line.text.match(SUBGRAPH_HEADER);
+    if (subgraph && renames.has(subgraph[2])) {
+      const [, prefix, id, title] = subgraph;
+      output.push({ ...line, text: `${prefix}${rename(id)}${title || ` [${id}]`}` });
+      fixes.push({ line: line.number, rule: 'node-id', message: `Renamed subgraph "${id}" to "${rename(id)}"` });
+      return;
+    }
+    if (!scan) {
+      output.push(renames.size > 0 ? { ...line, text: renameInDirective(line.text, rename) } : line);
+      return;
+    }
+
+    const trimmed = line.text.trim();
+    const indent = line.text.slice(0, line.text.length - line.text.trimStart().length);
+
+    // A renamed node keeps its old id as label, unless a shape somewhere gives it one;
+    // references to a renamed subgraph only take its new id
+    const refText = (ref) => {
+      if (!renames.has(ref.id)) return trimmed.slice(ref.start, ref.end);
+      if (subgraphIds.has(ref.id)) return `${rename(ref.id)}${trimmed.slice(ref.idEnd, ref.end)}`;
+      let label = '';
+      if (!labelled.has(ref.id)) {
+        labelled.add(ref.id);
+        fixes.push({ line: line.number, rule: 'node-id', message: `Renamed node "${ref.id}" to "${rename(ref.id)}"` });
+        if (!shapedIds.has(ref.id)) label = `[${ref.id}]`;
+      }
+      return `${rename(ref.id)}${label}${trimmed.slice(ref.idEnd, ref.end)}`;
+    };
+    const groupText = (group) => group.refs
+      .map((ref, r) => trimmed.slice(r === 0 ? group.start : group.refs[r - 1].end, ref.start) + refText(ref))
+      .join('');
+    const linkText = (link) => trimmed.slice(link.start, link.end);
+    const trailing = trimmed.slice(scan.end);
+
+    if (scan.links.length <= 1) {
+      const text = scan.groups.map((group, g) => groupText(group) + (scan.links[g] ? linkText(scan.links[g]) : '')).join('') + trailing;
+      output.push(text === trimmed ? line : { ...line, text: `${indent}${text}` });
+      return;
+    }
+
+    // A --> B --> C becomes A --> B and B --> C; repeated groups are written as plain ids
+    scan.links.forEach((link, g) => {
+      const from = g === 0 ? groupText(scan.groups[0]) : scan.groups[g].refs.map((ref) => rename(ref.id)).join(' & ');
+      output.push({ ...line, text: `${indent}${from}${linkText(link)}${groupText(scan.groups[g + 1])}${trailing}` });
+    });
+    fixes.push({ line: line.number, rule: 'chained-arrows', message: `Split a chain of ${scan.links.length} links into separate lines` });
+  });
+
+  return finish(mermaidCode, output, eol, fixes);
+}
+
+/**
+ * Rename node ids in style, class and click lines
+ */
+function renameInDirective(text, rename) {
+  const single = text.match(/^(\s*(?:style|click)\s+)(\S+)(.*)$/);
+  if (single) return `${single[1]}${rename(single[2])}${single[3]}`;
+  const list = text.match(/^(\s*class\s+)(\S+)(\s+\w+;?\s*)$/);
+  if (list) return `${list[1]}${list[2].split(',').map(rename).join(',')}${list[3]}`;
+  return text;
+}
+
+/**
+ * Join the fixed lines with the input's line endings
+ */
+function finish(mermaidCode, lines, eol, fixes) {
+  const code = lines.map((line) => line.text).join(eol);
+  fixes.sort((a, b) => a.line - b.line);
+  return { code, changed: code !== mermaidCode, fixes };
+}
+
+module.exports = {
+  fixMermaid,
+};
@@ -4,63 +4,361 @@
  */
 
 /**
- * Shape mappings from Mermaid to Draw.io styles
+ * Mermaid flowchart shapes and their Draw.io styles
+ * `names` are the names `A@{ shape: ... }` accepts (the first is the short name written
+ * back); shapes with a classic syntax also have its `delimiters` and a `pattern`.
+ * Names of shapes Draw.io has no stencil for are listed under the closest shape.
  * IMPORTANT: Order matters! More specific patterns must come first.
  * E.g., stadium ([...]) must be checked before roundedRect (...) 
  * E.g., circle ((...)) must be checked before roundedRect (...)
- * E.g., subroutine [[...]] must be checked before rectangle [...]
+ * E.g., subroutine [[...]] and cylinder [(...)] must be checked before rectangle [...]
+ * E.g., hexagon {{...}} must be checked before diamond {...}
  */
 const SHAPE_MAPPINGS = {
   // Most specific patterns first (multi-character delimiters)
   stadium: {
+    names: ['stadium', 'pill', 'terminal'],
+    delimiters: ['([', '])'],
     pattern: /^\(\[([^\]]+)\]\)$/,
     style: 'rounded=1;arcSize=50;whiteSpace=wrap;html=1;',
     fillColor: '#d5e8d4',
     strokeColor: '#82b366',
   },
+  doubleCircle: {
+    names: ['dbl-circ', 'double-circle'],
+    delimiters: ['(((', ')))'],
+    pattern: /^\(\(\((.+)\)\)\)$/,
+    style: 'ellipse;shape=doubleEllipse;whiteSpace=wrap;html=1;',
+    fillColor: '#f8cecc',
+    strokeColor: '#b85450',
+  },
   circle: {
+    names: ['circle', 'circ'],
+    delimiters: ['((', '))'],
     pattern: /^\(\(([^)]+)\)\)$/,
     style: 'ellipse;whiteSpace=wrap;html=1;',
     fillColor: '#f8cecc',
     strokeColor: '#b85450',
   },
   subroutine: {
+    names: ['fr-rect', 'framed-rectangle', 'subproc', 'subprocess', 'subroutine'],
+    delimiters: ['[[', ']]'],
     pattern: /^\[\[([^\]]+)\]\]$/,
     style: 'shape=process;whiteSpace=wrap;html=1;',
     fillColor: '#e1d5e7',
     strokeColor: '#9673a6',
   },
+  cylinder: {
+    names: ['cyl', 'cylinder', 'database', 'db'],
+    delimiters: ['[(', ')]'],
+    pattern: /^\[\((.+)\)\]$/,
+    style: 'shape=cylinder3;whiteSpace=wrap;html=1;boundedLbl=1;backgroundOutline=1;size=15;',
+    fillColor: '#e1d5e7',
+    strokeColor: '#9673a6',
+  },
+  parallelogram: {
+    names: ['lean-r', 'lean-right', 'in-out'],
+    delimiters: ['[/', '/]'],
+    pattern: /^\[\/(.+)\/\]$/,
+    style: 'shape=parallelogram;perimeter=parallelogramPerimeter;whiteSpace=wrap;html=1;fixedSize=1;',
+    fillColor: '#fff2cc',
+    strokeColor: '#d6b656',
+  },
+  parallelogramAlt: {
+    names: ['lean-l', 'lean-left', 'out-in'],
+    delimiters: ['[\\', '\\]'],
+    pattern: /^\[\\(.+)\\\]$/,
+    style: 'shape=parallelogram;perimeter=parallelogramPerimeter;whiteSpace=wrap;html=1;fixedSize=1;flipH=1;',
+    fillColor: '#fff2cc',
+    strokeColor: '#d6b656',
+  },
+  trapezoid: {
+    names: ['trap-b', 'trapezoid-bottom', 'priority', 'trapezoid'],
+    delimiters: ['[/', '\\]'],
+    pattern: /^\[\/(.+)\\\]$/,
+    style: 'shape=trapezoid;perimeter=trapezoidPerimeter;whiteSpace=wrap;html=1;fixedSize=1;',
+    fillColor: '#f5f5f5',
+    strokeColor: '#666666',
+  },
+  trapezoidAlt: {
+    names: ['trap-t', 'trapezoid-top', 'inv-trapezoid', 'manual'],
+    delimiters: ['[\\', '/]'],
+    pattern: /^\[\\(.+)\/\]$/,
+    style: 'shape=trapezoid;perimeter=trapezoidPerimeter;whiteSpace=wrap;html=1;fixedSize=1;flipV=1;',
+    fillColor: '#f5f5f5',
+    strokeColor: '#666666',
+  },
+  hexagon: {
+    names: ['hex', 'hexagon', 'prepare'],
+    delimiters: ['{{', '}}'],
+    pattern: /^\{\{(.+)\}\}$/,
+    style: 'shape=hexagon;perimeter=hexagonPerimeter2;whiteSpace=wrap;html=1;fixedSize=1;',
+    fillColor: '#ffe6cc',
+    strokeColor: '#d79b00',
+  },
   // Less specific patterns (single-character delimiters)
   rectangle: {
+    names: ['rect', 'rectangle', 'proc', 'process', 'st-rect', 'stacked-rectangle', 'procs', 'processes'],
+    delimiters: ['[', ']'],
     pattern: /^\[([^\]]+)\]$/,
     style: 'rounded=0;whiteSpace=wrap;html=1;',
     fillColor: '#dae8fc',
     strokeColor: '#6c8ebf',
   },
   roundedRect: {
+    names: ['rounded', 'event'],
+    delimiters: ['(', ')'],
     pattern: /^\(([^)]+)\)$/,
     style: 'rounded=1;whiteSpace=wrap;html=1;',
     fillColor: '#fff2cc',
     strokeColor: '#d6b656',
   },
   diamond: {
+    names: ['diam', 'diamond', 'decision', 'question'],
+    delimiters: ['{', '}'],
     pattern: /^\{([^}]+)\}$/,
     style: 'rhombus;whiteSpace=wrap;html=1;',
     fillColor: '#ffe6cc',
     strokeColor: '#d79b00',
   },
+  asymmetric: {
+    names: ['odd'],
+    delimiters: ['>', ']'],
+    pattern: /^>([^\]]+)\]$/,
+    style: 'shape=mxgraph.arrows2.arrow;dy=0;dx=0;notch=15;whiteSpace=wrap;html=1;',
+    fillColor: '#dae8fc',
+    strokeColor: '#6c8ebf',
+  },
+  // Shapes written only as A@{ shape: ... }
+  smallCircle: {
+    names: ['sm-circ', 'small-circle', 'start'],
+    style: 'ellipse;shape=startState;aspect=fixed;html=1;',
+    fillColor: '#000000',
+    strokeColor: '#000000',
+  },
+  framedCircle: {
+    names: ['fr-circ', 'framed-circle', 'stop'],
+    style: 'ellipse;shape=endState;aspect=fixed;html=1;',
+    fillColor: '#000000',
+    strokeColor: '#000000',
+  },
+  filledCircle: {
+    names: ['f-circ', 'filled-circle', 'junction'],
+    style: 'ellipse;aspect=fixed;html=1;',
+    fillColor: '#000000',
+    strokeColor: '#000000',
+  },
+  crossedCircle: {
+    names: ['cross-circ', 'crossed-circle', 'summary'],
+    style: 'ellipse;shape=sumEllipse;perimeter=ellipsePerimeter;html=1;',
+    fillColor: '#ffffff',
+    strokeColor: '#000000',
+  },
+  forkJoin: {
+    names: ['fork', 'join', 'filled-rectangle'],
+    style: 'shape=line;strokeWidth=6;html=1;',
+    fillColor: '#000000',
+    strokeColor: '#000000',
+  },
+  document: {
+    names: ['doc', 'document', 'lin-doc', 'lined-document', 'tag-doc', 'tagged-document'],
+    style: 'shape=document;whiteSpace=wrap;html=1;boundedLbl=1;',
+    fillColor: '#dae8fc',
+    strokeColor: '#6c8ebf',
+  },
+  documents: {
+    names: ['docs', 'documents', 'st-doc', 'stacked-document'],
+    style: 'shape=mxgraph.flowchart.multi-document;whiteSpace=wrap;html=1;',
+    fillColor: '#dae8fc',
+    strokeColor: '#6c8ebf',
+  },
+  card: {
+    names: ['notch-rect', 'notched-rectangle', 'card'],
+    style: 'shape=card;whiteSpace=wrap;html=1;',
+    fillColor: '#dae8fc',
+    strokeColor: '#6c8ebf',
+  },
+  taggedRect: {
+    names: ['tag-rect', 'tagged-rectangle', 'tag-proc', 'tagged-process'],
+    style: 'shape=note;size=15;flipV=1;whiteSpace=wrap;html=1;',
+    fillColor: '#dae8fc',
+    strokeColor: '#6c8ebf',
+  },
+  linedRect: {
+    names: ['lin-rect', 'lined-rectangle', 'lin-proc', 'lined-process', 'shaded-process'],
+    style: 'shape=internalStorage;dx=10;dy=0;whiteSpace=wrap;html=1;',
+    fillColor: '#dae8fc',
+    strokeColor: '#6c8ebf',
+  },
+  dividedRect: {
+    names: ['div-rect', 'divided-rectangle', 'div-proc', 'divided-process'],
+    style: 'shape=internalStorage;dx=0;dy=15;whiteSpace=wrap;html=1;',
+    fillColor: '#dae8fc',
+    strokeColor: '#6c8ebf',
+  },
+  windowPane: {
+    names: ['win-pane', 'window-pane', 'internal-storage'],
+    style: 'shape=internalStorage;dx=10;dy=10;whiteSpace=wrap;html=1;',
+    fillColor: '#e1d5e7',
+    strokeColor: '#9673a6',
+  },
+  linedCylinder: {
+    names: ['lin-cyl', 'lined-cylinder', 'disk'],
+    style: 'shape=datastore;whiteSpace=wrap;html=1;',
+    fillColor: '#e1d5e7',
+    strokeColor: '#9673a6',
+  },
+  horizontalCylinder: {
+    names: ['h-cyl', 'horizontal-cylinder', 'das'],
+    style: 'shape=mxgraph.flowchart.direct_data;whiteSpace=wrap;html=1;',
+    fillColor: '#e1d5e7',
+    strokeColor: '#9673a6',
+  },
+  storedData: {
+    names: ['bow-rect', 'bow-tie-rectangle', 'stored-data'],
+    style: 'shape=dataStorage;fixedSize=1;whiteSpace=wrap;html=1;',
+    fillColor: '#e1d5e7',
+    strokeColor: '#9673a6',
+  },
+  delay: {
+    names: ['delay', 'half-rounded-rectangle'],
+    style: 'shape=delay;whiteSpace=wrap;html=1;',
+    fillColor: '#fff2cc',
+    strokeColor: '#d6b656',
+  },
+  display: {
+    names: ['curv-trap', 'curved-trapezoid', 'display'],
+    style: 'shape=display;whiteSpace=wrap;html=1;',
+    fillColor: '#fff2cc',
+    strokeColor: '#d6b656',
+  },
+  manualInput: {
+    names: ['sl-rect', 'sloped-rectangle', 'manual-input'],
+    style: 'shape=manualInput;size=15;whiteSpace=wrap;html=1;',
+    fillColor: '#fff2cc',
+    strokeColor: '#d6b656',
+  },
+  paperTape: {
+    names: ['flag', 'paper-tape'],
+    style: 'shape=tape;whiteSpace=wrap;html=1;',
+    fillColor: '#fff2cc',
+    strokeColor: '#d6b656',
+  },
+  loopLimit: {
+    names: ['notch-pent', 'trapezoidal-pentagon', 'loop-limit'],
+    style: 'shape=loopLimit;whiteSpace=wrap;html=1;',
+    fillColor: '#ffe6cc',
+    strokeColor: '#d79b00',
+  },
+  collate: {
+    names: ['hourglass', 'collate'],
+    style: 'shape=collate;html=1;',
+    fillColor: '#ffe6cc',
+    strokeColor: '#d79b00',
+  },
+  triangle: {
+    names: ['tri', 'triangle', 'extract'],
+    style: 'triangle;direction=north;whiteSpace=wrap;html=1;',
+    fillColor: '#f5f5f5',
+    strokeColor: '#666666',
+  },
+  flippedTriangle: {
+    names: ['flip-tri', 'flipped-triangle', 'manual-file'],
+    style: 'triangle;direction=south;whiteSpace=wrap;html=1;',
+    fillColor: '#f5f5f5',
+    strokeColor: '#666666',
+  },
+  bolt: {
+    names: ['bolt', 'lightning-bolt', 'com-link'],
+    style: 'shape=mxgraph.basic.flash;html=1;',
+    fillColor: '#fff2cc',
+    strokeColor: '#d6b656',
+  },
+  comment: {
+    names: ['brace', 'curly-brace', 'brace-l', 'comment', 'braces'],
+    style: 'shape=curlyBracket;rounded=1;labelPosition=right;align=left;whiteSpace=wrap;html=1;',
+    fillColor: 'none',
+    strokeColor: '#666666',
+  },
+  commentRight: {
+    names: ['brace-r'],
+    style: 'shape=curlyBracket;rounded=1;flipH=1;labelPosition=left;align=right;whiteSpace=wrap;html=1;',
+    fillColor: 'none',
+    strokeColor: '#666666',
+  },
+  text: {
+    names: ['text'],
+    style: 'text;whiteSpace=wrap;html=1;align=center;verticalAlign=middle;',
+    fillColor: 'none',
+    strokeColor: 'none',
+  },
 };
 
+/**
+ * Shape names accepted by `A@{ shape: ... }`, mapped to SHAPE_MAPPINGS keys
+ */
+const SHAPE_NAMES = Object.fromEntries(Object.entries(SHAPE_MAPPINGS)
+  .flatMap(([shape, config]) => config.names.map((name) => [name, shape])));
+
+/**
+ * A node's shape part as written after its id: classic delimiters ("[label]", "{{label}}",
+ * ">label]") or shape data ("@{ shape: cyl, label: \"Orders\" }")
+ */
+const NODE_SHAPE = String.raw`@\{(?:"[^"]*"|[^"}])*\}|[[({>].*?[\])}]`;
+
+/**
+ * Strip the quotes Mermaid allows around a label and decode its entity codes
+ * (`#quot;` and numeric ones such as `#93;`)
+ */
+function unquoteLabel(text) {
+  return text.trim().replace(/^"(.*)"$/s, '$1')
+    .replace(/#(quot|\d+);/g, (_, code) => (code === 'quot' ? '"' : String.fromCharCode(Number(code))));
+}
+
+/**
+ * Write a label so it can sit between any shape delimiters: characters that would
+ * close the shape or start markup become Mermaid entity codes, which unquoteLabel decodes
+ */
+function escapeLabel(text) {
+  return String(text).replace(/[[\](){}<>|"]|#(?=\w+;)/g, (char) => (char === '"' ? '#quot;' : `#${char.charCodeAt(0)};`));
+}
+
+/**
+ * Parse Mermaid shape data, the body of `A@{ shape: cyl, label: "Orders" }`
+ * Unknown shape names give a rectangle, with the name as `unknownShape`; without a
+ * label the result has none, so the node keeps its id or earlier label
+ */
+function parseShapeData(text) {
+  const fields = {};
+  for (const [, key, value] of text.matchAll(/(\w+)\s*:\s*("[^"]*"|'[^']*'|[^,]*)/g)) {
+    fields[key] = value.trim().replace(/^'(.*)'$/s, '$1');
+  }
+  const name = (fields.shape || 'rect').toLowerCase();
+  const shape = SHAPE_NAMES[name] || 'rectangle';
+  const config = SHAPE_MAPPINGS[shape];
+  return {
+    shape,
+    ...(fields.label !== undefined ? { label: unquoteLabel(fields.label) } : {}),
+    style: config.style,
+    fillColor: config.fillColor,
+    strokeColor: config.strokeColor,
+    ...(SHAPE_NAMES[name] ? {} : { unknownShape: name }),
+  };
+}
+
 /**
  * Parse a Mermaid node definition to extract shape and label
  */
 function parseNodeShape(nodeContent) {
+  const shapeData = nodeContent.match(/^@\{(.*)\}$/s);
+  if (shapeData) return parseShapeData(shapeData[1]);
+
   for (const [shapeName, config] of Object.entries(SHAPE_MAPPINGS)) {
-    const match = nodeContent.match(config.pattern);
+    const match = config.pattern && nodeContent.match(config.pattern);
     if (match) {
       return {
         shape: shapeName,
-        label: match[1].trim(),
+        label: unquoteLabel(match[1]),
         style: config.style,
         fillColor: config.fillColor,
         strokeColor: config.strokeColor,
@@ -105,12 +403,13 @@ function parseArrow(arrowStr) {
 function parseConnection(line) {
   // Match patterns like: A --> B, A -->|label| B, A[Label] --> B, A([Start]) --> B
   // Source can have shape definition: SourceId or SourceId[label] or SourceId([label]) etc.
-  const connectionPattern = /^(\w+)([\[\(\{].*?[\]\)\}])?\s*(-->|---|-\.->|-\.-|==>)(\|([^|]*)\|)?\s*(.+)$/;
+  // Either end may carry a :::className shorthand, and shape data instead of a shape: A@{ shape: cyl }
+  const connectionPattern = new RegExp(String.raw`^(\w+)(${NODE_SHAPE})?(?::::(\w+))?\s*(-->|---|-\.->|-\.-|==>)(\|([^|]*)\|)?\s*(.+)$`);
   const match = line.match(connectionPattern);
   
   if (!match) return null;
   
-  const [, sourceId, sourceShape, arrow, , edgeLabel, targetPart] = match;
+  const [, sourceId, sourceShape, sourceClass, arrow, , edgeLabel, rawTargetPart] = match;
   const arrowConfig = parseArrow(arrow);
   
   // Parse source node if it has a shape
@@ -124,11 +423,14 @@ function parseConnection(line) {
   }
   
   // Parse target - could be just ID or ID with shape definition
+  const targetClassMatch = rawTargetPart.trim().match(/^(.*?):::(\w+)$/);
+  const targetPart = targetClassMatch ? targetClassMatch[1] : rawTargetPart.trim();
+  const targetClass = targetClassMatch ? targetClassMatch[2] : null;
   let targetId = targetPart.trim();
   let targetNode = null;
   
   // Check if target has inline definition (e.g., B[Label] or B{Decision} or B([End]))
-  const inlineDefMatch = targetPart.match(/^(\w+)([\[\(\{].*?[\]\)\}])$/);
+  const inlineDefMatch = targetPart.match(new RegExp(String.raw`^(\w+)(${NODE_SHAPE})$`));
   if (inlineDefMatch) {
     targetId = inlineDefMatch[1];
     const shapeInfo = parseNodeShape(inlineDefMatch[2]);
@@ -141,13 +443,77 @@ function parseConnection(line) {
   return {
     source: sourceId,
     target: targetId,
-    label: edgeLabel || '',
+    label: edgeLabel ? unquoteLabel(edgeLabel) : '',
     arrowType: arrowConfig,
     sourceNode,
     targetNode,
+    sourceClass: sourceClass || null,
+    targetClass,
+    // Where each end is written within the line
+    sourceLength: sourceId.length + (sourceShape || '').length,
+    targetOffset: line.length - rawTargetPart.length,
+    targetLength: targetPart.trim().length,
   };
 }
 
+/**
+ * Source positions for the lines handed to a diagram parser, plus the diagnostics
+ * it collects. Lines and columns are 1-based; a range ends just past its last character.
+ */
+function createSourceTracker(lines, lineNumbers = lines.map((_, i) => i + 1)) {
+  const diagnostics = [];
+
+  // Part of line i; offset and length count from the first non-blank character
+  const range = (i, offset = 0, length = lines[i].trim().length - offset) => {
+    const start = Math.max(lines[i].search(/\S/), 0) + offset + 1;
+    return {
+      start: { line: lineNumbers[i], column: start },
+      end: { line: lineNumbers[i], column: start + length },
+    };
+  };
+
+  const report = (code, severity, at, message, suggestion) => {
+    diagnostics.push({ code, severity, message, suggestion, range: at });
+  };
+
+  return {
+    diagnostics,
+    range,
+    // First occurrence of text in line i at or after `from`; the whole statement if it is not there
+    find(i, text, from = 0) {
+      const offset = lines[i].trim().indexOf(text, from);
+      return offset === -1 ? range(i) : range(i, offset, text.length);
+    },
+    // A block element ends with its closing line
+    close(element, i) {
+      element.range = { start: element.range.start, end: range(i).end };
+    },
+    report,
+    unrecognized(i) {
+      report('unrecognized-statement', 'warning', range(i), `Unrecognized statement: ${lines[i].trim()}`, 'The line is ignored; check its syntax');
+    },
+  };
+}
+
+/**
+ * Parse a Mermaid CSS-like style list (e.g. "fill:#f9f,stroke:#333,stroke-width:4px")
+ * Commas can be escaped with a backslash inside values
+ */
+function parseStyleDeclarations(text) {
+  const declarations = {};
+  text
+    .replace(/;\s*$/, '')
+    .split(/(?<!\\),/)
+    .forEach((part) => {
+      const colon = part.indexOf(':');
+      if (colon === -1) return;
+      const key = part.slice(0, colon).trim().toLowerCase();
+      const value = part.slice(colon + 1).replace(/\\,/g, ',').replace(/;$/, '').trim();
+      if (key) declarations[key] = value;
+    });
+  return declarations;
+}
+
 /**
  * Detect diagram type from first line
  */
@@ -180,47 +546,146 @@ function detectDiagramType(lines) {
   return { type: 'unknown', direction: null };
 }
 
+/**
+ * Parse a subgraph title into an id and a label
+ * Supports `id`, `id [Title]`, `id["Title"]`, `"Title"` and `Title with spaces`
+ */
+function parseSubgraphTitle(text) {
+  const unquote = (value) => value.trim().replace(/^"(.*)"$/, '$1');
+  const bracketMatch = text.match(/^(\w+)\s*\[(.+)\]$/);
+  if (bracketMatch) {
+    return { id: bracketMatch[1], label: unquote(bracketMatch[2]) };
+  }
+  if (/^\w+$/.test(text)) {
+    return { id: text, label: text };
+  }
+  const label = unquote(text);
+  return { id: label.replace(/\W+/g, '_').replace(/^_+|_+$/g, '') || 'subgraph', label };
+}
+
 /**
  * Parse a flowchart diagram
  */
-function parseFlowchart(lines, direction) {
+function parseFlowchart(lines, direction, source = createSourceTracker(lines)) {
   const nodes = new Map();
   const edges = [];
   const subgraphs = [];
-  let currentSubgraph = null;
+  const subgraphStack = []; // Open subgraphs, innermost last
+  const nodeSubgraph = new Map(); // node id -> id of the subgraph it belongs to
+  
+  // A node belongs to the innermost subgraph it first appears in
+  const addToCurrentSubgraph = (nodeId) => {
+    const current = subgraphStack[subgraphStack.length - 1];
+    if (current && !nodeSubgraph.has(nodeId)) {
+      nodeSubgraph.set(nodeId, current.id);
+    }
+  };
+  
+  // Styling directives, applied once all nodes and edges are known
+  const classDefs = {};
+  const nodeClasses = new Map(); // node id -> [class names]
+  const nodeStyles = new Map();  // node id -> declarations from "style" lines
+  const linkStyles = new Map();  // edge index or 'default' -> declarations
+  
+  // A definition sets the node's shape; shape data without a label keeps the label it had
+  const defineNode = ({ unknownShape, ...node }, range, i) => {
+    nodes.set(node.id, { ...node, label: node.label ?? nodes.get(node.id)?.label ?? node.id, range });
+    if (unknownShape) {
+      source.report('unknown-shape', 'warning', source.find(i, unknownShape), `Unknown shape "${unknownShape}" for node ${node.id}`, 'Use a Mermaid shape name such as rect, rounded, cyl or diam; the node is drawn as a rectangle');
+    }
+  };
+  
+  const addNodeClass = (nodeId, className) => {
+    if (!nodeClasses.has(nodeId)) nodeClasses.set(nodeId, []);
+    if (!nodeClasses.get(nodeId).includes(className)) {
+      nodeClasses.get(nodeId).push(className);
+    }
+  };
   
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
     if (!line || line.startsWith('%%')) continue;
     
-    // Subgraph start
-    if (line.startsWith('subgraph')) {
-      const subgraphMatch = line.match(/subgraph\s+(\w+)(?:\s*\[([^\]]+)\])?/);
-      if (subgraphMatch) {
-        currentSubgraph = {
-          id: subgraphMatch[1],
-          label: subgraphMatch[2] || subgraphMatch[1],
-          nodes: [],
-        };
-      }
+    // classDef name1,name2 fill:#f9f,stroke:#333
+    const classDefMatch = line.match(/^classDef\s+([\w,]+)\s+(.+)$/);
+    if (classDefMatch) {
+      const declarations = parseStyleDeclarations(classDefMatch[2]);
+      classDefMatch[1].split(',').forEach((name) => {
+        classDefs[name] = { ...(classDefs[name] || {}), ...declarations };
+      });
+      continue;
+    }
+    
+    // class A,B className
+    const classAssignMatch = line.match(/^class\s+([\w,\s]+?)\s+(\w+);?$/);
+    if (classAssignMatch) {
+      classAssignMatch[1].split(',').forEach((id) => addNodeClass(id.trim(), classAssignMatch[2]));
+      continue;
+    }
+    
+    // style A fill:#f9f,stroke:#333
+    const styleMatch = line.match(/^style\s+(\w+)\s+(.+)$/);
+    if (styleMatch) {
+      nodeStyles.set(styleMatch[1], { ...(nodeStyles.get(styleMatch[1]) || {}), ...parseStyleDeclarations(styleMatch[2]) });
+      continue;
+    }
+    
+    // linkStyle 0,2 stroke:#ff3 / linkStyle default stroke:#999
+    const linkStyleMatch = line.match(/^linkStyle\s+(default|[\d,\s]+?)\s+(.+)$/);
+    if (linkStyleMatch) {
+      const declarations = parseStyleDeclarations(linkStyleMatch[2]);
+      const targets = linkStyleMatch[1] === 'default'
+        ? ['default']
+        : linkStyleMatch[1].split(',').map((n) => parseInt(n.trim(), 10));
+      targets.forEach((key) => linkStyles.set(key, { ...(linkStyles.get(key) || {}), ...declarations }));
+      continue;
+    }
+    
+    // Subgraph start: subgraph id | subgraph id [Title] | subgraph id["Title"] | subgraph "Title"
+    const subgraphMatch = line.match(/^subgraph\s+(.+)$/);
+    if (subgraphMatch) {
+      const { id, label } = parseSubgraphTitle(subgraphMatch[1].trim());
+      const parent = subgraphStack[subgraphStack.length - 1];
+      const subgraph = {
+        id,
+        label,
+        nodes: [],
+        subgraphs: [],
+        parent: parent ? parent.id : null,
+        direction: null,
+        range: source.range(i),
+      };
+      if (parent) parent.subgraphs.push(id);
+      subgraphs.push(subgraph);
+      subgraphStack.push(subgraph);
       continue;
     }
     
     // Subgraph end
     if (line === 'end') {
-      if (currentSubgraph) {
-        subgraphs.push(currentSubgraph);
-        currentSubgraph = null;
+      if (subgraphStack.length > 0) {
+        source.close(subgraphStack.pop(), i);
+      } else {
+        source.report('unmatched-end', 'error', source.range(i), '"end" without an open subgraph', 'Remove it or add the missing "subgraph" line');
       }
       continue;
     }
     
+    // Direction inside a subgraph
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/);
+    if (directionMatch) {
+      const current = subgraphStack[subgraphStack.length - 1];
+      if (current) current.direction = directionMatch[1];
+      continue;
+    }
+    
     // Try to parse as connection
     const connection = parseConnection(line);
     if (connection) {
       // Add source node - use sourceNode info if available
+      const sourceRange = source.range(i, 0, connection.sourceLength);
       if (connection.sourceNode) {
-        nodes.set(connection.source, connection.sourceNode);
+        defineNode(connection.sourceNode, sourceRange, i);
       } else if (!nodes.has(connection.source)) {
         nodes.set(connection.source, {
           id: connection.source,
@@ -229,12 +694,14 @@ function parseFlowchart(lines, direction) {
           style: SHAPE_MAPPINGS.rectangle.style,
           fillColor: SHAPE_MAPPINGS.rectangle.fillColor,
           strokeColor: SHAPE_MAPPINGS.rectangle.strokeColor,
+          range: sourceRange,
         });
       }
       
       // Add target node
+      const targetRange = source.range(i, connection.targetOffset, connection.targetLength);
       if (connection.targetNode) {
-        nodes.set(connection.target, connection.targetNode);
+        defineNode(connection.targetNode, targetRange, i);
       } else if (!nodes.has(connection.target)) {
         nodes.set(connection.target, {
           id: connection.target,
@@ -243,18 +710,16 @@ function parseFlowchart(lines, direction) {
           style: SHAPE_MAPPINGS.rectangle.style,
           fillColor: SHAPE_MAPPINGS.rectangle.fillColor,
           strokeColor: SHAPE_MAPPINGS.rectangle.strokeColor,
+          range: targetRange,
         });
       }
       
       // Add to subgraph if active
-      if (currentSubgraph) {
-        if (!currentSubgraph.nodes.includes(connection.source)) {
-          currentSubgraph.nodes.push(connection.source);
-        }
-        if (!currentSubgraph.nodes.includes(connection.target)) {
-          currentSubgraph.nodes.push(connection.target);
-        }
-      }
+      addToCurrentSubgraph(connection.source);
+      addToCurrentSubgraph(connection.target);
+      
+      if (connection.sourceClass) addNodeClass(connection.source, connection.sourceClass);
+      if (connection.targetClass) addNodeClass(connection.target, connection.targetClass);
       
       edges.push({
         id: `e${edges.length + 1}`,
@@ -262,77 +727,306 @@ function parseFlowchart(lines, direction) {
         target: connection.target,
         label: connection.label,
         arrowType: connection.arrowType,
+        range: source.range(i),
       });
       continue;
     }
     
-    // Try to parse as standalone node definition
-    const nodeDefMatch = line.match(/^(\w+)([\[\(\{].+[\]\)\}])$/);
+    // Try to parse as standalone node definition (optionally with :::className)
+    const nodeDefMatch = line.match(new RegExp(String.raw`^(\w+)(${NODE_SHAPE})?(?::::(\w+))?$`));
     if (nodeDefMatch) {
       const nodeId = nodeDefMatch[1];
-      const shapeInfo = parseNodeShape(nodeDefMatch[2]);
-      nodes.set(nodeId, {
-        id: nodeId,
-        ...shapeInfo,
-      });
-      
-      if (currentSubgraph) {
-        currentSubgraph.nodes.push(nodeId);
+      const range = source.range(i, 0, nodeId.length + (nodeDefMatch[2] || '').length);
+      if (nodeDefMatch[2]) {
+        defineNode({ id: nodeId, ...parseNodeShape(nodeDefMatch[2]) }, range, i);
+      } else if (!nodes.has(nodeId)) {
+        nodes.set(nodeId, {
+          id: nodeId,
+          label: nodeId,
+          shape: 'rectangle',
+          style: SHAPE_MAPPINGS.rectangle.style,
+          fillColor: SHAPE_MAPPINGS.rectangle.fillColor,
+          strokeColor: SHAPE_MAPPINGS.rectangle.strokeColor,
+          range,
+        });
       }
+      if (nodeDefMatch[3]) addNodeClass(nodeId, nodeDefMatch[3]);
+      
+      addToCurrentSubgraph(nodeId);
+      continue;
     }
+    
+    source.unrecognized(i);
   }
   
+  subgraphStack.forEach((subgraph) => {
+    source.report('unclosed-block', 'error', subgraph.range, `Subgraph "${subgraph.id}" is never closed`, 'Add an "end" line after its contents');
+  });
+  
+  // Subgraph ids used as edge endpoints refer to the subgraph, not to a node
+  const subgraphIds = new Set(subgraphs.map((sg) => sg.id));
+  subgraphIds.forEach((id) => {
+    nodes.delete(id);
+    nodeSubgraph.delete(id);
+  });
+  nodeSubgraph.forEach((subgraphId, nodeId) => {
+    if (nodes.has(nodeId)) {
+      subgraphs.find((sg) => sg.id === subgraphId).nodes.push(nodeId);
+    }
+  });
+  
+  // Resolve styles: classDef default, then assigned classes in order, then style lines
+  nodes.forEach((node, nodeId) => {
+    const classes = nodeClasses.get(nodeId) || [];
+    const cssStyle = {
+      ...(classDefs.default || {}),
+      ...classes.reduce((acc, name) => ({ ...acc, ...(classDefs[name] || {}) }), {}),
+      ...(nodeStyles.get(nodeId) || {}),
+    };
+    if (classes.length > 0) node.classes = classes;
+    if (Object.keys(cssStyle).length > 0) node.cssStyle = cssStyle;
+  });
+  
+  edges.forEach((edge, index) => {
+    const cssStyle = { ...(linkStyles.get('default') || {}), ...(linkStyles.get(index) || {}) };
+    if (Object.keys(cssStyle).length > 0) edge.cssStyle = cssStyle;
+  });
+  
   return {
     type: 'flowchart',
     direction,
     nodes: Array.from(nodes.values()),
     edges,
     subgraphs,
+    classDefs,
+    diagnostics: source.diagnostics,
   };
 }
 
+/**
+ * Mermaid sequence arrows: line style, arrowhead and direction
+ */
+const SEQUENCE_ARROWS = {
+  '->': { dashed: false, head: 'none', bidirectional: false },
+  '-->': { dashed: true, head: 'none', bidirectional: false },
+  '->>': { dashed: false, head: 'filled', bidirectional: false },
+  '-->>': { dashed: true, head: 'filled', bidirectional: false },
+  '<<->>': { dashed: false, head: 'filled', bidirectional: true },
+  '<<-->>': { dashed: true, head: 'filled', bidirectional: true },
+  '-x': { dashed: false, head: 'cross', bidirectional: false },
+  '--x': { dashed: true, head: 'cross', bidirectional: false },
+  '-)': { dashed: false, head: 'async', bidirectional: false },
+  '--)': { dashed: true, head: 'async', bidirectional: false },
+};
+
+/**
+ * Sender, arrow, optional activation mark, receiver and message text.
+ * Longer arrows come first so `-->>` is not read as `-->` followed by `>`.
+ */
+const SEQUENCE_MESSAGE_PATTERN = new RegExp(
+  `^("[^"]+"|[^"]+?)\\s*(${Object.keys(SEQUENCE_ARROWS)
+    .sort((a, b) => b.length - a.length)
+    .map((arrow) => arrow.replace(/[()]/g, '\\$&'))
+    .join('|')})\\s*([+-]?)\\s*("[^"]+"|[^"]+?)\\s*:(.*)$`,
+);
+
+/**
+ * Strip surrounding quotes and whitespace from a participant name
+ */
+function unquoteName(name) {
+  return name.trim().replace(/^"(.*)"$/, '$1').trim();
+}
+
 /**
  * Parse a sequence diagram
  */
-function parseSequenceDiagram(lines) {
+function parseSequenceDiagram(lines, source = createSourceTracker(lines)) {
   const participants = [];
   const messages = [];
+  const fragments = [];
+  const timeline = []; // Ordered messages and fragment boundaries, used for layout
+  const blockStack = []; // Open fragments and participant boxes
+  const notes = [];
+  const autonumber = { enabled: false, next: 1, step: 1 };
+  const pendingActivations = []; // Explicit activations seen before the first message
+  let usesAutonumber = false;
+  
+  // Participants used in messages without a declaration are added in order of appearance
+  const ensureParticipant = (name, range) => {
+    const id = unquoteName(name);
+    if (!participants.some((p) => p.id === id)) {
+      participants.push({ id, label: id, range });
+    }
+    return id;
+  };
+  
+  const currentFragment = () => {
+    for (let j = blockStack.length - 1; j >= 0; j--) {
+      if (blockStack[j].kind === 'fragment') return blockStack[j].fragment;
+    }
+    return null;
+  };
   
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
     if (!line || line.startsWith('%%')) continue;
     
-    // Participant declaration
-    const participantMatch = line.match(/participant\s+(\w+)(?:\s+as\s+(.+))?/);
-    if (participantMatch) {
-      participants.push({
-        id: participantMatch[1],
-        label: participantMatch[2] || participantMatch[1],
-      });
+    // Combined fragment start: loop, alt, opt, par, critical, break, rect
+    const fragmentMatch = line.match(/^(loop|alt|opt|par|critical|break|rect)\b\s*(.*)$/);
+    if (fragmentMatch) {
+      const [, fragmentType, text] = fragmentMatch;
+      const parent = currentFragment();
+      const fragment = {
+        id: `f${fragments.length + 1}`,
+        type: fragmentType,
+        label: fragmentType === 'rect' ? '' : text.trim(),
+        color: fragmentType === 'rect' ? text.trim() : null,
+        parent: parent ? parent.id : null,
+        depth: parent ? parent.depth + 1 : 0,
+        sections: [{ label: fragmentType === 'rect' ? '' : text.trim(), messages: [] }],
+        range: source.range(i),
+      };
+      fragments.push(fragment);
+      blockStack.push({ kind: 'fragment', fragment, range: fragment.range });
+      timeline.push({ type: 'fragmentStart', fragment: fragment.id });
+      continue;
+    }
+    
+    // Additional section: else (alt), and (par), option (critical)
+    const sectionMatch = line.match(/^(else|and|option)\b\s*(.*)$/);
+    if (sectionMatch && currentFragment()) {
+      const fragment = currentFragment();
+      fragment.sections.push({ label: sectionMatch[2].trim(), messages: [] });
+      timeline.push({ type: 'fragmentSection', fragment: fragment.id, section: fragment.sections.length - 1 });
       continue;
     }
     
-    // Actor declaration
-    const actorMatch = line.match(/actor\s+(\w+)(?:\s+as\s+(.+))?/);
-    if (actorMatch) {
-      participants.push({
-        id: actorMatch[1],
-        label: actorMatch[2] || actorMatch[1],
-        isActor: true,
+    // Participant group: box [color] [label] ... end
+    if (/^box\b/.test(line)) {
+      blockStack.push({ kind: 'box', range: source.range(i) });
+      continue;
+    }
+    
+    // End of the innermost fragment or box
+    if (line === 'end') {
+      const block = blockStack.pop();
+      if (!block) {
+        source.report('unmatched-end', 'error', source.range(i), '"end" without an open block', 'Remove it or add the missing loop, alt, opt, par, critical, break, rect or box line');
+      } else if (block.kind === 'fragment') {
+        source.close(block.fragment, i);
+        timeline.push({ type: 'fragmentEnd', fragment: block.fragment.id });
+      }
+      continue;
+    }
+    
+    // Automatic message numbering: autonumber [start [step]] | autonumber off
+    const autonumberMatch = line.match(/^autonumber\b\s*(off|\d+)?\s*(\d+)?\s*$/);
+    if (autonumberMatch) {
+      if (autonumberMatch[1] === 'off') {
+        autonumber.enabled = false;
+      } else {
+        autonumber.enabled = true;
+        usesAutonumber = true;
+        if (autonumberMatch[1]) autonumber.next = parseInt(autonumberMatch[1], 10);
+        if (autonumberMatch[2]) autonumber.step = parseInt(autonumberMatch[2], 10);
+      }
+      continue;
+    }
+    
+    // Note: Note left of A: text | Note right of A: text | Note over A[,B]: text
+    const noteMatch = line.match(/^note\s+(left\s+of|right\s+of|over)\s+([^:]+?)\s*:\s*(.*)$/i);
+    if (noteMatch) {
+      notes.push({
+        id: `note${notes.length + 1}`,
+        position: noteMatch[1].toLowerCase().split(/\s+/)[0],
+        participants: noteMatch[2].split(',').map((p) => p.trim()).filter(Boolean).map((p) => ensureParticipant(p, source.find(i, p))),
+        text: noteMatch[3].trim().replace(/<br\s*\/?>/gi, '\n'),
+        afterMessage: messages.length - 1,
+        fragment: currentFragment() ? currentFragment().id : null,
+        range: source.range(i),
       });
+      timeline.push({ type: 'note', index: notes.length - 1 });
+      continue;
+    }
+    
+    // Explicit activation: activate A | deactivate A
+    const activationMatch = line.match(/^(activate|deactivate)\s+(.+?)\s*$/);
+    if (activationMatch) {
+      const action = activationMatch[1];
+      const participant = ensureParticipant(activationMatch[2], source.find(i, activationMatch[2], action.length));
+      const change = { participant, action };
+      if (messages.length > 0) {
+        messages[messages.length - 1].activations.push(change);
+      } else {
+        pendingActivations.push(change);
+      }
+      timeline.push({ type: action, participant });
+      continue;
+    }
+    
+    // Participant or actor declaration: participant "Name with spaces" as Label
+    const participantMatch = line.match(/^(participant|actor)\s+("[^"]+"|.+?)(?:\s+as\s+(.+))?$/);
+    if (participantMatch) {
+      const id = unquoteName(participantMatch[2]);
+      const label = participantMatch[3] ? unquoteName(participantMatch[3]) : id;
+      const existing = participants.find((p) => p.id === id);
+      if (existing) {
+        existing.label = label;
+        existing.isActor = participantMatch[1] === 'actor' || undefined;
+        existing.range = source.range(i);
+      } else {
+        participants.push({ id, label, ...(participantMatch[1] === 'actor' ? { isActor: true } : {}), range: source.range(i) });
+      }
       continue;
     }
     
-    // Message
-    const messageMatch = line.match(/(\w+)\s*(->>?|-->>?|-)>?\s*(\w+)\s*:\s*(.+)/);
+    // Message, with optional activation shorthand: A->>+B activates B, B-->>-A deactivates B
+    const messageMatch = line.match(SEQUENCE_MESSAGE_PATTERN);
     if (messageMatch) {
+      const fragment = currentFragment();
+      const [, rawFrom, arrow, activationMark, rawTo, text] = messageMatch;
+      const from = ensureParticipant(rawFrom, source.range(i, 0, rawFrom.length));
+      const to = ensureParticipant(rawTo, source.find(i, rawTo, rawFrom.length + arrow.length));
+      const arrowInfo = SEQUENCE_ARROWS[arrow];
+      const activations = pendingActivations.splice(0);
+      if (activationMark === '+') activations.push({ participant: to, action: 'activate' });
+      if (activationMark === '-') activations.push({ participant: from, action: 'deactivate' });
       messages.push({
-        from: messageMatch[1],
-        to: messageMatch[3],
-        message: messageMatch[4],
-        type: messageMatch[2].includes('--') ? 'dashed' : 'solid',
-        isAsync: messageMatch[2].includes('>>'),
+        from,
+        to,
+        message: text.trim(),
+        arrow,
+        type: arrowInfo.dashed ? 'dashed' : 'solid',
+        arrowType: arrowInfo.head,
+        isAsync: arrowInfo.head === 'async',
+        isBidirectional: arrowInfo.bidirectional,
+        isSelf: from === to,
+        number: autonumber.enabled ? autonumber.next : null,
+        activations,
+        fragment: fragment ? fragment.id : null,
+        range: source.range(i),
       });
+      if (autonumber.enabled) autonumber.next += autonumber.step;
+      if (fragment) {
+        fragment.sections[fragment.sections.length - 1].messages.push(messages.length - 1);
+      }
+      timeline.push({ type: 'message', index: messages.length - 1 });
+      if (activationMark) {
+        timeline.push({ type: activationMark === '+' ? 'activate' : 'deactivate', participant: activationMark === '+' ? to : from });
+      }
+      continue;
+    }
+    
+    source.unrecognized(i);
+  }
+  
+  // Close fragments left open at the end of the diagram
+  while (blockStack.length > 0) {
+    const block = blockStack.pop();
+    const what = block.kind === 'fragment' ? `"${block.fragment.type}" block` : 'Box';
+    source.report('unclosed-block', 'error', block.range, `${what} is never closed`, 'Add an "end" line after its contents');
+    if (block.kind === 'fragment') {
+      timeline.push({ type: 'fragmentEnd', fragment: block.fragment.id });
     }
   }
   
@@ -340,20 +1034,26 @@ function parseSequenceDiagram(lines) {
     type: 'sequence',
     participants,
     messages,
+    fragments,
+    notes,
+    autonumber: usesAutonumber,
+    timeline,
     nodes: participants,
     edges: messages.map((m, i) => ({
       id: `e${i + 1}`,
       source: m.from,
       target: m.to,
       label: m.message,
+      range: m.range,
     })),
+    diagnostics: source.diagnostics,
   };
 }
 
 /**
  * Parse an ER diagram
  */
-function parseERDiagram(lines) {
+function parseERDiagram(lines, source = createSourceTracker(lines)) {
   const entities = new Map();
   const relationships = [];
   let currentEntity = null;
@@ -365,6 +1065,7 @@ function parseERDiagram(lines) {
     
     // Check for closing brace (end of entity block)
     if (line === '}') {
+      if (currentEntity) source.close(currentEntity, i);
       inEntityBlock = false;
       currentEntity = null;
       continue;
@@ -378,6 +1079,7 @@ function parseERDiagram(lines) {
         entities.set(entityName, { id: entityName, label: entityName, attributes: [] });
       }
       currentEntity = entities.get(entityName);
+      currentEntity.range = source.range(i);
       inEntityBlock = true;
       continue;
     }
@@ -394,15 +1096,15 @@ function parseERDiagram(lines) {
     
     // Relationship line: ENTITY1 ||--o{ ENTITY2 : "relationship"
     // Updated regex to handle more cardinality patterns
-    const relMatch = line.match(/(\w+)\s*(\|\||\|o|o\||o\{|\{o|\}\||\|\{|\{|)\s*--\s*(\|\||\|o|o\||\{o|o\{|\|\{|\}\|||\{)\s*(\w+)\s*:\s*"?([^"]+)"?/);
+    const relMatch = line.match(/(\w+)\s*(\|\||\|o|o\||o\{|\{o|\}o|\}\||\|\{|\{|)\s*--\s*(\|\||\|o|o\||\{o|o\{|\|\{|\}\|||\{)\s*(\w+)\s*:\s*"?([^"]+)"?/);
     if (relMatch) {
       const [, entity1, card1, card2, entity2, label] = relMatch;
       
       if (!entities.has(entity1)) {
-        entities.set(entity1, { id: entity1, label: entity1, attributes: [] });
+        entities.set(entity1, { id: entity1, label: entity1, attributes: [], range: source.range(i, relMatch.index, entity1.length) });
       }
       if (!entities.has(entity2)) {
-        entities.set(entity2, { id: entity2, label: entity2, attributes: [] });
+        entities.set(entity2, { id: entity2, label: entity2, attributes: [], range: source.find(i, entity2, line.indexOf('--', relMatch.index) + 2) });
       }
       
       relationships.push({
@@ -412,6 +1114,7 @@ function parseERDiagram(lines) {
         cardinality1: card1 || '||',
         cardinality2: card2 || '||',
         label: label.trim(),
+        range: source.range(i),
       });
       continue;
     }
@@ -421,11 +1124,17 @@ function parseERDiagram(lines) {
     if (singleLineAttrMatch) {
       const [, entityName, attrType, attrName] = singleLineAttrMatch;
       if (!entities.has(entityName)) {
-        entities.set(entityName, { id: entityName, label: entityName, attributes: [] });
+        entities.set(entityName, { id: entityName, label: entityName, attributes: [], range: source.range(i) });
       }
       entities.get(entityName).attributes.push({ type: attrType, name: attrName });
       continue;
     }
+    
+    source.unrecognized(i);
+  }
+  
+  if (currentEntity) {
+    source.report('unclosed-block', 'error', currentEntity.range, `Entity "${currentEntity.id}" is never closed`, 'Add a "}" line after its attributes');
   }
   
   return {
@@ -434,13 +1143,446 @@ function parseERDiagram(lines) {
     relationships,
     nodes: Array.from(entities.values()),
     edges: relationships,
+    diagnostics: source.diagnostics,
+  };
+}
+
+/**
+ * Class relationship markers, keyed by the symbol found at either end of the link.
+ * `--` links produce the solid kind, `..` links the dashed kind.
+ */
+const CLASS_RELATION_MARKERS = {
+  '<|': { solid: 'inheritance', dashed: 'realization', arrow: 'block', fill: 0 },
+  '|>': { solid: 'inheritance', dashed: 'realization', arrow: 'block', fill: 0 },
+  '*': { solid: 'composition', dashed: 'composition', arrow: 'diamondThin', fill: 1 },
+  'o': { solid: 'aggregation', dashed: 'aggregation', arrow: 'diamondThin', fill: 0 },
+  '<': { solid: 'association', dashed: 'dependency', arrow: 'open', fill: 0 },
+  '>': { solid: 'association', dashed: 'dependency', arrow: 'open', fill: 0 },
+  '()': { solid: 'lollipop', dashed: 'lollipop', arrow: 'oval', fill: 0 },
+};
+
+/**
+ * Convert Mermaid generic notation (List~int~) to angle brackets (List<int>)
+ */
+function convertGenerics(text) {
+  return text.replace(/~([^~]*)~/g, '<$1>');
+}
+
+/**
+ * Parse a single class member line (attribute or method)
+ * E.g. "+String name", "-List~int~ ids", "+deposit(amount) bool", "+create()$"
+ */
+function parseClassMember(text) {
+  let content = text.trim();
+  let visibility = '';
+  if (/^[+\-#~]/.test(content) && !/^~[^~]*~/.test(content)) {
+    visibility = content[0];
+    content = content.slice(1).trim();
+  }
+
+  const methodMatch = content.match(/^([^(]+)\(([^)]*)\)([$*]?)\s*(.*)$/);
+  if (methodMatch) {
+    const [, methodName, params, classifier, rest] = methodMatch;
+    let returnType = rest.trim();
+    let trailing = classifier;
+    if (!trailing && /[$*]$/.test(returnType)) {
+      trailing = returnType.slice(-1);
+      returnType = returnType.slice(0, -1).trim();
+    }
+    return {
+      kind: 'method',
+      visibility,
+      name: methodName.trim(),
+      params: convertGenerics(params.trim()),
+      type: convertGenerics(returnType.replace(/^:\s*/, '')),
+      isStatic: trailing === '$',
+      isAbstract: trailing === '*',
+    };
+  }
+
+  let classifier = '';
+  if (/[$*]$/.test(content)) {
+    classifier = content.slice(-1);
+    content = content.slice(0, -1).trim();
+  }
+
+  // Support both "Type name" and "name: Type" attribute notations
+  let name = content;
+  let type = '';
+  const colonMatch = content.match(/^(\S+)\s*:\s*(.+)$/);
+  const spaceMatch = content.match(/^(\S+)\s+(\S+)$/);
+  if (colonMatch) {
+    [, name, type] = colonMatch;
+  } else if (spaceMatch) {
+    [, type, name] = spaceMatch;
+  }
+
+  return {
+    kind: 'attribute',
+    visibility,
+    name: name.trim(),
+    type: convertGenerics(type.trim()),
+    isStatic: classifier === '$',
+    isAbstract: classifier === '*',
+  };
+}
+
+/**
+ * Parse a class diagram
+ */
+function parseClassDiagram(lines, source = createSourceTracker(lines)) {
+  const classes = new Map();
+  const relationships = [];
+  let direction = 'TB';
+  let currentClass = null;
+
+  // Get or create a class entry; the raw id may carry a generic suffix (Name~T~)
+  const ensureClass = (rawId, range) => {
+    const genericMatch = rawId.match(/^(\w+)(?:~([^~]+)~)?$/);
+    const id = genericMatch ? genericMatch[1] : rawId;
+    if (!classes.has(id)) {
+      classes.set(id, {
+        id,
+        label: id,
+        shape: 'class',
+        generic: null,
+        annotation: null,
+        attributes: [],
+        methods: [],
+        range,
+      });
+    }
+    const cls = classes.get(id);
+    if (genericMatch && genericMatch[2]) {
+      cls.generic = convertGenerics(genericMatch[2]);
+      cls.label = `${id}<${cls.generic}>`;
+    }
+    return cls;
+  };
+
+  const addMember = (cls, text) => {
+    const member = parseClassMember(text);
+    if (member.kind === 'method') {
+      cls.methods.push(member);
+    } else {
+      cls.attributes.push(member);
+    }
+  };
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('%%')) continue;
+
+    // End of class body
+    if (line === '}') {
+      if (currentClass) source.close(currentClass, i);
+      currentClass = null;
+      continue;
+    }
+
+    // Inside a class body: annotations and members
+    if (currentClass) {
+      const annotationMatch = line.match(/^<<(.+)>>$/);
+      if (annotationMatch) {
+        currentClass.annotation = annotationMatch[1].trim();
+      } else {
+        addMember(currentClass, line);
+      }
+      continue;
+    }
+
+    // Direction statement
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/i);
+    if (directionMatch) {
+      direction = directionMatch[1].toUpperCase();
+      continue;
+    }
+
+    // Class declaration: class Name, class Name~T~, class Name["Label"], class Name {
+    const classMatch = line.match(/^class\s+(\w+(?:~[^~]+~)?)(?:\s*\["([^"]+)"\])?(?:\s*:::\s*\w+)?\s*(\{)?\s*(?:<<(.+)>>\s*\}?)?$/);
+    if (classMatch) {
+      const [, rawId, customLabel, openBrace, inlineAnnotation] = classMatch;
+      const cls = ensureClass(rawId);
+      cls.range = source.range(i);
+      if (customLabel) cls.label = customLabel;
+      if (inlineAnnotation) cls.annotation = inlineAnnotation.trim();
+      if (openBrace && !line.endsWith('}')) currentClass = cls;
+      continue;
+    }
+
+    // Standalone annotation: <<interface>> Name
+    const standaloneAnnotation = line.match(/^<<(.+)>>\s*(\w+)$/);
+    if (standaloneAnnotation) {
+      ensureClass(standaloneAnnotation[2], source.find(i, standaloneAnnotation[2], line.indexOf('>>') + 2)).annotation = standaloneAnnotation[1].trim();
+      continue;
+    }
+
+    // Relationship: A "1" <|-- "*" B : label
+    const relMatch = line.match(/^(\w+(?:~[^~]+~)?)\s*(?:"([^"]*)"\s*)?(<\||\*|o|<|\(\))?(--|\.\.)(\|>|\*|o|>|\(\))?\s*(?:"([^"]*)"\s*)?(\w+(?:~[^~]+~)?)\s*(?::\s*(.+))?$/);
+    if (relMatch) {
+      const [, rawSource, sourceCardinality, startMarker, link, endMarker, targetCardinality, rawTarget, label] = relMatch;
+      const sourceId = ensureClass(rawSource, source.range(i, 0, rawSource.length)).id;
+      const targetId = ensureClass(rawTarget, source.find(i, rawTarget, line.indexOf(link, rawSource.length) + link.length)).id;
+      const lineType = link === '..' ? 'dashed' : 'solid';
+      const marker = CLASS_RELATION_MARKERS[startMarker] || CLASS_RELATION_MARKERS[endMarker];
+
+      relationships.push({
+        id: `e${relationships.length + 1}`,
+        source: sourceId,
+        target: targetId,
+        label: label ? label.trim() : '',
+        kind: marker ? marker[lineType] : (lineType === 'dashed' ? 'dashedLink' : 'link'),
+        lineType,
+        startMarker: startMarker || null,
+        endMarker: endMarker || null,
+        sourceCardinality: sourceCardinality || '',
+        targetCardinality: targetCardinality || '',
+        arrowType: {
+          type: lineType,
+          arrow: endMarker || startMarker ? 'classic' : 'none',
+        },
+        range: source.range(i),
+      });
+      continue;
+    }
+
+    // Member defined outside a body: Name : +int age
+    const memberMatch = line.match(/^(\w+(?:~[^~]+~)?)\s*:\s*(.+)$/);
+    if (memberMatch) {
+      addMember(ensureClass(memberMatch[1], source.range(i, 0, memberMatch[1].length)), memberMatch[2]);
+      continue;
+    }
+
+    source.unrecognized(i);
+  }
+
+  if (currentClass) {
+    source.report('unclosed-block', 'error', currentClass.range, `Class "${currentClass.id}" body is never closed`, 'Add a "}" line after its members');
+  }
+
+  const classList = Array.from(classes.values());
+
+  return {
+    type: 'class',
+    direction,
+    classes: classList,
+    relationships,
+    nodes: classList,
+    edges: relationships,
+    diagnostics: source.diagnostics,
+  };
+}
+
+/**
+ * Parse a state diagram (stateDiagram / stateDiagram-v2)
+ */
+function parseStateDiagram(lines, source = createSourceTracker(lines)) {
+  const states = new Map();
+  const transitions = [];
+  const notes = [];
+  let direction = 'TB';
+
+  // Scope stack: root scope plus one entry per open composite state
+  const rootScope = { id: null, regions: [[]], direction: null };
+  const scopeStack = [rootScope];
+  const currentScope = () => scopeStack[scopeStack.length - 1];
+
+  const ensureState = (id, extra = {}, range) => {
+    if (!states.has(id)) {
+      const scope = currentScope();
+      const region = scope.regions.length - 1;
+      states.set(id, {
+        id,
+        label: id,
+        type: 'state',
+        shape: 'state',
+        description: '',
+        parent: scope.id,
+        region,
+        regions: null,
+        direction: null,
+        range,
+      });
+      scope.regions[region].push(id);
+    }
+    const state = states.get(id);
+    Object.assign(state, extra);
+    return state;
+  };
+
+  // [*] maps to the start or end pseudo-state of the enclosing scope
+  const resolveStateRef = (ref, isSource, range) => {
+    const cleanRef = ref.replace(/:::\w+$/, '');
+    if (cleanRef !== '[*]') return ensureState(cleanRef, {}, range).id;
+    // Each concurrent region of a composite gets its own pseudo-states
+    const scope = currentScope();
+    const region = scope.regions.length - 1;
+    const scopeName = `${scope.id || 'root'}${region > 0 ? `_region${region + 1}` : ''}`;
+    const kind = isSource ? 'start' : 'end';
+    return ensureState(`${scopeName}__${kind}`, { type: kind, shape: kind, label: kind === 'start' ? 'Start' : 'End' }, range).id;
+  };
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('%%')) continue;
+    if (line.startsWith('classDef ') || line.startsWith('class ')) continue;
+
+    // End of a composite state block
+    if (line === '}') {
+      if (scopeStack.length > 1) {
+        const scope = scopeStack.pop();
+        const composite = states.get(scope.id);
+        composite.regions = scope.regions.filter((region) => region.length > 0);
+        composite.direction = scope.direction;
+        source.close(composite, i);
+      }
+      continue;
+    }
+
+    // Concurrency separator between regions of a composite state
+    if (/^-{2,}$/.test(line)) {
+      currentScope().regions.push([]);
+      continue;
+    }
+
+    // Direction statement (diagram-wide at root, per composite inside a block)
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/i);
+    if (directionMatch) {
+      const dir = directionMatch[1].toUpperCase();
+      if (scopeStack.length > 1) {
+        currentScope().direction = dir;
+      } else {
+        direction = dir;
+      }
+      continue;
+    }
+
+    // Multi-line note: note right of A ... end note
+    const noteBlockMatch = line.match(/^note\s+(left|right)\s+of\s+([\w.-]+)\s*$/);
+    if (noteBlockMatch) {
+      const note = {
+        id: `note${notes.length + 1}`,
+        position: noteBlockMatch[1],
+        target: noteBlockMatch[2],
+        text: '',
+        range: source.range(i),
+      };
+      ensureState(noteBlockMatch[2], {}, note.range);
+      const textLines = [];
+      while (i + 1 < lines.length && lines[i + 1].trim() !== 'end note') {
+        i++;
+        textLines.push(lines[i].trim());
+      }
+      if (i + 1 < lines.length) {
+        source.close(note, i + 1);
+      } else {
+        source.report('unclosed-block', 'error', note.range, 'Note is never closed', 'Add an "end note" line after its text');
+      }
+      i++; // Skip "end note"
+      note.text = textLines.join('\n');
+      notes.push(note);
+      continue;
+    }
+
+    // Single-line note: note right of A : text
+    const noteMatch = line.match(/^note\s+(left|right)\s+of\s+([\w.-]+)\s*:\s*(.+)$/);
+    if (noteMatch) {
+      ensureState(noteMatch[2], {}, source.range(i));
+      notes.push({
+        id: `note${notes.length + 1}`,
+        position: noteMatch[1],
+        target: noteMatch[2],
+        text: noteMatch[3].trim(),
+        range: source.range(i),
+      });
+      continue;
+    }
+
+    // Composite state: state A { / state "Label" as A {
+    const compositeMatch = line.match(/^state\s+(?:"([^"]+)"\s+as\s+)?([\w.-]+)\s*\{$/);
+    if (compositeMatch) {
+      const [, label, id] = compositeMatch;
+      const state = ensureState(id, { type: 'composite', shape: 'composite', range: source.range(i) });
+      if (label) state.label = label;
+      scopeStack.push({ id, regions: [[]], direction: null });
+      continue;
+    }
+
+    // Special states: state fork1 <<fork>>, <<join>>, <<choice>>
+    const specialMatch = line.match(/^state\s+([\w.-]+)\s*<<(fork|join|choice)>>$/);
+    if (specialMatch) {
+      const [, id, kind] = specialMatch;
+      ensureState(id, { type: kind, shape: kind, label: kind === 'choice' ? '' : id }, source.range(i));
+      continue;
+    }
+
+    // Aliased state: state "Description" as A
+    const aliasMatch = line.match(/^state\s+"([^"]+)"\s+as\s+([\w.-]+)$/);
+    if (aliasMatch) {
+      ensureState(aliasMatch[2], { label: aliasMatch[1] }, source.range(i));
+      continue;
+    }
+
+    // Plain state declaration: state A
+    const declMatch = line.match(/^state\s+([\w.-]+)$/);
+    if (declMatch) {
+      ensureState(declMatch[1], {}, source.range(i));
+      continue;
+    }
+
+    // Transition: A --> B : label
+    const transitionMatch = line.match(/^(\[\*\]|[\w.-]+(?::::\w+)?)\s*-->\s*(\[\*\]|[\w.-]+(?::::\w+)?)\s*(?::\s*(.*))?$/);
+    if (transitionMatch) {
+      const [, from, to, label] = transitionMatch;
+      transitions.push({
+        id: `e${transitions.length + 1}`,
+        source: resolveStateRef(from, true, source.range(i, 0, from.length)),
+        target: resolveStateRef(to, false, source.find(i, to, line.indexOf('-->') + 3)),
+        label: label ? label.trim() : '',
+        range: source.range(i),
+      });
+      continue;
+    }
+
+    // State description: A : description
+    const descMatch = line.match(/^([\w.-]+)\s*:\s*(.+)$/);
+    if (descMatch) {
+      const state = ensureState(descMatch[1], {}, source.range(i, 0, descMatch[1].length));
+      state.description = state.description ? `${state.description}\n${descMatch[2].trim()}` : descMatch[2].trim();
+      continue;
+    }
+
+    // Bare state id on its own line
+    if (/^[\w.-]+$/.test(line)) {
+      ensureState(line, {}, source.range(i));
+      continue;
+    }
+
+    source.unrecognized(i);
+  }
+
+  scopeStack.slice(1).forEach((scope) => {
+    source.report('unclosed-block', 'error', states.get(scope.id).range, `Composite state "${scope.id}" is never closed`, 'Add a "}" line after its states');
+  });
+
+  const stateList = Array.from(states.values());
+
+  return {
+    type: 'state',
+    direction,
+    states: stateList,
+    transitions,
+    notes,
+    nodes: stateList,
+    edges: transitions,
+    diagnostics: source.diagnostics,
   };
 }
 
 /**
  * Parse a mindmap diagram
  */
-function parseMindmap(lines) {
+function parseMindmap(lines, source = createSourceTracker(lines)) {
   const nodes = [];
   const edges = [];
   const nodeStack = []; // Stack to track parent nodes at each indent level
@@ -488,6 +1630,7 @@ function parseMindmap(lines) {
         : 'rounded=0;whiteSpace=wrap;html=1;',
       fillColor: getLevelColor(level),
       strokeColor: getLevelStrokeColor(level),
+      range: source.range(i),
     };
 
     nodes.push(node);
@@ -501,6 +1644,7 @@ function parseMindmap(lines) {
         source: nodeStack[level - 1].id,
         target: node.id,
         label: '',
+        range: node.range,
       });
     }
   }
@@ -510,6 +1654,7 @@ function parseMindmap(lines) {
     nodes,
     edges,
     direction: 'LR', // Mindmaps typically flow left-to-right
+    diagnostics: source.diagnostics,
   };
 }
 
@@ -544,116 +1689,127 @@ function getLevelStrokeColor(level) {
 }
 
 /**
- * Main parser function
+ * Clean up the code - remove surrounding whitespace and markdown fences if present
+ * Returns the remaining lines and the input line number (1-based) of the first one
  */
-function parseMermaid(mermaidCode) {
-  // Clean up the code - remove markdown fences if present
+function cleanMermaidCode(mermaidCode) {
   let code = mermaidCode.trim();
-  if (code.startsWith('```mermaid')) {
-    code = code.replace(/^```mermaid\n?/, '').replace(/\n?```$/, '');
-  } else if (code.startsWith('```')) {
-    code = code.replace(/^```\n?/, '').replace(/\n?```$/, '');
+  let firstLine = mermaidCode.slice(0, mermaidCode.indexOf(code)).split('\n').length;
+  const fence = code.match(/^```(?:mermaid)?\n?/);
+  if (fence) {
+    code = code.slice(fence[0].length).replace(/\n?```$/, '');
+    if (fence[0].endsWith('\n')) firstLine++;
   }
-  
-  const lines = code.split('\n');
-  const nonEmptyLines = lines.filter((l) => l.trim());
+  return { lines: code.split('\n'), firstLine };
+}
+
+/**
+ * Main parser function
+ * Every element carries its source range, and `diagnostics` lists the statements
+ * that could not be used, with their positions in the input
+ */
+function parseMermaid(mermaidCode) {
+  const { lines: allLines, firstLine } = cleanMermaidCode(mermaidCode);
+  // Comments such as lint directives may precede the diagram type
+  const header = Math.max(0, allLines.findIndex((line) => line.trim() && !line.trim().startsWith('%%')));
+  const lines = allLines.slice(header);
+  const lineNumbers = lines.map((_, i) => firstLine + header + i);
+  const nonEmpty = lines.map((line, i) => i).filter((i) => lines[i].trim());
+  const nonEmptyLines = nonEmpty.map((i) => lines[i]);
   
   if (nonEmptyLines.length === 0) {
     throw new Error('Empty Mermaid diagram');
   }
   
   const { type, direction } = detectDiagramType(nonEmptyLines);
+  const source = createSourceTracker(nonEmptyLines, nonEmpty.map((i) => lineNumbers[i]));
   
   switch (type) {
     case 'flowchart':
-      return parseFlowchart(nonEmptyLines, direction);
+      return parseFlowchart(nonEmptyLines, direction, source);
     case 'sequence':
-      return parseSequenceDiagram(nonEmptyLines);
+      return parseSequenceDiagram(nonEmptyLines, source);
+    case 'class':
+      return parseClassDiagram(nonEmptyLines, source);
+    case 'state':
+      return parseStateDiagram(nonEmptyLines, source);
     case 'erDiagram':
-      return parseERDiagram(nonEmptyLines);
+      return parseERDiagram(nonEmptyLines, source);
     case 'mindmap':
-      return parseMindmap(lines); // Pass original lines to preserve indentation
+      // Pass original lines to preserve indentation
+      return parseMindmap(lines, createSourceTracker(lines, lineNumbers));
     default:
       // Fall back to flowchart parsing for unknown types
-      return parseFlowchart(nonEmptyLines, direction || 'TD');
+      return parseFlowchart(nonEmptyLines, direction || 'TD', source);
   }
 }
 
 /**
- * Validate Mermaid code against conversion rules
+ * Extract every fenced Mermaid block from a Markdown document
+ * Each block carries the nearest preceding heading and its 1-based line range
  */
-function validateMermaid(mermaidCode) {
-  const issues = [];
-  const warnings = [];
-  
-  let code = mermaidCode.trim();
-  if (code.startsWith('```mermaid')) {
-    code = code.replace(/^```mermaid\n?/, '').replace(/\n?```$/, '');
-  }
-  
-  const lines = code.split('\n');
-  const firstLine = lines[0]?.trim().toLowerCase() || '';
-  
-  // Check diagram type declaration
-  const validTypes = ['flowchart', 'graph', 'sequencediagram', 'classdiagram', 'erdiagram', 'statediagram', 'gitgraph', 'mindmap'];
-  const hasValidType = validTypes.some((t) => firstLine.startsWith(t));
-  if (!hasValidType) {
-    issues.push({ line: 1, issue: 'Missing or invalid diagram type declaration', suggestion: 'Start with flowchart TD, sequenceDiagram, etc.' });
-  }
-  
-  // Check direction for flowcharts
-  if (firstLine.startsWith('flowchart') || firstLine.startsWith('graph')) {
-    if (!/\b(td|tb|bt|lr|rl)\b/i.test(firstLine)) {
-      warnings.push({ line: 1, issue: 'Direction not specified', suggestion: 'Add direction: TD, LR, RL, or BT' });
-    }
-  }
-  
-  // Check for styling (not recommended for conversion)
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (line.startsWith('classDef') || line.startsWith('style ')) {
-      warnings.push({ line: i + 1, issue: 'Styling directive found', suggestion: 'Styling may not convert cleanly to Draw.io' });
-    }
-    
-    // Check for chained arrows
-    const arrowCount = (line.match(/-->/g) || []).length;
-    if (arrowCount > 1) {
-      issues.push({ line: i + 1, issue: 'Chained arrows detected', suggestion: 'Break into separate lines: A --> B and B --> C' });
-    }
-    
-    // Check for non-alphanumeric IDs (excluding underscores)
-    // Match node definitions like "NodeId[label]" or "NodeId([label])" etc
-    const nodeDefMatch = line.match(/^\s*(\w+)\s*[\[\(\{]/);
-    if (nodeDefMatch) {
-      const nodeId = nodeDefMatch[1];
-      if (!/^\w+$/.test(nodeId)) {
-        issues.push({ line: i + 1, issue: `Invalid node ID: ${nodeId}`, suggestion: 'Use only alphanumeric characters and underscores' });
+function extractMermaidBlocks(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const blocks = [];
+  let heading = null;
+  let fence = null;
+
+  lines.forEach((line, i) => {
+    if (fence) {
+      if (line.trim().startsWith(fence.marker) && line.trim().replace(/[`~]/g, '') === '') {
+        if (fence.mermaid) {
+          blocks.push({
+            index: blocks.length,
+            code: fence.body.join('\n'),
+            heading,
+            startLine: fence.startLine,
+            endLine: i + 1,
+          });
+        }
+        fence = null;
+      } else {
+        fence.body.push(line);
       }
+      return;
     }
-    
-    // Check for IDs in connections (A --> B)
-    const connMatch = line.match(/^\s*(\w+)\s*--/);
-    if (connMatch && !/^\w+$/.test(connMatch[1])) {
-      issues.push({ line: i + 1, issue: `Invalid node ID: ${connMatch[1]}`, suggestion: 'Use only alphanumeric characters and underscores' });
+
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})\s*([\w-]*)/);
+    if (fenceMatch) {
+      fence = {
+        marker: fenceMatch[1],
+        mermaid: fenceMatch[2].toLowerCase() === 'mermaid',
+        startLine: i + 1,
+        body: [],
+      };
+      return;
     }
-  }
-  
-  const isValid = issues.length === 0;
-  const compatibility = issues.length === 0 ? (warnings.length === 0 ? 'high' : 'medium') : 'low';
-  
-  return {
-    isValid,
-    compatibility,
-    issues,
-    warnings,
-    nodeCount: 0, // Will be calculated by parser
-    edgeCount: 0,
-  };
+
+    const headingMatch = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (headingMatch) {
+      heading = headingMatch[1];
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Validate Mermaid code (see mermaid-validator), kept here for existing callers
+ * The validator requires this module, so it is only required when called
+ */
+function validateMermaid(mermaidCode, options) {
+  return require('./mermaid-validator').validateMermaid(mermaidCode, options);
 }
 
 module.exports = {
   parseMermaid,
   validateMermaid,
+  extractMermaidBlocks,
+  cleanMermaidCode,
   parseNodeShape,
+  escapeLabel,
+  unquoteLabel,
   SHAPE_MAPPINGS,
+  SHAPE_NAMES,
+  CLASS_RELATION_MARKERS,
 };
@@ -0,0 +1,432 @@
+/**
+ * Mermaid Validator
+ * Runs a registry of validation rules over Mermaid code. Every rule has an id, a
+ * default severity and default options; projects override them in a
+ * .diagram-lint.json file and silence them with `%% diagram-lint-disable` comments.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { parseMermaid, cleanMermaidCode } = require('./mermaid-parser');
+const {
+  TERMINAL_SHAPES,
+  END_NAMES,
+  START_NAMES,
+  buildFlowGraph,
+  findUnreachableNodes,
+  findDeadEnds,
+  findDecisions,
+  findInfiniteLoops,
+} = require('./graph-analysis');
+
+/**
+ * Name of the project config file, looked up from the diagram's directory upwards
+ */
+const CONFIG_FILE = '.diagram-lint.json';
+
+/**
+ * Severities a rule can be set to
+ */
+const SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Registered validation rules, in report order
+ */
+const RULES = {};
+
+/**
+ * Register a validation rule
+ * A rule is { id, description, severity, category, options, check(context, options) },
+ * where check returns findings [{ line, column?, message, suggestion }]. Only
+ * 'compatibility' rules affect the compatibility rating; the built-in others are
+ * 'style' rules or 'graph' rules (control flow of flowcharts).
+ */
+function registerRule(rule) {
+  if (!rule || !rule.id || typeof rule.check !== 'function') {
+    throw new Error('A validation rule needs an id and a check function (context, options) => findings');
+  }
+  const severity = normalizeSeverity(rule.severity, rule.id);
+  RULES[rule.id] = { description: '', category: 'style', options: {}, ...rule, severity };
+}
+
+/**
+ * Accept "warn" as an alias, like ESLint configs do
+ */
+function normalizeSeverity(severity, ruleId) {
+  const normalized = severity === 'warn' ? 'warning' : severity;
+  if (!SEVERITIES.includes(normalized)) {
+    throw new Error(`Invalid severity "${severity}" for rule "${ruleId}". Use error, warning or off`);
+  }
+  return normalized;
+}
+
+/**
+ * Check the options of a `[severity, options]` setting: a plain object, or none
+ */
+function checkRuleOptions(options, ruleId) {
+  if (options === undefined) return options;
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Invalid options ${JSON.stringify(options)} for rule "${ruleId}". Use an object: [severity, { option: value }]`);
+  }
+  return options;
+}
+
+/**
+ * Findings for the diagram as a whole are reported on its type declaration
+ */
+function diagramFinding(context, message, suggestion) {
+  return { line: context.headerLine, message, suggestion };
+}
+
+/**
+ * Finding at the start of a parsed element's source range
+ */
+function elementFinding(context, element, message, suggestion) {
+  if (!element.range) return diagramFinding(context, message, suggestion);
+  const { line, column } = element.range.start;
+  return { line, column, message, suggestion };
+}
+
+/**
+ * Rule reporting one kind of parser diagnostic
+ */
+function diagnosticRule(id, severity, description) {
+  return {
+    id,
+    description,
+    severity,
+    category: 'compatibility',
+    check: ({ parsed }) => (parsed ? parsed.diagnostics : [])
+      .filter((diagnostic) => diagnostic.code === id)
+      .map((diagnostic) => ({
+        line: diagnostic.range.start.line,
+        column: diagnostic.range.start.column,
+        message: diagnostic.message,
+        suggestion: diagnostic.suggestion,
+      })),
+  };
+}
+
+const VALID_TYPES = ['flowchart', 'graph', 'sequencediagram', 'classdiagram', 'erdiagram', 'statediagram', 'gitgraph', 'mindmap'];
+
+[
+  {
+    id: 'diagram-type',
+    description: 'The diagram starts with a supported type declaration',
+    severity: 'error',
+    category: 'compatibility',
+    check: (context) => (VALID_TYPES.some((type) => context.header.startsWith(type))
+      ? []
+      : [diagramFinding(context, 'Missing or invalid diagram type declaration', 'Start with flowchart TD, sequenceDiagram, etc.')]),
+  },
+  {
+    id: 'flowchart-direction',
+    description: 'Flowcharts declare their direction',
+    severity: 'warning',
+    category: 'compatibility',
+    check: (context) => (!context.isFlowchart || /\b(td|tb|bt|lr|rl)\b/i.test(context.header)
+      ? []
+      : [diagramFinding(context, 'Direction not specified', 'Add direction: TD, LR, RL, or BT')]),
+  },
+  {
+    id: 'styling-directive',
+    description: 'Styling is only used where it is converted (flowcharts)',
+    severity: 'warning',
+    category: 'compatibility',
+    check: (context) => (context.isFlowchart ? [] : context.statements
+      .filter(({ text }) => text.startsWith('classDef') || text.startsWith('style ') || text.startsWith('linkStyle'))
+      .map(({ line }) => ({ line, message: 'Styling directive found', suggestion: 'Styling is only converted for flowcharts' }))),
+  },
+  {
+    id: 'chained-arrows',
+    description: 'Flowchart statements contain a single link',
+    severity: 'error',
+    category: 'compatibility',
+    check: (context) => (context.isFlowchart ? context.statements : [])
+      .filter(({ text }) => (text.match(/-->|---|==>|-\.->|-\.-/g) || []).length > 1)
+      .map(({ line }) => ({ line, message: 'Chained arrows detected', suggestion: 'Break into separate lines: A --> B and B --> C' })),
+  },
+  {
+    id: 'node-id',
+    description: 'Flowchart node ids use only letters, digits and underscores',
+    severity: 'error',
+    category: 'compatibility',
+    check: (context) => (context.isFlowchart ? context.statements : []).flatMap(({ text, line }) => {
+      // The id a statement starts with: "NodeId[label]", "NodeId@{ shape: cyl }", "NodeId --> B" or a bare "NodeId"
+      const match = !/^(subgraph|classDef|class|style|linkStyle|click|direction)\b/.test(text)
+        && text.match(/^([^\s[\](){}|<>&;:"@]+?)\s*(?:@\{|[[({>]|<?(?:--|==|-\.)|&|:::|;?$)/);
+      return match && !/^\w+$/.test(match[1])
+        ? [{ line, message: `Invalid node ID: ${match[1]}`, suggestion: 'Use only alphanumeric characters and underscores' }]
+        : [];
+    }),
+  },
+  diagnosticRule('unrecognized-statement', 'warning', 'Every statement is understood by the parser'),
+  diagnosticRule('unknown-shape', 'warning', 'Shape data names a known Mermaid shape'),
+  diagnosticRule('unclosed-block', 'error', 'Blocks such as subgraphs are closed'),
+  diagnosticRule('unmatched-end', 'error', 'Every closing keyword or brace has an open block'),
+  {
+    id: 'max-nodes',
+    description: 'Diagrams stay below a maximum number of nodes',
+    severity: 'off',
+    options: { max: 50 },
+    check: (context, { max }) => (context.parsed && context.parsed.nodes.length > max
+      ? [diagramFinding(context, `Diagram has ${context.parsed.nodes.length} nodes (maximum ${max})`, 'Split the diagram into smaller ones')]
+      : []),
+  },
+  {
+    id: 'no-orphans',
+    description: 'Every node is connected to at least one other node',
+    severity: 'off',
+    check: (context) => {
+      const { parsed } = context;
+      if (!parsed || parsed.nodes.length < 2) return [];
+      const connected = new Set(parsed.edges.flatMap((edge) => [edge.source, edge.target]));
+      return parsed.nodes
+        .filter((node) => !connected.has(node.id))
+        .map((node) => elementFinding(context, node, `Node "${node.id}" is not connected`, 'Connect it or remove it'));
+    },
+  },
+  {
+    id: 'max-label-length',
+    description: 'Node and link labels stay below a maximum length',
+    severity: 'off',
+    options: { max: 40 },
+    check: (context, { max }) => {
+      const { parsed } = context;
+      if (!parsed) return [];
+      return [...parsed.nodes, ...parsed.edges]
+        .filter((element) => element.label && element.label.length > max)
+        .map((element) => elementFinding(context, element, `Label "${element.label}" is ${element.label.length} characters long (maximum ${max})`, 'Shorten the label or move details into a note'));
+    },
+  },
+  {
+    id: 'require-terminals',
+    description: 'Flowcharts have start and end nodes, matched by id or label',
+    severity: 'off',
+    options: { start: ['start'], end: ['end', 'stop'] },
+    check: (context, options) => {
+      if (!context.isFlowchart || !context.parsed) return [];
+      const names = new Set(context.parsed.nodes.flatMap((node) => [node.id, node.label]
+        .filter(Boolean)
+        .map((name) => name.trim().toLowerCase())));
+      return ['start', 'end']
+        .filter((kind) => !options[kind].some((name) => names.has(name.toLowerCase())))
+        .map((kind) => diagramFinding(context, `Missing ${kind} node`, `Add a node named ${options[kind].map((name) => `"${name}"`).join(' or ')}`));
+    },
+  },
+  {
+    id: 'unreachable-node',
+    description: 'Every flowchart node can be reached from an entry point',
+    severity: 'warning',
+    category: 'graph',
+    options: { start: START_NAMES, end: END_NAMES, shapes: TERMINAL_SHAPES },
+    check: (context, options) => (context.flowGraph ? findUnreachableNodes(context.flowGraph, options) : [])
+      .map((node) => elementFinding(context, node, `Node "${node.id}" cannot be reached from any entry point`, 'Link to it from the flow, or remove it')),
+  },
+  {
+    id: 'dead-end',
+    description: 'The flow only stops at end nodes, recognised by shape or by name',
+    severity: 'warning',
+    category: 'graph',
+    options: { end: END_NAMES, shapes: TERMINAL_SHAPES },
+    check: (context, options) => (context.flowGraph ? findDeadEnds(context.flowGraph, options) : [])
+      .map((node) => elementFinding(context, node, `Flow stops at "${node.id}", which is not an end node`, 'Continue the flow, or end it in an End node')),
+  },
+  {
+    id: 'decision-branches',
+    description: 'Every decision (diamond) node has at least two outgoing links',
+    severity: 'warning',
+    category: 'graph',
+    check: (context) => (context.flowGraph ? findDecisions(context.flowGraph) : [])
+      .filter(({ branches }) => branches.length < 2)
+      .map(({ node, branches }) => elementFinding(context, node, `Decision "${node.id}" has ${branches.length} outgoing link(s)`, 'Add a link for each outcome')),
+  },
+  {
+    id: 'decision-labels',
+    description: 'Every link leaving a decision (diamond) node is labeled',
+    severity: 'warning',
+    category: 'graph',
+    check: (context) => (context.flowGraph ? findDecisions(context.flowGraph) : [])
+      .flatMap(({ unlabeled }) => unlabeled)
+      .map((link) => elementFinding(context, link, `Link from decision "${link.source}" to "${link.target}" has no label`, 'Label each outcome, e.g. B -- yes --> C')),
+  },
+  {
+    id: 'infinite-loop',
+    description: 'Every loop in a flowchart has a way out',
+    severity: 'warning',
+    category: 'graph',
+    check: (context) => (context.flowGraph ? findInfiniteLoops(context.flowGraph) : [])
+      .map((loop) => elementFinding(context, loop[0], `Loop ${loop.map((node) => node.id).join(' → ')} has no exit`, 'Add a link that leaves the loop')),
+  },
+].forEach(registerRule);
+
+/**
+ * Resolve a rules config ({ ruleId: severity | [severity, options] }) against the
+ * registry. Returns { ruleId: { severity, options } } for every registered rule
+ */
+function resolveRuleSettings(rulesConfig = {}) {
+  Object.keys(rulesConfig).forEach((id) => {
+    if (!RULES[id]) {
+      throw new Error(`Unknown validation rule "${id}". Available rules: ${Object.keys(RULES).join(', ')}`);
+    }
+  });
+
+  const settings = {};
+  Object.values(RULES).forEach((rule) => {
+    const setting = rulesConfig[rule.id];
+    const [severity, options] = Array.isArray(setting) ? setting : [setting];
+    settings[rule.id] = {
+      severity: severity === undefined ? rule.severity : normalizeSeverity(severity, rule.id),
+      options: { ...rule.options, ...checkRuleOptions(options, rule.id) },
+    };
+  });
+  return settings;
+}
+
+/**
+ * Read a lint config file: { "rules": { ruleId: severity | [severity, options] } }
+ */
+function loadLintConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read lint config ${file}: ${error.message}`);
+  }
+  const rules = (config && config.rules) || {};
+  // Fail early on unknown rules and severities, naming the file
+  try {
+    resolveRuleSettings(rules);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  return { ...config, rules };
+}
+
+/**
+ * Path of the nearest .diagram-lint.json in `dir` or its parents, or null
+ */
+function findLintConfig(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Lines silenced by `%% diagram-lint-disable`, `%% diagram-lint-enable` and
+ * `%% diagram-lint-disable-next-line` comments, each optionally followed by rule ids
+ * Returns (ruleId, line) => whether the rule is disabled on that input line
+ */
+function disabledRanges(lines, startLine) {
+  const ranges = [];
+  const open = new Map();
+  lines.forEach((text, i) => {
+    const match = text.trim().match(/^%%\s*diagram-lint-(disable-next-line|disable|enable)\b(.*)$/);
+    if (!match) return;
+    const line = startLine + i;
+    const ids = match[2].split(/[\s,]+/).filter(Boolean);
+    const rules = ids.length > 0 ? ids : ['*'];
+
+    if (match[1] === 'disable-next-line') {
+      rules.forEach((rule) => ranges.push({ rule, from: line + 1, to: line + 1 }));
+    } else if (match[1] === 'disable') {
+      rules.forEach((rule) => !open.has(rule) && open.set(rule, line));
+    } else {
+      (ids.length > 0 ? ids : [...open.keys()]).forEach((rule) => {
+        if (!open.has(rule)) return;
+        ranges.push({ rule, from: open.get(rule), to: line });
+        open.delete(rule);
+      });
+    }
+  });
+  open.forEach((from, rule) => ranges.push({ rule, from, to: Infinity }));
+
+  return (ruleId, line) => ranges.some((range) => (
+    (range.rule === '*' || range.rule === ruleId) && line >= range.from && line <= range.to
+  ));
+}
+
+/**
+ * Validate Mermaid code against the registered rules
+ * Options: rules (severity and options per rule id, as in .diagram-lint.json)
+ * Issues are findings of error rules, warnings those of warning rules; each carries
+ * its rule id and severity, with line numbers referring to the input as given
+ */
+function validateMermaid(mermaidCode, options = {}) {
+  const settings = resolveRuleSettings(options.rules);
+  const { lines, firstLine: startLine } = cleanMermaidCode(mermaidCode);
+
+  // Comments such as lint directives may precede the diagram type
+  const headerIndex = Math.max(0, lines.findIndex((line) => line.trim() && !line.trim().startsWith('%%')));
+  const header = (lines[headerIndex] || '').trim().toLowerCase();
+
+  let parsed = null;
+  try {
+    parsed = parseMermaid(mermaidCode);
+  } catch {
+    // An empty diagram is already reported as a missing type declaration
+  }
+
+  const context = {
+    lines,
+    header,
+    headerLine: startLine + headerIndex,
+    isFlowchart: header.startsWith('flowchart') || header.startsWith('graph'),
+    // Trimmed statements after the type declaration, without comments, with input line numbers
+    statements: lines
+      .map((line, i) => ({ text: line.trim(), line: startLine + i }))
+      .slice(headerIndex + 1)
+      .filter(({ text }) => text && !text.startsWith('%%')),
+    parsed,
+    // Control flow graph, for the graph rules
+    flowGraph: parsed && parsed.type === 'flowchart' ? buildFlowGraph(parsed) : null,
+  };
+  const isDisabled = disabledRanges(lines, startLine);
+
+  const issues = [];
+  const warnings = [];
+  Object.values(RULES).forEach((rule) => {
+    const { severity, options: ruleOptions } = settings[rule.id];
+    if (severity === 'off') return;
+    rule.check(context, ruleOptions).forEach((finding) => {
+      if (isDisabled(rule.id, finding.line)) return;
+      const entry = { line: finding.line };
+      if (finding.column) entry.column = finding.column;
+      Object.assign(entry, { rule: rule.id, severity, issue: finding.message, suggestion: finding.suggestion });
+      (severity === 'error' ? issues : warnings).push(entry);
+    });
+  });
+  issues.sort((a, b) => a.line - b.line);
+  warnings.sort((a, b) => a.line - b.line);
+
+  // Style rules decide validity but not how well the diagram converts
+  const concerns = (entries) => entries.some((entry) => RULES[entry.rule].category === 'compatibility');
+  let compatibility = 'high';
+  if (concerns(issues)) compatibility = 'low';
+  else if (concerns(warnings)) compatibility = 'medium';
+
+  return {
+    isValid: issues.length === 0,
+    compatibility,
+    issues,
+    warnings,
+    nodeCount: parsed ? parsed.nodes.length : 0,
+    edgeCount: parsed ? parsed.edges.length : 0,
+  };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  RULES,
+  registerRule,
+  resolveRuleSettings,
+  loadLintConfig,
+  findLintConfig,
+  validateMermaid,
+};
@@ -0,0 +1,94 @@
+/**
+ * Mermaid Writer
+ * Helpers for the DOT and PlantUML front-ends, which translate their input into
+ * Mermaid. Every Mermaid line remembers the source line it came from, so issues
+ * found in the translation can be reported against the original file.
+ */
+
+const { SHAPE_MAPPINGS, escapeLabel } = require('./mermaid-parser');
+
+/**
+ * Words that cannot be used as Mermaid node ids
+ */
+const RESERVED_IDS = new Set(['end', 'subgraph', 'graph', 'flowchart', 'style', 'class', 'classdef', 'linkstyle', 'click', 'direction', 'default']);
+
+/**
+ * Collect Mermaid lines, their source line numbers and translation warnings
+ */
+function createMermaidWriter() {
+  const lines = [];
+  const lineMap = [];
+  const warnings = [];
+
+  return {
+    line(text, sourceLine) {
+      lines.push(text);
+      lineMap.push(sourceLine || 1);
+    },
+    warn(sourceLine, issue, suggestion) {
+      warnings.push({ line: sourceLine || 1, issue, suggestion });
+    },
+    result(extra = {}) {
+      return { code: lines.join('\n'), lineMap, warnings, ...extra };
+    },
+  };
+}
+
+/**
+ * Map arbitrary source names to unique Mermaid-safe ids (word characters only)
+ * The key identifies the source element; the id is derived from `preferred`
+ */
+function createIdAllocator() {
+  const ids = new Map();
+  const used = new Set();
+
+  return (key, preferred = key) => {
+    if (ids.has(key)) return ids.get(key);
+
+    let base = String(preferred).replace(/\W+/g, '_').replace(/^_+|_+$/g, '') || 'node';
+    if (RESERVED_IDS.has(base.toLowerCase())) base = `${base}_`;
+
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}_${n}`;
+    }
+    ids.set(key, id);
+    used.add(id);
+    return id;
+  };
+}
+
+/**
+ * Collapse a possibly multi-line label onto one line
+ */
+function singleLine(text) {
+  return String(text).replace(/\s*(\r?\n|\r)\s*/g, ' ').trim();
+}
+
+/**
+ * Flowchart node declaration: id plus the shape delimiters around a safe label,
+ * or shape data for shapes without delimiters
+ */
+function nodeDeclaration(id, shape, label) {
+  const { delimiters, names } = SHAPE_MAPPINGS[shape] || SHAPE_MAPPINGS.rectangle;
+  if (!delimiters) {
+    return `${id}@{ shape: ${names[0]}, label: "${escapeLabel(singleLine(label))}" }`;
+  }
+  return `${id}${delimiters[0]}${escapeLabel(singleLine(label)) || ' '}${delimiters[1]}`;
+}
+
+/**
+ * Flowchart edge line; the label sits between pipes and is escaped like node labels
+ */
+function edgeDeclaration(source, arrow, target, label) {
+  const text = label ? escapeLabel(singleLine(label)) : '';
+  return `${source} ${arrow}${text ? `|${text}|` : ''} ${target}`;
+}
+
+module.exports = {
+  createMermaidWriter,
+  createIdAllocator,
+  singleLine,
+  nodeDeclaration,
+  edgeDeclaration,
+};
@@ -0,0 +1,836 @@
+/**
+ * PlantUML Parser
+ * Translates PlantUML activity (new syntax), sequence and class diagrams into
+ * Mermaid, so they go through the same parser and converters as Mermaid sources
+ */
+
+const {
+  createMermaidWriter,
+  createIdAllocator,
+  singleLine,
+  nodeDeclaration,
+  edgeDeclaration,
+} = require('./mermaid-writer');
+
+/**
+ * Sequence participant keywords; everything but actor becomes a Mermaid participant
+ */
+const PARTICIPANT_KINDS = ['participant', 'actor', 'boundary', 'control', 'entity', 'database', 'collections', 'queue'];
+
+/**
+ * Sequence grouping keywords and the Mermaid fragment each one becomes
+ */
+const SEQUENCE_GROUPS = { alt: 'alt', loop: 'loop', opt: 'opt', par: 'par', break: 'break', critical: 'critical', group: 'opt' };
+
+/**
+ * Class declaration keywords and the annotation they carry in Mermaid
+ */
+const CLASS_KINDS = {
+  class: null,
+  'abstract class': 'abstract',
+  abstract: 'abstract',
+  interface: 'interface',
+  enum: 'enumeration',
+  annotation: 'annotation',
+  entity: 'entity',
+  struct: 'struct',
+  exception: 'exception',
+  record: 'record',
+  dataclass: 'dataclass',
+  protocol: 'protocol',
+};
+
+/**
+ * PlantUML relation ends as Mermaid markers (start side, end side)
+ */
+const RELATION_START_MARKERS = { '<|': '<|', '^': '<|', '*': '*', o: 'o', '<': '<' };
+const RELATION_END_MARKERS = { '|>': '|>', '^': '|>', '*': '*', o: 'o', '>': '>' };
+
+/**
+ * Error for input the front-end cannot translate, carrying the offending line
+ */
+function plantumlError(message, line) {
+  const error = new Error(`PlantUML error on line ${line}: ${message}`);
+  error.line = line;
+  return error;
+}
+
+/**
+ * Strip surrounding quotes
+ */
+function unquote(text) {
+  return text.trim().replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * PlantUML text with \n escapes and creole markup flattened for a one-line Mermaid label
+ */
+function plainText(text) {
+  return singleLine(String(text)
+    .replace(/\\n/g, '\n')
+    .replace(/\*\*(.+?)\*\*|\/\/(.+?)\/\/|""(.+?)""|__(.+?)__/g, (match, ...groups) => groups.find((g) => g !== undefined)));
+}
+
+/**
+ * Lines of the first diagram (between @startuml and @enduml), without comments or blanks
+ */
+function plantumlLines(code) {
+  const raw = code.split(/\r?\n/);
+  const hasStart = raw.some((text) => /^\s*@start\w*/i.test(text));
+  const lines = [];
+  let inComment = false;
+  let started = false;
+  let ended = false;
+
+  raw.forEach((text, index) => {
+    let line = text.trim();
+
+    // Block comments: /' ... '/
+    if (inComment) {
+      if (!line.includes("'/")) return;
+      inComment = false;
+      line = line.slice(line.indexOf("'/") + 2).trim();
+    }
+    if (line.startsWith("/'")) {
+      const close = line.indexOf("'/", 2);
+      if (close === -1) {
+        inComment = true;
+        return;
+      }
+      line = line.slice(close + 2).trim();
+    }
+
+    if (!line || line.startsWith("'")) return;
+    if (/^@start\w*/i.test(line)) {
+      if (!ended) started = true;
+      return;
+    }
+    if (/^@end\w*/i.test(line)) {
+      ended = true;
+      return;
+    }
+    if (hasStart && (!started || ended)) return;
+
+    lines.push({ text: line, line: index + 1 });
+  });
+
+  return lines;
+}
+
+/**
+ * Remove layout and presentation directives that have no Mermaid counterpart
+ * Returns the remaining lines with the title and direction they declared
+ */
+function stripDirectives(lines, writer) {
+  const body = [];
+  let title = null;
+  let direction = null;
+  let blockEnd = null;
+
+  lines.forEach((entry) => {
+    const { text } = entry;
+
+    if (blockEnd) {
+      if (blockEnd.test(text)) blockEnd = null;
+      return;
+    }
+
+    if (/^skinparam\b.*\{$/i.test(text)) {
+      blockEnd = /^\}$/;
+      return;
+    }
+    if (/^legend\b/i.test(text)) {
+      blockEnd = /^end\s*legend$/i;
+      return;
+    }
+    const blockMatch = text.match(/^(title|header|footer|caption)$/i);
+    if (blockMatch) {
+      blockEnd = new RegExp(`^end\\s*${blockMatch[1]}$`, 'i');
+      return;
+    }
+
+    const titleMatch = text.match(/^title\s+(.+)$/i);
+    if (titleMatch) {
+      title = plainText(titleMatch[1]);
+      return;
+    }
+
+    if (/^left\s+to\s+right\s+direction$/i.test(text)) {
+      direction = 'LR';
+      return;
+    }
+    if (/^top\s+to\s+bottom\s+direction$/i.test(text)) {
+      direction = 'TB';
+      return;
+    }
+
+    if (/^!include/i.test(text)) {
+      writer.warn(entry.line, 'Included files are not read', 'Inline the included definitions');
+      return;
+    }
+    if (/^(skinparam|scale|hide|show|remove|header|footer|caption|autoactivate|mainframe|newpage|allowmixing|set\s+namespaceseparator)\b/i.test(text) || text.startsWith('!')) {
+      return;
+    }
+
+    body.push(entry);
+  });
+
+  return { body, title, direction };
+}
+
+/**
+ * Work out which kind of PlantUML diagram the lines describe
+ */
+function detectPlantUMLKind(lines) {
+  const texts = lines.map((entry) => entry.text);
+  if (texts.some((text) => /^(start|stop)$/i.test(text) || /^(#\S+)?:.*[;|<>/\]}]$/.test(text) || /^(if|while)\s*\(/i.test(text) || /^(repeat|fork|split|partition)\b/i.test(text))) {
+    return 'activity';
+  }
+  if (texts.some((text) => /^(abstract\s+class|abstract|class|interface|enum|annotation|struct|dataclass|record|protocol)\s+\S/i.test(text))
+    || texts.some((text) => /(<\||\|>|\*--|--\*|o--|--o|\.\.\|>|<\|\.\.)/.test(text))) {
+    return 'class';
+  }
+  return 'sequence';
+}
+
+/**
+ * Skip a multi-line note (note ... end note); returns the index after it
+ */
+function skipNoteBlock(lines, index) {
+  let j = index + 1;
+  while (j < lines.length && !/^end\s*[hr]?note$/i.test(lines[j].text)) j++;
+  return j;
+}
+
+/**
+ * Translate an activity diagram (new syntax) into a flowchart
+ * Start and stop become the Start/Stop terminals the Draw.io converter would otherwise add
+ */
+function activityToMermaid(lines, writer, direction) {
+  const nodes = [];
+  const edges = [];
+  const groups = []; // Partitions and swimlanes, emitted as subgraphs
+  const groupStack = []; // Open partitions
+  const blocks = []; // Open if / switch / while / repeat / fork blocks
+  const styles = [];
+  let swimlane = null;
+  let frontier = []; // Exits of the last step, waiting for the next node: [{ id, label }]
+  let pendingLabel = '';
+  let actionCount = 0;
+  let decisionCount = 0;
+
+  const currentGroup = () => (groupStack.length > 0 ? groupStack[groupStack.length - 1].id : swimlane);
+
+  const connect = (target, line) => {
+    frontier.forEach((exit) => edges.push({ source: exit.id, target, label: exit.label || pendingLabel, line }));
+    pendingLabel = '';
+  };
+
+  const declare = (id, shape, label, line) => {
+    if (!nodes.some((node) => node.id === id)) {
+      nodes.push({ id, shape, label, group: currentGroup(), line });
+    }
+  };
+
+  // A node that follows the current step: connect, then it becomes the only exit
+  const step = (id, shape, label, line) => {
+    declare(id, shape, label, line);
+    blocks.filter((block) => block.type === 'repeat' && !block.start).forEach((block) => { block.start = id; });
+    connect(id, line);
+    frontier = [{ id, label: '' }];
+  };
+
+  const decision = (label, line) => {
+    decisionCount++;
+    const id = `d${decisionCount}`;
+    step(id, 'diamond', plainText(label), line);
+    return id;
+  };
+
+  const innermost = (types, text, line) => {
+    const block = blocks[blocks.length - 1];
+    if (!block || !types.includes(block.type)) {
+      throw plantumlError(`"${text}" without a matching ${types[0]}`, line);
+    }
+    return block;
+  };
+
+  const branchLabel = (text) => (text ? plainText(text) : '');
+
+  for (let i = 0; i < lines.length; i++) {
+    const { text, line } = lines[i];
+
+    if (text.includes('(*)')) {
+      throw plantumlError('the legacy activity syntax with (*) is not supported', line);
+    }
+
+    if (/^start$/i.test(text)) {
+      step('Start', 'stadium', 'Start', line);
+      continue;
+    }
+    if (/^(stop|end)$/i.test(text)) {
+      step('Stop', 'stadium', 'Stop', line);
+      frontier = [];
+      continue;
+    }
+    if (/^(kill|detach)$/i.test(text)) {
+      frontier = [];
+      continue;
+    }
+
+    // Action: :text; (may span several lines), optionally coloured: #pink:text;
+    const actionMatch = text.match(/^(#\w+)?:(.*)$/);
+    if (actionMatch) {
+      let content = actionMatch[2];
+      while (!/[;|<>/\]}]$/.test(content) && i + 1 < lines.length) {
+        i++;
+        content += `\n${lines[i].text}`;
+      }
+      actionCount++;
+      const id = `a${actionCount}`;
+      step(id, 'rectangle', plainText(content.slice(0, -1)), line);
+      if (actionMatch[1]) styles.push({ text: `style ${id} fill:${actionMatch[1].slice(1)}`, line });
+      continue;
+    }
+
+    // Arrow label for the next connection: -> text;
+    const arrowMatch = text.match(/^-+(?:\[[^\]]*\])?-*>\s*(.*?)\s*;?$/);
+    if (arrowMatch) {
+      pendingLabel = plainText(arrowMatch[1]);
+      continue;
+    }
+
+    // if (cond) then (yes) / elseif (cond) then (yes) / else (no) / endif
+    const ifMatch = text.match(/^if\s*\((.*?)\)\s*(?:is\s*\((.*?)\)\s*)?(?:then\s*(?:\((.*?)\))?)?$/i);
+    if (ifMatch) {
+      const id = decision(ifMatch[2] ? `${ifMatch[1]} ${ifMatch[2]}` : ifMatch[1], line);
+      blocks.push({ type: 'if', decision: id, exits: [], hasElse: false });
+      frontier = [{ id, label: branchLabel(ifMatch[3]) }];
+      continue;
+    }
+    const elseIfMatch = text.match(/^else\s*if\s*\((.*?)\)\s*(?:then\s*(?:\((.*?)\))?)?$/i);
+    if (elseIfMatch) {
+      const block = innermost(['if'], 'elseif', line);
+      block.exits.push(...frontier);
+      decisionCount++;
+      const id = `d${decisionCount}`;
+      declare(id, 'diamond', plainText(elseIfMatch[1]), line);
+      edges.push({ source: block.decision, target: id, label: '', line });
+      block.decision = id;
+      frontier = [{ id, label: branchLabel(elseIfMatch[2]) }];
+      continue;
+    }
+    const elseMatch = text.match(/^else\s*(?:\((.*)\))?$/i);
+    if (elseMatch) {
+      const block = innermost(['if'], 'else', line);
+      block.exits.push(...frontier);
+      block.hasElse = true;
+      frontier = [{ id: block.decision, label: branchLabel(elseMatch[1]) }];
+      continue;
+    }
+    if (/^end\s*if$/i.test(text)) {
+      const block = innermost(['if'], 'endif', line);
+      blocks.pop();
+      frontier = [...block.exits, ...frontier, ...(block.hasElse ? [] : [{ id: block.decision, label: '' }])];
+      continue;
+    }
+
+    // switch (subject) / case (value) / endswitch
+    const switchMatch = text.match(/^switch\s*\((.*)\)$/i);
+    if (switchMatch) {
+      const id = decision(switchMatch[1], line);
+      blocks.push({ type: 'switch', decision: id, exits: [], cases: 0 });
+      continue;
+    }
+    const caseMatch = text.match(/^case\s*\((.*)\)$/i);
+    if (caseMatch) {
+      const block = innermost(['switch'], 'case', line);
+      if (block.cases > 0) block.exits.push(...frontier);
+      block.cases++;
+      frontier = [{ id: block.decision, label: plainText(caseMatch[1]) }];
+      continue;
+    }
+    if (/^end\s*switch$/i.test(text)) {
+      const block = innermost(['switch'], 'endswitch', line);
+      blocks.pop();
+      frontier = [...block.exits, ...frontier];
+      continue;
+    }
+
+    // while (cond) is (yes) / endwhile (no)
+    const whileMatch = text.match(/^while\s*\((.*?)\)\s*(?:is\s*\((.*?)\))?$/i);
+    if (whileMatch) {
+      const id = decision(whileMatch[1], line);
+      blocks.push({ type: 'while', decision: id });
+      frontier = [{ id, label: branchLabel(whileMatch[2]) }];
+      continue;
+    }
+    const endWhileMatch = text.match(/^end\s*while\s*(?:\((.*)\))?$/i);
+    if (endWhileMatch) {
+      const block = innermost(['while'], 'endwhile', line);
+      blocks.pop();
+      connect(block.decision, line);
+      frontier = [{ id: block.decision, label: branchLabel(endWhileMatch[1]) }];
+      continue;
+    }
+
+    // repeat / repeat while (cond) is (yes) not (no)
+    const repeatWhileMatch = text.match(/^repeat\s*while\s*\((.*?)\)\s*(?:is\s*\((.*?)\))?\s*(?:not\s*\((.*?)\))?$/i);
+    if (repeatWhileMatch) {
+      const block = innermost(['repeat'], 'repeat while', line);
+      blocks.pop();
+      const id = decision(repeatWhileMatch[1], line);
+      if (block.start) {
+        edges.push({ source: id, target: block.start, label: branchLabel(repeatWhileMatch[2]), line });
+      }
+      frontier = [{ id, label: branchLabel(repeatWhileMatch[3]) }];
+      continue;
+    }
+    const repeatMatch = text.match(/^repeat\b\s*(.*)$/i);
+    if (repeatMatch) {
+      blocks.push({ type: 'repeat', start: null });
+      if (repeatMatch[1]) {
+        lines.splice(i + 1, 0, { text: repeatMatch[1], line });
+      }
+      continue;
+    }
+    if (/^backward\b/i.test(text)) {
+      writer.warn(line, 'Backward actions are not supported', 'The loop goes straight back to the start of the repeat');
+      continue;
+    }
+
+    // fork / fork again / end fork (split and merge work the same way)
+    if (/^(fork|split)$/i.test(text)) {
+      blocks.push({ type: 'fork', origin: frontier, exits: [] });
+      continue;
+    }
+    if (/^(fork|split)\s+again$/i.test(text)) {
+      const block = innermost(['fork'], text, line);
+      block.exits.push(...frontier);
+      frontier = block.origin;
+      continue;
+    }
+    if (/^end\s*(fork|split|merge)\b/i.test(text)) {
+      const block = innermost(['fork'], text, line);
+      blocks.pop();
+      frontier = [...block.exits, ...frontier];
+      continue;
+    }
+
+    // Swimlanes: |Lane| or |#color|Lane|
+    const laneMatch = text.match(/^\|(?:#?\w+\|)?([^|]+)\|$/);
+    if (laneMatch) {
+      const label = plainText(laneMatch[1]);
+      let lane = groups.find((group) => group.swimlane && group.label === label);
+      if (!lane) {
+        lane = { id: `lane${groups.length + 1}`, label, parent: null, swimlane: true, line };
+        groups.push(lane);
+      }
+      swimlane = lane.id;
+      continue;
+    }
+
+    // Partitions: partition Name { ... } or group Name ... end group
+    const partitionMatch = text.match(/^(partition|group|package|rectangle|card)\s+(.+?)\s*(#\w+)?\s*\{?$/i);
+    if (partitionMatch) {
+      const group = {
+        id: `group${groups.length + 1}`,
+        label: plainText(unquote(partitionMatch[2])),
+        parent: currentGroup(),
+        line,
+      };
+      groups.push(group);
+      groupStack.push(group);
+      continue;
+    }
+    if (text === '}' || /^end\s*group$/i.test(text)) {
+      if (groupStack.length === 0) throw plantumlError(`"${text}" without a matching partition`, line);
+      groupStack.pop();
+      continue;
+    }
+
+    // Notes are not part of the flow
+    if (/^(floating\s+)?note\b/i.test(text)) {
+      if (!text.includes(':')) i = skipNoteBlock(lines, i);
+      writer.warn(line, 'Notes are not converted', 'Move the note text into an action if it matters');
+      continue;
+    }
+
+    writer.warn(line, `Unsupported PlantUML statement: ${text}`, 'The line is ignored');
+  }
+
+  if (blocks.length > 0) {
+    throw plantumlError(`unclosed ${blocks[blocks.length - 1].type} block`, lines[lines.length - 1].line);
+  }
+
+  writer.line(`flowchart ${direction === 'LR' ? 'LR' : 'TD'}`, lines.length > 0 ? lines[0].line : 1);
+
+  const writeGroup = (groupId, indent) => {
+    groups.filter((group) => group.parent === groupId).forEach((group) => {
+      writer.line(`${indent}subgraph ${group.id} [${group.label}]`, group.line);
+      writeGroup(group.id, `${indent}  `);
+      writer.line(`${indent}end`, group.line);
+    });
+    nodes.filter((node) => node.group === groupId).forEach((node) => {
+      writer.line(`${indent}${nodeDeclaration(node.id, node.shape, node.label)}`, node.line);
+    });
+  };
+  writeGroup(null, '  ');
+
+  edges.forEach((edge) => writer.line(`  ${edgeDeclaration(edge.source, '-->', edge.target, edge.label)}`, edge.line));
+  styles.forEach((style) => writer.line(`  ${style.text}`, style.line));
+}
+
+/**
+ * Translate a sequence diagram
+ */
+function sequenceToMermaid(lines, writer) {
+  const toId = createIdAllocator();
+  const declared = new Set();
+  const blocks = []; // Open groups ({ type }) and boxes ({ type: 'box' })
+  let lastMessage = null;
+
+  writer.line('sequenceDiagram', lines.length > 0 ? lines[0].line : 1);
+
+  // Declare a participant on first use, so labels and actor kinds survive
+  const participant = (name, line, kind = 'participant', label = null) => {
+    const id = toId(unquote(name));
+    if (!declared.has(id)) {
+      declared.add(id);
+      const text = plainText(label || unquote(name));
+      writer.line(`  ${kind} ${id}${text !== id ? ` as ${text}` : ''}`, line);
+    }
+    return id;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const { text, line } = lines[i];
+
+    // participant "Long Name" as L, actor User, database DB as "Orders DB" #lightblue
+    const declarationMatch = text.match(new RegExp(`^(${PARTICIPANT_KINDS.join('|')})\\s+(.+)$`, 'i'));
+    if (declarationMatch) {
+      const kind = declarationMatch[1].toLowerCase() === 'actor' ? 'actor' : 'participant';
+      const rest = declarationMatch[2].replace(/\s+order\s+-?\d+/i, '').replace(/\s*<<.*?>>/g, '').replace(/\s+#\S+$/, '').trim();
+      const aliasFirst = rest.match(/^("[^"]+")\s+as\s+(\S+)$/i);
+      const aliasLast = rest.match(/^(\S+)\s+as\s+("[^"]+"|.+)$/i);
+      if (aliasFirst) {
+        participant(aliasFirst[2], line, kind, unquote(aliasFirst[1]));
+      } else if (aliasLast) {
+        participant(aliasLast[1], line, kind, unquote(aliasLast[2]));
+      } else {
+        participant(rest, line, kind);
+      }
+      continue;
+    }
+
+    // Groups: alt/else/end, loop, opt, par, break, critical, group
+    const groupMatch = text.match(/^(alt|loop|opt|par|break|critical|group)\b\s*(.*)$/i);
+    if (groupMatch) {
+      const type = SEQUENCE_GROUPS[groupMatch[1].toLowerCase()];
+      if (groupMatch[1].toLowerCase() === 'group') {
+        writer.warn(line, 'group is shown as an opt fragment', 'Use opt, alt or loop for a specific meaning');
+      }
+      blocks.push({ type });
+      writer.line(`  ${type} ${plainText(groupMatch[2])}`.trimEnd(), line);
+      continue;
+    }
+    const elseMatch = text.match(/^else\b\s*(.*)$/i);
+    if (elseMatch) {
+      const block = blocks[blocks.length - 1];
+      if (!block || block.type === 'box') throw plantumlError('"else" outside a group', line);
+      const keyword = { par: 'and', critical: 'option' }[block.type] || 'else';
+      writer.line(`  ${keyword} ${plainText(elseMatch[1])}`.trimEnd(), line);
+      continue;
+    }
+    const boxMatch = text.match(/^box\b\s*(.*)$/i);
+    if (boxMatch) {
+      blocks.push({ type: 'box' });
+      writer.line(`  box ${plainText(unquote(boxMatch[1].replace(/\s*#\S+$/, '')))}`.trimEnd(), line);
+      continue;
+    }
+    if (/^end(\s+box)?$/i.test(text)) {
+      if (blocks.length === 0) throw plantumlError('"end" without a matching group', line);
+      blocks.pop();
+      writer.line('  end', line);
+      continue;
+    }
+
+    // Notes: note left of A : text, note over A, B : text, or a block ending in end note
+    const noteMatch = text.match(/^([hr]?note|ref)\s+(left|right|over)\b(?:\s+of)?\s*([^:]*?)\s*(?::\s*(.*))?$/i);
+    if (noteMatch) {
+      let content = noteMatch[4];
+      if (content === undefined) {
+        const end = skipNoteBlock(lines, i);
+        content = lines.slice(i + 1, end).map((entry) => entry.text).join(' ');
+        i = end;
+      }
+      const position = noteMatch[1].toLowerCase() === 'ref' ? 'over' : noteMatch[2].toLowerCase();
+      let targets = noteMatch[3].replace(/\s*#\S+$/, '').split(',').map((name) => name.trim()).filter(Boolean);
+      if (targets.length === 0 && lastMessage) {
+        targets = [position === 'left' ? lastMessage.from : lastMessage.to];
+      }
+      if (targets.length === 0) {
+        writer.warn(line, 'Note without a participant skipped', 'Attach the note to a participant');
+        continue;
+      }
+      const ids = targets.map((name) => participant(name, line));
+      writer.line(`  Note ${position === 'over' ? 'over' : `${position} of`} ${ids.join(',')}: ${plainText(content)}`, line);
+      continue;
+    }
+
+    const activationMatch = text.match(/^(activate|deactivate)\s+(\S+)/i);
+    if (activationMatch) {
+      writer.line(`  ${activationMatch[1].toLowerCase()} ${participant(activationMatch[2], line)}`, line);
+      continue;
+    }
+    if (/^destroy\s+/i.test(text)) {
+      writer.warn(line, 'Participant destruction is not shown', 'The lifeline continues to the end');
+      continue;
+    }
+    const createMatch = text.match(/^create\s+(?:(\w+)\s+)?(\S+)$/i);
+    if (createMatch) {
+      participant(createMatch[2], line, createMatch[1] && createMatch[1].toLowerCase() === 'actor' ? 'actor' : 'participant');
+      continue;
+    }
+
+    const autonumberMatch = text.match(/^autonumber\b\s*(\d+)?\s*(\d+)?/i);
+    if (autonumberMatch) {
+      writer.line(`  autonumber${autonumberMatch[1] ? ` ${autonumberMatch[1]}` : ''}${autonumberMatch[2] ? ` ${autonumberMatch[2]}` : ''}`, line);
+      continue;
+    }
+
+    const returnMatch = text.match(/^return\b\s*(.*)$/i);
+    if (returnMatch) {
+      if (!lastMessage) throw plantumlError('"return" before any message', line);
+      writer.line(`  ${lastMessage.to}-->>${lastMessage.from}: ${plainText(returnMatch[1])}`, line);
+      lastMessage = { from: lastMessage.to, to: lastMessage.from };
+      continue;
+    }
+
+    if (/^(==.*==|\.\.\.+.*|\|\|\d*\|\|\|?)$/.test(text)) {
+      writer.warn(line, 'Dividers, delays and spacers are not converted', 'The line is ignored');
+      continue;
+    }
+
+    // Message: A -> B : text, A --> B, A ->> B, A ->x B, A <- B, A -[#red]> B ++ : text
+    const colon = text.indexOf(':');
+    const head = (colon === -1 ? text : text.slice(0, colon)).replace(/-\[[^\]]*\]/g, '-').trim();
+    const message = colon === -1 ? '' : text.slice(colon + 1);
+    const messageMatch = head.match(/^("[^"]+"|[^\s"]+?)\s*((?:[ox](?=<))?<{0,2}[\\/]{0,2}-{1,2}[>\\/]{0,2}(?:[ox](?=\s|$))?)\s*("[^"]+"|[^\s"]+?)\s*(\+\+|--|\*\*|!!)?$/);
+    if (messageMatch) {
+      const [, rawFrom, arrow, rawTo, activation] = messageMatch;
+      if ([rawFrom, rawTo].some((name) => name === '[' || name === ']')) {
+        writer.warn(line, 'Messages from outside the diagram are not supported', 'Add an explicit participant for the outside caller');
+        continue;
+      }
+
+      const dashed = arrow.includes('--');
+      const leftHead = arrow.includes('<') || /^[ox]/.test(arrow);
+      const rightHead = /[>\\/]/.test(arrow.replace(/^[ox]?<*[\\/]*/, '')) || /[ox]$/.test(arrow);
+      let from = participant(rawFrom, line);
+      let to = participant(rawTo, line);
+      if (leftHead && !rightHead) [from, to] = [to, from];
+
+      const dash = dashed ? '--' : '-';
+      let mermaidArrow = `${dash}>>`;
+      if (leftHead && rightHead) mermaidArrow = `<<${dash}>>`;
+      else if (/x/.test(arrow)) mermaidArrow = `${dash}x`;
+      else if (/>>|\\\\|\/\/|<</.test(arrow)) mermaidArrow = `${dash})`;
+
+      let mark = '';
+      if (activation === '++') mark = '+';
+      if (activation === '--') mark = '-';
+      if (activation === '**' || activation === '!!') {
+        writer.warn(line, 'Create and destroy shortcuts are not converted', 'Declare the participant explicitly');
+      }
+
+      writer.line(`  ${from}${mermaidArrow}${mark}${to}: ${plainText(message)}`, line);
+      lastMessage = { from, to };
+      continue;
+    }
+
+    writer.warn(line, `Unsupported PlantUML statement: ${text}`, 'The line is ignored');
+  }
+}
+
+/**
+ * Translate one class member; {static}/{abstract} become Mermaid's $ and * classifiers
+ */
+function classMember(text) {
+  let classifier = '';
+  let member = text.replace(/\{(static|classifier|abstract)\}\s*/gi, (match, keyword) => {
+    classifier = keyword.toLowerCase() === 'abstract' ? '*' : '$';
+    return '';
+  }).trim();
+
+  const visibility = /^[+\-#~]/.test(member) ? member[0] : '';
+  member = member.slice(visibility.length).trim();
+
+  // Java-style method "Type name(params)" becomes "name(params) Type"
+  const javaMethod = member.match(/^([\w.<>[\],\s]+?)\s+(\w+\s*\(.*\))$/);
+  if (javaMethod) member = `${javaMethod[2]} ${javaMethod[1]}`;
+
+  return `${visibility}${member.replace(/<([^<>]*)>/g, '~$1~')}${classifier}`;
+}
+
+/**
+ * Translate a class diagram
+ */
+function classToMermaid(lines, writer, direction) {
+  const toId = createIdAllocator();
+  const declared = new Set();
+  const containers = []; // Open packages / namespaces, which are flattened
+  let body = null; // Class whose { ... } body is open
+  let warnedPackages = false;
+
+  writer.line('classDiagram', lines.length > 0 ? lines[0].line : 1);
+  if (direction) writer.line(`  direction ${direction}`, lines[0].line);
+
+  // Mermaid class ids are plain words; other names keep their text as a label
+  const classRef = (name, line) => {
+    const text = unquote(name);
+    const id = toId(text);
+    if (!declared.has(id)) {
+      declared.add(id);
+      if (id !== text) writer.line(`  class ${id}["${text.replace(/"/g, "'")}"]`, line);
+    }
+    return id;
+  };
+
+  const classPattern = new RegExp(
+    `^(${Object.keys(CLASS_KINDS).sort((a, b) => b.length - a.length).join('|').replace(' ', '\\s+')})\\s+`
+    + '("[^"]+"|[\\w.$]+)(?:<(?!<)([^<>]+)>)?(?:\\s+as\\s+("[^"]+"|[\\w.$]+))?\\s*(?:<<(.+?)>>)?\\s*(?:#\\S+)?'
+    + '\\s*(\\{)?\\s*(\\})?$',
+    'i',
+  );
+
+  for (let i = 0; i < lines.length; i++) {
+    const { text, line } = lines[i];
+
+    if (body) {
+      if (text === '}') {
+        writer.line('  }', line);
+        body = null;
+      } else if (!/^(--|\.\.|==|__)/.test(text)) {
+        writer.line(`    ${classMember(text)}`, line);
+      }
+      continue;
+    }
+
+    // extends / implements clauses become relations of their own
+    const parents = [];
+    const declaration = text.replace(/\s+(extends|implements)\s+(.+?)(?=\s+(?:extends|implements)\s|\s*\{|\s*$)/gi, (match, keyword, names) => {
+      names.split(',').map((name) => name.trim()).filter(Boolean).forEach((name) => {
+        parents.push({ name, link: keyword.toLowerCase() === 'implements' ? '..' : '--' });
+      });
+      return '';
+    });
+
+    const classMatch = declaration.match(classPattern);
+    if (classMatch) {
+      const [, keyword, rawName, generic, alias, stereotype, open, close] = classMatch;
+      const name = unquote(alias || rawName);
+      const label = alias ? unquote(rawName) : name;
+      const id = toId(name);
+      const annotation = stereotype || CLASS_KINDS[keyword.toLowerCase().replace(/\s+/, ' ')];
+      const genericPart = generic ? `~${generic.trim()}~` : '';
+      const labelPart = label !== id ? `["${label.replace(/"/g, "'")}"]` : '';
+      declared.add(id);
+
+      if (open && !close) {
+        writer.line(`  class ${id}${genericPart}${labelPart} {`, line);
+        if (annotation) writer.line(`    <<${annotation}>>`, line);
+        body = id;
+      } else {
+        writer.line(`  class ${id}${genericPart}${labelPart}`, line);
+        if (annotation) writer.line(`  <<${annotation}>> ${id}`, line);
+      }
+
+      parents.forEach((parent) => writer.line(`  ${classRef(parent.name, line)} <|${parent.link} ${id}`, line));
+      continue;
+    }
+
+    // Packages and namespaces have no Mermaid equivalent here; their classes are kept
+    const containerMatch = text.match(/^(package|namespace|together|folder|frame|rectangle)\b.*\{$/i);
+    if (containerMatch) {
+      containers.push(line);
+      if (!warnedPackages && containerMatch[1].toLowerCase() !== 'together') {
+        writer.warn(line, 'Packages and namespaces are flattened', 'Their classes are kept without the grouping');
+        warnedPackages = true;
+      }
+      continue;
+    }
+    if (text === '}') {
+      if (containers.length === 0) throw plantumlError('"}" without a matching block', line);
+      containers.pop();
+      continue;
+    }
+
+    if (/^note\b/i.test(text)) {
+      if (!/:/.test(text)) i = skipNoteBlock(lines, i);
+      writer.warn(line, 'Notes are not converted', 'The note is ignored');
+      continue;
+    }
+
+    // Relation: A "1" *-- "many" B : label >
+    const relationMatch = text.match(/^("[^"]+"|[\w.$]+)\s*(?:"([^"]*)"\s*)?(<\||<|\*|#|\}|\+|\^|(?<=\s)[ox])?([-.]+(?:\[[^\]]*\])?(?:(?:up|down|left|right|u|d|l|r)[-.]+)?)(\|>|>|\*|#|\{|\+|\^|[ox](?=[\s"]))?\s*(?:"([^"]*)"\s*)?("[^"]+"|[\w.$]+)\s*(?::\s*(.*))?$/i);
+    if (relationMatch) {
+      const [, rawSource, sourceCardinality, start, link, end, targetCardinality, rawTarget, label] = relationMatch;
+      const source = classRef(rawSource, line);
+      const target = classRef(rawTarget, line);
+      [start, end].filter((marker) => marker && !RELATION_START_MARKERS[marker] && !RELATION_END_MARKERS[marker]).forEach((marker) => {
+        writer.warn(line, `Relation end "${marker}" has no Mermaid equivalent`, 'It is drawn as a plain line end');
+      });
+
+      const parts = [
+        source,
+        sourceCardinality !== undefined ? ` "${sourceCardinality}"` : '',
+        ` ${RELATION_START_MARKERS[start] || ''}${link.includes('.') ? '..' : '--'}${RELATION_END_MARKERS[end] || ''}`,
+        targetCardinality !== undefined ? ` "${targetCardinality}"` : '',
+        ` ${target}`,
+      ];
+      const relationLabel = label ? plainText(label.replace(/^[<>]\s*|\s*[<>]$/g, '')) : '';
+      writer.line(`  ${parts.join('')}${relationLabel ? ` : ${relationLabel}` : ''}`, line);
+      continue;
+    }
+
+    // Member added outside a body: Name : +field
+    const memberMatch = text.match(/^("[^"]+"|[\w.$]+)\s*:\s*(.+)$/);
+    if (memberMatch) {
+      writer.line(`  ${classRef(memberMatch[1], line)} : ${classMember(memberMatch[2])}`, line);
+      continue;
+    }
+
+    writer.warn(line, `Unsupported PlantUML statement: ${text}`, 'The line is ignored');
+  }
+
+  if (body) throw plantumlError(`class ${body} has no closing "}"`, lines[lines.length - 1].line);
+}
+
+/**
+ * Translate PlantUML source into Mermaid
+ * Returns { code, lineMap, warnings, title, kind }; lineMap[i] is the PlantUML line of Mermaid line i + 1
+ */
+function plantumlToMermaid(code) {
+  const writer = createMermaidWriter();
+  const { body, title, direction } = stripDirectives(plantumlLines(code), writer);
+  if (body.length === 0) {
+    throw plantumlError('the diagram is empty', 1);
+  }
+
+  const kind = detectPlantUMLKind(body);
+  if (kind === 'activity') {
+    activityToMermaid(body, writer, direction);
+  } else if (kind === 'class') {
+    classToMermaid(body, writer, direction);
+  } else {
+    sequenceToMermaid(body, writer);
+  }
+
+  return writer.result({ title, kind });
+}
+
+module.exports = {
+  plantumlToMermaid,
+  detectPlantUMLKind,
+};
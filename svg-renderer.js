@@ -0,0 +1,456 @@
+/**
+ * SVG Renderer
+ * Draws Draw.io pages as standalone SVG, so diagrams can be published without Draw.io.
+ * Mermaid input is converted with the regular converters first, which means the SVG
+ * uses exactly the same positions, shapes, colours and arrowheads as the .drawio output.
+ */
+
+const { parseDrawioXml, selectPage } = require('./drawio-reader');
+const { labelLines, textWidth, pointAlong, resolveGeometry } = require('./drawio-geometry');
+const { toDrawio, escapeXml } = require('./drawio-converter');
+const { convertERToDrawio: convertERToDrawioNew, isERDiagram } = require('./er-converter');
+
+/**
+ * Draw.io defaults for unset style keys
+ */
+const DEFAULTS = {
+  fillColor: '#ffffff',
+  strokeColor: '#000000',
+  fontColor: '#000000',
+  fontSize: 12,
+  fontFamily: 'Helvetica, Arial, sans-serif',
+  spacing: 2,
+  startSize: 23,
+  arrowSize: 6,
+  lineHeight: 1.2,
+};
+
+/**
+ * Round a coordinate for compact output
+ */
+function num(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Resolve a colour style value; `none` disables painting
+ */
+function paint(value, fallback) {
+  if (value === undefined || value === 'default' || value === true) return fallback;
+  return value === 'none' ? 'none' : value;
+}
+
+/**
+ * Shared stroke attributes of a cell
+ */
+function strokeAttributes(style, stroke) {
+  let attrs = ` stroke="${escapeXml(stroke)}"`;
+  if (stroke !== 'none') {
+    attrs += ` stroke-width="${num(parseFloat(style.strokeWidth) || 1)}"`;
+    if (style.dashed === '1') attrs += ` stroke-dasharray="${escapeXml(style.dashPattern || '3 3').replace(/\s+/g, ' ')}"`;
+  }
+  if (style.opacity !== undefined) attrs += ` opacity="${num(parseFloat(style.opacity) / 100)}"`;
+  return attrs;
+}
+
+/**
+ * Wrap lines so they fit a width (whiteSpace=wrap)
+ */
+function wrapLines(lines, width, fontSize, bold) {
+  if (width <= 0) return lines;
+
+  return lines.flatMap((line) => {
+    if (textWidth(line, fontSize, bold) <= width) return [line];
+
+    const wrapped = [];
+    let current = '';
+    line.split(' ').forEach((word) => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && textWidth(candidate, fontSize, bold) > width) {
+        wrapped.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+    wrapped.push(current);
+    return wrapped;
+  });
+}
+
+/**
+ * Render text lines inside a box, honouring align/verticalAlign and font styles
+ */
+function renderText(lines, box, style, options = {}) {
+  if (lines.length === 0 || (lines.length === 1 && lines[0] === '')) return '';
+
+  const fontSize = parseFloat(style.fontSize) || DEFAULTS.fontSize;
+  const fontStyle = parseInt(style.fontStyle, 10) || 0;
+  const bold = (fontStyle & 1) !== 0;
+  const spacing = parseFloat(style.spacing);
+  const base = Number.isNaN(spacing) ? DEFAULTS.spacing : spacing;
+  const left = base + (parseFloat(style.spacingLeft) || 0);
+  const right = base + (parseFloat(style.spacingRight) || 0);
+  const top = base + (parseFloat(style.spacingTop) || 0);
+  const bottom = base + (parseFloat(style.spacingBottom) || 0);
+
+  const inner = { x: box.x + left, y: box.y + top, width: box.width - left - right, height: box.height - top - bottom };
+  const textLines = style.whiteSpace === 'wrap' && box.width > 0 ? wrapLines(lines, inner.width, fontSize, bold) : lines;
+  const lineHeight = fontSize * DEFAULTS.lineHeight;
+  const blockHeight = textLines.length * lineHeight;
+
+  const align = style.align || 'center';
+  const verticalAlign = style.verticalAlign || 'middle';
+  const x = align === 'left' ? inner.x : (align === 'right' ? inner.x + inner.width : inner.x + inner.width / 2);
+  const anchor = align === 'left' ? 'start' : (align === 'right' ? 'end' : 'middle');
+  let y = verticalAlign === 'top' ? inner.y : (verticalAlign === 'bottom' ? inner.y + inner.height - blockHeight : inner.y + (inner.height - blockHeight) / 2);
+
+  let attrs = ` font-size="${num(fontSize)}" fill="${escapeXml(paint(style.fontColor, DEFAULTS.fontColor))}" text-anchor="${anchor}"`;
+  if (style.fontFamily) attrs += ` font-family="${escapeXml(style.fontFamily)}"`;
+  if (bold) attrs += ' font-weight="bold"';
+  if (fontStyle & 2) attrs += ' font-style="italic"';
+  if (fontStyle & 4) attrs += ' text-decoration="underline"';
+
+  let background = '';
+  if (options.background) {
+    const width = Math.max(...textLines.map((line) => textWidth(line, fontSize, bold))) + 4;
+    const bx = anchor === 'start' ? x - 2 : (anchor === 'end' ? x - width + 2 : x - width / 2);
+    background = `<rect x="${num(bx)}" y="${num(y)}" width="${num(width)}" height="${num(blockHeight)}" fill="${escapeXml(options.background)}"/>`;
+  }
+
+  const tspans = textLines.map((line, i) => {
+    y += i === 0 ? lineHeight / 2 : lineHeight;
+    return `<tspan x="${num(x)}" y="${num(y)}">${escapeXml(line)}</tspan>`;
+  }).join('');
+
+  return `${background}<text dominant-baseline="central"${attrs}>${tspans}</text>`;
+}
+
+/**
+ * Path of a rectangle with (optionally) rounded top corners only
+ */
+function topRoundedRectPath(x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height);
+  if (r <= 0) {
+    return `M${num(x)},${num(y)} L${num(x + width)},${num(y)} L${num(x + width)},${num(y + height)} L${num(x)},${num(y + height)} Z`;
+  }
+  return `M${num(x)},${num(y + height)} L${num(x)},${num(y + r)} Q${num(x)},${num(y)} ${num(x + r)},${num(y)} `
+    + `L${num(x + width - r)},${num(y)} Q${num(x + width)},${num(y)} ${num(x + width)},${num(y + r)} `
+    + `L${num(x + width)},${num(y + height)} Z`;
+}
+
+/**
+ * Corner radius of a rounded vertex
+ */
+function cornerRadius(style, bounds) {
+  if (style.rounded !== '1') return 0;
+  const arcSize = parseFloat(style.arcSize);
+  const factor = (Number.isNaN(arcSize) ? 15 : arcSize) / 100;
+  return Math.min(bounds.width, bounds.height) * factor;
+}
+
+/**
+ * Render the shape of a vertex (without its label)
+ */
+function renderShape(cell, bounds, style, inheritedStroke) {
+  const { x, y, width, height } = bounds;
+  const fill = paint(style.fillColor, DEFAULTS.fillColor);
+  const strokeValue = style.strokeColor === 'inherit' ? inheritedStroke : style.strokeColor;
+  const stroke = paint(strokeValue, DEFAULTS.strokeColor);
+  const strokeAttrs = strokeAttributes(style, stroke);
+  const shapeAttrs = ` fill="${escapeXml(fill)}"${strokeAttrs}`;
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+
+  if (style.text || style.edgeLabel) {
+    return '';
+  }
+
+  switch (style.shape) {
+    case 'startState':
+      return `<ellipse cx="${num(cx)}" cy="${num(cy)}" rx="${num(width / 2)}" ry="${num(height / 2)}" fill="${escapeXml(paint(style.fillColor, '#000000'))}"${strokeAttrs}/>`;
+    case 'endState':
+      return `<ellipse cx="${num(cx)}" cy="${num(cy)}" rx="${num(width / 2)}" ry="${num(height / 2)}" fill="none"${strokeAttrs}/>`
+        + `<ellipse cx="${num(cx)}" cy="${num(cy)}" rx="${num(width / 3)}" ry="${num(height / 3)}" fill="${escapeXml(paint(style.fillColor, '#000000'))}" stroke="none"/>`;
+    case 'line':
+      return style.direction === 'south' || style.direction === 'north'
+        ? `<line x1="${num(cx)}" y1="${num(y)}" x2="${num(cx)}" y2="${num(y + height)}"${strokeAttrs}/>`
+        : `<line x1="${num(x)}" y1="${num(cy)}" x2="${num(x + width)}" y2="${num(cy)}"${strokeAttrs}/>`;
+    case 'process': {
+      const inset = width * (parseFloat(style.size) || 0.1);
+      return `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}"${shapeAttrs}/>`
+        + `<line x1="${num(x + inset)}" y1="${num(y)}" x2="${num(x + inset)}" y2="${num(y + height)}"${strokeAttrs}/>`
+        + `<line x1="${num(x + width - inset)}" y1="${num(y)}" x2="${num(x + width - inset)}" y2="${num(y + height)}"${strokeAttrs}/>`;
+    }
+    case 'note': {
+      const fold = Math.min(parseFloat(style.size) || 30, width, height);
+      return `<path d="M${num(x)},${num(y)} L${num(x + width - fold)},${num(y)} L${num(x + width)},${num(y + fold)} L${num(x + width)},${num(y + height)} L${num(x)},${num(y + height)} Z"${shapeAttrs}/>`
+        + `<path d="M${num(x + width - fold)},${num(y)} L${num(x + width - fold)},${num(y + fold)} L${num(x + width)},${num(y + fold)}" fill="none"${strokeAttrs}/>`;
+    }
+    case 'umlActor': {
+      const head = Math.min(width, height / 4);
+      const neck = y + head;
+      const hip = y + height * 0.6;
+      return `<ellipse cx="${num(cx)}" cy="${num(y + head / 2)}" rx="${num(head / 2)}" ry="${num(head / 2)}"${shapeAttrs}/>`
+        + `<path d="M${num(cx)},${num(neck)} L${num(cx)},${num(hip)} M${num(x)},${num(y + height * 0.4)} L${num(x + width)},${num(y + height * 0.4)} `
+        + `M${num(x)},${num(y + height)} L${num(cx)},${num(hip)} L${num(x + width)},${num(y + height)}" fill="none"${strokeAttrs}/>`;
+    }
+    case 'umlFrame': {
+      const tabWidth = Math.min(parseFloat(style.width) || 60, width);
+      const tabHeight = Math.min(parseFloat(style.height) || 30, height);
+      const cut = Math.min(10, tabHeight / 2);
+      return `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}"${shapeAttrs}/>`
+        + `<path d="M${num(x)},${num(y)} L${num(x + tabWidth)},${num(y)} L${num(x + tabWidth)},${num(y + tabHeight - cut)} `
+        + `L${num(x + tabWidth - cut)},${num(y + tabHeight)} L${num(x)},${num(y + tabHeight)} Z" fill="${escapeXml(fill === 'none' ? DEFAULTS.fillColor : fill)}"${strokeAttrs}/>`;
+    }
+    default:
+      break;
+  }
+
+  if (style.line) {
+    return `<line x1="${num(x)}" y1="${num(cy)}" x2="${num(x + width)}" y2="${num(cy)}"${strokeAttrs}/>`;
+  }
+  if (style.ellipse) {
+    return `<ellipse cx="${num(cx)}" cy="${num(cy)}" rx="${num(width / 2)}" ry="${num(height / 2)}"${shapeAttrs}/>`;
+  }
+  if (style.rhombus) {
+    return `<path d="M${num(cx)},${num(y)} L${num(x + width)},${num(cy)} L${num(cx)},${num(y + height)} L${num(x)},${num(cy)} Z"${shapeAttrs}/>`;
+  }
+
+  const radius = cornerRadius(style, bounds);
+  const rounding = radius > 0 ? ` rx="${num(radius)}" ry="${num(radius)}"` : '';
+
+  if (style.swimlane) {
+    const header = Math.min(parseFloat(style.startSize) || DEFAULTS.startSize, height);
+    const body = paint(style.swimlaneFillColor, 'none');
+    return `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}"${rounding} fill="${escapeXml(body)}"${strokeAttrs}/>`
+      + `<path d="${topRoundedRectPath(x, y, width, header, radius)}"${shapeAttrs}/>`;
+  }
+
+  return `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}"${rounding}${shapeAttrs}/>`;
+}
+
+/**
+ * Box a vertex label is laid out in
+ */
+function labelBox(bounds, style) {
+  const box = { ...bounds };
+
+  if (style.swimlane) {
+    box.height = Math.min(parseFloat(style.startSize) || DEFAULTS.startSize, bounds.height);
+  } else if (style.shape === 'umlFrame') {
+    box.width = Math.min(parseFloat(style.width) || 60, bounds.width);
+    box.height = Math.min(parseFloat(style.height) || 30, bounds.height);
+  }
+
+  if (style.labelPosition === 'right') box.x += bounds.width;
+  else if (style.labelPosition === 'left') box.x -= bounds.width;
+  if (style.verticalLabelPosition === 'bottom') box.y += bounds.height;
+  else if (style.verticalLabelPosition === 'top') box.y -= bounds.height;
+
+  return box;
+}
+
+/**
+ * SVG path data through points, with corners rounded by up to `radius`
+ */
+function polylinePath(points, radius) {
+  let d = `M${num(points[0].x)},${num(points[0].y)}`;
+  for (let i = 1; i < points.length; i++) {
+    const p = points[i];
+    if (radius > 0 && i < points.length - 1) {
+      const prev = points[i - 1];
+      const next = points[i + 1];
+      const inLength = Math.hypot(p.x - prev.x, p.y - prev.y);
+      const outLength = Math.hypot(next.x - p.x, next.y - p.y);
+      const r = Math.min(radius, inLength / 2, outLength / 2);
+      if (r > 0) {
+        const before = { x: p.x - ((p.x - prev.x) / inLength) * r, y: p.y - ((p.y - prev.y) / inLength) * r };
+        const after = { x: p.x + ((next.x - p.x) / outLength) * r, y: p.y + ((next.y - p.y) / outLength) * r };
+        d += ` L${num(before.x)},${num(before.y)} Q${num(p.x)},${num(p.y)} ${num(after.x)},${num(after.y)}`;
+        continue;
+      }
+    }
+    d += ` L${num(p.x)},${num(p.y)}`;
+  }
+  return d;
+}
+
+/**
+ * Draw an arrowhead (or ER cardinality marker) at `tip`, pointing along `from` -> `tip`
+ */
+function renderMarker(type, tip, from, filled, size, stroke, strokeWidth) {
+  if (!type || type === 'none') return '';
+
+  const length = Math.hypot(tip.x - from.x, tip.y - from.y) || 1;
+  const d = { x: (tip.x - from.x) / length, y: (tip.y - from.y) / length };
+  const n = { x: -d.y, y: d.x };
+  const at = (back, side) => ({ x: tip.x - d.x * back + n.x * side, y: tip.y - d.y * back + n.y * side });
+  const pt = (p) => `${num(p.x)},${num(p.y)}`;
+  const len = size * 1.6;
+  const half = size * 0.65;
+  const lineAttrs = ` fill="none" stroke="${escapeXml(stroke)}" stroke-width="${num(strokeWidth)}"`;
+  const shapeAttrs = (fill) => ` fill="${escapeXml(fill ? stroke : DEFAULTS.fillColor)}" stroke="${escapeXml(stroke)}" stroke-width="${num(strokeWidth)}"`;
+  const bar = (back) => `<path d="M${pt(at(back, 6))} L${pt(at(back, -6))}"${lineAttrs}/>`;
+  const circle = (back) => {
+    const c = at(back, 0);
+    return `<circle cx="${num(c.x)}" cy="${num(c.y)}" r="4"${shapeAttrs(false)}/>`;
+  };
+  const crowFoot = `<path d="M${pt(at(0, 6))} L${pt(at(10, 0))} L${pt(at(0, -6))}"${lineAttrs}/>`;
+
+  switch (type) {
+    case 'classic':
+      return `<path d="M${pt(tip)} L${pt(at(len, half))} L${pt(at(len * 0.7, 0))} L${pt(at(len, -half))} Z"${shapeAttrs(filled !== false)}/>`;
+    case 'block':
+      return `<path d="M${pt(tip)} L${pt(at(len, half))} L${pt(at(len, -half))} Z"${shapeAttrs(filled !== false)}/>`;
+    case 'open':
+      return `<path d="M${pt(at(len, half))} L${pt(tip)} L${pt(at(len, -half))}"${lineAttrs}/>`;
+    case 'openAsync':
+      return `<path d="M${pt(at(len, half))} L${pt(tip)}"${lineAttrs}/>`;
+    case 'cross':
+      return `<path d="M${pt(at(len * 0.8, half))} L${pt(at(0, -half))} M${pt(at(len * 0.8, -half))} L${pt(at(0, half))}"${lineAttrs}/>`;
+    case 'diamond':
+    case 'diamondThin': {
+      const width = type === 'diamond' ? half : half * 0.7;
+      return `<path d="M${pt(tip)} L${pt(at(len, width))} L${pt(at(len * 2, 0))} L${pt(at(len, -width))} Z"${shapeAttrs(filled !== false)}/>`;
+    }
+    case 'oval': {
+      const c = at(size / 2, 0);
+      return `<circle cx="${num(c.x)}" cy="${num(c.y)}" r="${num(size / 2)}"${shapeAttrs(filled !== false)}/>`;
+    }
+    case 'ERone':
+      return bar(8);
+    case 'ERmandOne':
+      return bar(8) + bar(13);
+    case 'ERmany':
+      return crowFoot;
+    case 'ERoneToMany':
+      return crowFoot + bar(14);
+    case 'ERzeroToMany':
+      return crowFoot + circle(18);
+    case 'ERzeroToOne':
+      return bar(8) + circle(18);
+    default:
+      return `<path d="M${pt(at(len, half))} L${pt(tip)} L${pt(at(len, -half))}"${lineAttrs}/>`;
+  }
+}
+
+/**
+ * Render one Draw.io page (its parsed cells) as an SVG document
+ */
+function cellsToSvg(cells, options = {}) {
+  const { background = DEFAULTS.fillColor, padding = 20, title } = options;
+  const { cellMap, absoluteBounds, routes } = resolveGeometry(cells);
+
+  const parts = [];
+  cells.forEach((cell) => {
+    const style = cell.styleMap;
+
+    if (cell.edge) {
+      const points = routes.get(cell.id);
+      if (!points) return;
+
+      const stroke = paint(style.strokeColor, DEFAULTS.strokeColor);
+      const strokeWidth = parseFloat(style.strokeWidth) || 1;
+      let radius = 0;
+      if (style.curved === '1') radius = Infinity;
+      else if (style.rounded === '1') radius = 10;
+
+      parts.push(`<path d="${polylinePath(points, radius)}" fill="none"${strokeAttributes(style, stroke)}/>`);
+
+      const endArrow = style.endArrow === undefined ? 'classic' : style.endArrow;
+      const startArrow = style.startArrow;
+      const last = points.length - 1;
+      parts.push(renderMarker(endArrow, points[last], points[last - 1], style.endFill !== '0', parseFloat(style.endSize) || DEFAULTS.arrowSize, stroke, strokeWidth));
+      parts.push(renderMarker(startArrow, points[0], points[1], style.startFill !== '0', parseFloat(style.startSize) || DEFAULTS.arrowSize, stroke, strokeWidth));
+
+      const lines = labelLines(cell.value, style);
+      if (lines.some((line) => line)) {
+        const fraction = ((cell.geometry && cell.geometry.x) || 0) / 2 + 0.5;
+        const anchor = pointAlong(points, fraction);
+        const offset = (cell.geometry && cell.geometry.offset) || { x: 0, y: 0 };
+        const box = { x: anchor.x + offset.x, y: anchor.y + offset.y, width: 0, height: 0 };
+        parts.push(renderText(lines, box, { ...style, whiteSpace: 'nowrap', spacing: '0' }, { background }));
+      }
+      return;
+    }
+
+    if (!cell.vertex || !cell.geometry) return;
+
+    // Labels attached to an edge (e.g. class cardinalities) sit at a relative position on it
+    const parentCell = cellMap.get(cell.parent);
+    if (parentCell && parentCell.edge) {
+      const points = routes.get(parentCell.id);
+      if (!points) return;
+      const anchor = pointAlong(points, (cell.geometry.x || 0) / 2 + 0.5);
+      const offset = cell.geometry.offset || { x: 0, y: 0 };
+      const box = { x: anchor.x + offset.x, y: anchor.y + offset.y, width: 0, height: 0 };
+      parts.push(renderText(labelLines(cell.value, style), box, { ...style, whiteSpace: 'nowrap' }, { background }));
+      return;
+    }
+
+    const bounds = absoluteBounds(cell);
+    const inheritedStroke = parentCell && parentCell.styleMap ? parentCell.styleMap.strokeColor : undefined;
+    parts.push(renderShape(cell, bounds, style, inheritedStroke));
+    parts.push(renderText(labelLines(cell.value, style), labelBox(bounds, style), style));
+  });
+
+  // Canvas: everything drawn, plus room for labels outside shapes
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const include = (x, y) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  };
+  cells.forEach((cell) => {
+    if (cell.vertex && cell.geometry && !(cellMap.get(cell.parent) || {}).edge) {
+      const b = absoluteBounds(cell);
+      include(b.x, b.y);
+      include(b.x + b.width * (cell.styleMap.labelPosition === 'right' ? 2 : 1), b.y + b.height * (cell.styleMap.verticalLabelPosition === 'bottom' ? 2 : 1));
+    }
+  });
+  routes.forEach((points) => points.forEach((p) => include(p.x, p.y)));
+  if (minX === Infinity) {
+    minX = 0; minY = 0; maxX = 0; maxY = 0;
+  }
+
+  const x = Math.floor(minX - padding);
+  const y = Math.floor(minY - padding);
+  const width = Math.ceil(maxX - minX + padding * 2);
+  const height = Math.ceil(maxY - minY + padding * 2);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}" font-family="${DEFAULTS.fontFamily}" font-size="${DEFAULTS.fontSize}">
+${title ? `  <title>${escapeXml(title)}</title>\n` : ''}${background !== 'none' ? `  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${escapeXml(background)}"/>\n` : ''}${parts.filter(Boolean).map((part) => `  ${part}`).join('\n')}
+</svg>
+`;
+}
+
+/**
+ * Render a page of a Draw.io file as SVG
+ */
+function drawioToSvg(xml, options = {}) {
+  const { page = 0 } = options;
+  const selected = selectPage(parseDrawioXml(xml), page);
+  return cellsToSvg(selected.cells, { title: selected.name, ...options });
+}
+
+/**
+ * Render a parsed Mermaid diagram as SVG
+ * Uses the Draw.io converters for layout, so both outputs look the same
+ */
+function toSvg(parsedDiagram, options = {}) {
+  const xml = isERDiagram(parsedDiagram)
+    ? convertERToDrawioNew(parsedDiagram, options)
+    : toDrawio(parsedDiagram, options);
+  return drawioToSvg(xml, { ...options, page: 0 });
+}
+
+module.exports = {
+  toSvg,
+  drawioToSvg,
+};
@@ -0,0 +1,128 @@
+/**
+ * Unified Diff
+ * Line-based diff between two versions of a text, in the format of `diff -u`
+ */
+
+/**
+ * Lines of context kept around each change
+ */
+const CONTEXT_LINES = 3;
+
+/**
+ * Tables larger than this are not searched for a minimal diff; the changed middle
+ * is then shown as removed and re-added
+ */
+const MAX_TABLE_SIZE = 4000000;
+
+/**
+ * Split a text into lines, remembering whether the last one ends with a newline
+ */
+function splitLines(text) {
+  const lines = text.split('\n');
+  const endsWithNewline = lines[lines.length - 1] === '';
+  if (endsWithNewline) lines.pop();
+  return { lines, endsWithNewline };
+}
+
+/**
+ * Edit script turning `a` into `b`: [{ type: ' ' | '-' | '+', oldIndex, newIndex }]
+ * Common prefix and suffix are matched directly, the rest by longest common subsequence
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const n = a.length - prefix - suffix;
+  const m = b.length - prefix - suffix;
+  const ops = [];
+  for (let i = 0; i < prefix; i++) ops.push({ type: ' ', oldIndex: i, newIndex: i });
+
+  if ((n + 1) * (m + 1) > MAX_TABLE_SIZE) {
+    for (let i = 0; i < n; i++) ops.push({ type: '-', oldIndex: prefix + i, newIndex: prefix });
+    for (let j = 0; j < m; j++) ops.push({ type: '+', oldIndex: prefix + n, newIndex: prefix + j });
+  } else {
+    // lcs[i][j]: length of the common subsequence of the middles from i and j onwards
+    const lcs = Array.from({ length: n + 1 }, () => new Int32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = a[prefix + i] === b[prefix + j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[prefix + i] === b[prefix + j]) {
+        ops.push({ type: ' ', oldIndex: prefix + i++, newIndex: prefix + j++ });
+      } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: '-', oldIndex: prefix + i++, newIndex: prefix + j });
+      } else {
+        ops.push({ type: '+', oldIndex: prefix + i, newIndex: prefix + j++ });
+      }
+    }
+  }
+
+  for (let k = 0; k < suffix; k++) {
+    ops.push({ type: ' ', oldIndex: a.length - suffix + k, newIndex: b.length - suffix + k });
+  }
+  return ops;
+}
+
+/**
+ * Hunk header range: the start is the line before the hunk when it covers no lines
+ */
+function hunkRange(before, count) {
+  const start = count === 0 ? before : before + 1;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Unified diff of two texts, or an empty string when they are equal
+ * Options: fromFile and toFile for the header lines, context (lines around each change)
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = CONTEXT_LINES } = options;
+  const before = splitLines(oldText);
+  const after = splitLines(newText);
+
+  // A last line without a newline differs from the same text with one
+  const keys = ({ lines, endsWithNewline }) => lines.map((line, i) => (
+    !endsWithNewline && i === lines.length - 1 ? `${line}\0` : line
+  ));
+  const ops = diffLines(keys(before), keys(after));
+  const changes = ops.map((op, k) => (op.type === ' ' ? -1 : k)).filter((k) => k !== -1);
+  if (changes.length === 0) return '';
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  let c = 0;
+  while (c < changes.length) {
+    // Changes closer than two contexts apart share a hunk
+    let last = c;
+    while (last + 1 < changes.length && changes[last + 1] - changes[last] <= context * 2 + 1) last++;
+    const start = Math.max(0, changes[c] - context);
+    const end = Math.min(ops.length, changes[last] + context + 1);
+    const hunk = ops.slice(start, end);
+
+    const oldCount = hunk.filter((op) => op.type !== '+').length;
+    const newCount = hunk.filter((op) => op.type !== '-').length;
+    out.push(`@@ -${hunkRange(hunk[0].oldIndex, oldCount)} +${hunkRange(hunk[0].newIndex, newCount)} @@`);
+
+    hunk.forEach((op) => {
+      const isOld = op.type !== '+';
+      const text = isOld ? before.lines[op.oldIndex] : after.lines[op.newIndex];
+      out.push(`${op.type}${text}`);
+      const lastOld = isOld && !before.endsWithNewline && op.oldIndex === before.lines.length - 1;
+      const lastNew = op.type !== '-' && !after.endsWithNewline && op.newIndex === after.lines.length - 1;
+      if (lastOld || lastNew) out.push('\\ No newline at end of file');
+    });
+    c = last + 1;
+  }
+  return `${out.join('\n')}\n`;
+}
+
+module.exports = {
+  unifiedDiff,
+};